@@ -0,0 +1,579 @@
+/**
+ * BoardSync - Echtzeit-Zusammenarbeit für InteraktivesCanvas
+ * Gleicht die Elemente mehrerer Boards über einen austauschbaren Transport ab
+ *
+ * Protokoll (operationsbasiert, Last-Writer-Wins je Feld):
+ * - Jedes Feld eines Elements ist ein Register { value, clock, client }
+ * - clock ist eine Lamport-Uhr; bei gleicher Uhr entscheidet die Client-ID
+ * - Löschen ist das Feld 'deleted' (Grabstein), Wiederherstellen setzt es zurück
+ * - Die Zeichenreihenfolge ist das Feld zIndex (bei Gleichstand die ID, siehe compareZOrder)
+ *
+ * Da jedes Register unabhängig und deterministisch zusammengeführt wird, erreichen
+ * alle Teilnehmer denselben Zustand, sobald sie dieselben Nachrichten erhalten haben,
+ * unabhängig von deren Reihenfolge (z. B. wenn zwei Nutzer dasselbe Element ziehen).
+ *
+ * Beitreten: Ein neuer Teilnehmer übernimmt den Zustand der Sitzung und ersetzt damit sein lokales
+ * Board. Antwortet niemand innerhalb von joinTimeout, eröffnet er die Sitzung mit seinem Board.
+ *
+ * Nachrichten:
+ * - hello: Neuer Teilnehmer bittet um den vollständigen Zustand
+ * - state: Vollständiger Zustand der Sitzung (Antwort auf hello)
+ * - update: Geänderte Register
+ * - presence: Name, Farbe, Cursor (Weltkoordinaten) und Auswahl (IDs)
+ * - image-request: Teilnehmer fehlen die Daten eines Bildes (Elemente verweisen nur per imageId)
+ * - image: Bilddaten als Data-URL, Antwort auf image-request
+ * - leave: Teilnehmer verlässt das Board
+ *
+ * Transport-Schnittstelle:
+ * - send(message): Nachricht an alle anderen Teilnehmer (keine Zustellung an sich selbst)
+ * - subscribe(listener): listener(message) für eingehende Nachrichten
+ * - close(): Verbindung beenden
+ * Ein Neuaufbau der Verbindung wird als Nachricht { type: 'reconnect' } gemeldet.
+ */
+class BoardSync {
+    /**
+     * @param {InteraktivesCanvas} board - Das zu synchronisierende Board
+     * @param {Object} transport - Transport gemäß obiger Schnittstelle
+     * @param {Object} options - clientId, name und color des lokalen Teilnehmers
+     */
+    constructor(board, transport, { clientId, name = 'Gast', color } = {}) {
+        this.board = board;
+        this.transport = transport;
+        this.clientId = clientId || board.createElementId();
+        this.name = name;
+        this.color = color || this.getClientColor(this.clientId);
+
+        this.clock = 0;                                                         // Lamport-Uhr
+        this.replica = new Map();                                               // id → { created, fields }
+        this.objects = new Map();                                               // id → Elementobjekt (bleibt für Undo erhalten)
+        this.peers = new Map();                                                 // clientId → { name, color, cursor, selection, lastSeen }
+
+        this.cursor = null;                                                     // Eigener Cursor (Weltkoordinaten)
+        this.lastPresence = null;                                               // Zuletzt gesendete Präsenz (JSON)
+        this.flushDelay = 30;                                                   // Bündelung lokaler Änderungen (ms)
+        this.flushTimer = null;
+        this.heartbeatInterval = 5000;                                          // Präsenz regelmäßig bestätigen (ms)
+        this.peerTimeout = 15000;                                               // Stille Teilnehmer ausblenden (ms)
+        this.heartbeatTimer = null;
+        this.requestedImages = new Set();                                       // Bereits angefragte Bild-IDs
+        this.joined = false;                                                    // Zustand der Sitzung übernommen oder Sitzung eröffnet
+        this.joinTimeout = 1500;                                                // Warten auf den Zustand der Sitzung (ms)
+        this.joinTimer = null;
+    }
+
+    /**
+     * Startet die Synchronisation
+     * Bis zum Beitritt wird nichts gesendet, damit das lokale Board nicht in die Sitzung gelangt
+     */
+    start() {
+        this.transport.subscribe(message => this.handleMessage(message));
+        this.transport.send({ type: 'hello', client: this.clientId });
+        this.joinTimer = setTimeout(() => this.openSession(), this.joinTimeout);
+        this.sendPresence(true);
+
+        this.heartbeatTimer = setInterval(() => {
+            this.sendPresence(true);
+            this.prunePeers();
+        }, this.heartbeatInterval);
+    }
+
+    /**
+     * Beendet die Synchronisation und meldet den Teilnehmer ab
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.joinTimer);
+        this.transport.send({ type: 'leave', client: this.clientId });
+        this.transport.close();
+        this.peers.clear();
+    }
+
+    /**
+     * Eröffnet die Sitzung mit dem lokalen Board, weil kein anderer Teilnehmer geantwortet hat
+     * Die Elemente erhalten die Uhr 0; treten zwei gleichzeitig bei, werden beide Boards vereinigt
+     */
+    openSession() {
+        if (this.joined) return;
+        this.joined = true;
+        this.board.textElements.forEach(element => {
+            this.objects.set(element.id, element);
+            this.replica.set(element.id, {
+                created: { clock: 0, client: this.clientId },
+                fields: this.createRegisters(element, 0)
+            });
+        });
+        this.sendState();
+        this.scheduleFlush();                                                   // Änderungen während des Wartens
+    }
+
+    /**
+     * Übernimmt den Zustand der Sitzung beim Beitritt
+     * Das lokale Board und sein Verlauf werden verworfen (Undo würde sonst lokale Elemente zurückbringen);
+     * gesichert wird unter dem Schlüssel der Sitzung, das persönliche Board bleibt erhalten (siehe setupSync)
+     * @param {Object} elements - id → { created, fields }
+     */
+    joinSession(elements) {
+        clearTimeout(this.joinTimer);
+        this.joined = true;
+        this.board.textElements = [];
+        this.board.undoStack = [];
+        this.board.redoStack = [];
+        this.applyUpdate(elements);
+        this.board.handleRemoteChange([]);                                      // Auch eine leere Sitzung neu zeichnen
+    }
+
+    /**
+     * Merkt lokale Änderungen zum gebündelten Senden vor
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    /**
+     * Setzt den eigenen Cursor (null, wenn der Zeiger das Board verlässt)
+     * @param {{x: number, y: number}|null} cursor - Position in Weltkoordinaten
+     */
+    setCursor(cursor) {
+        this.cursor = cursor;
+        this.scheduleFlush();
+    }
+
+    /**
+     * Vergleicht die Elemente des Boards mit dem Replikat und sendet geänderte Register
+     * Erkennt Änderungen unabhängig davon, ob sie aus Befehlen, Gesten oder dem Import stammen
+     */
+    flush() {
+        if (!this.joined) return;                                               // Vor dem Beitritt gehört nichts zur Sitzung
+        const stamp = this.clock + 1;
+        const changes = {};
+        const present = new Set();
+
+        const write = (id, key, value) => {
+            const entry = this.replica.get(id);
+            const current = entry.fields[key];
+            if (current && this.valuesEqual(current.value, value)) return;
+            entry.fields[key] = { value, clock: stamp, client: this.clientId };
+            if (!changes[id]) changes[id] = { fields: {} };
+            changes[id].fields[key] = entry.fields[key];
+        };
+
+        this.board.textElements.forEach(element => {
+            present.add(element.id);
+            this.objects.set(element.id, element);
+
+            if (!this.replica.has(element.id)) {
+                this.replica.set(element.id, { created: { clock: stamp, client: this.clientId }, fields: {} });
+                changes[element.id] = { created: this.replica.get(element.id).created, fields: {} };
+            }
+            const data = this.board.serializeElement(element);
+            const fields = this.replica.get(element.id).fields;
+            const keys = new Set([...Object.keys(data), ...Object.keys(fields)]);
+            keys.delete('id');
+            keys.delete('deleted');
+            keys.forEach(key => write(element.id, key, data[key] === undefined ? null : data[key]));
+            write(element.id, 'deleted', false);
+        });
+
+        // Fehlende Elemente sind gelöscht; unvollständige entfernte Elemente waren nie sichtbar
+        this.replica.forEach((entry, id) => {
+            const element = this.objects.get(id);
+            if (!present.has(id) && element && this.isComplete(element)) write(id, 'deleted', true);
+        });
+
+        if (Object.keys(changes).length > 0) {
+            this.clock = stamp;
+            Object.keys(changes).forEach(id => {
+                if (!changes[id].created) changes[id].created = this.replica.get(id).created;
+            });
+            this.transport.send({ type: 'update', client: this.clientId, elements: changes });
+        }
+        this.sendPresence(false);
+    }
+
+    /**
+     * Sendet den vollständigen Zustand des Replikats
+     */
+    sendState() {
+        const elements = {};
+        this.replica.forEach((entry, id) => { elements[id] = entry; });
+        this.transport.send({ type: 'state', client: this.clientId, elements });
+    }
+
+    /**
+     * Fragt die Daten eines Bildes bei den anderen Teilnehmern an (einmal je Bild)
+     * @param {string} imageId - Die Bild-ID
+     */
+    requestImage(imageId) {
+        if (this.requestedImages.has(imageId)) return;
+        this.requestedImages.add(imageId);
+        this.transport.send({ type: 'image-request', client: this.clientId, id: imageId });
+    }
+
+    /**
+     * Beantwortet eine Bildanfrage, sofern das Bild hier vorliegt
+     * @param {string} imageId - Die Bild-ID
+     * @returns {Promise<void>}
+     */
+    async sendImage(imageId) {
+        const store = this.board.imageStore;
+        const entry = store ? store.get(imageId) : null;
+        if (!entry || !entry.blob) return;
+        const data = await store.readAsDataUrl(entry.blob);
+        this.transport.send({ type: 'image', client: this.clientId, id: imageId, data });
+    }
+
+    /**
+     * Sendet Name, Farbe, Cursor und Auswahl, sofern sie sich geändert haben
+     * @param {boolean} force - Auch ohne Änderung senden (Heartbeat)
+     */
+    sendPresence(force) {
+        const presence = {
+            type: 'presence',
+            client: this.clientId,
+            name: this.name,
+            color: this.color,
+            cursor: this.cursor,
+            selection: this.board.getSelectedElements().map(element => element.id)
+        };
+        const json = JSON.stringify(presence);
+        if (!force && json === this.lastPresence) return;
+        this.lastPresence = json;
+        this.transport.send(presence);
+    }
+
+    /**
+     * Verarbeitet eine eingehende Nachricht
+     * @param {Object} message - Die Nachricht
+     */
+    handleMessage(message) {
+        if (!message || message.client === this.clientId) return;
+
+        switch (message.type) {
+            case 'hello':
+                // Neuer Teilnehmer: vollständigen Zustand und eigene Präsenz schicken (erst nach eigenem Beitritt)
+                if (!this.joined) break;
+                this.sendState();
+                this.sendPresence(true);
+                break;
+            case 'state':
+                if (this.joined) {
+                    this.applyUpdate(message.elements || {});
+                } else {
+                    this.joinSession(message.elements || {});
+                }
+                break;
+            case 'update':
+                if (this.joined) this.applyUpdate(message.elements || {});
+                break;
+            case 'presence':
+                this.peers.set(message.client, {
+                    name: message.name,
+                    color: message.color,
+                    cursor: message.cursor,
+                    selection: message.selection || [],
+                    lastSeen: Date.now()
+                });
+                this.board.requestRender();
+                break;
+            case 'image-request':
+                this.sendImage(message.id).catch(error => console.warn('Bild konnte nicht gesendet werden:', error));
+                break;
+            case 'image':
+                this.requestedImages.delete(message.id);
+                if (this.board.imageStore) this.board.imageStore.importImages({ [message.id]: message.data });
+                break;
+            case 'leave':
+                this.peers.delete(message.client);
+                this.board.requestRender();
+                break;
+            case 'reconnect':
+                // Nach Verbindungsabbruch verpasste Änderungen in beide Richtungen nachholen
+                this.transport.send({ type: 'hello', client: this.clientId });
+                if (this.joined) this.sendState();
+                break;
+        }
+    }
+
+    /**
+     * Führt entfernte Register mit dem Replikat zusammen und überträgt Gewinner auf die Elemente
+     * @param {Object} elements - id → { created, fields }
+     */
+    applyUpdate(elements) {
+        const changed = [];
+
+        Object.keys(elements).forEach(id => {
+            const incoming = elements[id];
+            let entry = this.replica.get(id);
+            if (!entry) {
+                entry = { created: incoming.created, fields: {} };
+                this.replica.set(id, entry);
+            } else if (incoming.created && this.compareStamps(incoming.created, entry.created) < 0) {
+                entry.created = incoming.created;                               // Ältester Stempel gilt überall
+            }
+
+            const won = [];
+            Object.keys(incoming.fields || {}).forEach(key => {
+                const register = incoming.fields[key];
+                this.clock = Math.max(this.clock, register.clock);
+                const current = entry.fields[key];
+                if (!current || this.compareStamps(register, current) > 0) {
+                    entry.fields[key] = register;
+                    won.push(key);
+                }
+            });
+            if (won.length > 0) {
+                this.applyEntry(id, entry, won);
+                changed.push(this.objects.get(id));
+            }
+        });
+
+        if (changed.length > 0) this.board.handleRemoteChange(changed);
+    }
+
+    /**
+     * Überträgt gewonnene Register auf das lokale Element
+     * @param {string} id - Element-ID
+     * @param {Object} entry - Eintrag im Replikat
+     * @param {string[]} keys - Geänderte Felder
+     */
+    applyEntry(id, entry, keys) {
+        let element = this.objects.get(id);
+        if (!element) {
+            element = { id };
+            this.objects.set(id, element);
+        }
+
+        keys.filter(key => key !== 'deleted').forEach(key => {
+            const value = entry.fields[key].value;
+            if (value === null) {
+                delete element[key];
+            } else {
+                element[key] = value;
+            }
+        });
+
+        const elements = this.board.textElements;
+        const index = elements.indexOf(element);
+        const deleted = entry.fields.deleted ? entry.fields.deleted.value : false;
+        if (deleted && index !== -1) {
+            this.board.textElements = elements.filter(other => other !== element);
+        } else if (!deleted && index === -1 && this.isComplete(element)) {
+            this.insertByZOrder(element);
+        }
+    }
+
+    /**
+     * Fügt ein Element gemäß zIndex in die Zeichenreihenfolge ein
+     * Geänderte zIndex-Werte bestehender Elemente sortiert das Board selbst (handleRemoteChange)
+     * @param {Object} element - Das Element
+     */
+    insertByZOrder(element) {
+        const elements = this.board.textElements;
+        let index = elements.findIndex(other => this.board.compareZOrder(other, element) > 0);
+        if (index === -1) index = elements.length;
+        elements.splice(index, 0, element);
+    }
+
+    /**
+     * Prüft, ob ein entferntes Element genug Felder zum Zeichnen hat
+     * @param {Object} element - Das Element
+     * @returns {boolean} true, wenn es angezeigt werden kann
+     */
+    isComplete(element) {
+        return this.board.normalizeElement(element) !== null;
+    }
+
+    /**
+     * Vergleicht zwei Stempel { clock, client }
+     * @returns {number} < 0, 0 oder > 0
+     */
+    compareStamps(a, b) {
+        if (a.clock !== b.clock) return a.clock - b.clock;
+        if (a.client === b.client) return 0;
+        return a.client < b.client ? -1 : 1;
+    }
+
+    /**
+     * Erzeugt Register für alle Felder eines Elements
+     * @param {Object} element - Das Element
+     * @param {number} clock - Uhr der Register
+     * @returns {Object} key → Register
+     */
+    createRegisters(element, clock) {
+        const data = this.board.serializeElement(element);
+        const fields = { deleted: { value: false, clock, client: this.clientId } };
+        Object.keys(data).filter(key => key !== 'id').forEach(key => {
+            fields[key] = { value: data[key], clock, client: this.clientId };
+        });
+        return fields;
+    }
+
+    /**
+     * Vergleicht Feldwerte; Arrays und Objekte (z. B. Strichpunkte) inhaltlich
+     * @returns {boolean} true bei Gleichheit
+     */
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Entfernt Teilnehmer, die sich länger nicht gemeldet haben
+     */
+    prunePeers() {
+        const now = Date.now();
+        let removed = false;
+        this.peers.forEach((peer, client) => {
+            if (now - peer.lastSeen > this.peerTimeout) {
+                this.peers.delete(client);
+                removed = true;
+            }
+        });
+        if (removed) this.board.requestRender();
+    }
+
+    /**
+     * Leitet eine stabile Farbe aus der Client-ID ab
+     * @param {string} clientId - Die Client-ID
+     * @returns {string} CSS-Farbe
+     */
+    getClientColor(clientId) {
+        let hash = 0;
+        for (let i = 0; i < clientId.length; i++) {
+            hash = (hash * 31 + clientId.charCodeAt(i)) % 360;
+        }
+        return `hsl(${hash}, 70%, 45%)`;
+    }
+}
+
+/**
+ * Transport über BroadcastChannel (mehrere Tabs desselben Browsers)
+ */
+class BroadcastChannelTransport {
+    /**
+     * @param {string} name - Name des Kanals (ein Kanal je Board)
+     */
+    constructor(name) {
+        this.channel = new BroadcastChannel(name);
+    }
+
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    subscribe(listener) {
+        this.channel.addEventListener('message', event => listener(event.data));
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+/**
+ * Transport über WebSocket
+ * Der Server muss jede Nachricht unverändert an alle anderen Verbindungen weiterleiten.
+ * Nachrichten werden bis zum Verbindungsaufbau gepuffert, Abbrüche automatisch neu verbunden.
+ */
+class WebSocketTransport {
+    /**
+     * @param {string} url - ws:// oder wss:// Adresse des Relay-Servers
+     */
+    constructor(url) {
+        this.url = url;
+        this.queue = [];                                                        // Nachrichten vor dem Verbindungsaufbau
+        this.listeners = [];
+        this.reconnectDelay = 1000;                                             // Wartezeit vor erneutem Verbinden (ms)
+        this.isClosed = false;
+        this.hasConnected = false;
+        this.connect();
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.queue.splice(0).forEach(message => this.socket.send(message));
+            if (this.hasConnected) {
+                this.listeners.forEach(listener => listener({ type: 'reconnect' }));
+            }
+            this.hasConnected = true;
+        });
+        this.socket.addEventListener('message', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Ungültige Sync-Nachricht:', error);
+                return;
+            }
+            this.listeners.forEach(listener => listener(message));
+        });
+        this.socket.addEventListener('close', () => {
+            if (!this.isClosed) setTimeout(() => this.connect(), this.reconnectDelay);
+        });
+    }
+
+    send(message) {
+        const json = JSON.stringify(message);
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(json);
+        } else {
+            this.queue.push(json);
+        }
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    close() {
+        this.isClosed = true;
+        this.socket.close();
+    }
+}
+
+/**
+ * Prozessinterner Verteiler als Ersatz für einen Server (Tests, Demos)
+ * Stellt Nachrichten asynchron und als Kopie zu, wie es ein Netzwerk täte
+ */
+class LocalSyncHub {
+    /**
+     * @param {Object} options - latency: Verzögerung der Zustellung (ms)
+     */
+    constructor({ latency = 0 } = {}) {
+        this.latency = latency;
+        this.transports = new Set();
+    }
+
+    /**
+     * Erzeugt einen Transport, der an diesem Verteiler hängt
+     * @returns {Object} Der Transport
+     */
+    createTransport() {
+        const hub = this;
+        const transport = {
+            listeners: [],
+            send(message) {
+                const json = JSON.stringify(message);
+                hub.transports.forEach(other => {
+                    if (other === transport) return;
+                    setTimeout(() => other.listeners.forEach(listener => listener(JSON.parse(json))), hub.latency);
+                });
+            },
+            subscribe(listener) {
+                transport.listeners.push(listener);
+            },
+            close() {
+                hub.transports.delete(transport);
+            }
+        };
+        this.transports.add(transport);
+        return transport;
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * FontRegistry - Schriftverwaltung für InteraktivesCanvas
+ * Lädt Schriften über die FontFace-API, damit Texte erst mit den echten Glyphen gemessen werden
+ *
+ * Quellen einer Schrift (genau eine je Schrift):
+ * - source: CSS-src-Angabe (url(...), local(...)) der mitgelieferten Schriften
+ * - stylesheet: Stylesheet eines Schriftdienstes (z. B. Google Fonts), das @font-face mitbringt
+ * - data: Schriftdatei als Data-URL (importierte Schriften, werden mit dem Board gespeichert)
+ *
+ * Zustand je Schrift: 'loading', danach 'loaded' oder 'error' (error enthält eine lesbare Meldung).
+ * onChange(font) meldet neu registrierte Schriften und jeden Zustandswechsel.
+ */
+class FontRegistry {
+    /**
+     * @param {Object} options - onChange(font) wird bei jeder Änderung aufgerufen
+     */
+    constructor({ onChange = () => {} } = {}) {
+        this.fonts = new Map();                                                 // family → Schrift
+        this.aliases = new Map();                                               // Früher gespeicherter Name → family
+        this.onChange = onChange;
+        this.formats = {                                                        // Dateiendung → MIME-Typ der Data-URL
+            ttf: 'font/ttf',
+            otf: 'font/otf',
+            woff: 'font/woff',
+            woff2: 'font/woff2'
+        };
+    }
+
+    /**
+     * Registriert eine Schrift und beginnt sofort mit dem Laden
+     * @param {Object} definition - family, label, source | stylesheet | data, descriptors, aliases, custom
+     * @param {FontFace} face - Bereits geladene Schrift (optional, z. B. nach dem Import)
+     * @returns {Object} Die Schrift; font.loaded ist ein Promise, das nach dem Laden erfüllt wird
+     */
+    register({ family, label = family, source = null, stylesheet = null, data = null,
+               descriptors = {}, aliases = [], custom = false }, face = null) {
+        const font = {
+            family, label, source, stylesheet, data, descriptors, custom,
+            status: 'loading',
+            error: null,
+            loaded: null
+        };
+        this.fonts.set(family, font);
+        aliases.forEach(alias => this.aliases.set(alias, family));
+        font.loaded = this.load(font, face);
+        this.onChange(font);
+        return font;
+    }
+
+    /**
+     * Lädt eine registrierte Schrift
+     * Fehler werden nicht weitergereicht, sondern als Zustand 'error' an der Schrift vermerkt
+     * @param {Object} font - Die Schrift
+     * @param {FontFace|null} face - Bereits geladene Schrift oder null
+     * @returns {Promise<Object>} Die Schrift nach dem Laden
+     */
+    async load(font, face) {
+        try {
+            if (typeof document === 'undefined' || !document.fonts || typeof FontFace === 'undefined') {
+                throw new Error('Der Browser unterstützt das Laden von Schriften nicht');
+            }
+            if (font.stylesheet) {
+                await this.loadStylesheet(font.stylesheet);
+                const faces = await document.fonts.load(`16px "${font.family}"`);
+                if (faces.length === 0) throw new Error('Der Schriftdienst liefert diese Schrift nicht');
+            } else {
+                const loaded = face || new FontFace(
+                    font.family,
+                    font.data ? this.decodeDataUrl(font.data) : font.source,
+                    font.descriptors
+                );
+                if (!face) await loaded.load();
+                document.fonts.add(loaded);
+            }
+            font.status = 'loaded';
+        } catch (error) {
+            font.status = 'error';
+            font.error = this.describeError(error);
+            console.warn(`Schrift ${font.family} konnte nicht geladen werden:`, error);
+        }
+        this.onChange(font);
+        return font;
+    }
+
+    /**
+     * Bindet ein Stylesheet ein und wartet, bis es geladen ist
+     * @param {string} href - Adresse des Stylesheets
+     * @returns {Promise<void>}
+     */
+    loadStylesheet(href) {
+        return new Promise((resolve, reject) => {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = href;
+            link.onload = () => resolve();
+            link.onerror = () => reject(new Error(`Stylesheet ${href} nicht erreichbar`));
+            document.head.appendChild(link);
+        });
+    }
+
+    /**
+     * Importiert eine Schriftdatei (TTF, OTF, WOFF, WOFF2)
+     * Der Familienname stammt aus dem Dateinamen; belegte Namen erhalten eine Nummer
+     * @param {File} file - Die gewählte Datei
+     * @returns {Promise<Object>} Die registrierte Schrift
+     * @throws {Error} Bei unbekanntem Format oder einer Datei, die keine gültige Schrift ist
+     */
+    async importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const mimeType = this.formats[extension];
+        if (!mimeType || !file.name.includes('.')) {
+            throw new Error(`Nicht unterstütztes Format (erlaubt: ${Object.keys(this.formats).join(', ')})`);
+        }
+
+        const buffer = await file.arrayBuffer();
+        const family = this.getUniqueFamily(file.name.replace(/\.[^.]+$/, '').trim() || 'Schrift');
+        const face = new FontFace(family, buffer);
+        try {
+            await face.load();                                                  // Erst prüfen, dann registrieren
+        } catch (error) {
+            throw new Error(`${file.name} ist keine gültige Schriftdatei (${this.describeError(error)})`);
+        }
+
+        const font = this.register({
+            family,
+            data: `data:${mimeType};base64,${this.encodeBase64(buffer)}`,
+            custom: true
+        }, face);
+        await font.loaded;
+        return font;
+    }
+
+    /**
+     * Übernimmt die mit einem Board gespeicherten Schriften (bereits bekannte werden übersprungen)
+     * @param {Object[]} fonts - Einträge aus getCustomFonts
+     * @returns {Object[]} Die neu registrierten Schriften
+     */
+    registerCustomFonts(fonts) {
+        return (Array.isArray(fonts) ? fonts : [])
+            .filter(entry => entry && typeof entry.family === 'string' && typeof entry.data === 'string')
+            .filter(entry => !this.fonts.has(entry.family))
+            .map(entry => this.register({ family: entry.family, data: entry.data, custom: true }));
+    }
+
+    /**
+     * Liefert die importierten Schriften zum Speichern mit dem Board
+     * @returns {Object[]} Je Schrift family und data
+     */
+    getCustomFonts() {
+        return this.list()
+            .filter(font => font.custom && font.status !== 'error')
+            .map(font => ({ family: font.family, data: font.data }));
+    }
+
+    /**
+     * Liefert die Quellen aller ladbaren Schriften für einen Renderer ohne DOM (RenderWorker.js)
+     * Schriften aus Stylesheets fehlen dort; der Worker zeichnet sie mit der Ersatzschrift
+     * @param {Object[]} fonts - Die Schriften (Standard: alle)
+     * @returns {Object[]} Je Schrift family, source (String oder ArrayBuffer) und descriptors
+     */
+    getFontSources(fonts = this.list()) {
+        return fonts
+            .filter(font => !font.stylesheet && font.status !== 'error')
+            .map(font => ({
+                family: font.family,
+                source: font.data ? this.decodeDataUrl(font.data) : this.resolveSourceUrls(font.source),
+                descriptors: font.descriptors
+            }));
+    }
+
+    /**
+     * Erzeugt @font-face-Regeln mit eingebetteten Schriftdateien (SVG-Export), damit die Datei
+     * auch ohne die Schriften des Systems mit denselben Glyphen erscheint
+     * Mitgelieferte Schriften werden dafür als Datei geladen; Schriften nur mit local()-Quellen
+     * behalten diese (der Betrachter nutzt dann seine installierte Schrift), Schriften aus
+     * Stylesheets bleiben Verweise auf den Familiennamen
+     * @param {string[]} families - Die verwendeten Familien
+     * @returns {Promise<string>} Die CSS-Regeln
+     */
+    async getFontFaceCss(families) {
+        const rules = [];
+        for (const family of new Set(families.map(name => this.resolveFamily(name)))) {
+            const font = this.fonts.get(family);
+            if (!font || font.stylesheet || font.status === 'error') continue;
+            try {
+                const url = font.data || await this.fetchAsDataUrl(font.source);
+                const src = url ? `url("${url}")` : font.source;
+                if (!src) continue;
+                const descriptors = ['weight', 'style', 'stretch']
+                    .filter(key => font.descriptors[key])
+                    .map(key => `font-${key}: ${font.descriptors[key]}; `).join('');
+                rules.push(`@font-face { font-family: "${font.family}"; src: ${src}; ${descriptors}}`);
+            } catch (error) {
+                console.warn(`Schrift ${font.family} konnte nicht eingebettet werden:`, error);
+            }
+        }
+        return rules.join('\n');
+    }
+
+    /**
+     * Liefert die Schriftdatei einer Familie (Einbetten in den PDF-Export)
+     * @param {string} family - Die Familie
+     * @returns {Promise<ArrayBuffer|null>} Die Datei oder null bei Schriften ohne eigene Datei
+     *   (nur local()-Quellen oder aus einem Stylesheet)
+     * @throws {Error} Wenn keine der Dateien erreichbar ist
+     */
+    async getFontFile(family) {
+        const font = this.get(family);
+        if (!font || font.stylesheet) return null;
+        if (font.data) return this.decodeDataUrl(font.data);
+        const file = await this.fetchSourceFile(font.source);
+        return file ? file.buffer : null;
+    }
+
+    /**
+     * Lädt die erste erreichbare Datei einer CSS-src-Angabe und liefert sie als Data-URL
+     * @param {string} source - Die CSS-src-Angabe
+     * @returns {Promise<string|null>} Die Data-URL oder null ohne url()-Angabe
+     * @throws {Error} Wenn keine der Dateien erreichbar ist
+     */
+    async fetchAsDataUrl(source) {
+        const file = await this.fetchSourceFile(source);
+        if (!file) return null;
+        const extension = file.url.split('.').pop().toLowerCase();
+        return `data:${this.formats[extension] || 'application/octet-stream'};base64,${this.encodeBase64(file.buffer)}`;
+    }
+
+    /**
+     * Lädt die erste erreichbare Datei einer CSS-src-Angabe
+     * @param {string} source - Die CSS-src-Angabe
+     * @returns {Promise<Object|null>} url und buffer der Datei oder null ohne url()-Angabe
+     * @throws {Error} Wenn keine der Dateien erreichbar ist
+     */
+    async fetchSourceFile(source) {
+        const urls = Array.from(source.matchAll(/url\((['"]?)(.*?)\1\)/g), match => match[2]);
+        let failure = null;
+        for (const url of urls) {
+            try {
+                const response = await fetch(new URL(url, document.baseURI).href);
+                if (!response.ok) throw new Error(`${url} nicht erreichbar (${response.status})`);
+                return { url, buffer: await response.arrayBuffer() };
+            } catch (error) {
+                failure = error;                                                // Nächste Datei versuchen
+            }
+        }
+        if (failure) throw failure;
+        return null;
+    }
+
+    /**
+     * Macht relative url()-Angaben absolut (der Worker lädt relativ zu seinem Skript)
+     * @param {string} source - Die CSS-src-Angabe
+     * @returns {string} Die Angabe mit absoluten Adressen
+     */
+    resolveSourceUrls(source) {
+        return source.replace(
+            /url\((['"]?)(.*?)\1\)/g,
+            (match, quote, url) => `url("${new URL(url, document.baseURI).href}")`
+        );
+    }
+
+    /**
+     * Wartet, bis alle registrierten Schriften geladen oder fehlgeschlagen sind
+     * @param {number} timeout - Höchstens so lange warten (ms), damit das Board nicht leer bleibt
+     * @returns {Promise<void>}
+     */
+    ready(timeout = Infinity) {
+        const loads = Promise.all(this.list().map(font => font.loaded)).then(() => {});
+        if (!isFinite(timeout)) return loads;
+        return Promise.race([loads, new Promise(resolve => setTimeout(resolve, timeout))]);
+    }
+
+    /**
+     * Übersetzt früher gespeicherte Namen in den aktuellen Familiennamen
+     * @param {string} family - Der gespeicherte Name
+     * @returns {string} Der Familienname
+     */
+    resolveFamily(family) {
+        return this.aliases.get(family) || family;
+    }
+
+    get(family) {
+        return this.fonts.get(this.resolveFamily(family)) || null;
+    }
+
+    list() {
+        return Array.from(this.fonts.values());
+    }
+
+    getUniqueFamily(name) {
+        let family = name;
+        for (let i = 2; this.fonts.has(family) || this.aliases.has(family); i++) {
+            family = `${name} ${i}`;
+        }
+        return family;
+    }
+
+    /**
+     * Formuliert eine Fehlermeldung des Browsers (oft nur „NetworkError“) verständlich
+     * @param {Error|DOMException} error - Der Fehler
+     * @returns {string} Die Meldung
+     */
+    describeError(error) {
+        if (error && error.name === 'NetworkError') {
+            return 'Datei nicht erreichbar oder kein gültiges Schriftformat';
+        }
+        return error && error.message ? error.message : String(error);
+    }
+
+    encodeBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {                        // In Blöcken, sonst Stacküberlauf bei großen Dateien
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    decodeDataUrl(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes.buffer;
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * ImageStore - Bilddaten der Bildelemente von InteraktivesCanvas
+ * Die Elemente verweisen nur über imageId auf ein Bild; die Dateien liegen als Blob in IndexedDB
+ * (Objektspeicher 'images' der Board-Datenbank), damit Autosave und Verlauf klein bleiben.
+ *
+ * Zustand je Bild: 'loading', danach 'loaded' (image, width, height) oder 'error' (error enthält eine
+ * lesbare Meldung, z. B. wenn die Daten in dieser Datenbank fehlen).
+ * onChange(entry) meldet jeden Zustandswechsel.
+ *
+ * Beim Speichern des Boards entfernt prune Dateien, auf die nichts mehr verweist.
+ *
+ * Exportierte Boards und die Übertragung an andere Teilnehmer enthalten die Bilder als Data-URL
+ * (exportImages/importImages). Ohne DOM (RenderWorker.js) nimmt der Speicher nur fertig
+ * dekodierte Bilder entgegen (setImage).
+ */
+class ImageStore {
+    /**
+     * @param {Object} options - database() liefert ein Promise auf die IDBDatabase (oder null),
+     *                           createId() erzeugt neue IDs, onChange(entry) wird bei jeder Änderung aufgerufen
+     */
+    constructor({ database = () => Promise.resolve(null), createId = null, onChange = () => {} } = {}) {
+        this.images = new Map();                                                // imageId → Eintrag
+        this.database = database;
+        this.createId = createId || (() => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+        this.onChange = onChange;
+        this.storeName = 'images';                                              // Objektspeicher in der Board-Datenbank
+    }
+
+    /**
+     * Übernimmt eine Bilddatei, prüft sie durch Dekodieren und legt sie in der Datenbank ab
+     * @param {Blob} blob - Die Bilddatei
+     * @returns {Promise<Object>} Der geladene Eintrag (id, width, height)
+     * @throws {Error} Wenn die Datei kein lesbares Bild ist
+     */
+    async add(blob) {
+        const entry = this.register(this.createId(), blob);
+        await entry.loaded;
+        if (entry.status === 'error') {
+            this.images.delete(entry.id);
+            throw new Error(entry.error);
+        }
+        await this.persist(entry);                                              // Andere Tabs finden das Bild sofort
+        return entry;
+    }
+
+    /**
+     * Legt ein Bild im Speicher an und beginnt mit dem Dekodieren
+     * @param {string} id - Die Bild-ID
+     * @param {Blob} blob - Die Bilddatei
+     * @returns {Object} Der Eintrag; entry.loaded ist ein Promise, das nach dem Dekodieren erfüllt wird
+     */
+    register(id, blob) {
+        const entry = { id, blob, image: null, width: 0, height: 0, status: 'loading', error: null, loaded: null };
+        this.images.set(id, entry);
+        entry.loaded = this.decode(entry);
+        return entry;
+    }
+
+    /**
+     * Dekodiert die Datei eines Eintrags
+     * Fehler werden nicht weitergereicht, sondern als Zustand 'error' am Eintrag vermerkt
+     * @param {Object} entry - Der Eintrag
+     * @returns {Promise<Object>} Der Eintrag nach dem Dekodieren
+     */
+    async decode(entry) {
+        try {
+            const image = await this.decodeBlob(entry.blob);
+            entry.image = image;
+            entry.width = image.naturalWidth || image.width;
+            entry.height = image.naturalHeight || image.height;
+            if (!entry.width || !entry.height) throw new Error('Bild ohne Abmessungen');
+            entry.status = 'loaded';
+        } catch (error) {
+            entry.status = 'error';
+            entry.error = error && error.message ? error.message : 'Keine gültige Bilddatei';
+            console.warn(`Bild ${entry.id} konnte nicht dekodiert werden:`, error);
+        }
+        this.onChange(entry);
+        return entry;
+    }
+
+    /**
+     * Dekodiert eine Bilddatei, mit DOM über <img> (auch SVG), sonst mit createImageBitmap
+     * @param {Blob} blob - Die Bilddatei
+     * @returns {Promise<HTMLImageElement|ImageBitmap>} Das Bild
+     */
+    decodeBlob(blob) {
+        if (typeof Image === 'undefined') return createImageBitmap(blob);
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(blob);
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Keine gültige Bilddatei'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Übernimmt ein bereits dekodiertes Bild (Renderer ohne DOM)
+     * @param {string} id - Die Bild-ID
+     * @param {ImageBitmap} image - Das Bild
+     */
+    setImage(id, image) {
+        const entry = { id, blob: null, image, width: image.width, height: image.height, status: 'loaded', error: null, loaded: null };
+        entry.loaded = Promise.resolve(entry);
+        this.images.set(id, entry);
+        this.onChange(entry);
+    }
+
+    /**
+     * Liefert das dekodierte Bild und beginnt sonst mit dem Laden aus der Datenbank
+     * @param {string} id - Die Bild-ID
+     * @returns {HTMLImageElement|ImageBitmap|null} Das Bild oder null, solange es lädt oder fehlt
+     */
+    getImage(id) {
+        const entry = this.images.get(id);
+        if (entry) return entry.image;
+        this.load(id);
+        return null;
+    }
+
+    /**
+     * Lädt ein Bild aus dem Speicher oder der Datenbank
+     * @param {string} id - Die Bild-ID
+     * @returns {Promise<Object>} Der Eintrag nach dem Laden (Zustand 'loaded' oder 'error')
+     */
+    load(id) {
+        const known = this.images.get(id);
+        if (known) return known.loaded;
+
+        const entry = { id, blob: null, image: null, width: 0, height: 0, status: 'loading', error: null, loaded: null };
+        this.images.set(id, entry);
+        entry.loaded = this.read(id).then(blob => {
+            if (this.images.get(id) !== entry) return this.images.get(id).loaded;   // Inzwischen anders angekommen
+            if (!blob) {
+                entry.status = 'error';
+                entry.error = 'Bilddaten fehlen';
+                this.onChange(entry);
+                return entry;
+            }
+            entry.blob = blob;
+            return this.decode(entry);
+        });
+        return entry.loaded;
+    }
+
+    /**
+     * Wartet, bis die angegebenen Bilder geladen oder fehlgeschlagen sind
+     * @param {string[]} ids - Die Bild-IDs
+     * @returns {Promise<Object[]>} Die Einträge
+     */
+    loadAll(ids) {
+        return Promise.all(Array.from(new Set(ids)).map(id => this.load(id)));
+    }
+
+    /**
+     * Liest eine Bilddatei aus der Datenbank
+     * @param {string} id - Die Bild-ID
+     * @returns {Promise<Blob|null>} Die Datei oder null
+     */
+    async read(id) {
+        try {
+            const database = await this.database();
+            if (!database) return null;
+            return await new Promise((resolve, reject) => {
+                const request = database.transaction(this.storeName).objectStore(this.storeName).get(id);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn(`Bild ${id} konnte nicht gelesen werden:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Legt die Datei eines Eintrags in der Datenbank ab
+     * @param {Object} entry - Der Eintrag
+     * @returns {Promise<void>}
+     */
+    async persist(entry) {
+        try {
+            const database = await this.database();
+            if (!database || !entry.blob) return;
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, 'readwrite');
+                transaction.objectStore(this.storeName).put(entry.blob, entry.id);
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error(`Bild ${entry.id} konnte nicht gespeichert werden:`, error);
+        }
+    }
+
+    /**
+     * Entfernt Bilddateien, auf die nichts mehr verweist, aus der Datenbank
+     * Verwendete Bilder, die dort fehlen (z. B. von einem anderen Tab entfernt), werden aus dem
+     * Speicher erneut abgelegt; geladene Einträge bleiben im Speicher
+     * @param {string[]} ids - Die noch verwendeten Bild-IDs (Elemente und Verlauf)
+     * @returns {Promise<void>}
+     */
+    async prune(ids) {
+        const used = new Set(ids);
+        try {
+            const database = await this.database();
+            if (!database) return;
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                const request = store.getAllKeys();
+                request.onsuccess = () => {
+                    const stored = new Set(request.result);
+                    stored.forEach(id => {
+                        if (!used.has(id)) store.delete(id);
+                    });
+                    used.forEach(id => {
+                        const entry = this.images.get(id);
+                        if (!stored.has(id) && entry && entry.blob) store.put(entry.blob, id);
+                    });
+                };
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Unbenutzte Bilder konnten nicht entfernt werden:', error);
+        }
+    }
+
+    /**
+     * Liefert Bilder als Data-URL (Board-Export, Übertragung, SVG)
+     * Fehlende Bilder werden übersprungen
+     * @param {string[]} ids - Die Bild-IDs
+     * @returns {Promise<Object>} imageId → Data-URL
+     */
+    async exportImages(ids) {
+        const images = {};
+        const entries = await this.loadAll(ids);
+        for (const entry of entries) {
+            if (entry.blob) images[entry.id] = await this.readAsDataUrl(entry.blob);
+        }
+        return images;
+    }
+
+    /**
+     * Übernimmt Bilder aus einem Board-Dokument oder von einem anderen Teilnehmer
+     * Bereits geladene Bilder werden übersprungen
+     * @param {Object} images - imageId → Data-URL
+     * @returns {Object[]} Die neu registrierten Einträge
+     */
+    importImages(images) {
+        if (!images || typeof images !== 'object') return [];
+        return Object.keys(images)
+            .filter(id => typeof images[id] === 'string' && images[id].startsWith('data:'))
+            .filter(id => !this.images.has(id) || this.images.get(id).status === 'error')
+            .map(id => {
+                const entry = this.register(id, this.decodeDataUrl(images[id]));
+                entry.loaded.then(() => {
+                    if (entry.status === 'loaded') this.persist(entry);
+                });
+                return entry;
+            });
+    }
+
+    get(id) {
+        return this.images.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.images.values());
+    }
+
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Datei nicht lesbar'));
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    decodeDataUrl(dataUrl) {
+        const header = dataUrl.slice(5, dataUrl.indexOf(','));                  // z. B. image/png;base64
+        const data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const type = header.split(';')[0];
+        if (!header.endsWith(';base64')) return new Blob([decodeURIComponent(data)], { type });
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type });
+    }
+}
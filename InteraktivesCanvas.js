@@ -7,6 +7,20 @@
  * - Stufenloses Zoomen mit Mausrad
  * - Physikbasiertes Verschieben mit Trägheit
  * - Text-Eingabe an beliebigen Positionen
+ * - Freihand-Striche mit Druck- und Neigungserkennung
+ * - Tastatursteuerung (Verschieben, Durchwechseln, Zoom, Werkzeuge)
+ * - Einrasten am Raster und Hilfslinien zu anderen Elementen
+ * - Typografie der Auswahl: Farbe, Kontur, Schatten, Abstände und Kashida-Dehnung
+ * - Schriftverwaltung mit eigenen Schriften (FontFace-API), Messen erst nach dem Laden
+ * - Übersichtskarte, Einpassen von Board und Auswahl mit Kamerafahrt
+ * - Zwischenablage: Kopieren, Ausschneiden, Einfügen (auch Text und Bilder) und Duplizieren
+ * - Bildelemente als Vorlage zum Nachzeichnen: Ablegen oder Einfügen, Deckkraft, Sperren
+ * - Zeichenreihenfolge (zIndex), Treffer von oben nach unten, benannte Gruppen
+ * - Formen (Rechteck, Ellipse), Linien und Pfeile; Verbindungen haften an Elementen und folgen ihnen
+ * - Kalligrafie-Hilfslinien (Naskh, Nastaliq) nach Federbreite und Nuqta-Lineale an Texten
+ * - Rahmen mit Seitenformaten (mm/px, DPI), die ihren Inhalt zuschneiden; Seitenliste und Export als PNG, SVG oder PDF
+ * - Themen (hell, dunkel, hoher Kontrast oder wie System) aus CSS-Variablen; Hintergrundfarbe und Papierstruktur je Board
+ * - Barrierefreiheit: Elementliste für Screenreader, Ansagen von Änderungen, reduzierte Bewegung
  * - Ausblendbare Grid-Punkte
  * - Elastische Grenzen
  */
@@ -39,7 +53,7 @@ class InteraktivesCanvas {
         this.virtualHeight = Infinity;                              // Virtuelle Höhe (unbegrenzt)
         
         this.currentTool = 'pan';                                               // Aktives Werkzeug (Pan = Verschieben)
-        this.textElements = [];                                                 // Array für Textelemente
+        this.textElements = [];                                                 // Array für alle Elemente (Texte und Striche)
         this.textInput = document.getElementById('textInput');                  // Text-Eingabefeld
         this.textInputContainer = document.querySelector('.text-input-container'); // Container für Text-Eingabe
 
@@ -66,42 +80,390 @@ class InteraktivesCanvas {
         this.lastTime = null;                                                 // Zeitstempel der letzten Bewegung
         this.animationFrame = null;                                          // RequestAnimationFrame ID
 
+        // Pointer-Events (Maus, Touch, Stift)
+        this.activePointers = new Map();                                     // Aktive Zeiger: pointerId → Position und Startpunkt
+        this.pinchState = null;                                              // Zwei-Finger-Geste (Abstand, Mittelpunkt, Zeit)
+        this.isGestureTail = false;                                          // Restfinger nach Zwei-Finger-Geste ignorieren
+        this.lastPointerTap = null;                                          // Letzter abgeschlossener Tipp für Doppeltipp-Erkennung
+        this.doubleTapDelay = 300;                                           // Maximaler Abstand zweier Tipps (ms)
+        this.doubleTapDistance = 20;                                         // Maximale Entfernung zweier Tipps (px)
+
         // Grid-Konfiguration
         this.gridSize = 50;                                                  // Abstand zwischen Grid-Punkten
         this.minGridSize = 25;                                              // Minimale sichtbare Grid-Größe
 
         this.isGridVisible = true;                                       // Status der Grid-Sichtbarkeit
-        this.setupGridToggle();                                         // Initialisiert Grid Toggle
-        this.initialize();                                              // Startet Initialisierung
+
+        // Thema: Farben der Zeichenfläche stammen aus den CSS-Variablen (styles.css), damit Canvas
+        // und Oberfläche dieselben Werte nutzen; 'system' folgt prefers-color-scheme und prefers-contrast
+        this.themes = {
+            system: { label: 'Thema: wie System', icon: 'fa-circle-half-stroke' },
+            light: { label: 'Thema: Hell', icon: 'fa-sun' },
+            dark: { label: 'Thema: Dunkel', icon: 'fa-moon' },
+            'high-contrast': { label: 'Thema: Hoher Kontrast', icon: 'fa-adjust' }
+        };
+        this.themeStorageKey = 'qalam-theme';                                   // Gewähltes Thema im Speicher (gilt für alle Boards)
+        this.themeSetting = 'system';                                           // Schlüssel aus themes
+        this.themeQueries = null;                                               // Media Queries für 'system' (setupTheme)
+        this.themeTokens = {                                                    // Schlüssel in this.theme → CSS-Variable
+            background: '--canvas-background',
+            dot: '--dot-color',
+            inkOnLight: '--ink-on-light',
+            inkOnDark: '--ink-on-dark',
+            selection: '--selection-color',
+            selectionFill: '--selection-fill',
+            handleFill: '--handle-fill',
+            snap: '--snap-color',
+            frameOutline: '--frame-outline',
+            frameLabel: '--frame-label',
+            placeholder: '--placeholder-fill',
+            minimapElement: '--minimap-element',
+            accent: '--accent-color'
+        };
+        this.theme = {                                                          // Aufgelöste Farben (readTheme), hier die des hellen Themas
+            name: 'light',
+            background: '#ffffff',
+            dot: 'rgba(200, 200, 200, 0.8)',
+            inkOnLight: '#000000',
+            inkOnDark: '#f2f2f7',
+            selection: 'rgba(0, 122, 255, 0.8)',
+            selectionFill: 'rgba(0, 122, 255, 0.1)',
+            handleFill: '#ffffff',
+            snap: 'rgba(255, 45, 85, 0.9)',
+            frameOutline: 'rgba(0, 0, 0, 0.15)',
+            frameLabel: 'rgba(0, 0, 0, 0.5)',
+            placeholder: 'rgba(0, 0, 0, 0.06)',
+            minimapElement: 'rgba(0, 0, 0, 0.35)',
+            accent: '#007AFF'
+        };
+
+        // Hintergrund des Boards (wird mit dem Board gespeichert und exportiert)
+        this.background = { color: '', texture: 'none' };                      // Farbe ('' = Hintergrund des Themas) und Struktur
+        this.backgroundTextures = {
+            none: { label: 'Ohne Struktur' },
+            paper: { label: 'Papier (gekörnt)', seed: 1 },
+            laid: { label: 'Bütten (gerippt)', seed: 2 }
+        };
+        this.textureTileSize = 256;                                             // Kantenlänge einer Strukturkachel (Welt)
+        this.textureCache = new Map();                                          // Struktur, Helligkeit und Auflösung → Kachel
+        this.renderSurface = null;                                              // Untergrund beim Export ohne Hintergrund (für die Standardtinte)
+
+        // Kalligrafie-Hilfslinien: Grundlinien-Systeme und Nuqta-Lineale an Texten
+        // Maße in Nuqta (Rautenpunkt der Feder); Richtwerte, die Schulen weichen voneinander ab
+        this.guideSystems = {
+            naskh: { label: 'Naskh', ascender: 5, body: 1, descender: 3, dotsPerEm: 7 },
+            nastaliq: { label: 'Nastaliq', ascender: 3, body: 1, descender: 3, dotsPerEm: 5 }
+        };
+        this.guides = { visible: false, system: 'naskh', penWidth: 8 };        // Angezeigtes System und Federbreite (Welt)
+        this.guidePenWidthRange = { min: 2, max: 100 };                         // Erlaubte Federbreite der Linien
+        this.guideRowGap = 2;                                                   // Abstand zwischen zwei Zeilen (Nuqta)
+        this.guideColors = {
+            baseline: 'rgba(200, 70, 50, 0.6)',                                 // Grundlinie
+            line: 'rgba(200, 70, 50, 0.3)',                                     // Ober-, Unterlänge und Körperhöhe
+            dot: 'rgba(200, 70, 50, 0.5)'                                       // Rauten des Nuqta-Lineals
+        };
 
         // Neue Eigenschaften für Text-Manipulation
         this.selectedText = null;
         this.isDraggingText = false;
         this.dragStartPos = { x: 0, y: 0 };
-        this.textOffset = { x: 0, y: 0 };
+        this.dragOrigins = [];                                                  // Startpositionen aller gezogenen Elemente
         this.textVelocity = { x: 0, y: 0 };
         this.lastTextPos = { x: 0, y: 0 };
         this.textAnimationFrame = null;
 
-        // Neue Eigenschaften für Font-Dragging
+        // Neue Eigenschaften für Font-Dragging (Skalieren über die Eck-Ziehpunkte)
         this.isDraggingFont = false;
-        this.initialFontSize = 128; // Basis-Schriftgröße
-        this.currentFontSize = 128;
-        this.fontDragStart = { x: 0, y: 0 };
+        this.initialFontSize = 128; // Basis-Schriftgröße in Bildschirmpixeln beim Erstellen
+        this.currentFontSize = 128; // Schriftgröße des primären Elements zu Beginn des Ziehens
+        this.fontDragStart = { x: 0, y: 0 }; // Gegriffener Ziehpunkt (Weltkoordinaten)
+        this.minFontSize = 8;                                                   // Kleinste Schriftgröße (Weltkoordinaten)
+        this.maxFontSize = 1024;                                                // Größte Schriftgröße (Weltkoordinaten)
+
+        // Mehrzeiliger Text und Bearbeitung
+        this.lineHeight = 1.6;                                                  // Zeilenabstand relativ zur Schriftgröße (Nastaliq braucht Platz)
+
+        // Schriften (siehe FontRegistry.js)
+        this.fontRegistry = null;                                               // Schriftverwaltung, angelegt in setupFonts
+        this.fontLoadTimeout = 3000;                                            // Höchstens so lange vor dem Wiederherstellen auf Schriften warten (ms)
+        this.builtinFonts = [
+            {
+                family: 'IranSans',
+                label: 'فونت ساده',
+                // Nicht mitgeliefert: installiertes IRANSans, sonst Vazirmatn oder Tahoma (beide mit persischen Glyphen);
+                // fehlen alle, zeichnet der Font-Stack aus getElementFont mit der Systemschrift
+                source: "local('IRANSans'), local('IRANSansWeb'), local('Vazirmatn'), local('Tahoma')"
+            },
+            {
+                family: 'IranNastaliq',
+                label: 'نستعلیق',
+                source: "url('assets/IranNastaliq%20Regular.ttf') format('truetype')"
+            },
+            {
+                family: 'Noto Nastaliq Urdu',
+                label: 'نستعلیق نوتو',
+                stylesheet: 'https://fonts.googleapis.com/css2?family=Noto+Nastaliq+Urdu&display=swap',
+                aliases: ['NotoNastaliqUrdu']                                   // Wert der früheren Schriftauswahl
+            }
+        ];
+
+        // Leserichtung und Ausrichtung
+        this.defaultDirection = 'auto';                                         // rtl, ltr oder auto (erstes starkes Zeichen je Zeile)
+        this.defaultAlign = 'start';                                            // start, center oder end (relativ zur Leserichtung)
+        this.rtlCharacter = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+        this.strongCharacter = /\p{L}/u;                                       // Buchstaben bestimmen die Richtung, Ziffern nicht
+        this.editingElement = null;                                             // Element, das gerade im Modal bearbeitet wird
+
+        // Typografie (Eigenschaften-Panel der Auswahl)
+        // Längen in em (relativ zur Schriftgröße), damit sie beim Skalieren mitwachsen
+        this.styleDefaults = {
+            color: '#000000',                                                   // Füllfarbe (auch für Striche)
+            opacity: 1,                                                         // Deckkraft 0–1 (auch für Striche)
+            fontWeight: 'normal',                                               // normal oder bold
+            letterSpacing: 0,                                                   // Zeichenabstand (em)
+            lineHeight: this.lineHeight,                                        // Zeilenabstand relativ zur Schriftgröße
+            outlineColor: '#ffffff',                                            // Konturfarbe
+            outlineWidth: 0,                                                    // Sichtbare Konturbreite außerhalb der Glyphen (em), 0 = aus
+            shadowColor: '#000000',                                             // Schattenfarbe
+            shadowBlur: 0,                                                      // Weichzeichnung des Schattens (em)
+            shadowOffsetX: 0,                                                   // Schattenversatz (em, dreht mit dem Element)
+            shadowOffsetY: 0,
+            kashida: null,                                                      // Kashida-Zielbreite des Blocks (em), null = aus
+            nuqtaRuler: ''                                                      // Nuqta-Lineal (Schlüssel aus guideSystems), leer = aus
+        };
+        this.styleEditDelay = 600;                                              // Pause, nach der Panel-Eingaben ein Undo-Schritt werden (ms)
+        this.styleEdit = null;                                                  // Laufende Änderung im Panel (Elemente, Schlüssel, Ausgangswerte)
+        this.propertiesPanel = null;                                            // Panel-Element (setupPropertiesPanel)
+        this.propertiesPanelState = null;                                       // Zuletzt angezeigte Auswahl und Werte
+        this.tatweel = '\u0640';                                                // Kashida-Zeichen (Tatweel)
+        this.dualJoiningLetter = /[\u0626\u0628\u062A-\u062E\u0633-\u063A\u0640-\u0647\u0649\u064A\u066E\u066F\u0678-\u0687\u069A-\u06BF\u06C1\u06C2\u06CC\u06CE\u06D0\u06D1]/;
+        this.rightJoiningLetter = /[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671\u0688\u0691\u0698\u06C0\u06C6-\u06CB\u06CF\u06D2\u06D3\u06D5]/;
+        this.arabicMark = /[\u064B-\u065F\u0670]/;                              // Harakat und hochgestelltes Alif
 
         this.tools = {
+            select: 'select',
             pan: 'pan',
-            text: 'text'
+            text: 'text',
+            pen: 'pen',
+            rectangle: 'rectangle',
+            ellipse: 'ellipse',
+            line: 'line',
+            arrow: 'arrow',
+            frame: 'frame'
         };
         
         // Select-Tool Eigenschaften
-        this.selectedElements = new Set();
-        this.isSelecting = false;
+        this.selectedElements = new Set();                                      // Alle ausgewählten Elemente
+        this.isSelecting = false;                                               // Auswahlrechteck wird aufgezogen
+        this.isAdditiveSelection = false;                                       // Umschalt: Auswahlrechteck ergänzt die Auswahl
         this.selectionStart = { x: 0, y: 0 };
         this.selectionEnd = { x: 0, y: 0 };
+        this.resizeState = null;                                                // Anker und Startwerte der Skalierung
+        this.handleHitRadius = 10;                                              // Greifradius der Ziehpunkte (Bildschirmpixel)
+
+        // Drehen über den Dreh-Ziehpunkt
+        this.isRotating = false;                                                // Dreh-Ziehpunkt wird gezogen
+        this.rotateState = null;                                                // Drehzentrum und Startwerte
+        this.rotationHandleOffset = 28;                                         // Abstand des Dreh-Ziehpunkts über dem Rahmen (Bildschirmpixel)
+        this.rotationSnap = Math.PI / 12;                                       // Einrasten in 15°-Schritten mit Umschalt
+
+        // Stift-Werkzeug (Freihand-Striche)
+        this.currentStroke = null;                                              // Strich, der gerade gezeichnet wird
+        this.penWidth = 4;                                                      // Grundbreite in Bildschirmpixeln beim Zeichnen
+        this.penSmoothing = 0.5;                                                // Glättung der Abtastpunkte (0 = keine, 1 = maximal)
+        this.penMinDistance = 1.5;                                              // Mindestabstand zwischen Abtastpunkten (Bildschirmpixel)
+        this.penDefaultPressure = 0.5;                                          // Druck für Geräte ohne Druckerkennung
+
+        // Formen, Linien und Pfeile (Linien, die an Elementen haften, sind Verbindungen)
+        this.shapeTools = ['rectangle', 'ellipse', 'line', 'arrow', 'frame'];  // Werkzeuge, die eine Form aufziehen
+        this.currentShape = null;                                               // Form, die gerade aufgezogen wird
+        this.shapeStart = null;                                                 // Startpunkt der Form (Welt)
+        this.shapeStrokeWidth = 2;                                              // Linienbreite in Bildschirmpixeln beim Zeichnen
+        this.minShapeSize = 4;                                                  // Kleinere Formen (Klick ohne Ziehen) werden verworfen (Bildschirmpixel)
+        this.arrowHeadRatio = 5;                                                // Länge der Pfeilspitze relativ zur Linienbreite
+        this.minArrowHead = 8;                                                  // Mindestlänge der Pfeilspitze (Welt)
+        this.connectorGap = 6;                                                  // Abstand einer Verbindung zum Element (Welt, für alle Teilnehmer gleich)
+        this.lineAngleSnap = Math.PI / 12;                                      // Linienwinkel in 15°-Schritten mit Umschalt
+
+        // Rahmen (Zeichenflächen mit Seitenformat): liegen unter allen übrigen Elementen und schneiden
+        // die Elemente ab, deren Mitte in ihnen liegt; Größe in Welteinheiten (CSS-Pixel, 96 je Zoll)
+        this.framePresets = {                                                   // Formate in ihrer Einheit (Hochformat)
+            a3: { label: 'A3', width: 297, height: 420, unit: 'mm' },
+            a4: { label: 'A4', width: 210, height: 297, unit: 'mm' },
+            a5: { label: 'A5', width: 148, height: 210, unit: 'mm' },
+            letter: { label: 'US Letter', width: 215.9, height: 279.4, unit: 'mm' },
+            square: { label: 'Quadrat 1080 × 1080', width: 1080, height: 1080, unit: 'px' },
+            portrait: { label: 'Hochformat 1080 × 1350', width: 1080, height: 1350, unit: 'px' },
+            story: { label: 'Story 1080 × 1920', width: 1080, height: 1920, unit: 'px' }
+        };
+        this.defaultFramePreset = 'a4';                                         // Format eines Rahmens per Klick ohne Ziehen
+        this.frameDpi = { mm: 300, px: 72 };                                    // Standardauflösung je Einheit
+        this.cssPixelsPerInch = 96;                                             // Welteinheiten je Zoll
+        this.frameFill = '#ffffff';                                             // Papierfarbe der Rahmen
+        this.frameLabelSize = 12;                                               // Schriftgröße der Rahmennamen (Bildschirmpixel)
+        this.frameCache = null;                                                 // Rahmen in Zeichenreihenfolge (siehe getFrames)
+        this.framesPanel = null;                                                // Seitenliste der Rahmen (setupFramesPanel)
+        this.framesPanelState = null;                                           // Zuletzt angezeigte Rahmen und Auswahl
+
+        // Einrasten und Hilfslinien beim Ziehen
+        this.snapToGrid = false;                                                // Am Raster einrasten (Button in der Werkzeugleiste)
+        this.smartGuides = true;                                                // An anderen Elementen ausrichten
+        this.snapDistance = 6;                                                  // Fangbereich (Bildschirmpixel); Alt hält das Einrasten aus
+        this.dragSnapState = null;                                              // Begrenzung und Ziele der aktuellen Ziehgeste
+        this.snapGuides = null;                                                 // Sichtbare Hilfslinien und Abstandsmarken
+
+        // Übersichtskarte und Kamerafahrten
+        this.minimap = null;                                                    // canvas, context, layer (Elemente) und aktuelle Abbildung
+        this.minimapSize = { width: 200, height: 140 };                         // Größe der Karte (CSS-Pixel)
+        this.minimapState = null;                                               // Zuletzt gezeichneter Stand (Kamera und Inhalt)
+        this.minimapDrag = null;                                                // Abbildung, die während des Ziehens auf der Karte gilt
+        this.fitPadding = 48;                                                   // Rand beim Einpassen (Bildschirmpixel)
+        this.cameraAnimationDuration = 400;                                     // Dauer einer Kamerafahrt (ms)
+
+        // Bilder (eingefügt oder abgelegt, Dateien in IndexedDB, siehe ImageStore.js)
+        this.imageStore = null;                                                 // Bilddaten der Bildelemente (imageId → Bild)
+        this.maxImageViewportRatio = 0.6;                                       // Neue Bilder höchstens so groß wie dieser Anteil des Viewports
+
+        // Zwischenablage (Kopieren, Ausschneiden, Einfügen, Duplizieren)
+        this.clipboardType = 'application/x-qalam-elements+json';               // Eigener MIME-Typ der kopierten Elemente
+        this.clipboard = null;                                                  // Zuletzt kopierte Nutzlast (falls der Browser den eigenen Typ verwirft)
+        this.pointerPosition = null;                                            // Letzte Zeigerposition über dem Canvas (Bildschirm), Ziel beim Einfügen
+        this.duplicateOffset = 16;                                              // Versatz eines Duplikats (Bildschirmpixel)
+
+        // Zeichenreihenfolge und Gruppen (zIndex, groupId und groupName an den Elementen)
+        this.minZIndexStep = 1e-6;                                              // Kleinerer Abstand zwischen Nachbarn: alle neu nummerieren
+
+        // Tastatursteuerung
+        this.toolShortcuts = {                                                  // Einzelne Taste → Werkzeug
+            v: 'select', h: 'pan', t: 'text', p: 'pen',
+            r: 'rectangle', o: 'ellipse', l: 'line', a: 'arrow', f: 'frame'
+        };
+        this.keyboardZoomStep = 1.25;                                           // Zoom-Faktor je Strg+Plus/Minus
+        this.resetScale = 1.5;                                                  // Zoom-Stufe für Strg+0 (wie beim Start)
+        this.nudgeDelay = 600;                                                  // Pause, nach der Pfeiltasten-Schritte ein Undo-Schritt werden (ms)
+        this.nudgeTimer = null;                                                 // Timer bis zum Abschluss des Verschiebens per Pfeiltaste
+        this.isSpacePanning = false;                                            // Leertaste gehalten: vorübergehend Pan-Werkzeug
+
+        // Barrierefreiheit: unsichtbare Elementliste für Screenreader, Ansagen und reduzierte Bewegung
+        this.accessibilityList = null;                                          // Spiegel von textElements (role="listbox")
+        this.accessibilityOptions = new Map();                                  // Element → Eintrag der Liste
+        this.accessibilityVersion = -1;                                         // Zuletzt gespiegelter Inhaltsstand (contentVersion)
+        this.accessibilitySelectionState = null;                                // Zuletzt gespiegelte Auswahl
+        this.accessibilityTimer = null;                                         // Timer bis zum Abgleich nach Inhaltsänderungen
+        this.accessibilityDelay = 250;                                          // Höchstens so oft abgleichen (ms), Ziehen baut die Liste nicht je Frame neu
+        this.liveRegion = null;                                                 // Ansagen für Screenreader (role="status")
+        this.announceDelay = 100;                                               // Pause nach dem Leeren, damit gleiche Ansagen erneut gelesen werden (ms)
+        this.announceTimer = null;                                              // Timer bis zur nächsten Ansage
+        this.reducedMotionQuery = null;                                         // prefers-reduced-motion (setupAccessibility)
+        this.accessibleTypeLabels = {                                           // Art des Elements → Bezeichnung (Texte lesen ihren Inhalt)
+            stroke: 'Strich',
+            rectangle: 'Rechteck',
+            ellipse: 'Ellipse',
+            line: 'Linie',
+            arrow: 'Pfeil',
+            image: 'Bild'
+        };
+
+        // Board-Persistenz (Autosave und Export/Import)
+        this.boardFormat = 'qalam-board';                                       // Kennung des Dokumentformats
+        this.boardVersion = 2;                                                  // Aktuelle Schema-Version
+        this.autosaveKey = 'qalam-board-autosave';                              // Schlüssel im Speicher
+        this.autosaveDelay = 500;                                               // Verzögerung bis zum Speichern (ms)
+        this.autosaveTimer = null;                                              // Timer für verzögertes Speichern
+        this.boardDatabase = null;                                              // Promise auf die IndexedDB-Verbindung
+        this.autosaveRestored = false;                                          // Erst danach wird gespeichert (sonst ginge das gespeicherte Board verloren)
+        this.autosavePending = false;                                           // Vor dem Wiederherstellen angeforderte Sicherung
+        this.transientElementKeys = ['animationScale', 'animationOpacity'];     // Nur für Animationen, werden nicht gespeichert
+
+        // Migrationen: Schlüssel ist die Ausgangsversion, Ergebnis die nächste Version
+        this.boardMigrations = {
+            // Version 0: nacktes Array von Textelementen ohne Viewport
+            // (scale und opacity waren damals Animationswerte, opacity ist heute gespeicherte Deckkraft)
+            0: boardDocument => ({
+                format: this.boardFormat,
+                version: 1,
+                viewport: null,
+                elements: (Array.isArray(boardDocument) ? boardDocument : boardDocument.elements || [])
+                    .map(element => element && Object.fromEntries(
+                        Object.entries(element).filter(([key]) => key !== 'scale' && key !== 'opacity')))
+            }),
+            // Version 1: fontSize galt in Bildschirmpixeln bei jeder Zoom-Stufe (gezeichnet mit fontSize / scale),
+            // seit Version 2 in Weltkoordinaten; umgerechnet mit der gespeicherten Zoom-Stufe (sonst dem Start-Zoom 1.5)
+            1: boardDocument => {
+                const viewport = boardDocument.viewport;
+                const scale = viewport && isFinite(viewport.scale) && viewport.scale > 0 ? viewport.scale : 1.5;
+                const elements = (boardDocument.elements || []).map(element => {
+                    if (!element || typeof element.text !== 'string') return element;
+                    const fontSize = isFinite(element.fontSize) ? element.fontSize : this.initialFontSize;
+                    return { ...element, fontSize: fontSize / scale };
+                });
+                return { ...boardDocument, version: 2, elements };
+            }
+        };
+
+        // Bild-Export (SVG/PNG)
+        this.exportPadding = 32;                                                // Rand um den Board-Inhalt (Weltkoordinaten)
+        this.maxExportSize = 16384;                                             // Maximale Kantenlänge des PNG in Pixeln
+        this.exportSurface = '#ffffff';                                         // Angenommener Untergrund transparenter Exporte (Standardtinte)
+        this.measureContext = document.createElement('canvas').getContext('2d'); // Kontext für Messungen außerhalb des Zeichnens
+
+        // Verlauf für Undo/Redo (Befehlsmuster)
+        this.undoStack = [];                                                    // Ausgeführte Befehle
+        this.redoStack = [];                                                    // Rückgängig gemachte Befehle
+        this.historyLimit = 200;                                                // Maximale Anzahl gespeicherter Schritte
+        this.gestureSnapshot = null;                                            // Zustand zu Beginn einer Ziehgeste
+
+        // Räumlicher Index und Caches für große Boards (siehe SpatialIndex.js)
+        this.useSpatialIndex = true;                                            // Abschaltbar für Vergleichsmessungen (benchmark.html)
+        this.spatialIndex = null;                                               // Quadtree über die Elementbegrenzungen, wird bei Bedarf gebaut
+        this.indexedElements = null;                                            // Array, für das der Index gebaut wurde
+        this.indexedCount = 0;                                                  // Dessen Länge beim Bauen
+        this.paintOrder = new Map();                                            // Element → Position in der Zeichenreihenfolge
+        this.layoutCache = new WeakMap();                                       // Element → { key, layout }, spart measureText
+        this.strokeExtentCache = new WeakMap();                                 // Element → Ausdehnung des Strichs relativ zum Ursprung
+        this.redrawMargin = 48;                                                 // Rand für Auswahlrahmen und Ziehpunkte (Bildschirmpixel)
+        this.gridPattern = null;                                                // Vorgerenderte Rasterkachel für den aktuellen Zoom
+
+        // Rendering in Ebenen, höchstens ein Bild pro Frame
+        this.displayContext = null;                                             // Kontext des sichtbaren Canvas (setzt die Ebenen zusammen)
+        this.layers = null;                                                     // grid, content, overlay (je Canvas und Kontext)
+        this.pixelRatio = 1;                                                    // Pixeldichte, mit der die Ebenen angelegt wurden
+        this.viewportSize = { width: 0, height: 0 };                            // Sichtbare Größe in CSS-Pixeln
+        this.renderRequest = null;                                              // ID des geplanten Frames (requestAnimationFrame)
+        this.pendingContentRegion = null;                                       // Neu zu zeichnender Inhalt: null, 'all' oder Bereich (Welt)
+        this.renderedCamera = null;                                             // Kamera, mit der Raster und Inhalt gezeichnet wurden
+        this.overlayElements = new Set();                                       // Elemente, die im letzten Frame im Overlay lagen
+        this.animatingElements = new Map();                                     // Element → Anzahl laufender Animationen (liegt im Overlay)
+        this.renderWorker = null;                                               // Worker für Raster und Inhalt (?render=worker) oder null
+        this.contentVersion = 0;                                                // Zählt Inhaltsänderungen (Abgleich mit dem Worker)
+        this.postedContentVersion = -1;                                         // Zuletzt an den Worker gesendeter Stand
+
+        // Zusammenarbeit in Echtzeit (siehe BoardSync.js)
+        this.sync = null;                                                       // Aktive Synchronisation oder null
 
         // Event Listener für Tastatureingaben
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+        window.addEventListener('blur', () => this.endSpacePan());              // Losgelassene Leertaste in anderem Fenster
+
+        // Initialisierung erst, wenn alle Zustände angelegt sind (draw() greift auf die Auswahl zu)
+        this.setupTheme();                                              // Initialisiert Thema (vor dem ersten Zeichnen)
+        this.setupBackground();                                         // Initialisiert Hintergrund des Boards
+        this.setupGridToggle();                                         // Initialisiert Grid Toggle
+        this.setupGuides();                                             // Initialisiert Kalligrafie-Hilfslinien
+        this.setupSnapToggle();                                         // Initialisiert Einrasten am Raster
+        this.setupPropertiesPanel();                                    // Initialisiert Typografie-Panel der Auswahl
+        this.setupMinimap();                                            // Initialisiert Übersichtskarte und Navigation
+        this.setupFramesPanel();                                        // Initialisiert Seitenliste der Rahmen
+        this.setupClipboard();                                          // Initialisiert Kopieren und Einfügen
+        this.setupAccessibility();                                      // Initialisiert Elementliste und Ansagen für Screenreader
+        this.initialize();                                              // Startet Initialisierung
+
+        this.setupBoardPersistence();                                           // Export/Import und Autosave einrichten
+        this.setupExportModal();                                                // Bild-Export einrichten
+        this.fontRegistry.ready(this.fontLoadTimeout)                           // Erst mit geladenen Schriften messen
+            .then(() => this.restoreAutosave())                                 // Letzten Stand wiederherstellen
+            .then(() => this.setupSync());                                      // Danach ggf. gemeinsamer Sitzung beitreten
     }
 
     /**
@@ -111,8 +473,11 @@ class InteraktivesCanvas {
     initialize() {
         this.initializeCanvas();         // Canvas-Kontext einrichten
         this.setupEventListeners();      // Event-Listener hinzufügen
+        this.preventBrowserZoom();       // Browser-Gesten durch eigene ersetzen
         this.setupGUI();                 // GUI-Elemente einrichten
         this.setupTextModal();           // Text-Eingabe vorbereiten
+        this.setupFonts();               // Schriften laden, Auswahl und Import einrichten
+        this.setupImages();              // Bildspeicher und Ablegen von Bildern
         
         // Startposition zentrieren
         this.offset = {
@@ -123,16 +488,27 @@ class InteraktivesCanvas {
 
     }
 
+    /**
+     * Richtet das sichtbare Canvas und die Zeichenebenen ein
+     *
+     * Ebenen (OffscreenCanvas, sonst unsichtbares Canvas):
+     * - grid: Punktraster und Hilfslinien, nur bei Kamerawechsel neu gezeichnet
+     * - content: alle nicht ausgewählten Elemente, sonst nur geänderte Bereiche
+     * - overlay: Auswahl, laufende Animationen, Ziehpunkte, Auswahlrechteck, Teilnehmer
+     *
+     * this.context ist der Overlay-Kontext, damit Auswahlrahmen und Ziehpunkte dort landen.
+     * Mit ?render=worker zeichnet ein Worker Raster und Inhalt (siehe RenderWorker.js).
+     */
     initializeCanvas() {
-        this.context = this.canvas.getContext('2d');                        // Holt 2D Rendering-Kontext
+        this.displayContext = this.canvas.getContext('2d');                 // Holt 2D Rendering-Kontext
+        this.layers = {
+            grid: this.createLayer(),
+            content: this.createLayer(),
+            overlay: this.createLayer()
+        };
+        this.context = this.layers.overlay.context;                         // Bildschirm-Chrome zeichnet ins Overlay
+        this.setupRenderWorker();                                          // Optional: Raster und Inhalt im Worker
         this.updateCanvasSize();                                           // Aktualisiert Canvas-Dimensionen
-        
-        const dpr = window.devicePixelRatio || 1;                          // Ermittelt Display-Pixeldichte
-        this.canvas.style.width = `${window.innerWidth}px`;                // Setzt CSS-Breite auf Fensterbreite
-        this.canvas.style.height = `${window.innerHeight}px`;              // Setzt CSS-Höhe auf Fensterhöhe
-        this.canvas.width = window.innerWidth * dpr;                       // Setzt tatsächliche Canvas-Breite
-        this.canvas.height = window.innerHeight * dpr;                     // Setzt tatsächliche Canvas-Höhe
-        this.context.scale(dpr, dpr);                                      // Skaliert Kontext für Retina-Display
 
         window.addEventListener('resize', () => {                          // Fügt Resize-Event-Listener hinzu
             this.updateCanvasSize();                                       // Aktualisiert Größe bei Fensteränderung
@@ -140,11 +516,330 @@ class InteraktivesCanvas {
         });
     }
 
+    /**
+     * Legt eine Zeichenebene an
+     * @returns {{canvas: (OffscreenCanvas|HTMLCanvasElement), context: CanvasRenderingContext2D}} Die Ebene
+     */
+    createLayer() {
+        const canvas = this.createCanvas(1, 1);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    /**
+     * Erzeugt ein Canvas außerhalb des Dokuments (auch im Worker nutzbar)
+     * @param {number} width - Breite in Pixeln
+     * @param {number} height - Höhe in Pixeln
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Das Canvas
+     */
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Startet den Worker-Renderer, wenn die Adresse ?render=worker enthält und der Browser
+     * OffscreenCanvas im Worker unterstützt. Der Worker zeichnet in ein eigenes Canvas
+     * unter dem Hauptcanvas, das dann nur noch das Overlay trägt.
+     */
+    setupRenderWorker() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('render') !== 'worker') return;
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            !HTMLCanvasElement.prototype.transferControlToOffscreen) {
+            console.warn('Worker-Rendering wird nicht unterstützt, zeichne im Hauptthread');
+            return;
+        }
+
+        const baseCanvas = document.createElement('canvas');
+        baseCanvas.className = 'render-worker-canvas';
+        baseCanvas.setAttribute('aria-hidden', 'true');
+        this.canvas.parentNode.insertBefore(baseCanvas, this.canvas);
+        const offscreen = baseCanvas.transferControlToOffscreen();
+
+        this.renderWorker = new Worker('RenderWorker.js');
+        this.renderWorker.baseCanvas = baseCanvas;
+        this.renderWorker.addEventListener('error', event => {
+            console.error('Worker-Rendering fehlgeschlagen:', event.message);
+        });
+        this.renderWorker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            config: this.getRenderConfig(),
+            fonts: this.getFontSources()
+        }, [offscreen]);
+    }
+
+    /**
+     * Einstellungen, die ein Renderer ohne DOM zum Messen und Zeichnen braucht
+     * @returns {Object} Die Einstellungen
+     */
+    getRenderConfig() {
+        return {
+            initialFontSize: this.initialFontSize,
+            lineHeight: this.lineHeight,
+            defaultDirection: this.defaultDirection,
+            defaultAlign: this.defaultAlign,
+            rtlCharacter: this.rtlCharacter,
+            strongCharacter: this.strongCharacter,
+            styleDefaults: this.styleDefaults,
+            tatweel: this.tatweel,
+            dualJoiningLetter: this.dualJoiningLetter,
+            rightJoiningLetter: this.rightJoiningLetter,
+            arabicMark: this.arabicMark,
+            gridSize: this.gridSize,
+            penDefaultPressure: this.penDefaultPressure,
+            arrowHeadRatio: this.arrowHeadRatio,
+            minArrowHead: this.minArrowHead,
+            guideSystems: this.guideSystems,
+            guideRowGap: this.guideRowGap,
+            guideColors: this.guideColors,
+            backgroundTextures: this.backgroundTextures,
+            textureTileSize: this.textureTileSize,
+            frameFill: this.frameFill,
+            frameLabelSize: this.frameLabelSize,
+            redrawMargin: this.redrawMargin,
+            useSpatialIndex: this.useSpatialIndex
+        };
+    }
+
+    /**
+     * Schriften, die ein Renderer ohne DOM laden muss (siehe FontRegistry.getFontSources)
+     * @returns {Object[]} Je Schrift family, source und descriptors
+     */
+    getFontSources() {
+        return this.fontRegistry ? this.fontRegistry.getFontSources() : [];
+    }
+
     setupEventListeners() {
         this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: true });      // Zoom-Handler
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));                 // Start Interaktion
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));                // Bewegung verfolgen
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));                    // Ende Interaktion
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));             // Start Interaktion (Maus, Touch, Stift)
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));             // Bewegung verfolgen
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));                 // Ende Interaktion
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));             // Abbruch durch das System
+        this.canvas.addEventListener('pointerleave', () => {                                        // Cursor für andere ausblenden
+            this.pointerPosition = null;                                                            // Einfügen wieder in der Bildschirmmitte
+            if (this.sync) this.sync.setCursor(null);
+        });
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));               // Text bearbeiten
+    }
+
+    /**
+     * Verteilt Pointer-Events auf Ein-Zeiger-Interaktion oder Zwei-Finger-Geste
+     * 
+     * - Ein Zeiger (Maus, Finger, Stift): Elemente ziehen, Auswahl, Pan-Werkzeug
+     * - Zwei Finger: Verschieben und Pinch-Zoom um den Mittelpunkt
+     * - Doppeltipp mit Finger oder Stift öffnet wie der Doppelklick den Editor
+     * 
+     * @param {PointerEvent} event - Das Pointer-Event
+     */
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;       // Nur linke Maustaste
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(event.pointerId);                     // Bewegungen außerhalb des Canvas weiter erhalten
+        }
+        this.activePointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            start: { x: event.clientX, y: event.clientY, time: Date.now() }
+        });
+
+        if (this.activePointers.size === 2) {
+            this.lastPointerTap = null;                                         // Zwei-Finger-Geste ist kein Tipp
+            this.cancelSinglePointerInteraction();
+            this.startPinch();
+            return;
+        }
+        if (this.activePointers.size > 2 || this.isGestureTail) return;
+
+        if (event.pointerType !== 'mouse' && this.isDoubleTap(event)) {
+            this.handleDoubleClick(event);
+            return;
+        }
+        this.handleMouseDown(event);
+    }
+
+    /**
+     * @param {PointerEvent} event - Das Pointer-Event
+     */
+    handlePointerMove(event) {
+        const pointer = this.activePointers.get(event.pointerId);
+        if (pointer) {
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+        }
+        this.pointerPosition = { x: event.clientX, y: event.clientY };
+        if (this.sync) {
+            // Cursor für andere Teilnehmer; die Synchronisation bündelt auch laufende Gesten mit
+            this.sync.setCursor({
+                x: (event.clientX - this.offset.x) / this.scale,
+                y: (event.clientY - this.offset.y) / this.scale
+            });
+        }
+
+        if (this.pinchState) {
+            this.updatePinch();
+            return;
+        }
+        if (this.isGestureTail) return;
+        this.handleMouseMove(event);
+    }
+
+    /**
+     * @param {PointerEvent} event - Das Pointer-Event
+     */
+    handlePointerUp(event) {
+        const pointer = this.activePointers.get(event.pointerId);
+        if (!pointer) return;
+        this.activePointers.delete(event.pointerId);
+
+        if (this.pinchState) {
+            if (this.activePointers.size < 2) this.endPinch();
+            return;
+        }
+        if (this.isGestureTail) {
+            if (this.activePointers.size === 0) this.isGestureTail = false;
+            return;
+        }
+
+        // Kurzer Tipp ohne Bewegung zählt als erster Teil eines Doppeltipps
+        const start = pointer.start;
+        const isTap = event.pointerType !== 'mouse' &&
+            Date.now() - start.time < this.doubleTapDelay &&
+            Math.hypot(event.clientX - start.x, event.clientY - start.y) < this.doubleTapDistance;
+        this.lastPointerTap = isTap ? { x: event.clientX, y: event.clientY, time: Date.now() } : null;
+
+        this.handleMouseUp(event);
+    }
+
+    /**
+     * Erkennt einen Doppeltipp anhand von Zeit und Abstand zum letzten Tipp
+     * @param {PointerEvent} event - Das Pointer-Event
+     * @returns {boolean} true bei Doppeltipp
+     */
+    isDoubleTap(event) {
+        const last = this.lastPointerTap;
+        const isDouble = last !== null &&
+            Date.now() - last.time < this.doubleTapDelay &&
+            Math.hypot(event.clientX - last.x, event.clientY - last.y) < this.doubleTapDistance;
+
+        if (isDouble) this.lastPointerTap = null;                               // Dritter Tipp beginnt neu
+        return isDouble;
+    }
+
+    /**
+     * Beendet eine laufende Ein-Zeiger-Interaktion, wenn ein zweiter Finger dazukommt
+     * Element-Gesten werden wie beim Loslassen abgeschlossen, Pan ohne Ausgleiten
+     */
+    cancelSinglePointerInteraction() {
+        this.isDragging = false;
+        this.isMoving = false;
+        this.currentStroke = null;                                              // Angefangener Strich war der erste Finger der Geste
+        this.currentShape = null;
+        this.handleMouseUp();
+    }
+
+    /**
+     * Liefert Mittelpunkt und Abstand der ersten beiden aktiven Zeiger
+     * @returns {{midpoint: {x: number, y: number}, distance: number}} Die Geometrie der Geste
+     */
+    getPinchGeometry() {
+        const [first, second] = [...this.activePointers.values()];
+        return {
+            midpoint: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+            distance: Math.hypot(second.x - first.x, second.y - first.y)
+        };
+    }
+
+    /**
+     * Startet die Zwei-Finger-Geste und stoppt laufendes Ausgleiten
+     */
+    startPinch() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        const { midpoint, distance } = this.getPinchGeometry();
+        this.velocity = { x: 0, y: 0 };
+        this.pinchState = { midpoint, distance, time: Date.now() };
+        this.isMoving = false;
+    }
+
+    /**
+     * Verschiebt mit dem Mittelpunkt und zoomt mit dem Fingerabstand
+     * Der Zoom ist am Mittelpunkt verankert, die Geschwindigkeit wird für das Ausgleiten gemessen
+     */
+    updatePinch() {
+        const { midpoint, distance } = this.getPinchGeometry();
+        const state = this.pinchState;
+        const currentTime = Date.now();
+        const deltaTime = currentTime - state.time;
+
+        // Verschieben mit dem Mittelpunkt
+        const dx = midpoint.x - state.midpoint.x;
+        const dy = midpoint.y - state.midpoint.y;
+        this.offset.x += dx;
+        this.offset.y += dy;
+
+        // Zoomen um den Mittelpunkt, begrenzt auf die Zoom-Grenzen
+        if (state.distance > 0 && distance > 0) {
+            const newScale = this.clampScale(this.scale * distance / state.distance);
+            this.zoomAt(midpoint.x, midpoint.y, newScale);
+        }
+
+        if (deltaTime > 0) {
+            this.velocity = {
+                x: dx / deltaTime * 16.67,
+                y: dy / deltaTime * 16.67
+            };
+        }
+
+        this.pinchState = { midpoint, distance, time: currentTime };
+        this.isMoving = true;
+        this.requestRender();
+    }
+
+    /**
+     * Beendet die Zwei-Finger-Geste und lässt das Board mit der letzten Geschwindigkeit ausgleiten
+     * Ein verbleibender Finger wird bis zum Loslassen ignoriert, damit nichts springt
+     */
+    endPinch() {
+        this.pinchState = null;
+        this.isGestureTail = this.activePointers.size > 0;
+
+        if (this.isMoving) {
+            this.startDeceleration();
+        }
+        this.isMoving = false;
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Begrenzt eine Zoom-Stufe auf die erlaubten Grenzen
+     * Berücksichtigt dieselben Bedingungen wie handleWheel (Zoom-Grenzen und minimale Gittergröße)
+     * @param {number} scale - Gewünschte Zoom-Stufe
+     * @returns {number} Erlaubte Zoom-Stufe
+     */
+    clampScale(scale) {
+        const minScale = Math.max(this.minScale, this.minGridSize / this.gridSize);
+        return Math.max(minScale, Math.min(this.maxScale, scale));
+    }
+
+    /**
+     * Zoomt auf eine neue Stufe, wobei der Bildschirmpunkt an derselben Weltposition bleibt
+     * @param {number} screenX - X-Koordinate des Ankers (Bildschirm)
+     * @param {number} screenY - Y-Koordinate des Ankers (Bildschirm)
+     * @param {number} newScale - Neue Zoom-Stufe
+     */
+    zoomAt(screenX, screenY, newScale) {
+        const zoom = newScale / this.scale;
+        this.offset.x = screenX - (screenX - this.offset.x) * zoom;
+        this.offset.y = screenY - (screenY - this.offset.y) * zoom;
+        this.scale = newScale;
     }
 
     /**
@@ -171,82 +866,275 @@ class InteraktivesCanvas {
         const zoom = Math.exp(wheel * this.zoomIntensity * Math.abs(event.deltaY));  // Berechnet Zoom-Faktor
 
         const newScale = this.scale * zoom;                            // Berechnet neue Skalierung
-        
-        // Prüfe Grid-Sichtbarkeit und Zoom-Grenzen
+        if (!this.isScaleAllowed(newScale)) return;                    // Prüft Grid-Sichtbarkeit und Zoom-Grenzen
+
+        // Zoome zur Mausposition
+        this.zoomAt(mouseX, mouseY, newScale);                         // Aktualisiert Offset und Skalierung
+
+        this.requestRender();                                          // Zeichnet im nächsten Frame neu
+        this.scheduleAutosave();                                       // Speichert den Viewport
+    }
+
+    /**
+     * Prüft, ob eine Zoom-Stufe erlaubt ist
+     * @param {number} newScale - Gewünschte Zoom-Stufe
+     * @returns {boolean} true, wenn Raster und Zoom-Grenzen sie zulassen
+     */
+    isScaleAllowed(newScale) {
         const newGridPixelSize = this.gridSize * newScale;             // Berechnet neue Gittergröße in Pixeln
-        if (newGridPixelSize < this.minGridSize) return;               // Prüft minimale Gittergröße
-        if (newScale < this.minScale || newScale > this.maxScale) return;  // Prüft Zoom-Grenzen
+        if (newGridPixelSize < this.minGridSize) return false;         // Prüft minimale Gittergröße
+        if (newScale < this.minScale || newScale > this.maxScale) return false;  // Prüft Zoom-Grenzen
+        return true;
+    }
 
-        // Berechne neue Position relativ zur Maus
-        const viewportX = mouseX - this.offset.x;                      // Berechnet relative X-Position
-        const viewportY = mouseY - this.offset.y;                      // Berechnet relative Y-Position
+    /**
+     * Zoomt um die Bildschirmmitte (Tastatur)
+     * Eine Stufe jenseits der Grenzen wird auf die Grenze gesetzt, damit sie erreichbar bleibt
+     * @param {number} newScale - Gewünschte Zoom-Stufe
+     */
+    zoomToScale(newScale) {
+        const scale = this.isScaleAllowed(newScale) ? newScale : this.clampScale(newScale);
+        if (scale === this.scale) return;
+        this.zoomAt(this.viewportSize.width / 2, this.viewportSize.height / 2, scale);
+        this.requestRender();
+        this.scheduleAutosave();                                       // Speichert den Viewport
+    }
 
-        // Zoome zur Mausposition
-        this.offset.x = mouseX - viewportX * zoom;                     // Aktualisiert X-Offset für Zoom
-        this.offset.y = mouseY - viewportY * zoom;                     // Aktualisiert Y-Offset für Zoom
-        this.scale = newScale;                                         // Setzt neue Skalierung
+    /**
+     * Liefert den Weltpunkt in der Mitte des Bildschirms
+     * @returns {{x: number, y: number}} Der Punkt in Weltkoordinaten
+     */
+    getViewportCenter() {
+        return {
+            x: (this.viewportSize.width / 2 - this.offset.x) / this.scale,
+            y: (this.viewportSize.height / 2 - this.offset.y) / this.scale
+        };
+    }
+
+    /**
+     * Setzt die Kamera so, dass ein Weltpunkt in der Bildschirmmitte liegt
+     * @param {{x: number, y: number}} center - Der Weltpunkt
+     * @param {number} scale - Die Zoom-Stufe
+     */
+    setCamera(center, scale) {
+        this.scale = scale;
+        this.offset.x = this.viewportSize.width / 2 - center.x * scale;
+        this.offset.y = this.viewportSize.height / 2 - center.y * scale;
+    }
+
+    /**
+     * Fährt die Kamera weich zu einem Weltpunkt und einer Zoom-Stufe
+     * Wie die übrigen Animationen zeitbasiert; Ziehen, Pinch und Ausgleiten brechen die Fahrt ab
+     * @param {{x: number, y: number}} center - Ziel in der Bildschirmmitte (Weltkoordinaten)
+     * @param {number} scale - Ziel-Zoom-Stufe
+     */
+    animateCamera(center, scale) {
+        const startCenter = this.getViewportCenter();
+        const startScale = this.scale;
+        const startTime = Date.now();
+
+        this.velocity = { x: 0, y: 0 };
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = this.prefersReducedMotion() ? 1 : Math.min(1, elapsed / this.cameraAnimationDuration);
+
+            // Gleichmäßiger Übergang wie bei der Deselektions-Animation; der Zoom ändert sich im Verhältnis, nicht linear
+            this.setCamera({
+                x: startCenter.x + (center.x - startCenter.x) * progress,
+                y: startCenter.y + (center.y - startCenter.y) * progress
+            }, startScale * Math.pow(scale / startScale, progress));
+
+            this.requestRender();
+
+            if (progress < 1) {
+                this.animationFrame = requestAnimationFrame(animate);
+            } else {
+                this.animationFrame = null;
+                this.scheduleAutosave();                                        // Speichert den Viewport
+            }
+        };
+
+        this.animationFrame = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Passt einen Weltbereich mit Rand in den Bildschirm ein (innerhalb der Zoom-Grenzen)
+     * @param {Object} bounds - Der Bereich in Weltkoordinaten
+     */
+    fitBounds(bounds) {
+        const width = Math.max(1, this.viewportSize.width - this.fitPadding * 2);
+        const height = Math.max(1, this.viewportSize.height - this.fitPadding * 2);
+        const scale = this.clampScale(Math.min(
+            width / Math.max(bounds.width, 1),
+            height / Math.max(bounds.height, 1)
+        ));
+        this.animateCamera({ x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 }, scale);
+    }
+
+    /**
+     * Zeigt alle Elemente; auf einem leeren Board geht es zurück zum Ursprung
+     */
+    zoomToFit() {
+        const bounds = this.getBoardBounds();
+        if (!bounds) {
+            this.zoomToOrigin();
+            return;
+        }
+        this.fitBounds(bounds);
+    }
 
-        this.draw();                                                   // Zeichnet Canvas neu
+    /**
+     * Zeigt die ausgewählten Elemente
+     */
+    zoomToSelection() {
+        const bounds = this.getSelectionBounds();
+        if (bounds) this.fitBounds(bounds);
+    }
+
+    /**
+     * Fährt zurück zum Ursprung (Startansicht) und behält die Zoom-Stufe
+     */
+    zoomToOrigin() {
+        this.animateCamera({ x: 0, y: 0 }, this.scale);
     }
 
     /**
      * Startet die Bewegung des Canvas
      * Initialisiert Drag-Verhalten oder Text-Eingabe
-     * @param {MouseEvent} event - Das Maus-Event
+     * Wird für jeden einzelnen Zeiger aufgerufen (Maus, ein Finger, Stift)
+     * @param {PointerEvent} event - Das Pointer-Event
      */
     handleMouseDown(event) {
         const mouseX = (event.clientX - this.offset.x) / this.scale;
         const mouseY = (event.clientY - this.offset.y) / this.scale;
         
+        this.finishNudge();                                                     // Pfeiltasten-Schritte vor der neuen Geste ablegen
+        
+        // Gehaltene Leertaste verschiebt unabhängig vom Werkzeug die Ansicht
+        if (this.isSpacePanning) {
+            this.startPan(event);
+            event.preventDefault();
+            return;
+        }
+        
+        // Der Stift zeichnet immer, auch über bestehenden Elementen
+        if (this.currentTool === 'pen') {
+            this.startStroke(event, mouseX, mouseY);
+            event.preventDefault();
+            return;
+        }
+        
+        // Formen und Linien ebenso; Linien beginnen an einem getroffenen Element als Verbindung
+        if (this.shapeTools.includes(this.currentTool)) {
+            this.startShape(mouseX, mouseY);
+            event.preventDefault();
+            return;
+        }
+        
+        // Ziehpunkte des Gruppenrahmens haben Vorrang vor Elementen darunter
+        const handle = this.findSelectionHandle(mouseX, mouseY);
+        if (handle) {
+            if (handle.type === 'rotate') {
+                this.startRotation(handle, mouseX, mouseY);
+            } else {
+                this.startSelectionResize(handle);
+            }
+            event.preventDefault();
+            return;
+        }
+        
         // Prüfe zuerst, ob ein Text angeklickt wurde, unabhängig vom Tool
-        const clickedText = this.findTextAtPosition(mouseX, mouseY);
+        // (gesperrte Elemente, z. B. Vorlagen zum Nachzeichnen, trifft nur der Alt-Klick)
+        const clickedText = this.findElementAtPosition(mouseX, mouseY, event.altKey);
+        
+        // Umschalt-Klick fügt ein Element zur Auswahl hinzu oder entfernt es
+        if (clickedText && event.shiftKey) {
+            this.toggleElementSelection(clickedText);
+            this.requestRender();
+            event.preventDefault();
+            return;
+        }
         
-        // Wenn kein Text getroffen wurde, deselektiere den aktuell ausgewählten Text
-        if (!clickedText && this.selectedText) {
-            // Animation für Deselektierung
-            this.animateTextDeselection(this.selectedText);
-            this.selectedText = null;
+        // Wenn kein Text getroffen wurde, deselektiere die aktuelle Auswahl
+        if (!clickedText && this.selectedElements.size > 0 && !event.shiftKey) {
+            this.clearSelection();
             this.isDraggingText = false;
-            this.canvas.style.cursor = this.currentTool === 'pan' ? 'grab' : 'text';
-            this.draw();
+            this.canvas.style.cursor = this.getToolCursor();
+            this.requestRender();
         }
         
         if (clickedText) {
-            // Text wurde angeklickt - aktiviere Drag-Modus
-            this.selectedText = clickedText;
+            // Klick auf ein nicht ausgewähltes Element ersetzt die Auswahl (samt seiner Gruppe),
+            // Klick in eine bestehende Auswahl zieht die ganze Auswahl
+            if (!this.selectedElements.has(clickedText)) {
+                this.setSelection(this.expandToGroups([clickedText]));
+            } else {
+                this.selectedText = clickedText;
+                this.animateTextSelection(clickedText);
+            }
+            
+            // Text wurde angeklickt - aktiviere Drag-Modus (gesperrte Elemente bleiben liegen,
+            // Rahmen nehmen ihren Inhalt mit)
+            const elements = this.withFrameContents(this.getSelectedElements().filter(element => !element.locked))
+                .filter(element => !element.locked);
+            if (elements.length === 0) {
+                this.requestRender();
+                event.preventDefault();
+                return;
+            }
             this.isDraggingText = true;
             this.dragStartPos = { x: mouseX, y: mouseY };
-            this.textOffset = {
-                x: mouseX - clickedText.x,
-                y: mouseY - clickedText.y
-            };
+            this.dragOrigins = elements.map(element => ({ element, x: element.x, y: element.y }));
+            this.dragSnapState = this.createSnapState(elements);
             this.lastTextPos = { x: mouseX, y: mouseY };
             this.canvas.style.cursor = 'move';
             
-            // Starte Auswahl-Animation
-            this.animateTextSelection(clickedText);
+            // Ausgangszustand merken, damit die ganze Geste ein Undo-Schritt wird
+            this.beginGesture(elements);
+            this.detachConnectors(elements);
             
             // Verhindere weitere Event-Verarbeitung
             event.preventDefault();
             return;
         }
         
+        // Auswahl-Werkzeug: Auswahlrechteck auf leerer Fläche aufziehen
+        if (this.currentTool === 'select') {
+            this.isSelecting = true;
+            this.isAdditiveSelection = event.shiftKey;
+            this.selectionStart = { x: mouseX, y: mouseY };
+            this.selectionEnd = { x: mouseX, y: mouseY };
+            return;
+        }
+        
         // Wenn kein Text getroffen wurde, normale Tool-Verarbeitung
         if (this.currentTool === 'pan') {
-            this.isDragging = true;
-            this.isMoving = false;
-            this.velocity = { x: 0, y: 0 };
-            this.lastPosition = {
-                x: event.clientX,
-                y: event.clientY,
-                time: Date.now()
-            };
-            this.canvas.style.cursor = 'grabbing';
-            
-            if (this.animationFrame) {
-                cancelAnimationFrame(this.animationFrame);
-                this.animationFrame = null;
-            }
+            this.startPan(event);
+        }
+    }
+
+    /**
+     * Beginnt das Verschieben der Ansicht (Pan-Werkzeug oder gehaltene Leertaste)
+     * @param {PointerEvent} event - Das Pointer-Event
+     */
+    startPan(event) {
+        this.isDragging = true;
+        this.isMoving = false;
+        this.velocity = { x: 0, y: 0 };
+        this.lastPosition = {
+            x: event.clientX,
+            y: event.clientY,
+            time: Date.now()
+        };
+        this.canvas.style.cursor = 'grabbing';
+        
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
         }
     }
 
@@ -268,7 +1156,7 @@ class InteraktivesCanvas {
      * @param {MouseEvent} event - Das Maus-Event
      */
     handleMouseMove(event) {
-        if (this.currentTool === 'pan' && this.isDragging) {
+        if (this.isDragging) {                                                   // Pan-Werkzeug oder Leertaste
             const currentTime = Date.now();
             const deltaTime = currentTime - this.lastPosition.time;
             
@@ -293,587 +1181,7199 @@ class InteraktivesCanvas {
                 };
                 
                 this.isMoving = true;
-                this.draw();
+                this.requestRender();
             }
         }
         
-        // Text-Bewegung vereinfachen - direktere Kontrolle
-        if (this.isDraggingText && this.selectedText) {
-            const mouseX = (event.clientX - this.offset.x) / this.scale;
-            const mouseY = (event.clientY - this.offset.y) / this.scale;
+        const mouseX = (event.clientX - this.offset.x) / this.scale;
+        const mouseY = (event.clientY - this.offset.y) / this.scale;
+        
+        // Text-Bewegung vereinfachen - direktere Kontrolle (alle ausgewählten Elemente gemeinsam)
+        if (this.isDraggingText && this.dragOrigins.length > 0) {
+            // Einrasten an Elementen und Raster (Alt gedrückt: frei verschieben)
+            const offset = this.snapDragOffset(mouseX - this.dragStartPos.x, mouseY - this.dragStartPos.y, event.altKey);
             
-            // Direkte Positionierung ohne Trägheit
-            this.selectedText.x = mouseX - this.textOffset.x;
-            this.selectedText.y = mouseY - this.textOffset.y;
+            // Direkte Positionierung ohne Trägheit, neu gezeichnet wird nur der überstrichene Bereich
+            // (angehängte Verbindungen folgen den Elementen)
+            const elements = this.withConnectors(this.dragOrigins.map(origin => origin.element));
+            const before = this.getElementsBounds(elements);
+            this.dragOrigins.forEach(origin => {
+                origin.element.x = origin.x + offset.x;
+                origin.element.y = origin.y + offset.y;
+            });
+            this.updateConnectors(elements);
             
-            this.draw();
+            this.redrawElements(elements, before);
         }
         
-        // Font-Größen-Änderung
-        if (this.isDraggingFont && this.selectedText) {
-            const deltaY = this.fontDragStart.y - event.clientY;
-            const newSize = this.currentFontSize + deltaY;
-            
-            // Begrenzen Sie die Schriftgröße auf sinnvolle Werte
-            this.selectedText.fontSize = Math.max(32, Math.min(512, newSize));
-            this.draw();
+        // Auswahlrechteck aufziehen
+        if (this.isSelecting) {
+            this.selectionEnd = { x: mouseX, y: mouseY };
+            this.requestRender();                                               // Auswahlrechteck liegt im Overlay
+        }
+        
+        // Font-Größen-Änderung über die Eck-Ziehpunkte
+        if (this.isDraggingFont && this.resizeState) {
+            const elements = this.withConnectors(this.resizeState.origins.map(origin => origin.element));
+            const before = this.getElementsBounds(elements);
+            this.updateSelectionResize(mouseX, mouseY);
+            this.updateConnectors(elements);
+            this.redrawElements(elements, before);
+        }
+        
+        // Drehen über den Dreh-Ziehpunkt
+        if (this.isRotating) {
+            const elements = this.withConnectors(this.rotateState.origins.map(origin => origin.element));
+            const before = this.getElementsBounds(elements);
+            this.updateRotation(mouseX, mouseY, event.shiftKey);
+            this.updateConnectors(elements);
+            this.redrawElements(elements, before);
+        }
+        
+        // Freihand-Strich fortsetzen
+        if (this.currentStroke) {
+            this.extendStroke(event);
+            this.requestRender();                                               // Entstehender Strich liegt im Overlay
+        }
+        
+        // Form aufziehen (Umschalt: Quadrat/Kreis bzw. Linie in 15°-Schritten)
+        if (this.currentShape) {
+            this.updateShape(mouseX, mouseY, event.shiftKey);
+            this.requestRender();                                               // Entstehende Form liegt im Overlay
         }
     }
     handleMouseUp() {
         if (this.isDragging) {
             this.isDragging = false;
-            if (this.currentTool === 'pan') {
-                this.canvas.style.cursor = 'grab';
-                
-                if (this.isMoving) {
-                    this.startDeceleration();
-                }
+            this.canvas.style.cursor = this.getToolCursor();
+            
+            if (this.isMoving) {
+                this.startDeceleration();
             }
         }
         
+        let gestureLabel = 'Text verschieben';
+        
         // Text-Bewegung direkt beenden ohne Trägheit
         if (this.isDraggingText) {
             this.isDraggingText = false;
-            this.canvas.style.cursor = 'text';
+            this.dragOrigins = [];
+            this.dragSnapState = null;
+            this.snapGuides = null;                                             // Hilfslinien verschwinden mit dem Loslassen
+            this.canvas.style.cursor = this.getToolCursor();
+            this.requestRender();
         }
         
         if (this.isDraggingFont) {
             this.isDraggingFont = false;
-            this.canvas.style.cursor = 'text';
+            this.resizeState = null;
+            this.canvas.style.cursor = this.getToolCursor();
+            gestureLabel = 'Größe ändern';
         }
+        
+        if (this.isRotating) {
+            this.isRotating = false;
+            this.rotateState = null;
+            this.canvas.style.cursor = this.getToolCursor();
+            gestureLabel = 'Drehen';
+        }
+        
+        // Auswahlrechteck abschließen
+        if (this.isSelecting) {
+            this.isSelecting = false;
+            this.finishMarqueeSelection();
+            this.requestRender();
+        }
+        
+        if (this.currentStroke) {
+            this.finishStroke();
+        }
+        
+        if (this.currentShape) {
+            this.finishShape();
+        }
+
+        this.endGesture(gestureLabel);
+        this.scheduleAutosave();
+        if (this.sync) this.sync.scheduleFlush();                               // Auswahl und Gestenende übertragen
     }
 
     /**
-     * Startet die Ausgleit-Animation nach dem Loslassen
-     * Implementiert physikbasiertes Ausgleiten mit Reibung
-     * 
-     * Animations-Details:
-     * 1. Wendet Reibung auf aktuelle Geschwindigkeit an
-     * 2. Berechnet neue Position unter Berücksichtigung der Grenzen
-     * 3. Prüft harte Grenzen und stoppt bei Kollision
-     * 4. Animiert weiter bis Geschwindigkeit unter Schwellwert
-     * 
-     * Performance:
-     * - Nutzt RequestAnimationFrame für flüssige Animation
-     * - Optimierte Berechnungen pro Frame
-     * - Automatischer Stopp bei geringer Bewegung
+     * Liefert den passenden Cursor für das aktive Werkzeug
+     * @returns {string} CSS-Cursor
      */
-    startDeceleration() {                                                         // Startet die Ausgleit-Animation
-        let lastTimestamp = null;                                                // Initialisiert Zeitstempel für Animation
-        
-        const animate = (timestamp) => {                                         // Definiert Animations-Callback-Funktion
-            if (!lastTimestamp) lastTimestamp = timestamp;                       // Setzt initialen Zeitstempel beim ersten Aufruf
-            
-            // Sanftere Geschwindigkeitsreduzierung
-            this.velocity.x *= Math.pow(this.dragLimits.friction, timestamp - lastTimestamp / 16.67);
-            this.velocity.y *= Math.pow(this.dragLimits.friction, timestamp - lastTimestamp / 16.67);
-            
-            // Aktualisiere Position ohne Grenzen
-            this.offset.x += this.velocity.x;
-            this.offset.y += this.velocity.y;
-            
-            this.draw();                                                        // Zeichnet Canvas neu
-            
-            // Längeres Ausgleiten für flüssigere Bewegung
-            if (Math.abs(this.velocity.x) > 0.01 || Math.abs(this.velocity.y) > 0.01) {
-                this.animationFrame = requestAnimationFrame(animate);
-            }
-        };
-        
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
-        this.animationFrame = requestAnimationFrame(animate);
+    getToolCursor() {
+        if (this.currentTool === 'pan' || this.isSpacePanning) return 'grab';
+        if (this.currentTool === 'select') return 'default';
+        if (this.currentTool === 'pen' || this.shapeTools.includes(this.currentTool)) return 'crosshair';
+        return 'text';
     }
 
     /**
-     * Zeichnet das Grid und alle Textelemente
-     * Optimiert das Rendering durch Begrenzung auf sichtbaren Bereich
-     * 
-     * Rendering-Prozess:
-     * 1. Löscht vorheriges Rendering
-     * 2. Wendet Transformation (Offset & Scale) an
-     * 3. Zeichnet Grid-Punkte im sichtbaren Bereich
-     * 4. Rendert alle Textelemente
-     * 
-     * Optimierungen:
-     * - Berechnung des sichtbaren Bereichs mit Puffer
-     * - Batch-Rendering für Grid-Punkte
-     * - Skalierungsabhängige Punkt- und Textgrößen
+     * Liefert die ausgewählten Elemente in Zeichenreihenfolge
+     * @returns {Object[]} Die ausgewählten Elemente
      */
-    draw() {
-        const dpr = window.devicePixelRatio || 1;                                          // Ermittelt Device Pixel Ratio für hochauflösende Displays
-        this.context.clearRect(0, 0, this.canvas.width * dpr, this.canvas.height * dpr);   // Löscht den gesamten Canvas-Inhalt
-        
-        this.context.save();                                                               // Speichert den aktuellen Canvas-Zustand
-        this.context.translate(this.offset.x, this.offset.y);                              // Verschiebt den Ursprung gemäß Offset
-        this.context.scale(this.scale, this.scale);                                        // Wendet die Zoom-Skalierung an
+    getSelectedElements() {
+        return this.textElements.filter(element => this.selectedElements.has(element));
+    }
 
-        this.drawGrid();                                                                   // Zeichnet das Punktraster
-        
-        // Zeichne alle Textelemente
-        this.textElements.forEach(element => {                                             // Iteriert über alle Textelemente
-            this.drawVectorText(element);                                                  // Zeichnet jedes Textelement einzeln
+    /**
+     * Ersetzt die Auswahl durch die angegebenen Elemente
+     * Das zuletzt angegebene Element wird zum primären Element (selectedText)
+     * @param {Object[]} elements - Die neu ausgewählten Elemente
+     */
+    setSelection(elements) {
+        const next = new Set(elements);
+        this.selectedElements.forEach(element => {
+            if (!next.has(element)) this.animateTextDeselection(element);
         });
-        
-        this.context.restore();                                                            // Stellt den ursprünglichen Canvas-Zustand wieder her
+        elements.forEach(element => {
+            if (!this.selectedElements.has(element)) this.animateTextSelection(element);
+        });
+        this.selectedElements = next;
+        this.selectedText = elements.length > 0 ? elements[elements.length - 1] : null;
     }
 
-    updateCanvasSize() {
-        this.canvas.width = window.innerWidth;                                             // Setzt Canvas-Breite auf Fensterbreite
-        this.canvas.height = window.innerHeight;                                           // Setzt Canvas-Höhe auf Fensterhöhe
+    /**
+     * Hebt die gesamte Auswahl auf
+     */
+    clearSelection() {
+        this.setSelection([]);
     }
 
-    setupGUI() {
-        const tools = ['pan', 'text'];                                                     // Definiert verfügbare Werkzeuge
-        tools.forEach(tool => {                                                            // Iteriert über alle Werkzeuge
-            document.getElementById(`${tool}Tool`).addEventListener('click', () => {        // Fügt Klick-Event-Listener hinzu
-                this.setTool(tool);                                                        // Aktiviert das gewählte Werkzeug
-                
-                // Zeige Text-Modal nur wenn Text-Tool geklickt wird
-                if (tool === 'text') {
-                    const textModal = document.getElementById('textModal');
-                    textModal.style.display = 'flex';
-                    document.getElementById('textInput').focus();
-                }
+    /**
+     * Fügt ein Element samt Gruppe zur Auswahl hinzu oder entfernt es (Umschalt-Klick)
+     * @param {Object} element - Das Element
+     */
+    toggleElementSelection(element) {
+        const members = this.expandToGroups([element]);
+        if (this.selectedElements.has(element)) {
+            members.forEach(member => {
+                if (!this.selectedElements.delete(member)) return;
+                this.animateTextDeselection(member);
             });
-        });
-    }
-    setTool(tool) {
-        this.currentTool = tool;                                                          // Setzt das aktuelle Werkzeug
-        
-        document.querySelectorAll('.tool-button').forEach(button => {                     // Entfernt 'active' Klasse von allen Werkzeug-Buttons
-            button.classList.remove('active');
-        });
-        document.getElementById(`${tool}Tool`).classList.add('active');                   // Fügt 'active' Klasse zum ausgewählten Werkzeug hinzu
-        
-        if (tool === 'pan') {
-            this.canvas.style.cursor = 'grab';                                            // Setzt Hand-Cursor für Pan-Modus
-            // Füge Bewegungs-Cursor zum gesamten Canvas hinzu
-            this.canvas.addEventListener('mousedown', () => this.canvas.style.cursor = 'grabbing');    // Ändert Cursor beim Drücken
-            this.canvas.addEventListener('mouseup', () => this.canvas.style.cursor = 'grab');          // Setzt Cursor beim Loslassen zurück
-            this.canvas.addEventListener('mouseleave', () => this.canvas.style.cursor = 'grab');       // Setzt Cursor beim Verlassen zurück
+            if (!this.selectedElements.has(this.selectedText)) {
+                const remaining = this.getSelectedElements();
+                this.selectedText = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+            }
         } else {
-            this.canvas.style.cursor = 'text';                                            // Setzt Text-Cursor für Text-Modus
-            // Entferne die Cursor-Events wenn nicht im Pan-Modus
-            this.canvas.removeEventListener('mousedown', () => this.canvas.style.cursor = 'grabbing'); // Entfernt Mausdrck-Event
-            this.canvas.removeEventListener('mouseup', () => this.canvas.style.cursor = 'grab');       // Entfernt Mausloslassen-Event
-            this.canvas.removeEventListener('mouseleave', () => this.canvas.style.cursor = 'grab');    // Entfernt Mausverlassen-Event
+            members.forEach(member => {
+                if (this.selectedElements.has(member)) return;
+                this.selectedElements.add(member);
+                this.animateTextSelection(member);
+            });
+            this.selectedText = element;
         }
     }
 
-    setupTextModal() {
-        const textModal = document.getElementById('textModal');
-        const textInput = document.getElementById('textInput');
-        const confirmBtn = document.getElementById('confirmText');
-        const cancelBtn = document.getElementById('cancelText');
-        
-        const fontSelect = document.getElementById('fontSelect');
-        
-        // Text-Tool Click Handler
-        document.getElementById('textTool').addEventListener('click', () => {
-            textModal.style.display = 'flex';
-            textInput.focus();
-        });
-        
-        // Bestätigen Button
-        confirmBtn.addEventListener('click', () => {
-            const text = textInput.value.trim();
-            if (text) {
-                const centerX = (window.innerWidth / 2 - this.offset.x) / this.scale;
-                const centerY = (window.innerHeight / 2 - this.offset.y) / this.scale;
-                
-                this.textElements.push({
-                    text: text,
-                    x: centerX,
-                    y: centerY,
-                    fontFamily: fontSelect.value // Speichere die ausgewählte Schriftart
-                });
-                this.draw();
-            }
-            textInput.value = '';
-            textModal.style.display = 'none';
-        });
-        
-        // Abbrechen Button
-        cancelBtn.addEventListener('click', () => {
-            textInput.value = '';
-            textModal.style.display = 'none';
-        });
-        
-        // Enter-Taste als Bestätigung
-        textInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                confirmBtn.click();
-            } else if (e.key === 'Escape') {
-                cancelBtn.click();
-            }
+    /**
+     * Wählt alle nicht gesperrten Elemente aus, die das Auswahlrechteck berühren, samt ihren Gruppen
+     * Rahmen nur, wenn sie ganz im Rechteck liegen (sonst träfe jedes Rechteck in einem Rahmen auch ihn)
+     * Mit Umschalt werden sie zur bestehenden Auswahl hinzugefügt
+     */
+    finishMarqueeSelection() {
+        const marquee = this.getMarqueeBounds();
+        const hits = this.expandToGroups(this.queryElements(marquee)             // Index kennt die Zeichenfläche inkl. Schatten
+            .filter(element => !element.locked && (element.type === 'frame'
+                ? this.boundsContain(marquee, element)
+                : this.boundsIntersect(this.getElementBounds(element), marquee))));
+
+        const base = this.isAdditiveSelection ? this.getSelectedElements() : [];
+        this.setSelection([...base, ...hits.filter(element => !base.includes(element))]);
+    }
+
+    /**
+     * Liefert das Auswahlrechteck normalisiert in Weltkoordinaten
+     * @returns {{x: number, y: number, width: number, height: number}} Das Rechteck
+     */
+    getMarqueeBounds() {
+        return {
+            x: Math.min(this.selectionStart.x, this.selectionEnd.x),
+            y: Math.min(this.selectionStart.y, this.selectionEnd.y),
+            width: Math.abs(this.selectionEnd.x - this.selectionStart.x),
+            height: Math.abs(this.selectionEnd.y - this.selectionStart.y)
+        };
+    }
+
+    /**
+     * Prüft, ob sich zwei Rechtecke überschneiden
+     * @param {Object} a - Erstes Rechteck
+     * @param {Object} b - Zweites Rechteck
+     * @returns {boolean} true bei Überschneidung
+     */
+    boundsIntersect(a, b) {
+        return a.x <= b.x + b.width && a.x + a.width >= b.x &&
+               a.y <= b.y + b.height && a.y + a.height >= b.y;
+    }
+
+    /**
+     * Prüft, ob ein Rechteck ein anderes vollständig enthält
+     * @param {Object} outer - Äußeres Rechteck
+     * @param {Object} inner - Inneres Rechteck
+     * @returns {boolean} true, wenn inner ganz in outer liegt
+     */
+    boundsContain(outer, inner) {
+        return inner.x >= outer.x && inner.x + inner.width <= outer.x + outer.width &&
+               inner.y >= outer.y && inner.y + inner.height <= outer.y + outer.height;
+    }
+
+    /**
+     * Berechnet die gemeinsame Begrenzung der ausgewählten Elemente
+     * @returns {Object|null} Die Bounding Box oder null ohne Auswahl
+     */
+    getSelectionBounds() {
+        return this.getElementsBounds(this.getSelectedElements());
+    }
+
+    /**
+     * Berechnet die gemeinsame Begrenzung mehrerer Elemente
+     * @param {Object[]} elements - Die Elemente
+     * @returns {Object|null} Die Bounding Box oder null ohne Elemente
+     */
+    getElementsBounds(elements) {
+        if (elements.length === 0) return null;
+
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        elements.forEach(element => {
+            const bounds = this.getElementBounds(element);
+            left = Math.min(left, bounds.x);
+            top = Math.min(top, bounds.y);
+            right = Math.max(right, bounds.x + bounds.width);
+            bottom = Math.max(bottom, bounds.y + bounds.height);
         });
+        return { x: left, y: top, width: right - left, height: bottom - top };
     }
 
     /**
-     * Verwaltet die Text-Eingabe und -Platzierung
-     * Konvertiert Bildschirm- in Canvas-Koordinaten
+     * Berechnet die Ziehpunkte der Auswahl (mit Abstand zur Tinte)
      * 
-     * Funktionsweise:
-     * 1. Zeigt Eingabefeld an Mausposition
-     * 2. Konvertiert Position unter Berücksichtigung von Zoom/Offset
-     * 3. Validiert Position innerhalb der Grenzen
-     * 4. Fügt Text zum Canvas hinzu
+     * - Einzelelement: Ecken des (gedrehten) Elementrahmens plus Dreh-Ziehpunkt (Rahmen drehen sich nicht)
+     * - Mehrfachauswahl: Ecken des achsenparallelen Gruppenrahmens
      * 
-     * @param {string} text - Der einzufügende Text
-     * @param {number} x - X-Koordinate auf dem Bildschirm
-     * @param {number} y - Y-Koordinate auf dem Bildschirm
+     * Eck-Ziehpunkte tragen die gegenüberliegende Ecke als festen Anker.
+     * @returns {Object[]|null} Die Ziehpunkte in Weltkoordinaten oder null ohne Auswahl
      */
-    addTextElement(text, x, y) {
-        if (!text.trim()) return;                                                         // Prüft ob Text leer ist und bricht ggf. ab
-        
-        // Konvertiere Bildschirmkoordinaten in virtuelle Koordinaten
-        const scaledX = (x - this.offset.x) / this.scale;                                // Berechnet skalierte X-Position im virtuellen Raum
-        const scaledY = (y - this.offset.y) / this.scale;                                // Berechnet skalierte Y-Position im virtuellen Raum
-        
-        // Prüfe ob innerhalb der virtuellen Grenzen
-        if (scaledX >= this.boundaries.left &&                                           // Prüft ob X-Position links im erlaubten Bereich
-            scaledX <= this.boundaries.right &&                                          // Prüft ob X-Position rechts im erlaubten Bereich
-            scaledY >= this.boundaries.top &&                                            // Prüft ob Y-Position oben im erlaubten Bereich
-            scaledY <= this.boundaries.bottom) {                                         // Prüft ob Y-Position unten im erlaubten Bereich
-            
-            this.textElements.push({                                                     // Fügt neues Textelement zum Array hinzu
-                text: text.trim(),                                                       // Speichert bereinigten Text
-                x: scaledX,                                                              // Speichert X-Position
-                y: scaledY                                                               // Speichert Y-Position
+    getSelectionHandles() {
+        const elements = this.getSelectedElements();
+        if (elements.length === 0 || elements.some(element => element.locked)) return null;   // Gesperrtes wird nicht skaliert oder gedreht
+
+        const padding = 8 / this.scale;
+        const single = elements.length === 1 ? elements[0] : null;
+        const bounds = single ? this.getElementLocalBounds(single) : this.getSelectionBounds();
+        const left = bounds.x - padding;
+        const top = bounds.y - padding;
+        const right = bounds.x + bounds.width + padding;
+        const bottom = bounds.y + bounds.height + padding;
+
+        // Einzelelemente sind um ihren Ursprung gedreht, Gruppenrahmen nicht
+        const toWorld = point => single
+            ? this.rotatePoint(point, single, single.rotation || 0)
+            : point;
+
+        const corners = [
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: left, y: bottom },
+            { x: right, y: bottom }
+        ].map(toWorld);
+
+        // Anker sind die Ecken der Tinte selbst, damit diese beim Skalieren exakt stehen bleiben
+        const anchors = [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y },
+            { x: bounds.x, y: bounds.y + bounds.height },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+        ].map(toWorld);
+        const handles = corners.map((corner, index) => ({
+            ...corner,
+            type: 'resize',
+            anchor: anchors[3 - index]                                          // Diagonal gegenüberliegende Ecke
+        }));
+
+        if (single && single.type !== 'frame') {
+            const knob = toWorld({ x: (left + right) / 2, y: top - this.rotationHandleOffset / this.scale });
+            handles.push({
+                ...knob,
+                type: 'rotate',
+                center: toWorld({ x: (left + right) / 2, y: (top + bottom) / 2 })
             });
-            
-            this.draw();                                                                 // Aktualisiert die Canvas-Anzeige
         }
+        return handles;
     }
-    drawGrid() {                                                                         // Zeichnet das Punktraster
-        if (!this.isGridVisible) return;                                                // Beendet Funktion wenn Raster nicht sichtbar
-        
-        const context = this.context;                                                   // Holt den Canvas-Zeichenkontext
-        const dotRadius = 0.8 / this.scale;                                            // Berechnet skalierten Punktradius
-        
-        context.fillStyle = 'var(--dot-color)';                                        // Setzt Punktfarbe aus CSS-Variable
 
-        // Berechne sichtbaren Bereich basierend auf aktuellem Viewport
-        const viewportLeft = -this.offset.x / this.scale;
-        const viewportTop = -this.offset.y / this.scale;
-        const viewportRight = (this.canvas.width - this.offset.x) / this.scale;
-        const viewportBottom = (this.canvas.height - this.offset.y) / this.scale;
+    /**
+     * Sucht einen Ziehpunkt des Gruppenrahmens an einer Position
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     * @returns {Object|null} Der getroffene Ziehpunkt
+     */
+    findSelectionHandle(x, y) {
+        const handles = this.getSelectionHandles();
+        if (!handles) return null;
 
-        // Füge Puffer hinzu fr flüssiges Scrollen
-        const buffer = this.gridSize * 2;
-        const startX = Math.floor((viewportLeft - buffer) / this.gridSize) * this.gridSize;
-        const startY = Math.floor((viewportTop - buffer) / this.gridSize) * this.gridSize;
-        const endX = Math.ceil((viewportRight + buffer) / this.gridSize) * this.gridSize;
-        const endY = Math.ceil((viewportBottom + buffer) / this.gridSize) * this.gridSize;
+        const radius = this.handleHitRadius / this.scale;
+        return handles.find(handle => Math.hypot(handle.x - x, handle.y - y) <= radius) || null;
+    }
 
-        context.beginPath();
-        for (let x = startX; x <= endX; x += this.gridSize) {
-            for (let y = startY; y <= endY; y += this.gridSize) {
-                context.moveTo(x, y);
-                context.arc(x, y, dotRadius, 0, Math.PI * 2);
-            }
+    /**
+     * Beginnt das Skalieren der Auswahl an einem Ziehpunkt
+     * Die gegenüberliegende Ecke bleibt dabei fest stehen
+     * @param {Object} handle - Der gegriffene Ziehpunkt
+     */
+    startSelectionResize(handle) {
+        const elements = this.getSelectedElements();
+        this.isDraggingFont = true;
+        this.fontDragStart = { x: handle.x, y: handle.y };
+        this.currentFontSize = this.selectedText.fontSize || this.initialFontSize;
+        this.resizeState = {
+            handle,
+            anchor: handle.anchor,
+            origins: elements.map(element => {
+                if (this.isTextElement(element)) {
+                    return { element, x: element.x, y: element.y, fontSize: element.fontSize || this.initialFontSize };
+                }
+                if (element.type === 'image' || element.type === 'shape' || element.type === 'frame') {
+                    return { element, x: element.x, y: element.y, width: element.width, height: element.height };
+                }
+                if (element.type === 'line') {
+                    return { element, x: element.x, y: element.y, points: element.points };
+                }
+                return { element, x: element.x, y: element.y, width: element.width, points: element.points };
+            })
+        };
+        this.canvas.style.cursor = 'nwse-resize';
+        this.beginGesture(elements);
+    }
+
+    /**
+     * Skaliert die Auswahl proportional um den festen Anker
+     * Der Faktor ist die Projektion der Maus auf die Diagonale Anker → Ziehpunkt
+     * @param {number} mouseX - X-Koordinate (Welt)
+     * @param {number} mouseY - Y-Koordinate (Welt)
+     */
+    updateSelectionResize(mouseX, mouseY) {
+        const { anchor, origins } = this.resizeState;
+        const diagonalX = this.fontDragStart.x - anchor.x;
+        const diagonalY = this.fontDragStart.y - anchor.y;
+        const length = diagonalX * diagonalX + diagonalY * diagonalY;
+        if (length === 0) return;
+
+        // Nicht durch den Anker hindurch spiegeln
+        let factor = Math.max(0.05, ((mouseX - anchor.x) * diagonalX + (mouseY - anchor.y) * diagonalY) / length);
+
+        // Faktor so begrenzen, dass alle Schriftgrößen im erlaubten Bereich bleiben
+        const fontSizes = origins.filter(origin => origin.fontSize !== undefined).map(origin => origin.fontSize);
+        if (fontSizes.length > 0) {
+            const smallest = Math.min(...fontSizes);
+            const largest = Math.max(...fontSizes);
+            factor = Math.max(this.minFontSize / smallest, Math.min(this.maxFontSize / largest, factor));
         }
-        context.fill();
+
+        origins.forEach(origin => {
+            origin.element.x = anchor.x + (origin.x - anchor.x) * factor;
+            origin.element.y = anchor.y + (origin.y - anchor.y) * factor;
+            if (origin.points) {
+                // Striche: Punkte relativ zum Ursprung und Strichbreite mitskalieren (Linien behalten ihre Breite)
+                origin.element.points = origin.points.map(point => ({ ...point, x: point.x * factor, y: point.y * factor }));
+                if (origin.width !== undefined) origin.element.width = origin.width * factor;
+            } else if (origin.height !== undefined) {
+                // Bilder, Formen und Rahmen (ohne ihren Inhalt): Seitenverhältnis bleibt erhalten
+                origin.element.width = origin.width * factor;
+                origin.element.height = origin.height * factor;
+            } else {
+                origin.element.fontSize = origin.fontSize * factor;
+            }
+        });
     }
-    drawVectorText(element) {
-        const context = this.context;
-        const fontSize = element.fontSize || this.initialFontSize;
-        const scale = element.scale || 1;
-        const opacity = element.opacity !== undefined ? element.opacity : 1;
-        
-        context.save();
-        
-        // Skalierung für Animation
-        const centerX = element.x + context.measureText(element.text).width / 2;
-        const centerY = element.y;
-        context.translate(centerX, centerY);
-        context.scale(scale, scale);
-        context.translate(-centerX, -centerY);
-        
-        // Verwende die gespeicherte Schriftart oder Standard
-        const fontFamily = element.fontFamily || 'IranSans';
-        context.font = `${fontSize / this.scale}px '${fontFamily}', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
-        
-        // Verbesserte Hervorhebung für ausgewählten Text
-        if (element === this.selectedText) {
-            const metrics = context.measureText(element.text);
-            const padding = 8 / this.scale;
-            const radius = 4 / this.scale;
-            
-            // Schatten für 3D-Effekt
-            context.shadowColor = 'rgba(0, 0, 0, 0.1)';
-            context.shadowBlur = 5 / this.scale;
-            context.shadowOffsetY = 2 / this.scale;
-            
-            // Hintergrund mit abgerundeten Ecken
-            context.fillStyle = 'rgba(0, 122, 255, 0.1)';
-            this.roundRect(
-                element.x - padding,
-                element.y - metrics.actualBoundingBoxAscent - padding,
-                metrics.width + padding * 2,
-                metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent + padding * 2,
-                radius
-            );
+
+    /**
+     * Beginnt das Drehen des ausgewählten Elements um die Mitte seines Rahmens
+     * @param {Object} handle - Der Dreh-Ziehpunkt
+     * @param {number} mouseX - X-Koordinate (Welt)
+     * @param {number} mouseY - Y-Koordinate (Welt)
+     */
+    startRotation(handle, mouseX, mouseY) {
+        const elements = this.getSelectedElements();
+        this.isRotating = true;
+        this.rotateState = {
+            center: handle.center,
+            startAngle: Math.atan2(mouseY - handle.center.y, mouseX - handle.center.x),
+            origins: elements.map(element => ({
+                element,
+                x: element.x,
+                y: element.y,
+                rotation: element.rotation || 0
+            }))
+        };
+        this.canvas.style.cursor = 'grabbing';
+        this.beginGesture(elements);
+    }
+
+    /**
+     * Dreht die Elemente um das Zentrum; der Ursprung wandert mit, damit die Mitte stehen bleibt
+     * @param {number} mouseX - X-Koordinate (Welt)
+     * @param {number} mouseY - Y-Koordinate (Welt)
+     * @param {boolean} snap - In festen Winkelschritten einrasten (Umschalt)
+     */
+    updateRotation(mouseX, mouseY, snap) {
+        const { center, startAngle, origins } = this.rotateState;
+        const angle = Math.atan2(mouseY - center.y, mouseX - center.x);
+        let delta = angle - startAngle;
+
+        origins.forEach(origin => {
+            let rotation = origin.rotation + delta;
+            if (snap) {
+                // Auf absolute Winkel einrasten, nicht auf die Änderung
+                rotation = Math.round(rotation / this.rotationSnap) * this.rotationSnap;
+                delta = rotation - origin.rotation;
+            }
+            const position = this.rotatePoint(origin, center, delta);
+            origin.element.x = position.x;
+            origin.element.y = position.y;
+            origin.element.rotation = this.normalizeAngle(rotation);
+        });
+    }
+
+    /**
+     * Dreht einen Punkt um ein Zentrum
+     * @param {{x: number, y: number}} point - Der Punkt
+     * @param {{x: number, y: number}} center - Das Drehzentrum
+     * @param {number} angle - Winkel im Bogenmaß (im Uhrzeigersinn, da die y-Achse nach unten zeigt)
+     * @returns {{x: number, y: number}} Der gedrehte Punkt
+     */
+    rotatePoint(point, center, angle) {
+        if (!angle) return { x: point.x, y: point.y };
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        return {
+            x: center.x + dx * cos - dy * sin,
+            y: center.y + dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Bringt einen Winkel in den Bereich (-π, π]
+     * @param {number} angle - Winkel im Bogenmaß
+     * @returns {number} Der normalisierte Winkel
+     */
+    normalizeAngle(angle) {
+        const fullTurn = Math.PI * 2;
+        let normalized = angle % fullTurn;
+        if (normalized > Math.PI) normalized -= fullTurn;
+        if (normalized <= -Math.PI) normalized += fullTurn;
+        return Math.abs(normalized) < 1e-9 ? 0 : normalized;
+    }
+
+    /**
+     * Zeichnet den Rahmen um eine Mehrfachauswahl mit Ziehpunkten
+     */
+    drawSelectionFrame() {
+        if (this.selectedElements.size < 2) return;                             // Einzelelemente zeichnen ihren Rahmen selbst
+        const handles = this.getSelectionHandles();
+        if (!handles) return;
+
+        const context = this.context;
+        const [topLeft, , , bottomRight] = handles;
+        context.save();
+        context.strokeStyle = this.theme.selection;
+        context.lineWidth = 1 / this.scale;
+        context.setLineDash([4 / this.scale, 4 / this.scale]);
+        context.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        context.setLineDash([]);
+
+        // Name der Gruppe über dem Rahmen, unabhängig vom Zoom gleich groß
+        const group = this.getSelectedGroup();
+        if (group && group.name) {
+            context.fillStyle = this.theme.selection;
+            context.font = `${11 / this.scale}px -apple-system, BlinkMacSystemFont, sans-serif`;
+            context.textBaseline = 'bottom';
+            context.fillText(group.name, topLeft.x, topLeft.y - 14 / this.scale);
+        }
+
+        const handleSize = 6 / this.scale;
+        context.fillStyle = this.theme.handleFill;
+        handles.forEach(handle => {
+            context.beginPath();
+            context.arc(handle.x, handle.y, handleSize, 0, Math.PI * 2);
             context.fill();
-            
-            // Rahmen
-            context.shadowColor = 'transparent';
-            context.strokeStyle = 'rgba(0, 122, 255, 0.8)';
-            context.lineWidth = 1.5 / this.scale;
             context.stroke();
-            
-            // Ziehpunkte an den Ecken
-            this.drawDragHandles(element, metrics, padding);
-            
-            // Ausgewählter Text leicht verblasst (aktiver Zustand)
-            context.fillStyle = `rgba(0, 0, 0, ${opacity * 0.6})`;
+        });
+        context.restore();
+    }
+
+    /**
+     * Zeichnet Auswahl und Cursor der anderen Teilnehmer in ihrer Farbe
+     * Beschriftungen und Strichstärken bleiben unabhängig vom Zoom gleich groß
+     */
+    drawRemotePresence() {
+        const context = this.context;
+        const pixel = 1 / this.scale;
+
+        this.sync.peers.forEach(peer => {
+            context.save();
+            context.strokeStyle = peer.color;
+            context.fillStyle = peer.color;
+            context.lineWidth = 2 * pixel;
+
+            // Auswahlrahmen im gedrehten System des jeweiligen Elements
+            peer.selection.forEach(id => {
+                const element = this.sync.objects.get(id);
+                if (!element || !this.textElements.includes(element)) return;
+                const bounds = this.getElementLocalBounds(element);
+                const padding = 6 * pixel;
+                context.save();
+                if (element.rotation) {
+                    context.translate(element.x, element.y);
+                    context.rotate(element.rotation);
+                    context.translate(-element.x, -element.y);
+                }
+                context.strokeRect(bounds.x - padding, bounds.y - padding, bounds.width + padding * 2, bounds.height + padding * 2);
+                context.restore();
+            });
+
+            if (peer.cursor) {
+                const { x, y } = peer.cursor;
+
+                // Pfeilspitze
+                context.beginPath();
+                context.moveTo(x, y);
+                context.lineTo(x, y + 16 * pixel);
+                context.lineTo(x + 4.5 * pixel, y + 12 * pixel);
+                context.lineTo(x + 11 * pixel, y + 11 * pixel);
+                context.closePath();
+                context.fill();
+
+                // Namensschild
+                context.font = `${12 * pixel}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+                context.textAlign = 'left';
+                context.direction = 'ltr';
+                const label = peer.name || '';
+                const width = context.measureText(label).width + 8 * pixel;
+                context.fillRect(x + 10 * pixel, y + 16 * pixel, width, 18 * pixel);
+                context.fillStyle = '#fff';
+                context.fillText(label, x + 14 * pixel, y + 29 * pixel);
+            }
+            context.restore();
+        });
+    }
+
+    /**
+     * Zeichnet das Auswahlrechteck während des Aufziehens
+     */
+    drawMarquee() {
+        const context = this.context;
+        const marquee = this.getMarqueeBounds();
+        context.save();
+        context.fillStyle = this.theme.selectionFill;
+        context.strokeStyle = this.theme.selection;
+        context.lineWidth = 1 / this.scale;
+        context.fillRect(marquee.x, marquee.y, marquee.width, marquee.height);
+        context.strokeRect(marquee.x, marquee.y, marquee.width, marquee.height);
+        context.restore();
+    }
+
+    /**
+     * Sammelt zu Beginn einer Ziehgeste alles, woran die gezogenen Elemente einrasten können
+     * 
+     * - bounds: gemeinsame Begrenzung der gezogenen Elemente in Ausgangslage
+     * - baselines: erste Grundlinien ungedrehter Texte
+     * - reference: Ankerpunkt für das Raster (Anfangskante und Grundlinie des primären Elements)
+     * - targets: übrige Elemente in und um den Viewport mit Begrenzung und Grundlinie
+     * 
+     * @param {Object[]} elements - Die gezogenen Elemente
+     * @returns {Object} Der Einrastzustand
+     */
+    createSnapState(elements) {
+        const moving = new Set(elements);
+        const viewport = this.getViewportBounds();
+        const nearby = this.queryElements(this.expandBounds(viewport, Math.max(viewport.width, viewport.height) / 2));
+        const primary = moving.has(this.selectedText) ? this.selectedText : elements[0];
+
+        return {
+            bounds: this.getElementsBounds(elements),
+            baselines: elements.filter(element => this.getSnapBaseline(element) !== null).map(element => element.y),
+            reference: this.getGridReference(primary),
+            targets: nearby
+                .filter(element => !moving.has(element))
+                .map(element => ({ bounds: this.getElementBounds(element), baseline: this.getSnapBaseline(element) }))
+        };
+    }
+
+    /**
+     * Liefert die erste Grundlinie eines Textes (nur ungedreht, sonst ist sie nicht waagerecht)
+     * @param {Object} element - Das Element
+     * @returns {number|null} Die Grundlinie in Weltkoordinaten oder null
+     */
+    getSnapBaseline(element) {
+        return this.isTextElement(element) && !element.rotation ? element.y : null;
+    }
+
+    /**
+     * Liefert den Punkt eines Elements, der am Raster einrastet
+     * Texte: Anfangskante (bei RTL rechts) und erste Grundlinie, sonst die obere linke Ecke
+     * @param {Object} element - Das Element
+     * @returns {{x: number, y: number}} Der Ankerpunkt
+     */
+    getGridReference(element) {
+        if (this.getSnapBaseline(element) !== null) {
+            const layout = this.layoutText(element);
+            const direction = layout.lines.length > 0 ? layout.lines[0].direction : this.resolveTextDirection(element.text, element.direction);
+            return { x: direction === 'rtl' ? element.x + layout.width : element.x, y: element.y };
+        }
+        const bounds = this.getElementBounds(element);
+        return { x: bounds.x, y: bounds.y };
+    }
+
+    /**
+     * Rastet die Verschiebung einer Ziehgeste ein und setzt die Hilfslinien
+     * 
+     * Je Achse gewinnt der nächste Treffer im Fangbereich:
+     * - Kanten und Mitten anderer Elemente (Kante zu Kante, Mitte zu Mitte)
+     * - Grundlinien anderer Texte (nur senkrecht)
+     * - Gleiche Abstände zu den Nachbarn oder wie zwischen den Nachbarn
+     * Ohne Treffer rastet der Ankerpunkt am Raster ein, wenn das eingeschaltet ist.
+     * 
+     * @param {number} dx - Verschiebung in X seit Gestenbeginn (Weltkoordinaten)
+     * @param {number} dy - Verschiebung in Y seit Gestenbeginn (Weltkoordinaten)
+     * @param {boolean} disabled - true, um frei zu verschieben (Alt gedrückt)
+     * @returns {{x: number, y: number}} Die eingerastete Verschiebung
+     */
+    snapDragOffset(dx, dy, disabled) {
+        const state = this.dragSnapState;
+        this.snapGuides = null;
+        if (!state || disabled) return { x: dx, y: dy };
+
+        const threshold = this.snapDistance / this.scale;
+        const box = { ...state.bounds, x: state.bounds.x + dx, y: state.bounds.y + dy };
+        const snapX = this.smartGuides ? this.findSnap('x', box, [], state.targets, threshold) : null;
+        const snapY = this.smartGuides ? this.findSnap('y', box, state.baselines.map(y => y + dy), state.targets, threshold) : null;
+
+        const offset = { x: dx, y: dy };
+        const grid = this.gridSize;
+        if (snapX) {
+            offset.x += snapX.delta;
+        } else if (this.snapToGrid) {
+            const x = state.reference.x + dx;
+            offset.x += Math.round(x / grid) * grid - x;
+        }
+        if (snapY) {
+            offset.y += snapY.delta;
+        } else if (this.snapToGrid) {
+            const y = state.reference.y + dy;
+            offset.y += Math.round(y / grid) * grid - y;
+        }
+
+        const snapped = { ...state.bounds, x: state.bounds.x + offset.x, y: state.bounds.y + offset.y };
+        const guides = [
+            ...(snapX ? this.createSnapGuides('x', snapX.matches, snapped) : []),
+            ...(snapY ? this.createSnapGuides('y', snapY.matches, snapped) : [])
+        ];
+        this.snapGuides = guides.length > 0 ? guides : null;
+        return offset;
+    }
+
+    /**
+     * Sucht auf einer Achse den nächsten Einrastpunkt
+     * @param {string} axis - 'x' (senkrechte Linien) oder 'y' (waagerechte Linien)
+     * @param {Object} box - Begrenzung der gezogenen Elemente an der ungerasteten Position
+     * @param {number[]} baselines - Ihre Grundlinien an dieser Position (nur für 'y')
+     * @param {Object[]} targets - Mögliche Ziele (siehe createSnapState)
+     * @param {number} threshold - Fangbereich in Weltkoordinaten
+     * @returns {{delta: number, matches: Object[]}|null} Korrektur und alle Treffer mit dieser Korrektur
+     */
+    findSnap(axis, box, baselines, targets, threshold) {
+        const { start, size } = this.getAxisKeys(axis);
+        let best = null;
+        const consider = (delta, match) => {
+            if (Math.abs(delta) > threshold) return;
+            if (!best || Math.abs(delta) < Math.abs(best.delta) - 1e-9) {
+                best = { delta, matches: [match] };
+            } else if (Math.abs(delta - best.delta) < 1e-9) {
+                best.matches.push(match);
+            }
+        };
+
+        // Kanten zu Kanten, Mitte zu Mitte
+        const ownEdges = [box[start], box[start] + box[size]];
+        const ownCenter = box[start] + box[size] / 2;
+        targets.forEach(target => {
+            const bounds = target.bounds;
+            [bounds[start], bounds[start] + bounds[size]].forEach(value => {
+                ownEdges.forEach(own => consider(value - own, { type: 'align', value, bounds }));
+            });
+            const center = bounds[start] + bounds[size] / 2;
+            consider(center - ownCenter, { type: 'align', value: center, bounds });
+
+            // Grundlinie zu Grundlinie
+            if (target.baseline !== null) {
+                baselines.forEach(own => consider(target.baseline - own, { type: 'align', value: target.baseline, bounds }));
+            }
+        });
+
+        this.findSpacingSnaps(axis, box, targets).forEach(({ delta, pairs }) => {
+            consider(delta, { type: 'spacing', pairs });
+        });
+        return best;
+    }
+
+    /**
+     * Sucht Positionen mit gleichen Abständen entlang einer Achse
+     * 
+     * - Mittig zwischen dem vorherigen und dem nächsten Nachbarn
+     * - Hinter dem vorherigen Nachbarn mit dessen Abstand zu seinem Vorgänger
+     * - Vor dem nächsten Nachbarn mit dessen Abstand zu seinem Nachfolger
+     * 
+     * Nachbarn überlappen quer zur Achse (z. B. Verszeilen untereinander für 'y').
+     * 
+     * @param {string} axis - 'x' oder 'y'
+     * @param {Object} box - Begrenzung der gezogenen Elemente
+     * @param {Object[]} targets - Mögliche Ziele
+     * @returns {{delta: number, pairs: Array}[]} Korrekturen mit den gleich großen Lücken;
+     *          ein Paar besteht aus zwei Begrenzungen, null steht für die gezogenen Elemente
+     */
+    findSpacingSnaps(axis, box, targets) {
+        const { start, size } = this.getAxisKeys(axis);
+        const end = bounds => bounds[start] + bounds[size];
+        const boxes = targets.map(target => target.bounds);
+
+        // Nächster Nachbar vor bzw. hinter einer Begrenzung, quer zur Achse überlappend
+        const previousOf = reference => boxes
+            .filter(other => other !== reference && this.overlapsAcross(axis, other, reference) && end(other) <= reference[start])
+            .reduce((nearest, other) => (!nearest || end(other) > end(nearest) ? other : nearest), null);
+        const nextOf = reference => boxes
+            .filter(other => other !== reference && this.overlapsAcross(axis, other, reference) && other[start] >= end(reference))
+            .reduce((nearest, other) => (!nearest || other[start] < nearest[start] ? other : nearest), null);
+
+        const snaps = [];
+        const previous = previousOf(box);
+        const next = nextOf(box);
+        if (previous && next) {
+            const gap = (next[start] - end(previous) - box[size]) / 2;
+            if (gap > 0) {
+                snaps.push({ delta: end(previous) + gap - box[start], pairs: [[previous, null], [null, next]] });
+            }
+        }
+        if (previous) {
+            const beforePrevious = previousOf(previous);
+            const gap = beforePrevious ? previous[start] - end(beforePrevious) : 0;
+            if (gap > 0) {
+                snaps.push({ delta: end(previous) + gap - box[start], pairs: [[beforePrevious, previous], [previous, null]] });
+            }
+        }
+        if (next) {
+            const afterNext = nextOf(next);
+            const gap = afterNext ? afterNext[start] - end(next) : 0;
+            if (gap > 0) {
+                snaps.push({ delta: next[start] - gap - end(box), pairs: [[null, next], [next, afterNext]] });
+            }
+        }
+        return snaps;
+    }
+
+    /**
+     * Prüft, ob sich zwei Begrenzungen quer zu einer Achse überlappen
+     * @param {string} axis - 'x' oder 'y'
+     * @param {Object} a - Erste Begrenzung
+     * @param {Object} b - Zweite Begrenzung
+     * @returns {boolean} true bei Überlappung
+     */
+    overlapsAcross(axis, a, b) {
+        const { crossStart, crossSize } = this.getAxisKeys(axis);
+        return a[crossStart] < b[crossStart] + b[crossSize] && b[crossStart] < a[crossStart] + a[crossSize];
+    }
+
+    /**
+     * Liefert die Schlüssel einer Begrenzung entlang und quer zu einer Achse
+     * @param {string} axis - 'x' oder 'y'
+     * @returns {{start: string, size: string, crossStart: string, crossSize: string}} Die Schlüssel
+     */
+    getAxisKeys(axis) {
+        return axis === 'x'
+            ? { start: 'x', size: 'width', crossStart: 'y', crossSize: 'height' }
+            : { start: 'y', size: 'height', crossStart: 'x', crossSize: 'width' };
+    }
+
+    /**
+     * Übersetzt Einrast-Treffer in zeichenbare Hilfslinien an der eingerasteten Position
+     * @param {string} axis - 'x' oder 'y'
+     * @param {Object[]} matches - Die Treffer (siehe findSnap)
+     * @param {Object} box - Begrenzung der gezogenen Elemente nach dem Einrasten
+     * @returns {Object[]} Linien { type: 'line', axis, value, from, to } und
+     *                     Abstandsmarken { type: 'gap', axis, from, to, cross }
+     */
+    createSnapGuides(axis, matches, box) {
+        const { start, size, crossStart, crossSize } = this.getAxisKeys(axis);
+        const guides = [];
+        matches.forEach(match => {
+            if (match.type === 'align') {
+                guides.push({
+                    type: 'line',
+                    axis,
+                    value: match.value,
+                    from: Math.min(box[crossStart], match.bounds[crossStart]),
+                    to: Math.max(box[crossStart] + box[crossSize], match.bounds[crossStart] + match.bounds[crossSize])
+                });
+                return;
+            }
+            match.pairs.forEach(([first, second]) => {
+                const a = first || box;
+                const b = second || box;
+                const overlapStart = Math.max(a[crossStart], b[crossStart]);
+                const overlapEnd = Math.min(a[crossStart] + a[crossSize], b[crossStart] + b[crossSize]);
+                guides.push({
+                    type: 'gap',
+                    axis,
+                    from: a[start] + a[size],
+                    to: b[start],
+                    cross: (overlapStart + overlapEnd) / 2
+                });
+            });
+        });
+        return guides;
+    }
+
+    /**
+     * Zeichnet Hilfslinien und Abstandsmarken der aktuellen Ziehgeste
+     * Strichstärken und Markengrößen bleiben unabhängig vom Zoom gleich
+     */
+    drawSnapGuides() {
+        const context = this.context;
+        const pixel = 1 / this.scale;
+        const tick = 4 * pixel;
+
+        context.save();
+        context.strokeStyle = this.theme.snap;
+        context.lineWidth = pixel;
+        context.beginPath();
+        this.snapGuides.forEach(guide => {
+            // Achse 'x' verschiebt waagerecht, ihre Linien stehen senkrecht
+            const point = (along, across) => (guide.axis === 'x' ? [along, across] : [across, along]);
+            if (guide.type === 'line') {
+                context.moveTo(...point(guide.value, guide.from));
+                context.lineTo(...point(guide.value, guide.to));
+                return;
+            }
+            context.moveTo(...point(guide.from, guide.cross));
+            context.lineTo(...point(guide.to, guide.cross));
+            [guide.from, guide.to].forEach(edge => {
+                context.moveTo(...point(edge, guide.cross - tick));
+                context.lineTo(...point(edge, guide.cross + tick));
+            });
+        });
+        context.stroke();
+        context.restore();
+    }
+
+    /**
+     * Öffnet bei Doppelklick auf einen Text den Editor für dieses Element
+     * @param {MouseEvent} event - Das Doppelklick-Event
+     */
+    handleDoubleClick(event) {
+        const mouseX = (event.clientX - this.offset.x) / this.scale;
+        const mouseY = (event.clientY - this.offset.y) / this.scale;
+        const element = this.findElementAtPosition(mouseX, mouseY);
+        if (element && this.isTextElement(element)) {
+            this.openTextEditor(element);
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Zeigt das Text-Modal mit Inhalt und Schriftart eines bestehenden Elements
+     * @param {Object} element - Das zu bearbeitende Textelement
+     */
+    openTextEditor(element) {
+        const textModal = document.getElementById('textModal');
+        const textInput = document.getElementById('textInput');
+        const fontSelect = document.getElementById('fontSelect');
+
+        const directionSelect = document.getElementById('directionSelect');
+        const alignSelect = document.getElementById('alignSelect');
+
+        this.editingElement = element;
+        textInput.value = element.text;
+        fontSelect.value = element.fontFamily || 'IranSans';
+        this.updateFontStatus();
+        directionSelect.value = element.direction || this.defaultDirection;
+        alignSelect.value = element.align || this.defaultAlign;
+        textInput.dir = directionSelect.value;
+        textModal.style.display = 'flex';
+        textInput.focus();
+        textInput.select();
+    }
+
+    /**
+     * Beginnt einen Freihand-Strich an der Zeigerposition
+     * Die Punkte liegen relativ zum ersten Punkt (x/y), damit Verschieben nur den Ursprung ändert
+     * @param {PointerEvent} event - Das Pointer-Event (Druck und Neigung)
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     */
+    startStroke(event, x, y) {
+        this.clearSelection();
+        this.currentStroke = {
+            id: this.createElementId(),
+            type: 'stroke',
+            x: x,
+            y: y,
+            width: this.penWidth / this.scale,                                  // Weltbreite, erscheint beim Zeichnen in Grundbreite
+            points: [this.createStrokePoint(event, 0, 0)]
+        };
+        this.requestRender();
+    }
+
+    /**
+     * Hängt die Abtastpunkte eines Pointer-Events an den laufenden Strich an
+     * 
+     * - Zusammengefasste Zwischenpunkte (getCoalescedEvents) werden mit übernommen
+     * - Punkte unter dem Mindestabstand werden verworfen
+     * - Position und Druck werden exponentiell geglättet (gegen Zittern und Abtastrauschen)
+     * 
+     * @param {PointerEvent} event - Das Pointer-Event
+     */
+    extendStroke(event) {
+        const stroke = this.currentStroke;
+        const coalesced = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+        const samples = coalesced.length > 0 ? coalesced : [event];
+        const follow = 1 - this.penSmoothing;
+
+        samples.forEach(sample => {
+            const last = stroke.points[stroke.points.length - 1];
+            const x = (sample.clientX - this.offset.x) / this.scale - stroke.x;
+            const y = (sample.clientY - this.offset.y) / this.scale - stroke.y;
+            if (Math.hypot(x - last.x, y - last.y) < this.penMinDistance / this.scale) return;
+
+            const point = this.createStrokePoint(
+                sample,
+                last.x + (x - last.x) * follow,
+                last.y + (y - last.y) * follow
+            );
+            point.pressure = Math.round((last.pressure + (point.pressure - last.pressure) * follow) * 100) / 100;
+            stroke.points.push(point);
+        });
+    }
+
+    /**
+     * Übernimmt den laufenden Strich als Element (ein Undo-Schritt)
+     * Ein einzelner Punkt bleibt als Punkt erhalten (z. B. ein Nuqta)
+     */
+    finishStroke() {
+        const stroke = this.currentStroke;
+        this.currentStroke = null;
+        this.executeCommand(this.createInsertCommand([stroke], 'Strich zeichnen'));
+    }
+
+    /**
+     * Erzeugt einen Strichpunkt mit Druck und, falls vorhanden, Neigung des Stifts
+     * @param {PointerEvent} event - Das Pointer-Event
+     * @param {number} x - X relativ zum Ursprung des Strichs
+     * @param {number} y - Y relativ zum Ursprung des Strichs
+     * @returns {Object} Der Punkt
+     */
+    createStrokePoint(event, x, y) {
+        const round = value => Math.round(value * 100) / 100;
+        // Geräte ohne Druckerkennung melden 0 (oder 0.5 bei gedrückter Maustaste)
+        const pressure = event.pressure > 0 ? event.pressure : this.penDefaultPressure;
+        const point = { x: round(x), y: round(y), pressure: round(pressure) };
+        if (event.tiltX || event.tiltY) {
+            point.tiltX = event.tiltX || 0;
+            point.tiltY = event.tiltY || 0;
+        }
+        return point;
+    }
+
+    /**
+     * Berechnet die Strichbreite an einem Punkt aus Grundbreite, Druck und Neigung
+     * @param {Object} element - Das Strichelement
+     * @param {Object} point - Der Strichpunkt
+     * @returns {number} Die Breite in Weltkoordinaten
+     */
+    getStrokePointWidth(element, point) {
+        const pressure = point.pressure !== undefined ? point.pressure : this.penDefaultPressure;
+        // Schräg gehaltener Stift zeichnet breiter, ähnlich einer angesetzten Feder
+        const tilt = Math.min(1, Math.hypot(point.tiltX || 0, point.tiltY || 0) / 90);
+        return element.width * (0.3 + pressure * 1.4) * (1 + tilt * 0.5);
+    }
+
+    /**
+     * Zerlegt einen Strich in Kreise (je Punkt) und Trapeze (je Segment)
+     * 
+     * Alle Teilformen haben denselben Umlaufsinn, sodass die Nonzero-Füllung
+     * ihre Vereinigung ergibt: ein Strich mit variabler Breite und runden Enden,
+     * ohne doppelt deckende Überlappungen bei Transparenz.
+     * 
+     * @param {Object} element - Das Strichelement
+     * @returns {{circles: Object[], quads: Object[][]}} Teilformen in lokalen Weltkoordinaten
+     */
+    getStrokeShapes(element) {
+        const points = element.points.map(point => ({
+            x: element.x + point.x,
+            y: element.y + point.y,
+            radius: this.getStrokePointWidth(element, point) / 2
+        }));
+
+        const quads = [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+            const normalX = -(b.y - a.y) / length;
+            const normalY = (b.x - a.x) / length;
+            quads.push([
+                { x: a.x - normalX * a.radius, y: a.y - normalY * a.radius },
+                { x: b.x - normalX * b.radius, y: b.y - normalY * b.radius },
+                { x: b.x + normalX * b.radius, y: b.y + normalY * b.radius },
+                { x: a.x + normalX * a.radius, y: a.y + normalY * a.radius }
+            ]);
+        }
+        return { circles: points, quads };
+    }
+
+    /**
+     * Zeichnet ein Strichelement
+     * Auswahlrahmen und Ziehpunkte erscheinen nur auf dem Bildschirm, nicht im Export
+     * @param {Object} element - Das Strichelement
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     */
+    drawStroke(element, context = this.context) {
+        const scale = element.animationScale || 1;
+        const opacity = this.getElementOpacity(element);
+        const bounds = this.getElementLocalBounds(element);
+
+        context.save();
+
+        // Drehung um den Ursprung des Elements
+        if (element.rotation) {
+            context.translate(element.x, element.y);
+            context.rotate(element.rotation);
+            context.translate(-element.x, -element.y);
+        }
+
+        // Skalierung für Animation um die Mitte des Strichs
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        context.translate(centerX, centerY);
+        context.scale(scale, scale);
+        context.translate(-centerX, -centerY);
+
+        if (this.selectedElements.has(element) && context === this.context) {
+            this.drawSelectionHighlight(bounds);
+            context.globalAlpha = opacity * 0.6;
         } else {
-            // Normaler Text mit Opacity
-            context.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+            context.globalAlpha = opacity;
         }
-        
-        // Text zeichnen
-        context.fillText(element.text, element.x, element.y);
-        
+        context.fillStyle = this.getElementStyle(element, 'color');
+
+        // Alle Teilformen in einem Pfad, eine einzige Füllung
+        const { circles, quads } = this.getStrokeShapes(element);
+        context.beginPath();
+        quads.forEach(quad => {
+            context.moveTo(quad[0].x, quad[0].y);
+            quad.slice(1).forEach(corner => context.lineTo(corner.x, corner.y));
+            context.closePath();
+        });
+        circles.forEach(circle => {
+            context.moveTo(circle.x + circle.radius, circle.y);
+            context.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
+        });
+        context.fill();
+
         context.restore();
     }
 
-    preventBrowserZoom() {                                                              // Verhindert Browser-Zoom-Gesten
-        // Verhindere Pinch-Zoom
-        document.addEventListener('touchmove', (e) => {                                 // Überwacht Touch-Bewegungen
-            if (e.touches.length > 1) {                                                // Prüft auf Multi-Touch
-                e.preventDefault();                                                     // Verhindert Standard-Verhalten
-            }
-        }, { passive: false });                                                        // Erlaubt preventDefault()
+    /**
+     * Berechnet die ungedrehte Begrenzung eines Strichs inklusive Strichbreite
+     * @param {Object} element - Das Strichelement
+     * @returns {{x: number, y: number, width: number, height: number}} Die Box
+     */
+    getStrokeLocalBounds(element) {
+        // Ausdehnung relativ zum Ursprung zwischenspeichern (Verschieben ändert nur x/y)
+        const points = element.points;
+        let cached = this.strokeExtentCache.get(element);
+        if (!cached || cached.points !== points || cached.count !== points.length || cached.width !== element.width) {
+            let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+            points.forEach(point => {
+                const radius = this.getStrokePointWidth(element, point) / 2;
+                left = Math.min(left, point.x - radius);
+                top = Math.min(top, point.y - radius);
+                right = Math.max(right, point.x + radius);
+                bottom = Math.max(bottom, point.y + radius);
+            });
+            cached = { points, count: points.length, width: element.width, left, top, right, bottom };
+            this.strokeExtentCache.set(element, cached);
+        }
+        return {
+            x: element.x + cached.left,
+            y: element.y + cached.top,
+            width: cached.right - cached.left,
+            height: cached.bottom - cached.top
+        };
+    }
+
+    /**
+     * Prüft, ob ein Punkt (im ungedrehten System des Strichs) die Tinte trifft
+     * @param {Object} element - Das Strichelement
+     * @param {{x: number, y: number}} local - Der Punkt in lokalen Weltkoordinaten
+     * @returns {boolean} true bei Treffer
+     */
+    hitTestStroke(element, local) {
+        const padding = 6 / this.scale;                                         // Dünne Striche bleiben greifbar
+        const x = local.x - element.x;
+        const y = local.y - element.y;
+        const points = element.points;
+
+        return points.some((point, i) => {
+            const radius = this.getStrokePointWidth(element, point) / 2 + padding;
+            const previous = points[i - 1];
+            if (!previous) return Math.hypot(x - point.x, y - point.y) <= radius;
+
+            // Abstand zum Segment vorheriger Punkt → Punkt
+            const dx = point.x - previous.x;
+            const dy = point.y - previous.y;
+            const length = dx * dx + dy * dy;
+            const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - previous.x) * dx + (y - previous.y) * dy) / length));
+            const previousRadius = this.getStrokePointWidth(element, previous) / 2 + padding;
+            return Math.hypot(x - (previous.x + dx * t), y - (previous.y + dy * t)) <= Math.max(radius, previousRadius);
+        });
+    }
+
+    /**
+     * Startet die Ausgleit-Animation nach dem Loslassen
+     * Implementiert physikbasiertes Ausgleiten mit Reibung
+     * 
+     * Animations-Details:
+     * 1. Wendet Reibung auf aktuelle Geschwindigkeit an
+     * 2. Berechnet neue Position unter Berücksichtigung der Grenzen
+     * 3. Prüft harte Grenzen und stoppt bei Kollision
+     * 4. Animiert weiter bis Geschwindigkeit unter Schwellwert
+     * Bei reduzierter Bewegung (prefers-reduced-motion) entfällt das Ausgleiten
+     * 
+     * Performance:
+     * - Nutzt RequestAnimationFrame für flüssige Animation
+     * - Optimierte Berechnungen pro Frame
+     * - Automatischer Stopp bei geringer Bewegung
+     */
+    startDeceleration() {                                                         // Startet die Ausgleit-Animation
+        let lastTimestamp = null;                                                // Initialisiert Zeitstempel für Animation
+        
+        const animate = (timestamp) => {                                         // Definiert Animations-Callback-Funktion
+            if (!lastTimestamp) lastTimestamp = timestamp;                       // Setzt initialen Zeitstempel beim ersten Aufruf
+            
+            // Sanftere Geschwindigkeitsreduzierung (Reibung pro 60-Hz-Frame, unabhängig von der Bildrate)
+            const frames = (timestamp - lastTimestamp) / 16.67;
+            lastTimestamp = timestamp;
+            this.velocity.x *= Math.pow(this.dragLimits.friction, frames);
+            this.velocity.y *= Math.pow(this.dragLimits.friction, frames);
+            
+            // Aktualisiere Position ohne Grenzen
+            this.offset.x += this.velocity.x;
+            this.offset.y += this.velocity.y;
+            
+            this.requestRender();                                               // Zeichnet im nächsten Frame neu
+            
+            // Längeres Ausgleiten für flüssigere Bewegung
+            if (Math.abs(this.velocity.x) > 0.01 || Math.abs(this.velocity.y) > 0.01) {
+                this.animationFrame = requestAnimationFrame(animate);
+            } else {
+                this.scheduleAutosave();                                        // Endposition speichern
+            }
+        };
+        
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+        if (this.prefersReducedMotion()) {                                      // Kein Ausgleiten, die Ansicht bleibt beim Loslassen stehen
+            this.animationFrame = null;
+            this.velocity = { x: 0, y: 0 };
+            this.scheduleAutosave();
+            return;
+        }
+        this.animationFrame = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Zeichnet ein Bildelement; x/y ist die obere linke Ecke und zugleich der Drehpunkt
+     * Solange das Bild noch dekodiert wird, steht ein Platzhalter an seiner Stelle
+     * @param {Object} element - Das Bildelement
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     */
+    drawImageElement(element, context = this.context) {
+        const scale = element.animationScale || 1;
+        const opacity = this.getElementOpacity(element);
+        const bounds = this.getElementLocalBounds(element);
+
+        context.save();
+
+        if (element.rotation) {
+            context.translate(element.x, element.y);
+            context.rotate(element.rotation);
+            context.translate(-element.x, -element.y);
+        }
+
+        // Skalierung für Animation um die Bildmitte
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        context.translate(centerX, centerY);
+        context.scale(scale, scale);
+        context.translate(-centerX, -centerY);
+
+        if (this.selectedElements.has(element) && context === this.context) {
+            this.drawSelectionHighlight(bounds);
+        }
+        context.globalAlpha = opacity;
+
+        const image = this.getElementImage(element);
+        if (image) {
+            context.drawImage(image, bounds.x, bounds.y, bounds.width, bounds.height);
+        } else {
+            context.fillStyle = this.theme.placeholder;
+            context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Liefert das dekodierte Bild eines Bildelements und beginnt sonst mit dem Laden
+     * @param {Object} element - Das Bildelement
+     * @returns {HTMLImageElement|ImageBitmap|null} Das Bild oder null, solange es lädt oder fehlt
+     */
+    getElementImage(element) {
+        return this.imageStore ? this.imageStore.getImage(element.imageId) : null;
+    }
+
+    /**
+     * Sammelt die Bild-IDs der Elemente
+     * @param {Object[]} elements - Die Elemente
+     * @returns {string[]} Die IDs (ohne Doppelte)
+     */
+    getImageIds(elements) {
+        return Array.from(new Set(elements
+            .filter(element => element.type === 'image')
+            .map(element => element.imageId)));
+    }
+
+    /**
+     * Sammelt die Bild-IDs, die das Board und sein Verlauf noch brauchen
+     * Gelöschte Bilder bleiben erhalten, solange ein Undo- oder Redo-Schritt sie zurückbringen kann
+     * @returns {string[]} Die IDs (ohne Doppelte)
+     */
+    getReferencedImageIds() {
+        const commands = this.undoStack.concat(this.redoStack);
+        return this.getImageIds(this.textElements.concat(...commands.map(command => command.elements)));
+    }
+
+    /**
+     * Beginnt eine Form an der Zeigerposition (Rechteck, Ellipse, Linie, Pfeil oder Rahmen)
+     * Rechteck, Ellipse und Rahmen haben x/y als obere linke Ecke, Linien zwei Punkte relativ zu x/y
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     */
+    startShape(x, y) {
+        this.clearSelection();
+        const tool = this.currentTool;
+        const base = {
+            id: this.createElementId(),
+            x,
+            y,
+            strokeWidth: this.shapeStrokeWidth / this.scale                     // Weltbreite, erscheint beim Zeichnen in Grundbreite
+        };
+        this.shapeStart = { x, y };
+
+        if (tool === 'line' || tool === 'arrow') {
+            this.currentShape = { ...base, type: 'line', points: [{ x: 0, y: 0 }, { x: 0, y: 0 }] };
+            if (tool === 'arrow') this.currentShape.arrow = true;
+            const target = this.findConnectorTarget(x, y);
+            if (target) this.currentShape.startId = target.id;
+        } else if (tool === 'frame') {
+            const { unit } = this.framePresets[this.defaultFramePreset];
+            this.currentShape = {
+                id: base.id, x, y, type: 'frame', width: 0, height: 0,
+                name: `Rahmen ${this.getFrames().length + 1}`, unit, dpi: this.frameDpi[unit]
+            };
+        } else {
+            this.currentShape = { ...base, type: 'shape', shape: tool, width: 0, height: 0 };
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Zieht die laufende Form bis zur Zeigerposition auf
+     * Eine Linie haftet an dem Element, über dem sie endet
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     * @param {boolean} constrain - Quadrat/Kreis bzw. Winkel in 15°-Schritten
+     */
+    updateShape(x, y, constrain) {
+        const shape = this.currentShape;
+        const start = this.shapeStart;
+        let dx = x - start.x;
+        let dy = y - start.y;
+
+        if (shape.type === 'shape' || shape.type === 'frame') {
+            if (constrain) {
+                const size = Math.max(Math.abs(dx), Math.abs(dy));
+                dx = Math.sign(dx || 1) * size;
+                dy = Math.sign(dy || 1) * size;
+            }
+            shape.x = Math.min(start.x, start.x + dx);
+            shape.y = Math.min(start.y, start.y + dy);
+            shape.width = Math.abs(dx);
+            shape.height = Math.abs(dy);
+            return;
+        }
+
+        if (constrain) {
+            const angle = Math.round(Math.atan2(dy, dx) / this.lineAngleSnap) * this.lineAngleSnap;
+            const length = Math.hypot(dx, dy);
+            dx = Math.cos(angle) * length;
+            dy = Math.sin(angle) * length;
+        }
+        const target = this.findConnectorTarget(start.x + dx, start.y + dy);
+        if (target && target.id !== shape.startId) {
+            shape.endId = target.id;
+        } else {
+            delete shape.endId;
+        }
+        this.setLineEndpoints(shape, start, { x: start.x + dx, y: start.y + dy });
+        this.updateConnectors([shape]);
+    }
+
+    /**
+     * Übernimmt die laufende Form als Element (ein Undo-Schritt)
+     * Zu kleine Formen (Klick ohne Ziehen) werden verworfen; ein Rahmen erhält dann
+     * das Standardformat mit der Mitte am Klickpunkt
+     */
+    finishShape() {
+        const shape = this.currentShape;
+        const start = this.shapeStart;
+        this.currentShape = null;
+        this.shapeStart = null;
+
+        const size = shape.type === 'line'
+            ? Math.hypot(shape.points[1].x, shape.points[1].y)
+            : Math.max(shape.width, shape.height);
+        if (size < this.minShapeSize / this.scale) {
+            if (shape.type !== 'frame') {
+                this.requestRender();
+                return;
+            }
+            const preset = this.getFramePresetSize(this.defaultFramePreset);
+            Object.assign(shape, { ...preset, x: start.x - preset.width / 2, y: start.y - preset.height / 2 });
+        }
+        if (shape.type === 'frame') {
+            this.insertElements([shape], 'Rahmen anlegen');
+            return;
+        }
+        const labels = {
+            rectangle: 'Rechteck zeichnen',
+            ellipse: 'Ellipse zeichnen'
+        };
+        const label = shape.type === 'line' ? (shape.arrow ? 'Pfeil zeichnen' : 'Linie zeichnen') : labels[shape.shape];
+        this.executeCommand(this.createInsertCommand([shape], label));
+    }
+
+    /**
+     * Zeichnet eine Form oder Linie als Umriss in der Elementfarbe
+     * Auswahlrahmen und Ziehpunkte erscheinen nur auf dem Bildschirm, nicht im Export
+     * @param {Object} element - Das Form- oder Linienelement
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     */
+    drawShape(element, context = this.context) {
+        const scale = element.animationScale || 1;
+        const opacity = this.getElementOpacity(element);
+        const bounds = this.getElementLocalBounds(element);
+
+        context.save();
+
+        if (element.rotation) {
+            context.translate(element.x, element.y);
+            context.rotate(element.rotation);
+            context.translate(-element.x, -element.y);
+        }
+
+        // Skalierung für Animation um die Mitte der Form
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        context.translate(centerX, centerY);
+        context.scale(scale, scale);
+        context.translate(-centerX, -centerY);
+
+        if (this.selectedElements.has(element) && context === this.context) {
+            this.drawSelectionHighlight(bounds);
+        }
+        context.globalAlpha = opacity;
+        context.strokeStyle = this.getElementStyle(element, 'color');
+        context.fillStyle = context.strokeStyle;
+        context.lineWidth = element.strokeWidth;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+
+        context.beginPath();
+        if (element.type === 'line') {
+            const [start, end] = element.points;
+            const head = element.arrow ? this.getArrowHead(element) : null;
+            context.moveTo(element.x + start.x, element.y + start.y);
+            context.lineTo(head ? head.base.x : element.x + end.x, head ? head.base.y : element.y + end.y);
+            context.stroke();
+            if (head) {
+                context.beginPath();
+                head.corners.forEach((corner, i) => i === 0 ? context.moveTo(corner.x, corner.y) : context.lineTo(corner.x, corner.y));
+                context.closePath();
+                context.fill();
+            }
+        } else if (element.shape === 'ellipse') {
+            context.ellipse(element.x + element.width / 2, element.y + element.height / 2,
+                element.width / 2, element.height / 2, 0, 0, Math.PI * 2);
+            context.stroke();
+        } else {
+            context.strokeRect(element.x, element.y, element.width, element.height);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Berechnet die Pfeilspitze am Ende einer Linie
+     * @param {Object} element - Das Linienelement
+     * @returns {{base: Object, corners: Object[]}|null} Fußpunkt der Spitze und ihre Ecken (Welt) oder null bei Länge 0
+     */
+    getArrowHead(element) {
+        const [start, end] = element.points;
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return null;
+
+        const size = Math.min(length, Math.max(this.minArrowHead, element.strokeWidth * this.arrowHeadRatio));
+        const ux = dx / length;
+        const uy = dy / length;
+        const tip = { x: element.x + end.x, y: element.y + end.y };
+        const base = { x: tip.x - ux * size, y: tip.y - uy * size };
+        const half = size * 0.5;
+        return {
+            base,
+            corners: [
+                tip,
+                { x: base.x - uy * half, y: base.y + ux * half },
+                { x: base.x + uy * half, y: base.y - ux * half }
+            ]
+        };
+    }
+
+    /**
+     * Berechnet die ungedrehte Begrenzung einer Form oder Linie inklusive Linienbreite und Pfeilspitze
+     * @param {Object} element - Das Form- oder Linienelement
+     * @returns {{x: number, y: number, width: number, height: number}} Die Box
+     */
+    getShapeLocalBounds(element) {
+        if (element.type === 'shape') {
+            return this.expandBounds(
+                { x: element.x, y: element.y, width: element.width, height: element.height },
+                element.strokeWidth / 2
+            );
+        }
+        const [start, end] = element.points;
+        const margin = element.arrow
+            ? Math.max(element.strokeWidth / 2, Math.max(this.minArrowHead, element.strokeWidth * this.arrowHeadRatio) / 2)
+            : element.strokeWidth / 2;
+        const left = Math.min(start.x, end.x) - margin;
+        const top = Math.min(start.y, end.y) - margin;
+        return {
+            x: element.x + left,
+            y: element.y + top,
+            width: Math.abs(end.x - start.x) + margin * 2,
+            height: Math.abs(end.y - start.y) + margin * 2
+        };
+    }
+
+    /**
+     * Prüft, ob ein Punkt (im ungedrehten System der Form) den Umriss bzw. die Linie trifft
+     * Das Innere von Rechteck und Ellipse bleibt frei, damit darunterliegende Buchstaben greifbar sind
+     * @param {Object} element - Das Form- oder Linienelement
+     * @param {{x: number, y: number}} local - Der Punkt in lokalen Weltkoordinaten
+     * @returns {boolean} true bei Treffer
+     */
+    hitTestShape(element, local) {
+        const tolerance = element.strokeWidth / 2 + 6 / this.scale;             // Dünne Linien bleiben greifbar
+        const x = local.x - element.x;
+        const y = local.y - element.y;
+
+        if (element.type === 'line') {
+            const [start, end] = element.points;
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const length = dx * dx + dy * dy;
+            const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - start.x) * dx + (y - start.y) * dy) / length));
+            return Math.hypot(x - (start.x + dx * t), y - (start.y + dy * t)) <= tolerance;
+        }
+
+        const { width, height } = element;
+        if (element.shape === 'ellipse') {
+            const rx = width / 2;
+            const ry = height / 2;
+            // Näherung: Abweichung vom normierten Radius, umgerechnet mit dem kleineren Halbmesser
+            const distance = Math.hypot((x - rx) / rx, (y - ry) / ry);
+            return Math.abs(distance - 1) * Math.min(rx, ry) <= tolerance;
+        }
+        const inside = x >= -tolerance && x <= width + tolerance && y >= -tolerance && y <= height + tolerance;
+        const nearEdge = x <= tolerance || x >= width - tolerance || y <= tolerance || y >= height - tolerance;
+        return inside && nearEdge;
+    }
+
+    /**
+     * Liefert Anfangs- und Endpunkt einer Linie in Weltkoordinaten (mit Drehung)
+     * @param {Object} element - Das Linienelement
+     * @returns {Object[]} Anfangs- und Endpunkt
+     */
+    getLineEndpoints(element) {
+        return element.points.map(point => this.rotatePoint(
+            { x: element.x + point.x, y: element.y + point.y }, element, element.rotation || 0));
+    }
+
+    /**
+     * Setzt Anfangs- und Endpunkt einer Linie; die Drehung steckt danach in den Punkten
+     * @param {Object} element - Das Linienelement
+     * @param {{x: number, y: number}} start - Anfangspunkt (Welt)
+     * @param {{x: number, y: number}} end - Endpunkt (Welt)
+     */
+    setLineEndpoints(element, start, end) {
+        const round = value => Math.round(value * 100) / 100;
+        element.x = start.x;
+        element.y = start.y;
+        element.points = [{ x: 0, y: 0 }, { x: round(end.x - start.x), y: round(end.y - start.y) }];
+        delete element.rotation;
+    }
+
+    /**
+     * Sucht das oberste Element, an dem eine Verbindung haften kann (alles außer Linien und Rahmen)
+     * Getroffen wird die ganze Begrenzung, auch im Inneren leerer Formen und bei gesperrten Vorlagen
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     * @returns {Object|null} Das Element
+     */
+    findConnectorTarget(x, y) {
+        const hits = this.queryElements({ x, y, width: 0, height: 0 }).filter(element => {
+            if (element.type === 'line' || element.type === 'frame') return false;
+            const bounds = this.getElementBounds(element);
+            return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+        });
+        return hits.length > 0 ? hits[hits.length - 1] : null;
+    }
+
+    /**
+     * Berechnet den Punkt, an dem eine Verbindung ein Element berührt:
+     * Schnitt der Geraden von der Elementmitte zum Gegenpunkt mit dem Rahmen (plus Abstand)
+     * @param {Object} element - Das Element
+     * @param {{x: number, y: number}} toward - Der Gegenpunkt (Welt)
+     * @returns {{x: number, y: number}} Der Punkt (Welt)
+     */
+    getAttachmentPoint(element, toward) {
+        const bounds = this.expandBounds(this.getElementBounds(element), this.connectorGap);
+        const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        const dx = toward.x - center.x;
+        const dy = toward.y - center.y;
+        if (dx === 0 && dy === 0) return center;
+
+        const t = Math.min(
+            dx === 0 ? Infinity : bounds.width / 2 / Math.abs(dx),
+            dy === 0 ? Infinity : bounds.height / 2 / Math.abs(dy)
+        );
+        return { x: center.x + dx * Math.min(t, 1), y: center.y + dy * Math.min(t, 1) };
+    }
+
+    /**
+     * Liefert die Verbindungen, die an einem der Elemente haften
+     * @param {Object[]} elements - Die Elemente
+     * @returns {Object[]} Die Linienelemente
+     */
+    getAttachedConnectors(elements) {
+        const ids = new Set(elements.map(element => element.id));
+        return this.textElements.filter(element => element.type === 'line' &&
+            (ids.has(element.startId) || ids.has(element.endId)));
+    }
+
+    /**
+     * Ergänzt Elemente um die an ihnen haftenden Verbindungen (zum gemeinsamen Neuzeichnen)
+     * @param {Object[]} elements - Die Elemente
+     * @returns {Object[]} Die Elemente und ihre Verbindungen
+     */
+    withConnectors(elements) {
+        const connectors = this.getAttachedConnectors(elements).filter(line => !elements.includes(line));
+        return connectors.length > 0 ? [...elements, ...connectors] : elements;
+    }
+
+    /**
+     * Führt die Enden der Verbindungen unter den Elementen zu ihren Elementen nach
+     * Haften beide Enden, zielen sie auf die Mitte des jeweils anderen Elements, sonst auf das freie Ende;
+     * fehlt ein Element (gelöscht), bleibt das Ende stehen
+     * @param {Object[]} elements - Die Elemente (andere als Linien werden übersprungen)
+     */
+    updateConnectors(elements) {
+        const connectors = elements.filter(element => element.type === 'line' && (element.startId || element.endId));
+        if (connectors.length === 0) return;
+        const byId = new Map(this.textElements.map(element => [element.id, element]));
+        const centerOf = element => {
+            const bounds = this.getElementBounds(element);
+            return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        };
+
+        connectors.forEach(line => {
+            const startElement = line.startId ? byId.get(line.startId) : null;
+            const endElement = line.endId ? byId.get(line.endId) : null;
+            if (!startElement && !endElement) return;
+
+            let [start, end] = this.getLineEndpoints(line);
+            const startTarget = endElement ? centerOf(endElement) : end;
+            const endTarget = startElement ? centerOf(startElement) : start;
+            if (startElement) start = this.getAttachmentPoint(startElement, startTarget);
+            if (endElement) end = this.getAttachmentPoint(endElement, endTarget);
+            this.setLineEndpoints(line, start, end);
+        });
+    }
+
+    /**
+     * Löst Verbindungen, die ohne ihre Elemente verschoben werden
+     * @param {Object[]} elements - Die verschobenen Elemente
+     */
+    detachConnectors(elements) {
+        const ids = new Set(elements.map(element => element.id));
+        elements.filter(element => element.type === 'line').forEach(line => {
+            if (line.startId && !ids.has(line.startId)) delete line.startId;
+            if (line.endId && !ids.has(line.endId)) delete line.endId;
+        });
+    }
+
+    /**
+     * Liefert alle Rahmen in Zeichenreihenfolge (zugleich die Seitenreihenfolge)
+     * Zwischengespeichert, solange das Elementarray gleich bleibt (wie der räumliche Index)
+     * @returns {Object[]} Die Rahmen
+     */
+    getFrames() {
+        const cache = this.frameCache;
+        if (cache && cache.elements === this.textElements && cache.count === this.textElements.length) {
+            return cache.frames;
+        }
+        const frames = this.textElements.filter(element => element.type === 'frame');
+        this.frameCache = { elements: this.textElements, count: this.textElements.length, frames };
+        return frames;
+    }
+
+    /**
+     * Sucht den Rahmen, zu dem ein Element gehört: den obersten, der die Mitte des Elements enthält
+     * Rahmen selbst gehören zu keinem Rahmen
+     * @param {Object} element - Das Element
+     * @param {Object[]} frames - Die Rahmen in Seitenreihenfolge (Standard: getFrames, bei vielen Abfragen einmal ermitteln)
+     * @returns {Object|null} Der Rahmen
+     */
+    getElementFrame(element, frames = this.getFrames()) {
+        if (element.type === 'frame') return null;
+        if (frames.length === 0) return null;
+
+        const bounds = this.getElementBounds(element);
+        const x = bounds.x + bounds.width / 2;
+        const y = bounds.y + bounds.height / 2;
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const frame = frames[i];
+            if (x >= frame.x && x <= frame.x + frame.width && y >= frame.y && y <= frame.y + frame.height) {
+                return frame;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Liefert die Elemente eines Rahmens in Zeichenreihenfolge
+     * @param {Object} frame - Der Rahmen
+     * @returns {Object[]} Die Elemente
+     */
+    getFrameContents(frame) {
+        return this.textElements.filter(element => this.getElementFrame(element) === frame);
+    }
+
+    /**
+     * Ergänzt Elemente um den Inhalt der enthaltenen Rahmen (Verschieben, Kopieren und Duplizieren)
+     * @param {Object[]} elements - Die Elemente
+     * @returns {Object[]} Die Elemente samt Rahmeninhalt in Zeichenreihenfolge
+     */
+    withFrameContents(elements) {
+        const frames = new Set(elements.filter(element => element.type === 'frame'));
+        if (frames.size === 0) return elements;
+        const included = new Set(elements);
+        return this.textElements.filter(element => included.has(element) || frames.has(this.getElementFrame(element)));
+    }
+
+    /**
+     * Zeichnet die Papierfläche eines Rahmens
+     * Umriss und Name erscheinen nur auf dem Bildschirm (siehe drawFrameChrome)
+     * @param {Object} element - Der Rahmen
+     * @param {CanvasRenderingContext2D} context - Zielkontext
+     */
+    drawFrame(element, context = this.context) {
+        context.save();
+        context.globalAlpha = this.getElementOpacity(element);
+        context.fillStyle = this.frameFill;
+        context.fillRect(element.x, element.y, element.width, element.height);
+        context.restore();
+    }
+
+    /**
+     * Zieht die Kalligrafie-Hilfslinien auf der Papierfläche von Rahmen nach (Inhaltsebene)
+     * @param {CanvasRenderingContext2D} context - Zielkontext
+     * @param {Object} area - Gezeichneter Bereich (Welt)
+     * @param {Object[]} frames - Die gezeichneten Rahmen
+     */
+    drawFrameGuides(context, area, frames) {
+        context.save();
+        context.beginPath();
+        frames.forEach(frame => context.rect(frame.x, frame.y, frame.width, frame.height));
+        context.clip();
+        this.drawGuideLines(context, area);
+        context.restore();
+    }
+
+    /**
+     * Zeichnet den Umriss eines Rahmens, der gerade aufgezogen wird
+     * @param {Object} frame - Der Rahmen
+     */
+    drawFrameOutline(frame) {
+        const context = this.context;
+        context.save();
+        context.strokeStyle = this.theme.selection;
+        context.lineWidth = 1 / this.scale;
+        context.setLineDash([4 / this.scale, 4 / this.scale]);
+        context.strokeRect(frame.x, frame.y, frame.width, frame.height);
+        context.restore();
+    }
+
+    /**
+     * Zeichnet Umriss und Namen aller sichtbaren Rahmen ins Overlay, unabhängig vom Zoom gleich stark
+     * Ein einzeln ausgewählter Rahmen erhält hier auch seine Ziehpunkte (ohne Drehen),
+     * da Rahmen nicht ins Overlay wandern und ihren Inhalt sonst verdecken würden
+     */
+    drawFrameChrome() {
+        const frames = this.getFrames();
+        if (frames.length === 0) return;
+        const context = this.context;
+        const pixel = 1 / this.scale;
+        const viewport = this.expandBounds(this.getViewportBounds(), this.frameLabelSize * 2 * pixel);
+
+        context.save();
+        context.font = `${this.frameLabelSize * pixel}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        context.textBaseline = 'bottom';
+        frames.forEach(frame => {
+            if (!this.boundsIntersect(frame, viewport)) return;
+            const selected = this.selectedElements.has(frame);
+            context.strokeStyle = selected ? this.theme.selection : this.theme.frameOutline;
+            context.lineWidth = (selected ? 1.5 : 1) * pixel;
+            context.strokeRect(frame.x, frame.y, frame.width, frame.height);
+            context.fillStyle = selected ? this.theme.selection : this.theme.frameLabel;
+            context.fillText(frame.name || '', frame.x, frame.y - 4 * pixel);
+        });
+        const single = this.selectedElements.size === 1 ? this.selectedText : null;
+        if (single && single.type === 'frame' && this.getSelectionHandles()) {
+            this.drawDragHandles(single, 8 * pixel, false);
+        }
+        context.restore();
+    }
+
+    /**
+     * Berechnet den Bereich des Rahmennamens über der linken oberen Ecke (Weltkoordinaten)
+     * Der Name ist ein Griff zum Auswählen und Verschieben des Rahmens
+     * @param {Object} frame - Der Rahmen
+     * @returns {{x: number, y: number, width: number, height: number}} Der Bereich
+     */
+    getFrameLabelBounds(frame) {
+        const pixel = 1 / this.scale;
+        this.measureContext.font = `${this.frameLabelSize}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        const width = Math.max(this.measureContext.measureText(frame.name || '').width, this.frameLabelSize * 2);
+        const height = this.frameLabelSize * 1.5 * pixel;
+        return { x: frame.x, y: frame.y - 4 * pixel - height, width: width * pixel, height };
+    }
+
+    /**
+     * Prüft, ob ein Punkt einen Rahmen trifft: seinen Rand oder seinen Namen
+     * Die Fläche selbst bleibt frei, damit man im Rahmen aufziehen und auswählen kann
+     * @param {Object} frame - Der Rahmen
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     * @returns {boolean} true bei Treffer
+     */
+    hitTestFrame(frame, x, y) {
+        const tolerance = 6 / this.scale;
+        const label = this.getFrameLabelBounds(frame);
+        if (x >= label.x && x <= label.x + label.width && y >= label.y && y <= label.y + label.height) return true;
+
+        const inside = (margin) => x >= frame.x - margin && x <= frame.x + frame.width + margin &&
+                                   y >= frame.y - margin && y <= frame.y + frame.height + margin;
+        return inside(tolerance) && !inside(-tolerance);
+    }
+
+    /**
+     * Rechnet eine Länge aus Welteinheiten in die Einheit eines Rahmens um
+     * @param {string} unit - 'mm' oder 'px'
+     * @param {number} value - Länge in Welteinheiten
+     * @returns {number} Länge in der Einheit
+     */
+    toFrameUnit(unit, value) {
+        return unit === 'mm' ? value / this.cssPixelsPerInch * 25.4 : value;
+    }
+
+    /**
+     * Rechnet eine Länge aus der Einheit eines Rahmens in Welteinheiten um
+     * @param {string} unit - 'mm' oder 'px'
+     * @param {number} value - Länge in der Einheit
+     * @returns {number} Länge in Welteinheiten
+     */
+    fromFrameUnit(unit, value) {
+        return unit === 'mm' ? value / 25.4 * this.cssPixelsPerInch : value;
+    }
+
+    /**
+     * Liefert Größe, Einheit und Standardauflösung eines Formats
+     * @param {string} key - Schlüssel aus framePresets
+     * @returns {{width: number, height: number, unit: string, dpi: number}} Die Werte (Größe in Welteinheiten)
+     */
+    getFramePresetSize(key) {
+        const preset = this.framePresets[key];
+        return {
+            width: this.fromFrameUnit(preset.unit, preset.width),
+            height: this.fromFrameUnit(preset.unit, preset.height),
+            unit: preset.unit,
+            dpi: this.frameDpi[preset.unit]
+        };
+    }
+
+    /**
+     * Erkennt das Format eines Rahmens an seiner Größe (hoch oder quer)
+     * @param {Object} frame - Der Rahmen
+     * @returns {string} Schlüssel aus framePresets oder 'custom'
+     */
+    getFramePreset(frame) {
+        const matches = (a, b) => Math.abs(a - b) < 0.5;
+        const key = Object.keys(this.framePresets).find(name => {
+            const { width, height } = this.getFramePresetSize(name);
+            return (matches(frame.width, width) && matches(frame.height, height)) ||
+                   (matches(frame.width, height) && matches(frame.height, width));
+        });
+        return key || 'custom';
+    }
+
+    /**
+     * Liefert den Rahmen, wenn genau ein Rahmen ausgewählt ist
+     * @returns {Object|null} Der Rahmen
+     */
+    getSelectedFrame() {
+        const elements = this.getSelectedElements();
+        return elements.length === 1 && elements[0].type === 'frame' ? elements[0] : null;
+    }
+
+    /**
+     * Ändert Eigenschaften des ausgewählten Rahmens als ein Undo-Schritt
+     * @param {Object} changes - Neue Werte (name, width, height, unit, dpi)
+     * @param {string} label - Beschreibung des Schritts
+     */
+    updateFrame(changes, label) {
+        const frame = this.getSelectedFrame();
+        if (!frame || frame.locked) return;
+        const keys = Object.keys(changes).filter(key => frame[key] !== changes[key]);
+        if (keys.length === 0) return;
+        this.finishStyleEdit();
+        const after = {};
+        keys.forEach(key => { after[key] = changes[key]; });
+        this.executeCommand(this.createUpdateCommand([frame], this.captureElementState([frame], keys), [after], label));
+    }
+
+    /**
+     * Gibt dem ausgewählten Rahmen ein Format; die Ausrichtung (hoch/quer) bleibt erhalten
+     * @param {string} key - Schlüssel aus framePresets
+     */
+    applyFramePreset(key) {
+        const frame = this.getSelectedFrame();
+        if (!frame || !this.framePresets[key]) return;
+        const size = this.getFramePresetSize(key);
+        const landscape = frame.width > frame.height;
+        this.updateFrame({
+            width: landscape ? size.height : size.width,
+            height: landscape ? size.width : size.height,
+            unit: size.unit,
+            dpi: frame.unit === size.unit ? frame.dpi : size.dpi
+        }, 'Format ändern');
+    }
+
+    /**
+     * Setzt die Größe des ausgewählten Rahmens in seiner Einheit
+     * @param {number} width - Breite (mm oder px)
+     * @param {number} height - Höhe (mm oder px)
+     */
+    setFrameSize(width, height) {
+        const frame = this.getSelectedFrame();
+        if (!frame || !(width > 0) || !(height > 0)) return;
+        this.updateFrame({
+            width: this.fromFrameUnit(frame.unit, width),
+            height: this.fromFrameUnit(frame.unit, height)
+        }, 'Größe ändern');
+    }
+
+    /**
+     * Tauscht Breite und Höhe des ausgewählten Rahmens (Hoch- und Querformat)
+     */
+    swapFrameOrientation() {
+        const frame = this.getSelectedFrame();
+        if (frame) this.updateFrame({ width: frame.height, height: frame.width }, 'Ausrichtung ändern');
+    }
+
+    /**
+     * Verschiebt einen Rahmen in der Seitenreihenfolge um eine Stelle
+     * Rahmen liegen in einer eigenen Ebene (siehe compareZOrder), daher genügt es, sie neu durchzunummerieren
+     * @param {Object} frame - Der Rahmen
+     * @param {number} step - 1 (nach hinten) oder -1 (nach vorne)
+     */
+    moveFrame(frame, step) {
+        const order = this.getFrames().slice();
+        const index = order.indexOf(frame);
+        if (index === -1 || !order[index + step]) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+
+        order[index] = order[index + step];
+        order[index + step] = frame;
+        const elements = order.filter((element, i) => element.zIndex !== i);
+        this.executeCommand(this.createUpdateCommand(
+            elements,
+            this.captureElementState(elements, ['zIndex']),
+            elements.map(element => ({ zIndex: order.indexOf(element) })),
+            'Seitenreihenfolge ändern'
+        ));
+    }
+
+    /**
+     * Wählt einen Rahmen aus und passt ihn in den Bildschirm ein
+     * @param {Object} frame - Der Rahmen
+     */
+    goToFrame(frame) {
+        this.setSelection([frame]);
+        this.fitBounds(frame);
+    }
+
+    /**
+     * Springt zum nächsten oder vorherigen Rahmen in Seitenreihenfolge
+     * Ohne ausgewählten Rahmen beginnt es beim ersten bzw. letzten
+     * @param {number} step - 1 (nächster) oder -1 (vorheriger)
+     */
+    goToAdjacentFrame(step) {
+        const frames = this.getFrames();
+        if (frames.length === 0) return;
+        const current = frames.indexOf(this.getSelectedFrame());
+        const index = current === -1
+            ? (step > 0 ? 0 : frames.length - 1)
+            : (current + step + frames.length) % frames.length;
+        this.goToFrame(frames[index]);
+    }
+
+    /**
+     * Pixeldichte beim Export eines Rahmens: mm-Rahmen in ihrer Auflösung (DPI),
+     * px-Rahmen genau in ihrer Pixelgröße
+     * @param {Object} frame - Der Rahmen
+     * @returns {number} Bildpixel je Welteinheit
+     */
+    getFrameDensity(frame) {
+        return frame.unit === 'mm' ? frame.dpi / this.cssPixelsPerInch : 1;
+    }
+
+    /**
+     * Seitengröße eines Rahmens in Punkt (1/72 Zoll) für den PDF-Export
+     * mm-Rahmen behalten ihre physische Größe, px-Rahmen ergeben sich aus Pixeln und DPI
+     * @param {Object} frame - Der Rahmen
+     * @returns {{width: number, height: number}} Die Seitengröße
+     */
+    getFramePageSize(frame) {
+        const pointsPerUnit = frame.unit === 'mm' ? 72 / this.cssPixelsPerInch : 72 / frame.dpi;
+        return { width: frame.width * pointsPerUnit, height: frame.height * pointsPerUnit };
+    }
+
+    /**
+     * Richtet die Seitenliste ein: Springen, Reihenfolge ändern und Exportieren je Rahmen
+     */
+    setupFramesPanel() {
+        this.framesPanel = document.getElementById('framesPanel');
+        const list = document.getElementById('framesList');
+        list.addEventListener('click', event => {
+            const button = event.target.closest('[data-frame-action]');
+            if (!button) return;
+            const id = button.closest('[data-frame-id]').dataset.frameId;
+            const frame = this.getFrames().find(element => element.id === id);
+            if (!frame) return;
+            switch (button.dataset.frameAction) {
+                case 'go': this.goToFrame(frame); break;
+                case 'up': this.moveFrame(frame, -1); break;
+                case 'down': this.moveFrame(frame, 1); break;
+                case 'export': this.openExportModal(`frame:${frame.id}`); break;
+            }
+        });
+    }
+
+    /**
+     * Zeigt die Rahmen in Seitenreihenfolge (ohne Rahmen bleibt die Liste verborgen)
+     * Wird nach jedem Bild aufgerufen; ohne Änderung an Rahmen oder Auswahl bleibt das DOM unberührt
+     */
+    updateFramesPanel() {
+        const panel = this.framesPanel;
+        if (!panel) return;
+
+        const frames = this.getFrames();
+        const selected = this.getSelectedFrame();
+        const state = [selected ? selected.id : '', ...frames.map(frame => `${frame.id}:${frame.name}`)].join('\u0000');
+        if (state === this.framesPanelState) return;
+        this.framesPanelState = state;
+
+        panel.hidden = frames.length === 0;
+        const createButton = (action, icon, title, disabled = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'panel-button';
+            button.dataset.frameAction = action;
+            button.title = title;
+            button.disabled = disabled;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            return button;
+        };
+        document.getElementById('framesList').replaceChildren(...frames.map((frame, index) => {
+            const row = document.createElement('li');
+            row.className = 'frames-row';
+            row.dataset.frameId = frame.id;
+            row.classList.toggle('selected', frame === selected);
+
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'frames-name';
+            name.dataset.frameAction = 'go';
+            name.title = 'Zum Rahmen springen';
+            name.textContent = `${index + 1}. ${frame.name || 'Rahmen'}`;
+            row.append(
+                name,
+                createButton('up', 'fa-angle-up', 'Seite nach vorne', index === 0),
+                createButton('down', 'fa-angle-down', 'Seite nach hinten', index === frames.length - 1),
+                createButton('export', 'fa-file-export', 'Rahmen exportieren')
+            );
+            return row;
+        }));
+    }
+
+    /**
+     * Fordert ein neues Bild an, weil sich Inhalt geändert hat
+     * Alle Anforderungen bis zum nächsten Frame werden zu einem Bild zusammengefasst
+     * 
+     * Rendering-Prozess (siehe renderFrame):
+     * 1. Raster und Inhalt bei Kamerawechsel vollständig neu zeichnen
+     * 2. Sonst nur die geänderten Bereiche der Inhaltsebene
+     * 3. Overlay (Auswahl, Animationen, Ziehpunkte) in jedem Frame
+     * 4. Ebenen auf dem sichtbaren Canvas zusammensetzen
+     * 
+     * Optimierungen:
+     * - Höchstens ein Bild pro Frame, egal wie viele Stellen draw() aufrufen
+     * - Raster als vorgerenderte Kachel auf eigener Ebene
+     * - Nur Elemente im sichtbaren Bereich (räumlicher Index)
+     * - Optional nur ein geänderter Bereich (Dirty Region), z. B. beim Ziehen
+     * - Ausgewählte und animierte Elemente ändern nur das Overlay
+     * 
+     * @param {Object|null} region - Geänderter Bereich in Weltkoordinaten (Standard: alles)
+     */
+    draw(region = null) {
+        if (!region) {
+            this.pendingContentRegion = 'all';
+        } else if (this.pendingContentRegion !== 'all') {
+            this.pendingContentRegion = this.getRedrawRegion(this.pendingContentRegion, region);
+        }
+        this.contentVersion++;
+        this.requestRender();
+    }
+
+    /**
+     * Plant ein Bild für den nächsten Frame, ohne Inhalt als geändert zu markieren
+     * Genügt für Kamerabewegungen (erkennt renderFrame selbst) und alles, was im Overlay liegt
+     */
+    requestRender() {
+        if (this.renderRequest) return;
+        this.renderRequest = requestAnimationFrame(() => {
+            this.renderRequest = null;
+            this.renderFrame();
+        });
+    }
+
+    /**
+     * Zeichnet das angeforderte Bild sofort (sonst im nächsten Frame über requestRender)
+     * 
+     * Ausgewählte und animierte Elemente liegen im Overlay und werden auf der Inhaltsebene
+     * ausgelassen; wechselt ein Element die Ebene, wird sein Bereich dort neu gezeichnet.
+     * Das Overlay liegt über allen anderen Elementen, auch wenn diese darüber gezeichnet wären.
+     * Rahmen bleiben auf der Inhaltsebene, sonst würden sie als Auswahl ihren Inhalt verdecken.
+     */
+    renderFrame() {
+        if (this.renderRequest) {
+            cancelAnimationFrame(this.renderRequest);
+            this.renderRequest = null;
+        }
+
+        const overlay = this.textElements.filter(element => element.type !== 'frame' &&
+            (this.selectedElements.has(element) || this.animatingElements.has(element)));
+        const overlaySet = new Set(overlay);
+
+        let region = this.pendingContentRegion;
+        this.pendingContentRegion = null;
+        if (region !== 'all') {
+            const switched = overlay.filter(element => !this.overlayElements.has(element));
+            this.overlayElements.forEach(element => {
+                if (!overlaySet.has(element)) switched.push(element);
+            });
+            if (switched.length > 0) {
+                region = this.getRedrawRegion(region, ...switched.map(element => this.getElementPaintBounds(element)));
+            }
+        }
+        this.overlayElements = overlaySet;
+
+        if (this.renderWorker) {
+            this.postWorkerFrame(region, overlay);
+            this.renderOverlayLayer(overlay);
+            this.compositeLayers([this.layers.overlay]);
+        } else {
+            this.renderBaseLayers(region, overlaySet);
+            this.renderOverlayLayer(overlay);
+            this.compositeLayers([this.layers.grid, this.layers.content, this.layers.overlay]);
+        }
+        this.updatePropertiesPanel();
+        this.updateFramesPanel();
+        this.updateAccessibilityTree();
+        this.renderMinimap();
+    }
+
+    /**
+     * Zeichnet Raster- und Inhaltsebene (im Hauptthread oder im Worker)
+     * Ein Kamerawechsel (Verschieben, Zoom, Größe, Raster oder Hilfslinien) zeichnet beide vollständig neu
+     * @param {Object|string|null} region - Geänderter Inhalt: null, 'all' oder Bereich (Welt)
+     * @param {Set<Object>} hidden - Elemente, die das Overlay zeichnet
+     */
+    renderBaseLayers(region, hidden) {
+        const camera = this.getCameraKey();
+        if (camera !== this.renderedCamera) {
+            this.renderedCamera = camera;
+            this.renderGridLayer();
+            region = 'all';
+        }
+        if (region) {
+            this.renderContentLayer(region === 'all' ? null : region, hidden);
+        }
+    }
+
+    /**
+     * Fasst alles zusammen, was Raster und Inhalt auf dem Bildschirm verschiebt
+     * @returns {string} Der Kameraschlüssel
+     */
+    getCameraKey() {
+        return [
+            this.offset.x, this.offset.y, this.scale,
+            this.viewportSize.width, this.viewportSize.height, this.pixelRatio,
+            this.isGridVisible, this.guides.visible, this.guides.system, this.guides.penWidth,
+            this.theme.name, this.background.color, this.background.texture      // Hintergrund und Standardtinte
+        ].join(',');
+    }
+
+    /**
+     * Setzt die Welttransformation (Offset, Zoom und Pixeldichte) auf einem Ebenen-Kontext
+     * @param {CanvasRenderingContext2D} context - Der Kontext
+     */
+    applyCamera(context) {
+        const ratio = this.pixelRatio;
+        context.setTransform(ratio * this.scale, 0, 0, ratio * this.scale, ratio * this.offset.x, ratio * this.offset.y);
+    }
+
+    /**
+     * Löscht eine Ebene vollständig
+     * @param {CanvasRenderingContext2D} context - Der Kontext der Ebene
+     */
+    clearLayer(context) {
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    }
+
+    /**
+     * Zeichnet Hintergrund, Punktraster und Hilfslinien im sichtbaren Bereich auf die Rasterebene
+     */
+    renderGridLayer() {
+        const context = this.layers.grid.context;
+        this.clearLayer(context);
+
+        context.save();
+        this.applyCamera(context);
+        const area = this.getViewportBounds();
+        this.drawBackground(context, this.expandBounds(area, 1 / this.scale));   // Ein Pixel Rand gegen Kanten beim Runden
+        if (this.isGridVisible) this.drawGridLayer(context, area);
+        if (this.guides.visible) this.drawGuideLines(context, area);
+        context.restore();
+    }
+
+    /**
+     * Zeichnet die Inhaltsebene ganz oder in einem Bereich neu
+     * @param {Object|null} region - Bereich in Weltkoordinaten oder null für den ganzen Viewport
+     * @param {Set<Object>} hidden - Elemente, die das Overlay zeichnet
+     */
+    renderContentLayer(region, hidden) {
+        const context = this.layers.content.context;
+        const area = region ? this.snapRegionToPixels(region) : null;              // Auf ganze Pixel, damit keine Kanten stehen bleiben
+        if (!area) {
+            this.clearLayer(context);
+        }
+
+        context.save();
+        this.applyCamera(context);
+        if (area) {
+            // Nur den geänderten Bereich löschen und neu zeichnen
+            context.beginPath();
+            context.rect(area.x, area.y, area.width, area.height);
+            context.clip();
+            context.clearRect(area.x, area.y, area.width, area.height);
+        }
+        const visible = area || this.getViewportBounds();                          // Bereich, der tatsächlich gezeichnet wird
+
+        // Zeichne die sichtbaren Elemente (Texte und Striche) in Zeichenreihenfolge
+        // Rahmen liegen zuunterst; ihr Papier verdeckt die Rasterebene, daher die Hilfslinien darauf nachziehen
+        const margin = this.redrawMargin / this.scale;
+        const elements = this.queryElements(this.expandBounds(visible, margin));
+        const frames = elements.filter(element => element.type === 'frame');
+        frames.forEach(frame => this.drawElement(frame, context));
+        if (frames.length > 0 && this.guides.visible) this.drawFrameGuides(context, visible, frames);
+        elements.forEach(element => {
+            if (element.type !== 'frame' && !hidden.has(element)) this.drawElement(element, context);
+        });
+        context.restore();
+    }
+
+    /**
+     * Zeichnet das Overlay: ausgewählte und animierte Elemente, den entstehenden Strich
+     * und alles, was nur auf dem Bildschirm erscheint
+     * @param {Object[]} overlay - Die Elemente des Overlays in Zeichenreihenfolge
+     */
+    renderOverlayLayer(overlay) {
+        const context = this.context;
+        this.clearLayer(context);
+
+        context.save();
+        this.applyCamera(context);
+        this.drawFrameChrome();                                                    // Umriss und Name der Rahmen (Rahmen selbst liegen im Inhalt)
+        overlay.forEach(element => this.drawElement(element));
+        if (this.currentStroke) {
+            this.drawStroke(this.currentStroke);                                   // Strich, der gerade entsteht
+        }
+        if (this.currentShape) {
+            if (this.currentShape.type === 'frame') {
+                this.drawFrameOutline(this.currentShape);                          // Rahmen, der gerade entsteht (nur Umriss)
+            } else {
+                this.drawShape(this.currentShape);                                 // Form, die gerade entsteht
+            }
+        }
+
+        // Gruppenrahmen und Auswahlrechteck liegen über allen Elementen
+        this.drawSelectionFrame();                                                 // Nur bei Mehrfachauswahl sichtbar
+        if (this.snapGuides) {
+            this.drawSnapGuides();                                                 // Hilfslinien beim Ziehen
+        }
+        if (this.sync) {
+            this.drawRemotePresence();                                             // Cursor und Auswahl anderer Teilnehmer
+        }
+        if (this.isSelecting) {
+            this.drawMarquee();                                                    // Zeichnet das Auswahlrechteck
+        }
+        context.restore();
+    }
+
+    /**
+     * Setzt Ebenen in Pixelkoordinaten auf dem sichtbaren Canvas zusammen
+     * @param {Object[]} layers - Die Ebenen von unten nach oben
+     */
+    compositeLayers(layers) {
+        const context = this.displayContext;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        layers.forEach(layer => context.drawImage(layer.canvas, 0, 0));
+    }
+
+    /**
+     * Richtet die Übersichtskarte und die Navigationsbuttons ein
+     * Klicken oder Ziehen auf der Karte zentriert die Ansicht auf die gewählte Stelle
+     */
+    setupMinimap() {
+        const canvas = document.getElementById('minimap');
+        const { width, height } = this.minimapSize;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        this.minimap = { canvas, context: canvas.getContext('2d'), layer: null, layerKey: null, transform: null };
+
+        canvas.addEventListener('pointerdown', event => {
+            canvas.setPointerCapture(event.pointerId);
+            this.minimapDrag = this.minimap.transform;                          // Abbildung einfrieren, sonst wandert die Karte mit
+            this.centerOnMinimapPoint(event);
+        });
+        canvas.addEventListener('pointermove', event => {
+            if (this.minimapDrag) this.centerOnMinimapPoint(event);
+        });
+        const endDrag = () => {
+            if (!this.minimapDrag) return;
+            this.minimapDrag = null;
+            this.minimapState = null;                                           // Mit neuer Abbildung zeichnen
+            this.requestRender();
+            this.scheduleAutosave();                                            // Speichert den Viewport
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        document.getElementById('zoomFitButton').addEventListener('click', () => this.zoomToFit());
+        document.getElementById('zoomSelectionButton').addEventListener('click', () => this.zoomToSelection());
+        document.getElementById('zoomOriginButton').addEventListener('click', () => this.zoomToOrigin());
+    }
+
+    /**
+     * Zentriert die Ansicht auf den Weltpunkt unter dem Zeiger auf der Karte
+     * @param {PointerEvent} event - Das Pointer-Event auf der Karte
+     */
+    centerOnMinimapPoint(event) {
+        const transform = this.minimapDrag || this.minimap.transform;
+        if (!transform) return;
+        const rect = this.minimap.canvas.getBoundingClientRect();
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);                          // Laufende Fahrt oder Ausgleiten beenden
+            this.animationFrame = null;
+        }
+        this.setCamera({
+            x: (event.clientX - rect.left - transform.x) / transform.scale,
+            y: (event.clientY - rect.top - transform.y) / transform.scale
+        }, this.scale);
+        this.requestRender();
+    }
+
+    /**
+     * Berechnet die Abbildung Welt → Karte für Board und Viewport
+     * @param {Object} viewport - Sichtbarer Bereich (Weltkoordinaten)
+     * @returns {{scale: number, x: number, y: number}} Kartenpunkt = Weltpunkt × scale + (x, y)
+     */
+    getMinimapTransform(viewport) {
+        const { width, height } = this.minimapSize;
+        const board = this.getBoardBounds();
+        const left = Math.min(viewport.x, board ? board.x : Infinity);
+        const top = Math.min(viewport.y, board ? board.y : Infinity);
+        const right = Math.max(viewport.x + viewport.width, board ? board.x + board.width : -Infinity);
+        const bottom = Math.max(viewport.y + viewport.height, board ? board.y + board.height : -Infinity);
+        const area = this.expandBounds(
+            { x: left, y: top, width: right - left, height: bottom - top },
+            Math.max(right - left, bottom - top) * 0.05
+        );
+
+        const scale = Math.min(width / area.width, height / area.height);
+        return {
+            scale,
+            x: (width - area.width * scale) / 2 - area.x * scale,
+            y: (height - area.height * scale) / 2 - area.y * scale
+        };
+    }
+
+    /**
+     * Zeichnet die Übersichtskarte: Begrenzungen aller Elemente und den sichtbaren Bereich
+     * Die Elemente liegen auf einer eigenen Ebene, die nur nach Inhaltsänderungen oder einer
+     * neuen Abbildung neu gezeichnet wird; beim Verschieben wandert nur das Viewport-Rechteck
+     */
+    renderMinimap() {
+        const minimap = this.minimap;
+        if (!minimap) return;
+        const state = [this.getCameraKey(), this.contentVersion].join('|');
+        if (state === this.minimapState) return;
+        this.minimapState = state;
+
+        const { width, height } = this.minimapSize;
+        const ratio = this.pixelRatio;
+        const viewport = this.getViewportBounds();
+        const transform = this.minimapDrag || this.getMinimapTransform(viewport);
+        minimap.transform = transform;
+        if (minimap.canvas.width !== Math.round(width * ratio)) {
+            minimap.canvas.width = Math.round(width * ratio);
+            minimap.canvas.height = Math.round(height * ratio);
+            minimap.layer = null;
+        }
+
+        // Elemente als Rechtecke (mindestens ein Pixel, damit kleine Texte sichtbar bleiben)
+        const layerKey = [this.contentVersion, transform.scale, transform.x, transform.y, this.theme.name].join(',');
+        if (!minimap.layer || minimap.layerKey !== layerKey) {
+            minimap.layer = minimap.layer || this.createCanvas(minimap.canvas.width, minimap.canvas.height);
+            minimap.layerKey = layerKey;
+            const layer = minimap.layer.getContext('2d');
+            layer.setTransform(1, 0, 0, 1, 0, 0);
+            layer.clearRect(0, 0, minimap.canvas.width, minimap.canvas.height);
+            layer.setTransform(ratio, 0, 0, ratio, 0, 0);
+            layer.fillStyle = this.theme.minimapElement;
+            this.textElements.forEach(element => {
+                const bounds = this.getElementBounds(element);
+                layer.fillRect(
+                    bounds.x * transform.scale + transform.x,
+                    bounds.y * transform.scale + transform.y,
+                    Math.max(1, bounds.width * transform.scale),
+                    Math.max(1, bounds.height * transform.scale)
+                );
+            });
+        }
+
+        const context = minimap.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, minimap.canvas.width, minimap.canvas.height);
+        context.drawImage(minimap.layer, 0, 0);
+
+        // Sichtbarer Bereich
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        const x = viewport.x * transform.scale + transform.x;
+        const y = viewport.y * transform.scale + transform.y;
+        context.fillStyle = this.theme.selectionFill;
+        context.strokeStyle = this.theme.accent;
+        context.lineWidth = 1;
+        context.fillRect(x, y, viewport.width * transform.scale, viewport.height * transform.scale);
+        context.strokeRect(x, y, viewport.width * transform.scale, viewport.height * transform.scale);
+    }
+
+    /**
+     * Schickt dem Worker die Kamera, den geänderten Bereich und die Overlay-Elemente
+     * Die Elemente selbst werden nur nach Inhaltsänderungen übertragen
+     * @param {Object|string|null} region - Geänderter Inhalt: null, 'all' oder Bereich (Welt)
+     * @param {Object[]} overlay - Elemente, die der Worker auslässt
+     */
+    postWorkerFrame(region, overlay) {
+        const message = {
+            type: 'frame',
+            region,
+            hidden: overlay.map(element => element.id),
+            camera: {
+                offset: { ...this.offset },
+                scale: this.scale,
+                width: this.viewportSize.width,
+                height: this.viewportSize.height,
+                pixelRatio: this.pixelRatio,
+                isGridVisible: this.isGridVisible,
+                guides: { ...this.guides },
+                theme: { ...this.theme },
+                background: { ...this.background }
+            }
+        };
+        if (this.postedContentVersion !== this.contentVersion) {
+            message.elements = this.textElements.map(element => this.serializeElement(element));
+            this.postedContentVersion = this.contentVersion;
+        }
+        this.renderWorker.postMessage(message);
+    }
+
+    /**
+     * Zeichnet nach einer Änderung einzelner Elemente nur den betroffenen Bereich neu
+     * Liegen alle im Overlay (z. B. beim Ziehen der Auswahl), genügt ein neues Overlay
+     * @param {Object[]} elements - Die geänderten Elemente
+     * @param {Object|null} before - Ihre gemeinsame Begrenzung vor der Änderung
+     */
+    redrawElements(elements, before) {
+        this.updateElementBounds(elements);
+        if (elements.some(element => element.type === 'frame')) {
+            this.draw();                                                        // Rahmen schneiden ihren Inhalt zu, der über den Bereich hinausreichen kann
+            return;
+        }
+        if (elements.every(element => this.overlayElements.has(element))) {
+            this.requestRender();                                               // Inhalt folgt mit dem Befehl am Gestenende
+            return;
+        }
+        const shadow = Math.max(0, ...elements.map(element => this.getShadowExtent(element)));
+        this.draw(this.getRedrawRegion(
+            before && this.expandBounds(before, shadow),
+            ...elements.map(element => this.getElementPaintBounds(element))
+        ));
+    }
+
+    /**
+     * Vereinigt Rechtecke zu einem Neuzeichen-Bereich mit Rand für Auswahlrahmen und Ziehpunkte
+     * @param {...Object|null} rects - Die Rechtecke (null wird übersprungen)
+     * @returns {Object|null} Der Bereich oder null, wenn keine Rechtecke angegeben sind
+     */
+    getRedrawRegion(...rects) {
+        const present = rects.filter(Boolean);
+        if (present.length === 0) return null;
+
+        const left = Math.min(...present.map(rect => rect.x));
+        const top = Math.min(...present.map(rect => rect.y));
+        const right = Math.max(...present.map(rect => rect.x + rect.width));
+        const bottom = Math.max(...present.map(rect => rect.y + rect.height));
+        return this.expandBounds(
+            { x: left, y: top, width: right - left, height: bottom - top },
+            this.redrawMargin / this.scale
+        );
+    }
+
+    /**
+     * Vergrößert ein Rechteck um einen Rand
+     * @param {Object} bounds - Das Rechteck
+     * @param {number} margin - Der Rand
+     * @returns {Object} Das vergrößerte Rechteck
+     */
+    expandBounds(bounds, margin) {
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + margin * 2,
+            height: bounds.height + margin * 2
+        };
+    }
+
+    /**
+     * Vereinigt zwei Rechtecke
+     * @param {Object} a - Erstes Rechteck
+     * @param {Object} b - Zweites Rechteck
+     * @returns {Object} Das umschließende Rechteck
+     */
+    unionBounds(a, b) {
+        const left = Math.min(a.x, b.x);
+        const top = Math.min(a.y, b.y);
+        return {
+            x: left,
+            y: top,
+            width: Math.max(a.x + a.width, b.x + b.width) - left,
+            height: Math.max(a.y + a.height, b.y + b.height) - top
+        };
+    }
+
+    /**
+     * Rundet einen Bereich in Weltkoordinaten nach außen auf ganze Bildschirmpixel
+     * @param {Object} region - Der Bereich
+     * @returns {Object} Der gerundete Bereich in Weltkoordinaten
+     */
+    snapRegionToPixels(region) {
+        const left = Math.floor(this.offset.x + region.x * this.scale);
+        const top = Math.floor(this.offset.y + region.y * this.scale);
+        const right = Math.ceil(this.offset.x + (region.x + region.width) * this.scale);
+        const bottom = Math.ceil(this.offset.y + (region.y + region.height) * this.scale);
+        return {
+            x: (left - this.offset.x) / this.scale,
+            y: (top - this.offset.y) / this.scale,
+            width: (right - left) / this.scale,
+            height: (bottom - top) / this.scale
+        };
+    }
+
+    /**
+     * Liefert den räumlichen Index und baut ihn bei Bedarf neu auf
+     * Ein ersetztes oder in der Länge geändertes Elementarray wird automatisch erkannt
+     * @returns {SpatialIndex} Der Index
+     */
+    getSpatialIndex() {
+        if (!this.spatialIndex ||
+            this.indexedElements !== this.textElements ||
+            this.indexedCount !== this.textElements.length) {
+            this.rebuildSpatialIndex();
+        }
+        return this.spatialIndex;
+    }
+
+    /**
+     * Baut Index und Zeichenreihenfolge aus allen Elementen neu auf
+     */
+    rebuildSpatialIndex() {
+        const index = new SpatialIndex();
+        this.paintOrder = new Map();
+        this.textElements.forEach((element, position) => {
+            index.insert(element, this.getElementPaintBounds(element));
+            this.paintOrder.set(element, position);
+        });
+        this.spatialIndex = index;
+        this.indexedElements = this.textElements;
+        this.indexedCount = this.textElements.length;
+    }
+
+    /**
+     * Verwirft den Index (nach Änderungen, deren Umfang nicht bekannt ist)
+     */
+    invalidateSpatialIndex() {
+        this.spatialIndex = null;
+    }
+
+    /**
+     * Verwirft alle gemessenen Layouts, z. B. wenn eine Schrift nachgeladen wurde
+     */
+    invalidateLayouts() {
+        this.layoutCache = new WeakMap();
+        this.updateConnectors(this.textElements);                               // Texte haben neue Maße
+        this.invalidateSpatialIndex();
+        this.draw();
+    }
+
+    /**
+     * Trägt die neuen Begrenzungen bewegter Elemente in den Index ein
+     * @param {Object[]} elements - Die geänderten Elemente
+     */
+    updateElementBounds(elements) {
+        const index = this.spatialIndex;
+        if (!index || this.indexedElements !== this.textElements || this.indexedCount !== this.textElements.length) {
+            return;                                                             // Wird beim nächsten Zugriff ohnehin neu gebaut
+        }
+        elements.forEach(element => {
+            if (index.has(element)) index.update(element, this.getElementPaintBounds(element));
+        });
+    }
+
+    /**
+     * Liefert alle Elemente, deren Begrenzung ein Rechteck berührt, in Zeichenreihenfolge
+     * @param {Object} rect - Das Rechteck in Weltkoordinaten
+     * @returns {Object[]} Die Elemente
+     */
+    queryElements(rect) {
+        if (!this.useSpatialIndex) {
+            return this.textElements.filter(element => this.boundsIntersect(this.getElementPaintBounds(element), rect));
+        }
+        const hits = this.getSpatialIndex().query(rect);
+        return hits.sort((a, b) => this.paintOrder.get(a) - this.paintOrder.get(b));
+    }
+
+    /**
+     * Passt sichtbares Canvas und Ebenen an Fenstergröße und Pixeldichte an
+     */
+    updateCanvasSize() {
+        const dpr = window.devicePixelRatio || 1;                                          // Ermittelt Display-Pixeldichte
+        this.pixelRatio = dpr;
+        this.viewportSize = { width: window.innerWidth, height: window.innerHeight };
+
+        const visibleCanvases = this.renderWorker ? [this.canvas, this.renderWorker.baseCanvas] : [this.canvas];
+        visibleCanvases.forEach(canvas => {
+            canvas.style.width = `${window.innerWidth}px`;                                 // Setzt CSS-Breite auf Fensterbreite
+            canvas.style.height = `${window.innerHeight}px`;                               // Setzt CSS-Höhe auf Fensterhöhe
+        });
+        this.resizeLayers(Math.round(window.innerWidth * dpr), Math.round(window.innerHeight * dpr));
+    }
+
+    /**
+     * Setzt die Pixelgröße des sichtbaren Canvas und aller Ebenen
+     * @param {number} width - Breite in Gerätepixeln
+     * @param {number} height - Höhe in Gerätepixeln
+     */
+    resizeLayers(width, height) {
+        [this.canvas, ...Object.values(this.layers).map(layer => layer.canvas)].forEach(canvas => {
+            canvas.width = width;
+            canvas.height = height;
+        });
+        this.renderedCamera = null;                                                        // Größenänderung leert die Ebenen
+    }
+
+    setupGUI() {
+        const tools = ['select', 'pan', 'text', 'pen', ...this.shapeTools];                       // Definiert verfügbare Werkzeuge
+        tools.forEach(tool => {                                                            // Iteriert über alle Werkzeuge
+            document.getElementById(`${tool}Tool`).addEventListener('click', () => {        // Fügt Klick-Event-Listener hinzu
+                this.activateTool(tool);                                                   // Aktiviert das gewählte Werkzeug
+            });
+        });
+    }
+
+    /**
+     * Aktiviert ein Werkzeug wie ein Klick auf seinen Button (auch per Tastenkürzel)
+     * @param {string} tool - select, pan, text, pen, rectangle, ellipse, line oder arrow
+     */
+    activateTool(tool) {
+        this.setTool(tool);
+        
+        // Zeige Text-Modal nur wenn Text-Tool gewählt wird
+        if (tool === 'text') {
+            const textModal = document.getElementById('textModal');
+            textModal.style.display = 'flex';
+            document.getElementById('textInput').focus();
+        }
+    }
+    setTool(tool) {
+        this.currentTool = tool;                                                          // Setzt das aktuelle Werkzeug
+        
+        Object.keys(this.tools).forEach(name => {                                         // Entfernt 'active' Klasse von allen Werkzeug-Buttons
+            document.getElementById(`${name}Tool`).classList.remove('active');             // (Schalter wie Raster behalten ihren Zustand)
+        });
+        document.getElementById(`${tool}Tool`).classList.add('active');                   // Fügt 'active' Klasse zum ausgewählten Werkzeug hinzu
+        
+        if (tool === 'pan') {
+            this.canvas.style.cursor = 'grab';                                            // Setzt Hand-Cursor für Pan-Modus
+            // Füge Bewegungs-Cursor zum gesamten Canvas hinzu
+            this.canvas.addEventListener('mousedown', () => this.canvas.style.cursor = 'grabbing');    // Ändert Cursor beim Drücken
+            this.canvas.addEventListener('mouseup', () => this.canvas.style.cursor = 'grab');          // Setzt Cursor beim Loslassen zurück
+            this.canvas.addEventListener('mouseleave', () => this.canvas.style.cursor = 'grab');       // Setzt Cursor beim Verlassen zurück
+        } else {
+            this.canvas.style.cursor = this.getToolCursor();                              // Setzt Cursor für Auswahl-/Text-Modus
+            // Entferne die Cursor-Events wenn nicht im Pan-Modus
+            this.canvas.removeEventListener('mousedown', () => this.canvas.style.cursor = 'grabbing'); // Entfernt Mausdrck-Event
+            this.canvas.removeEventListener('mouseup', () => this.canvas.style.cursor = 'grab');       // Entfernt Mausloslassen-Event
+            this.canvas.removeEventListener('mouseleave', () => this.canvas.style.cursor = 'grab');    // Entfernt Mausverlassen-Event
+        }
+    }
+
+    setupTextModal() {
+        const textModal = document.getElementById('textModal');
+        const textInput = document.getElementById('textInput');
+        const confirmBtn = document.getElementById('confirmText');
+        const cancelBtn = document.getElementById('cancelText');
+        
+        const fontSelect = document.getElementById('fontSelect');
+        const directionSelect = document.getElementById('directionSelect');
+        const alignSelect = document.getElementById('alignSelect');
+        
+        // Eingabefeld folgt der gewählten Leserichtung
+        directionSelect.addEventListener('change', () => {
+            textInput.dir = directionSelect.value;
+        });
+        
+        // Text-Tool Click Handler
+        document.getElementById('textTool').addEventListener('click', () => {
+            this.editingElement = null;                                         // Neues Element statt Bearbeitung
+            fontSelect.value = 'IranSans';                                      // Standardwerte statt der des zuletzt bearbeiteten Elements
+            this.updateFontStatus();
+            directionSelect.value = this.defaultDirection;
+            alignSelect.value = this.defaultAlign;
+            textInput.dir = directionSelect.value;
+            textModal.style.display = 'flex';
+            textInput.focus();
+        });
+        
+        // Bestätigen Button
+        confirmBtn.addEventListener('click', () => {
+            const text = textInput.value.trim();
+            if (text && this.editingElement) {
+                // Bestehendes Element ändern, Position und Größe bleiben erhalten
+                const element = this.editingElement;
+                const keys = ['text', 'fontFamily', 'direction', 'align'];
+                const [before] = this.captureElementState([element], keys);
+                const after = {
+                    text,
+                    fontFamily: fontSelect.value,
+                    direction: directionSelect.value,
+                    align: alignSelect.value
+                };
+                if (keys.some(key => before[key] !== after[key])) {
+                    this.executeCommand(this.createUpdateCommand([element], [before], [after], 'Text bearbeiten'));
+                }
+            } else if (text) {
+                const centerX = (window.innerWidth / 2 - this.offset.x) / this.scale;
+                const centerY = (window.innerHeight / 2 - this.offset.y) / this.scale;
+                
+                this.executeCommand(this.createInsertCommand([{
+                    id: this.createElementId(),
+                    text: text,
+                    x: centerX,
+                    y: centerY,
+                    fontFamily: fontSelect.value, // Speichere die ausgewählte Schriftart
+                    fontSize: this.initialFontSize / this.scale, // Weltgröße, erscheint beim Erstellen in Basisgröße
+                    direction: directionSelect.value,
+                    align: alignSelect.value
+                }], 'Text hinzufügen'));
+            }
+            textInput.value = '';
+            textModal.style.display = 'none';
+            this.editingElement = null;
+        });
+        
+        // Abbrechen Button
+        cancelBtn.addEventListener('click', () => {
+            textInput.value = '';
+            textModal.style.display = 'none';
+            this.editingElement = null;
+        });
+        
+        // Enter-Taste als Bestätigung, Umschalt+Enter für Zeilenumbruch
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                confirmBtn.click();
+            } else if (e.key === 'Escape') {
+                cancelBtn.click();
+            }
+        });
+    }
+
+    /**
+     * Lädt die mitgelieferten Schriften und richtet Schriftauswahl und Schrift-Import ein
+     * Jede fertig geladene Schrift löst ein Neumessen aller Texte aus
+     */
+    setupFonts() {
+        const fontSelect = document.getElementById('fontSelect');
+        const importButton = document.getElementById('importFontButton');
+        const importInput = document.getElementById('importFontInput');
+
+        this.fontRegistry = new FontRegistry({ onChange: font => this.handleFontChange(font) });
+        this.builtinFonts.forEach(font => this.fontRegistry.register(font));
+
+        fontSelect.addEventListener('change', () => this.updateFontStatus());
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';                                             // Gleiche Datei erneut wählbar machen
+            if (file) this.importFont(file);
+        });
+    }
+
+    /**
+     * Reagiert auf neue oder fertig geladene Schriften
+     * @param {Object} font - Die Schrift aus der FontRegistry
+     */
+    handleFontChange(font) {
+        this.updateFontSelect();
+        if (font.status !== 'loaded') return;
+
+        this.invalidateLayouts();                                               // Mit den echten Glyphen neu messen
+        if (this.renderWorker) {
+            this.renderWorker.postMessage({ type: 'fonts', fonts: this.fontRegistry.getFontSources([font]) });
+        }
+    }
+
+    /**
+     * Baut die Schriftauswahl aus der FontRegistry auf
+     * Jede Option zeigt ihren Namen in der eigenen Schrift; fehlgeschlagene sind markiert
+     */
+    updateFontSelect() {
+        const fontSelect = document.getElementById('fontSelect');
+        const selected = fontSelect.value;
+
+        fontSelect.replaceChildren(...this.fontRegistry.list().map(font => {
+            const option = document.createElement('option');
+            option.value = font.family;
+            option.textContent = font.status === 'error' ? `${font.label} ⚠` : font.label;
+            option.style.fontFamily = `'${font.family}'`;
+            return option;
+        }));
+        if (selected && this.fontRegistry.get(selected)) fontSelect.value = selected;
+        this.updateFontStatus();
+    }
+
+    /**
+     * Zeigt unter der Schriftauswahl, warum die gewählte Schrift nicht geladen werden konnte
+     */
+    updateFontStatus() {
+        const status = document.getElementById('fontStatus');
+        const font = this.fontRegistry.get(document.getElementById('fontSelect').value);
+        const failed = font && font.status === 'error';
+
+        status.hidden = !failed;
+        status.textContent = failed
+            ? `Schrift „${font.family}“ konnte nicht geladen werden: ${font.error}. Es wird eine Ersatzschrift verwendet.`
+            : '';
+    }
+
+    /**
+     * Importiert eine Schriftdatei, wählt sie im Text-Dialog aus und speichert sie mit dem Board
+     * @param {File} file - Die gewählte Datei
+     * @returns {Promise<void>}
+     */
+    async importFont(file) {
+        try {
+            const font = await this.fontRegistry.importFile(file);
+            document.getElementById('fontSelect').value = font.family;
+            this.updateFontStatus();
+            this.scheduleAutosave();
+        } catch (error) {
+            console.error('Schrift-Import fehlgeschlagen:', error);
+            window.alert(`Die Schrift konnte nicht importiert werden: ${error.message}`);
+        }
+    }
+
+    /**
+     * Richtet den Bildspeicher und das Ablegen von Bilddateien auf dem Canvas ein
+     */
+    setupImages() {
+        this.imageStore = new ImageStore({
+            database: () => this.openBoardDatabase(),
+            createId: () => this.createElementId(),
+            onChange: entry => this.handleImageChange(entry)
+        });
+
+        this.canvas.addEventListener('dragover', event => {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+            event.preventDefault();                                             // Erlaubt das Ablegen
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        this.canvas.addEventListener('drop', event => {
+            const files = Array.from(event.dataTransfer ? event.dataTransfer.files : [])
+                .filter(file => file.type.startsWith('image/'));
+            if (files.length === 0) return;
+            event.preventDefault();                                             // Browser öffnet die Datei sonst selbst
+            this.insertImageFiles(files, {
+                x: (event.clientX - this.offset.x) / this.scale,
+                y: (event.clientY - this.offset.y) / this.scale
+            });
+        });
+    }
+
+    /**
+     * Zeichnet neu, sobald ein Bild dekodiert ist, und reicht es an den Worker weiter
+     * Fehlen die Daten, werden sie bei den anderen Teilnehmern angefragt
+     * @param {Object} entry - Der Eintrag im Bildspeicher
+     */
+    handleImageChange(entry) {
+        if (entry.status === 'error') {
+            if (this.sync) this.sync.requestImage(entry.id);
+            return;
+        }
+        if (entry.status !== 'loaded') return;
+
+        this.draw();
+        if (this.renderWorker && typeof createImageBitmap === 'function') {
+            createImageBitmap(entry.image)
+                .then(image => this.renderWorker.postMessage({ type: 'image', id: entry.id, image }, [image]))
+                .catch(error => console.warn('Bild konnte nicht an den Worker übergeben werden:', error));
+        }
+    }
+
+    /**
+     * Fügt Bilddateien als Bildelemente ein, nebeneinander um das Ziel
+     * Große Bilder werden auf einen Anteil des Viewports verkleinert
+     * @param {File[]} files - Die Bilddateien
+     * @param {{x: number, y: number}} target - Ziel in Weltkoordinaten
+     * @returns {Promise<void>}
+     */
+    async insertImageFiles(files, target) {
+        const elements = [];
+        for (const file of files) {
+            try {
+                const image = await this.imageStore.add(file);
+                const fit = Math.min(1,
+                    this.viewportSize.width * this.maxImageViewportRatio / image.width,
+                    this.viewportSize.height * this.maxImageViewportRatio / image.height);
+                const previous = elements[elements.length - 1];
+                elements.push({
+                    id: this.createElementId(),
+                    type: 'image',
+                    imageId: image.id,
+                    x: previous ? previous.x + previous.width : 0,
+                    y: 0,
+                    width: image.width * fit / this.scale,                      // Erscheint in Originalgröße (Bildschirmpixel)
+                    height: image.height * fit / this.scale
+                });
+            } catch (error) {
+                console.error('Bild einfügen fehlgeschlagen:', error);
+                window.alert(`${file.name || 'Das Bild'} konnte nicht eingefügt werden: ${error.message}`);
+            }
+        }
+        const bounds = this.getElementsBounds(elements);
+        if (!bounds) return;
+        this.moveElements(elements, target.x - bounds.width / 2, target.y - bounds.height / 2);
+        this.insertElements(elements, elements.length > 1 ? 'Bilder einfügen' : 'Bild einfügen');
+    }
+
+    /**
+     * Verwaltet die Text-Eingabe und -Platzierung
+     * Konvertiert Bildschirm- in Canvas-Koordinaten
+     * 
+     * Funktionsweise:
+     * 1. Zeigt Eingabefeld an Mausposition
+     * 2. Konvertiert Position unter Berücksichtigung von Zoom/Offset
+     * 3. Validiert Position innerhalb der Grenzen
+     * 4. Fügt Text zum Canvas hinzu
+     * 
+     * @param {string} text - Der einzufügende Text
+     * @param {number} x - X-Koordinate auf dem Bildschirm
+     * @param {number} y - Y-Koordinate auf dem Bildschirm
+     */
+    addTextElement(text, x, y) {
+        if (!text.trim()) return;                                                         // Prüft ob Text leer ist und bricht ggf. ab
+        
+        // Konvertiere Bildschirmkoordinaten in virtuelle Koordinaten
+        const scaledX = (x - this.offset.x) / this.scale;                                // Berechnet skalierte X-Position im virtuellen Raum
+        const scaledY = (y - this.offset.y) / this.scale;                                // Berechnet skalierte Y-Position im virtuellen Raum
+        
+        // Prüfe ob innerhalb der virtuellen Grenzen
+        if (scaledX >= this.boundaries.left &&                                           // Prüft ob X-Position links im erlaubten Bereich
+            scaledX <= this.boundaries.right &&                                          // Prüft ob X-Position rechts im erlaubten Bereich
+            scaledY >= this.boundaries.top &&                                            // Prüft ob Y-Position oben im erlaubten Bereich
+            scaledY <= this.boundaries.bottom) {                                         // Prüft ob Y-Position unten im erlaubten Bereich
+            
+            this.executeCommand(this.createInsertCommand([{                              // Fügt neues Textelement als Undo-Schritt hinzu
+                id: this.createElementId(),                                              // Eindeutige ID für Persistenz
+                text: text.trim(),                                                       // Speichert bereinigten Text
+                x: scaledX,                                                              // Speichert X-Position
+                y: scaledY,                                                              // Speichert Y-Position
+                fontSize: this.initialFontSize / this.scale                              // Speichert Schriftgröße in Weltkoordinaten
+            }], 'Text hinzufügen'));                                                     // Zeichnet und speichert automatisch
+        }
+    }
+    /**
+     * Zeichnet das Punktraster in einen Bereich
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     * @param {Object} area - Sichtbarer Bereich in Weltkoordinaten (Standard: Viewport)
+     * @param {number} dotRadius - Punktradius in Weltkoordinaten
+     */
+    drawGrid(context = this.context, area = this.getViewportBounds(), dotRadius = 0.8 / this.scale) { // Zeichnet das Punktraster
+        context.fillStyle = this.theme.dot;                                            // Punktfarbe des Themas (--dot-color)
+
+        // Sichtbarer Bereich
+        const viewportLeft = area.x;
+        const viewportTop = area.y;
+        const viewportRight = area.x + area.width;
+        const viewportBottom = area.y + area.height;
+
+        // Füge Puffer hinzu fr flüssiges Scrollen
+        const buffer = this.gridSize * 2;
+        const startX = Math.floor((viewportLeft - buffer) / this.gridSize) * this.gridSize;
+        const startY = Math.floor((viewportTop - buffer) / this.gridSize) * this.gridSize;
+        const endX = Math.ceil((viewportRight + buffer) / this.gridSize) * this.gridSize;
+        const endY = Math.ceil((viewportBottom + buffer) / this.gridSize) * this.gridSize;
+
+        context.beginPath();
+        for (let x = startX; x <= endX; x += this.gridSize) {
+            for (let y = startY; y <= endY; y += this.gridSize) {
+                context.moveTo(x, y);
+                context.arc(x, y, dotRadius, 0, Math.PI * 2);
+            }
+        }
+        context.fill();
+    }
+    /**
+     * Zeichnet das Punktraster auf die Rasterebene
+     * Eine vorgerenderte Kachel statt eines Kreises je Punkt, wo Muster transformierbar sind
+     * @param {CanvasRenderingContext2D} context - Kontext der Rasterebene mit Welttransformation
+     * @param {Object} area - Sichtbarer Bereich in Weltkoordinaten
+     */
+    drawGridLayer(context, area) {
+        const pattern = this.getGridPattern(context);
+        if (!pattern) {
+            this.drawGrid(context, area);
+            return;
+        }
+        context.fillStyle = pattern;
+        context.fillRect(area.x, area.y, area.width, area.height);
+    }
+
+    /**
+     * Liefert das Punktraster als Muster, gerendert in der aktuellen Pixelgröße
+     * Die Kachel ist eine Rasterzelle; je ein Viertelpunkt in jeder Ecke ergibt die Punkte
+     * @param {CanvasRenderingContext2D} context - Kontext mit angewandter Welttransformation
+     * @returns {CanvasPattern|null} Das Muster oder null, wenn Muster nicht transformierbar sind
+     */
+    getGridPattern(context) {
+        const pixelScale = context.getTransform().a;                                    // Bildschirmpixel je Welteinheit (inkl. Pixeldichte)
+        if (this.gridPattern && this.gridPattern.pixelScale === pixelScale && this.gridPattern.color === this.theme.dot) {
+            return this.gridPattern.pattern;
+        }
+
+        const tileSize = Math.max(1, Math.round(this.gridSize * pixelScale));
+        const tile = this.createCanvas(tileSize, tileSize);
+        const tileContext = tile.getContext('2d');
+        tileContext.fillStyle = this.theme.dot;                                        // Punktfarbe des Themas (--dot-color)
+        const radius = 0.8 * pixelScale / this.scale;                                  // Gleicher Punktradius wie beim Zeichnen einzelner Punkte
+        tileContext.beginPath();
+        [[0, 0], [tileSize, 0], [0, tileSize], [tileSize, tileSize]].forEach(([x, y]) => {
+            tileContext.moveTo(x, y);
+            tileContext.arc(x, y, radius, 0, Math.PI * 2);
+        });
+        tileContext.fill();
+
+        const pattern = context.createPattern(tile, 'repeat');
+        if (!pattern || !pattern.setTransform) return null;
+        pattern.setTransform(new DOMMatrix().scale(this.gridSize / tileSize));      // Kachel exakt auf eine Rasterzelle abbilden
+        this.gridPattern = { pixelScale, color: this.theme.dot, pattern };
+        return pattern;
+    }
+
+    /**
+     * Zeichnet den Hintergrund des Boards (Farbe und Papierstruktur) in einen Bereich
+     * @param {CanvasRenderingContext2D} context - Zielkontext mit Welttransformation
+     * @param {Object} area - Bereich in Weltkoordinaten
+     */
+    drawBackground(context, area) {
+        const color = this.getBackgroundColor();
+        context.fillStyle = color;
+        context.fillRect(area.x, area.y, area.width, area.height);
+        if (this.background.texture === 'none') return;
+
+        const pixelScale = context.getTransform().a;                                    // Pixel je Welteinheit (inkl. Pixeldichte)
+        const resolution = Math.min(4, Math.max(1, Math.ceil(pixelScale)));
+        const tile = this.getTextureTile(this.background.texture, this.isDarkColor(color), resolution);
+        const pattern = context.createPattern(tile, 'repeat');
+        if (pattern && pattern.setTransform) {
+            pattern.setTransform(new DOMMatrix().scale(1 / resolution));                // Kachel auf ihre Weltgröße abbilden
+            context.fillStyle = pattern;
+            context.fillRect(area.x, area.y, area.width, area.height);
+            return;
+        }
+
+        // Ohne transformierbare Muster Kachel für Kachel, an den Vielfachen der Kachelgröße ausgerichtet
+        const size = this.textureTileSize;
+        context.save();
+        context.beginPath();
+        context.rect(area.x, area.y, area.width, area.height);
+        context.clip();
+        for (let x = Math.floor(area.x / size) * size; x < area.x + area.width; x += size) {
+            for (let y = Math.floor(area.y / size) * size; y < area.y + area.height; y += size) {
+                context.drawImage(tile, x, y, size, size);
+            }
+        }
+        context.restore();
+    }
+
+    /**
+     * Liefert eine Kachel der Papierstruktur in der gewünschten Auflösung (zwischengespeichert)
+     * @param {string} texture - Schlüssel aus backgroundTextures
+     * @param {boolean} dark - Ob der Hintergrund dunkel ist (die Struktur ist dann hell)
+     * @param {number} resolution - Pixel je Welteinheit
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Die Kachel
+     */
+    getTextureTile(texture, dark, resolution) {
+        const key = [texture, dark, resolution].join(',');
+        if (!this.textureCache.has(key)) {
+            const pixels = this.textureTileSize * resolution;
+            const tile = this.createCanvas(pixels, pixels);
+            this.drawTexture(tile.getContext('2d'), texture, dark, resolution);
+            this.textureCache.set(key, tile);
+        }
+        return this.textureCache.get(key);
+    }
+
+    /**
+     * Zeichnet eine Kachel der Papierstruktur
+     * Die Struktur ist mit festem Startwert gewürfelt, damit Bildschirm und Export übereinstimmen;
+     * was über den Rand ragt, erscheint auf der Gegenseite, damit die Kacheln nahtlos aneinanderstoßen
+     * - paper: Körnung aus feinen Punkten und kurzen Fasern
+     * - laid: dichte waagerechte Rippen und Kettlinien wie bei geschöpftem Bütten
+     * @param {CanvasRenderingContext2D} context - Kontext der leeren Kachel
+     * @param {string} texture - Schlüssel aus backgroundTextures
+     * @param {boolean} dark - Ob der Hintergrund dunkel ist
+     * @param {number} resolution - Pixel je Welteinheit
+     */
+    drawTexture(context, texture, dark, resolution) {
+        const size = this.textureTileSize;
+        const random = this.createRandom(this.backgroundTextures[texture].seed);
+        const ink = dark ? '255, 255, 255' : '0, 0, 0';
+        const wrapped = (x, y, reach, draw) => {
+            [-size, 0, size].forEach(dx => [-size, 0, size].forEach(dy => {
+                if (x + dx + reach >= 0 && x + dx - reach <= size && y + dy + reach >= 0 && y + dy - reach <= size) {
+                    draw(x + dx, y + dy);
+                }
+            }));
+        };
+        context.scale(resolution, resolution);
+
+        if (texture === 'laid') {
+            context.lineWidth = 0.6;
+            for (let y = 1; y < size; y += 2) {
+                context.strokeStyle = `rgba(${ink}, ${0.02 + random() * 0.025})`;
+                context.beginPath();
+                context.moveTo(0, y);
+                context.lineTo(size, y);
+                context.stroke();
+            }
+            context.lineWidth = 1.2;
+            context.strokeStyle = `rgba(${ink}, 0.06)`;
+            context.beginPath();
+            for (let x = size / 8; x < size; x += size / 4) {
+                context.moveTo(x, 0);
+                context.lineTo(x, size);
+            }
+            context.stroke();
+        }
+
+        const specks = texture === 'laid' ? 600 : 2400;
+        for (let i = 0; i < specks; i++) {
+            const x = random() * size;
+            const y = random() * size;
+            const radius = 0.3 + random() * 0.9;
+            context.fillStyle = `rgba(${ink}, ${0.02 + random() * 0.06})`;
+            context.beginPath();
+            wrapped(x, y, radius, (cx, cy) => {
+                context.moveTo(cx + radius, cy);
+                context.arc(cx, cy, radius, 0, Math.PI * 2);
+            });
+            context.fill();
+        }
+
+        if (texture === 'paper') {
+            context.lineWidth = 0.4;
+            context.lineCap = 'round';
+            for (let i = 0; i < 90; i++) {
+                const x = random() * size;
+                const y = random() * size;
+                const angle = random() * Math.PI;
+                const half = (6 + random() * 18) / 2;
+                const dx = Math.cos(angle) * half;
+                const dy = Math.sin(angle) * half;
+                context.strokeStyle = `rgba(${ink}, ${0.04 + random() * 0.05})`;
+                context.beginPath();
+                wrapped(x, y, half, (cx, cy) => {
+                    context.moveTo(cx - dx, cy - dy);
+                    context.lineTo(cx + dx, cy + dy);
+                });
+                context.stroke();
+            }
+        }
+    }
+
+    /**
+     * Erzeugt einen Zufallsgenerator mit festem Startwert (Mulberry32)
+     * @param {number} seed - Der Startwert
+     * @returns {Function} Liefert bei jedem Aufruf eine Zahl in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Liefert die Linien eines Grundlinien-Systems relativ zur Grundlinie
+     * @param {Object} system - Eintrag aus guideSystems
+     * @param {number} unit - Größe einer Nuqta in Welteinheiten
+     * @returns {Object[]} Je Linie offset (nach unten positiv) und kind
+     *                     ('baseline', 'body', 'ascender' oder 'descender')
+     */
+    getGuideOffsets(system, unit) {
+        return [
+            { offset: 0, kind: 'baseline' },
+            { offset: -system.body * unit, kind: 'body' },
+            { offset: -system.ascender * unit, kind: 'ascender' },
+            { offset: system.descender * unit, kind: 'descender' }
+        ];
+    }
+
+    /**
+     * Berechnet die Linien des gewählten Systems in einem Bereich
+     * Die Zeilen sind an y = 0 ausgerichtet und wiederholen sich alle
+     * Ober- plus Unterlänge plus Zeilenabstand, gemessen in Federbreiten
+     * @param {Object} area - Bereich in Weltkoordinaten
+     * @returns {Object[]} Je Linie y (Welt) und kind (siehe getGuideOffsets)
+     */
+    getGuideLines(area) {
+        const system = this.guideSystems[this.guides.system];
+        const unit = this.guides.penWidth;
+        const rowHeight = (system.ascender + system.descender + this.guideRowGap) * unit;
+        const first = Math.floor((area.y - system.descender * unit) / rowHeight);
+        const last = Math.ceil((area.y + area.height + system.ascender * unit) / rowHeight);
+        const offsets = this.getGuideOffsets(system, unit);
+
+        const lines = [];
+        for (let row = first; row <= last; row++) {
+            offsets.forEach(({ offset, kind }) => lines.push({ y: row * rowHeight + offset, kind }));
+        }
+        return lines;
+    }
+
+    /**
+     * Setzt Farbe und Strichelung einer Hilfslinie
+     * Ober- und Unterlänge gestrichelt, damit sie sich von Grundlinie und Körperhöhe abheben
+     * @param {CanvasRenderingContext2D} context - Zielkontext
+     * @param {string} kind - Art der Linie (siehe getGuideOffsets)
+     * @param {number} lineWidth - Linienbreite
+     */
+    applyGuideLineStyle(context, kind, lineWidth) {
+        context.strokeStyle = kind === 'baseline' ? this.guideColors.baseline : this.guideColors.line;
+        context.setLineDash(kind === 'ascender' || kind === 'descender' ? [lineWidth * 4, lineWidth * 4] : []);
+    }
+
+    /**
+     * Zeichnet die Linien des gewählten Grundlinien-Systems über die ganze Breite eines Bereichs
+     * @param {CanvasRenderingContext2D} context - Zielkontext mit Welttransformation
+     * @param {Object} area - Bereich in Weltkoordinaten
+     * @param {number} lineWidth - Linienbreite in Weltkoordinaten (Standard: ein Bildschirmpixel)
+     */
+    drawGuideLines(context, area, lineWidth = 1 / this.scale) {
+        context.save();
+        context.lineWidth = lineWidth;
+        this.getGuideLines(area).forEach(line => {
+            this.applyGuideLineStyle(context, line.kind, lineWidth);
+            context.beginPath();
+            context.moveTo(area.x, line.y);
+            context.lineTo(area.x + area.width, line.y);
+            context.stroke();
+        });
+        context.restore();
+    }
+
+    /**
+     * Berechnet das Nuqta-Lineal eines Textelements (siehe Darstellungseigenschaft nuqtaRuler)
+     *
+     * - Eine Nuqta ist fontSize / dotsPerEm groß, das Lineal wächst also mit der Schrift
+     * - Die Rauten stehen abwechselnd versetzt vor dem Textanfang (bei RTL rechts):
+     *   Oberlänge über, Unterlänge unter der ersten Grundlinie
+     * - Grundlinie, Körperhöhe, Ober- und Unterlänge laufen unter jeder Zeile durch
+     * - Alles in Weltkoordinaten, bereits mit dem Element gedreht
+     *
+     * @param {Object} element - Das Element
+     * @returns {Object|null} dots (je vier Eckpunkte), lines (from, to, kind), lineWidth und bounds;
+     *                        null ohne Lineal
+     */
+    getNuqtaRuler(element) {
+        if (!this.isTextElement(element)) return null;
+        const system = this.guideSystems[this.getElementStyle(element, 'nuqtaRuler')];
+        if (!system) return null;
+        const layout = this.layoutText(element);
+        if (layout.lines.length === 0) return null;
+
+        const dot = (element.fontSize || this.initialFontSize) / system.dotsPerEm;
+        const half = dot / 2;
+        const left = element.x + layout.bounds.left;
+        const right = element.x + layout.bounds.right;
+        const column = layout.lines[0].direction === 'rtl' ? right + dot * 1.5 : left - dot * 1.5;  // Mitte der Rauten
+        const baseline = element.y + layout.lines[0].baseline;
+        const toWorld = point => this.rotatePoint(point, element, element.rotation || 0);
+
+        // Von der Grundlinie aus abwechselnd versetzt (Treppe), die Spitzen berühren sich
+        const centers = [];
+        for (let i = 0; i < system.ascender; i++) centers.push({ y: baseline - (i + 0.5) * dot, step: i });
+        for (let i = 0; i < system.descender; i++) centers.push({ y: baseline + (i + 0.5) * dot, step: i + 1 });
+        const dots = centers.map(({ y, step }) => {
+            const x = column + (step % 2 === 0 ? -dot : dot) / 4;
+            return [
+                { x, y: y - half }, { x: x + half, y }, { x, y: y + half }, { x: x - half, y }
+            ].map(toWorld);
+        });
+
+        const from = Math.min(left, column - dot);
+        const to = Math.max(right, column + dot);
+        const lines = [];
+        layout.lines.forEach(line => {
+            this.getGuideOffsets(system, dot).forEach(({ offset, kind }) => {
+                const y = element.y + line.baseline + offset;
+                lines.push({ from: toWorld({ x: from, y }), to: toWorld({ x: to, y }), kind });
+            });
+        });
+
+        const lineWidth = dot / 10;
+        const points = [].concat(...dots, ...lines.map(line => [line.from, line.to]));
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const bounds = this.expandBounds({
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys)
+        }, lineWidth);
+        return { dots, lines, lineWidth, bounds };
+    }
+
+    /**
+     * Zeichnet das Nuqta-Lineal eines Textelements
+     * @param {Object} element - Das Element
+     * @param {CanvasRenderingContext2D} context - Zielkontext
+     */
+    drawNuqtaRuler(element, context = this.context) {
+        const ruler = this.getNuqtaRuler(element);
+        if (!ruler) return;
+
+        context.save();
+        context.lineWidth = ruler.lineWidth;
+        ruler.lines.forEach(line => {
+            this.applyGuideLineStyle(context, line.kind, ruler.lineWidth);
+            context.beginPath();
+            context.moveTo(line.from.x, line.from.y);
+            context.lineTo(line.to.x, line.to.y);
+            context.stroke();
+        });
+        context.fillStyle = this.guideColors.dot;
+        context.beginPath();
+        ruler.dots.forEach(corners => {
+            context.moveTo(corners[0].x, corners[0].y);
+            corners.slice(1).forEach(corner => context.lineTo(corner.x, corner.y));
+            context.closePath();
+        });
+        context.fill();
+        context.restore();
+    }
+
+    /**
+     * Zeichnet ein Element passend zu seinem Typ
+     * Elemente in einem Rahmen werden auf dessen Fläche zugeschnitten. Ausgewählte Elemente zeichnet
+     * das Overlay ungeschnitten, damit über den Rand ragende Teile beim Bearbeiten sichtbar bleiben
+     * (und ihre Ziehpunkte nicht abgeschnitten werden).
+     * @param {Object} element - Das Element (Text, Strich, Bild, Form, Linie oder Rahmen)
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     * @param {boolean} guides - Ob das Nuqta-Lineal eines Textes mitgezeichnet wird (Standard: wie angezeigt)
+     */
+    drawElement(element, context = this.context, guides = this.guides.visible) {
+        if (element.type === 'frame') {
+            this.drawFrame(element, context);
+            return;
+        }
+        const frame = context === this.context && this.selectedElements.has(element) ? null : this.getElementFrame(element);
+        if (frame) {
+            context.save();
+            context.beginPath();
+            context.rect(frame.x, frame.y, frame.width, frame.height);
+            context.clip();
+        }
+        if (element.type === 'stroke') {
+            this.drawStroke(element, context);
+        } else if (element.type === 'image') {
+            this.drawImageElement(element, context);
+        } else if (element.type === 'shape' || element.type === 'line') {
+            this.drawShape(element, context);
+        } else {
+            this.drawVectorText(element, context);
+            if (guides) this.drawNuqtaRuler(element, context);
+        }
+        if (frame) context.restore();
+    }
+
+    /**
+     * Prüft, ob ein Element ein Textelement ist (ältere Boards haben noch kein type-Feld)
+     * @param {Object} element - Das Element
+     * @returns {boolean} true bei Text
+     */
+    isTextElement(element) {
+        return !element.type || element.type === 'text';
+    }
+
+    /**
+     * Zeichnet ein Textelement
+     * Auswahlrahmen und Ziehpunkte erscheinen nur auf dem Bildschirm, nicht im Export
+     * @param {Object} element - Das Textelement
+     * @param {CanvasRenderingContext2D} context - Zielkontext (Standard: Bildschirm)
+     */
+    drawVectorText(element, context = this.context) {
+        const scale = element.animationScale || 1;
+        const opacity = this.getElementOpacity(element);
+        
+        const layout = this.layoutText(element);
+        
+        context.save();
+        
+        // Drehung um den Ursprung des Elements; alles Weitere im lokalen Koordinatensystem
+        if (element.rotation) {
+            context.translate(element.x, element.y);
+            context.rotate(element.rotation);
+            context.translate(-element.x, -element.y);
+        }
+        
+        // Skalierung für Animation
+        const centerX = element.x + layout.width / 2;
+        const centerY = element.y;
+        context.translate(centerX, centerY);
+        context.scale(scale, scale);
+        context.translate(-centerX, -centerY);
+        
+        // Verwende die gespeicherte Schriftart oder Standard
+        context.font = this.getElementFont(element);
+        this.applyLetterSpacing(context, element);
+        
+        // Verbesserte Hervorhebung für ausgewählten Text
+        if (this.selectedElements.has(element) && context === this.context) {
+            this.drawSelectionHighlight(this.getElementLocalBounds(element, layout));
+            
+            // Ausgewählter Text leicht verblasst (aktiver Zustand)
+            context.globalAlpha = opacity * 0.6;
+        } else {
+            // Normaler Text mit Opacity
+            context.globalAlpha = opacity;
+        }
+        context.fillStyle = this.getElementStyle(element, 'color');
+        const hasShadow = this.applyTextShadow(context, element);
+        
+        // Kontur zuerst, damit die Füllung die innere Hälfte verdeckt
+        const fontSize = element.fontSize || this.initialFontSize;
+        const outlineWidth = this.getElementStyle(element, 'outlineWidth') * fontSize;
+        if (outlineWidth > 0) {
+            context.strokeStyle = this.getElementStyle(element, 'outlineColor');
+            context.lineWidth = outlineWidth * 2;
+            context.lineJoin = 'round';
+        }
+        
+        // Text zeilenweise zeichnen, Bidi-Reihenfolge übernimmt der Browser anhand der Basisrichtung
+        const drawLines = () => layout.lines.forEach(line => {
+            context.direction = line.direction;
+            context.textAlign = line.textAlign;
+            if (outlineWidth > 0) {
+                context.strokeText(line.text, element.x + line.anchorX, element.y + line.baseline);
+            }
+            context.fillText(line.text, element.x + line.anchorX, element.y + line.baseline);
+        });
+        drawLines();
+        if (hasShadow && outlineWidth > 0) {
+            // Der Schatten der Füllung liegt über der Kontur, daher ohne Schatten übermalen
+            context.shadowColor = 'transparent';
+            drawLines();
+        }
+        
+        context.restore();
+    }
+
+    /**
+     * Berechnet das Zeilenlayout eines Textelements
+     * 
+     * Layout-Regeln:
+     * - element.x/element.y sind die linke Kante des Textblocks und die erste Grundlinie
+     * - Jede Zeile hat eine eigene Basisrichtung (bei 'auto' aus dem ersten starken Zeichen)
+     * - start/end richten sich nach der Basisrichtung der Zeile, center immer mittig
+     * - Die Tintenbox stammt aus den tatsächlichen Glyphenmaßen der Schrift, damit
+     *   hohe Oberlängen und die schräge Grundlinie des Nastaliq vollständig erfasst werden
+     * 
+     * @param {Object} element - Das Textelement
+     * @returns {Object} lines (Text, Richtung, Anker, Grundlinie und Tintenbox relativ zum Element),
+     *                   width (Breite des Blocks) und bounds (Tintenbox des ganzen Blocks)
+     */
+    layoutText(element) {
+        // Das Layout ist relativ zum Ursprung und hängt nur von Inhalt und Schrift ab
+        const key = [
+            this.getElementFont(element), element.direction, element.align, element.text,
+            element.letterSpacing, element.lineHeight, element.kashida
+        ].join('\u0000');
+        const cached = this.layoutCache.get(element);
+        if (cached && cached.key === key) return cached.layout;
+
+        const layout = this.computeTextLayout(element);
+        this.layoutCache.set(element, { key, layout });
+        return layout;
+    }
+
+    /**
+     * Misst das Zeilenlayout eines Textelements (ohne Cache, siehe layoutText)
+     * @param {Object} element - Das Textelement
+     * @returns {Object} Das Layout
+     */
+    computeTextLayout(element) {
+        const context = this.measureContext;
+        context.font = this.getElementFont(element);
+        this.applyLetterSpacing(context, element);
+
+        const lineHeight = (element.fontSize || this.initialFontSize) * this.getElementStyle(element, 'lineHeight');
+        const align = element.align || this.defaultAlign;
+
+        // Erster Durchlauf: Richtung und Vorschubbreite je Zeile
+        const lines = element.text.split('\n').map((text, index) => {
+            const direction = this.resolveTextDirection(text, element.direction);
+            context.direction = direction;
+            context.textAlign = 'left';
+            return {
+                text,
+                direction,
+                width: context.measureText(text).width,
+                baseline: index * lineHeight
+            };
+        });
+        let width = Math.max(...lines.map(line => line.width));
+
+        // Kashida: jede Zeile mit Tatweel auf die Zielbreite bringen (mindestens die Breite der längsten Zeile)
+        const kashida = element.kashida;
+        if (kashida !== null && isFinite(kashida) && kashida >= 0) {
+            const target = Math.max(width, kashida * (element.fontSize || this.initialFontSize));
+            lines.forEach(line => {
+                if (!line.text.trim()) return;
+                context.direction = line.direction;
+                line.text = this.justifyWithKashida(line.text, line.width, target, context);
+                line.width = context.measureText(line.text).width;
+            });
+            width = Math.max(...lines.map(line => line.width));
+        }
+
+        // Zweiter Durchlauf: Anker im Block und Tintenbox mit derselben Ausrichtung messen
+        const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        lines.forEach(line => {
+            line.textAlign = this.getPhysicalAlign(align, line.direction);
+            line.anchorX = line.textAlign === 'left' ? 0 : line.textAlign === 'right' ? width : width / 2;
+
+            context.direction = line.direction;
+            context.textAlign = line.textAlign;
+            const metrics = context.measureText(line.text);
+            line.box = {
+                left: line.anchorX - metrics.actualBoundingBoxLeft,
+                right: line.anchorX + metrics.actualBoundingBoxRight,
+                top: line.baseline - metrics.actualBoundingBoxAscent,
+                bottom: line.baseline + metrics.actualBoundingBoxDescent
+            };
+
+            if (!line.text.trim()) return;                                      // Leerzeilen haben keine Tinte
+            bounds.left = Math.min(bounds.left, line.box.left);
+            bounds.right = Math.max(bounds.right, line.box.right);
+            bounds.top = Math.min(bounds.top, line.box.top);
+            bounds.bottom = Math.max(bounds.bottom, line.box.bottom);
+        });
+
+        if (bounds.left === Infinity) {                                         // Nur Leerzeilen: Zeilenbox verwenden
+            Object.assign(bounds, { left: 0, right: width, top: -lineHeight, bottom: 0 });
+        }
+
+        return { lines, width, bounds };
+    }
+
+    /**
+     * Bestimmt die Basisrichtung einer Zeile
+     * Bei 'auto' entscheidet das erste starke Zeichen (wie dir="auto" in HTML)
+     * @param {string} text - Der Zeilentext
+     * @param {string} direction - 'rtl', 'ltr' oder 'auto'
+     * @returns {string} 'rtl' oder 'ltr'
+     */
+    resolveTextDirection(text, direction = this.defaultDirection) {
+        if (direction === 'rtl' || direction === 'ltr') return direction;
+
+        for (const character of text) {
+            if (this.rtlCharacter.test(character)) return 'rtl';
+            if (this.strongCharacter.test(character)) return 'ltr';
+        }
+        return 'rtl';                                                           // Nur Ziffern/Zeichen: Board ist für RTL-Schriften gedacht
+    }
+
+    /**
+     * Bringt eine Zeile in die sichtbare Reihenfolge von links nach rechts (Textebene im PDF;
+     * PDF-Betrachter rechnen daraus die logische Reihenfolge zurück)
+     * Vereinfachter Bidi-Algorithmus ohne Einbettungen und Spiegelung: Zahlen nach lateinischen
+     * Buchstaben gelten als lateinisch, Neutrale zwischen gleich gerichteten Zeichen übernehmen
+     * deren Richtung (Zahlen zählen dabei als RTL), sonst die Basisrichtung der Zeile
+     * @param {string} text - Der Zeilentext in logischer Reihenfolge
+     * @param {string} direction - Basisrichtung der Zeile ('rtl' oder 'ltr')
+     * @returns {string} Der Text in sichtbarer Reihenfolge
+     */
+    getVisualOrder(text, direction) {
+        const characters = Array.from(text);
+        const base = direction === 'rtl' ? 'R' : 'L';
+        let strong = base;
+        const types = characters.map(character => {
+            if (/\p{Nd}/u.test(character)) return strong === 'L' ? 'L' : 'EN';  // Auch persische Ziffern
+            if (this.rtlCharacter.test(character)) strong = 'R';
+            else if (this.strongCharacter.test(character)) strong = 'L';
+            else return null;
+            return strong;
+        });
+        const resolved = types.map((type, index) => {
+            if (type) return type;
+            const side = found => (!found ? base : found === 'L' ? 'L' : 'R');
+            const before = side(types.slice(0, index).reverse().find(Boolean));
+            const after = side(types.slice(index + 1).find(Boolean));
+            return before === after ? before : base;
+        });
+
+        // Ebenen: RTL ungerade, Latein und Zahlen gerade; dann ab der höchsten Ebene umkehren
+        const levels = resolved.map(type => (base === 'R' ? (type === 'R' ? 1 : 2) : type === 'L' ? 0 : type === 'R' ? 1 : 2));
+        for (let level = Math.max(0, ...levels); level > 0; level--) {
+            for (let start = 0; start < characters.length; start++) {
+                if (levels[start] < level) continue;
+                let end = start;
+                while (end + 1 < characters.length && levels[end + 1] >= level) end++;
+                characters.splice(start, end - start + 1, ...characters.slice(start, end + 1).reverse());
+                levels.splice(start, end - start + 1, ...levels.slice(start, end + 1).reverse());
+                start = end;
+            }
+        }
+        return characters.join('');
+    }
+
+    /**
+     * Übersetzt eine logische Ausrichtung in eine physische Seite
+     * @param {string} align - 'start', 'center' oder 'end'
+     * @param {string} direction - 'rtl' oder 'ltr'
+     * @returns {string} 'left', 'right' oder 'center'
+     */
+    getPhysicalAlign(align, direction) {
+        if (align === 'center') return 'center';
+        const isStart = align !== 'end';
+        return (direction === 'rtl') === isStart ? 'right' : 'left';
+    }
+
+    /**
+     * Liefert den CSS-Font eines Elements in Weltkoordinaten
+     * @param {Object} element - Das Textelement
+     * @returns {string} Font-Angabe für den Canvas-Kontext
+     */
+    getElementFont(element) {
+        const fontSize = element.fontSize || this.initialFontSize;
+        const fontFamily = element.fontFamily || 'IranSans';
+        const weight = element.fontWeight && element.fontWeight !== 'normal' ? `${element.fontWeight} ` : '';
+        return `${weight}${fontSize}px '${fontFamily}', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+    }
+
+    /**
+     * Dehnt eine Zeile durch eingefügte Tatweel-Zeichen (Kashida) auf eine Zielbreite
+     * 
+     * Tatweel steht nur zwischen zwei verbundenen Buchstaben: nach einem beidseitig
+     * verbindenden Buchstaben (und seinen Vokalzeichen), vor einem Buchstaben, der nach
+     * rechts verbindet. Lam-Alif bleibt als Ligatur erhalten. Bevorzugt wird die letzte
+     * Verbindung jedes Wortes, weitere Zeichen werden reihum auf die Wörter verteilt.
+     * 
+     * @param {string} text - Die Zeile
+     * @param {number} width - Ihre natürliche Breite
+     * @param {number} target - Die Zielbreite
+     * @param {CanvasRenderingContext2D} context - Messkontext mit Schrift und Richtung der Zeile
+     * @returns {string} Die gedehnte Zeile (unverändert, wenn nichts gedehnt werden kann)
+     */
+    justifyWithKashida(text, width, target, context) {
+        const positions = this.getKashidaPositions(text);
+        const tatweelWidth = context.measureText(this.tatweel).width;
+        if (positions.length === 0 || !(tatweelWidth > 0) || target - width < tatweelWidth) return text;
+
+        const insert = count => {
+            const counts = new Array(text.length + 1).fill(0);
+            for (let i = 0; i < count; i++) counts[positions[i % positions.length]]++;
+            let result = '';
+            for (let i = 0; i <= text.length; i++) {
+                result += this.tatweel.repeat(counts[i]) + (i < text.length ? text[i] : '');
+            }
+            return result;
+        };
+
+        // Anzahl schätzen und nachmessen (die Breite im Wort kann von der einzelnen Glyphe abweichen)
+        let count = Math.floor((target - width) / tatweelWidth);
+        let stretched = insert(count);
+        for (let step = 0; step < 8; step++) {
+            const measured = context.measureText(stretched).width;
+            if (measured > target && count > 0) {
+                count--;
+            } else if (target - measured >= tatweelWidth * 1.5) {
+                count++;
+            } else {
+                break;
+            }
+            stretched = insert(count);
+        }
+        return stretched;
+    }
+
+    /**
+     * Sucht die Stellen einer Zeile, an denen Tatweel eingefügt werden darf
+     * @param {string} text - Die Zeile
+     * @returns {number[]} Einfügepositionen (Zeichenindex) in Verteilungsreihenfolge
+     */
+    getKashidaPositions(text) {
+        const words = [[]];
+        for (let i = 0; i < text.length; i++) {
+            if (/\s/.test(text[i])) {
+                words.push([]);
+                continue;
+            }
+            if (!this.dualJoiningLetter.test(text[i])) continue;
+
+            let next = i + 1;
+            while (next < text.length && this.arabicMark.test(text[next])) next++;
+            const following = text[next];
+            if (!following || !(this.dualJoiningLetter.test(following) || this.rightJoiningLetter.test(following))) continue;
+            if (text[i] === '\u0644' && /[\u0622\u0623\u0625\u0627]/.test(following)) continue;  // Lam-Alif
+            words[words.length - 1].push(next);
+        }
+
+        // Reihum je Wort von der letzten Verbindung nach vorn
+        const ordered = [];
+        const longest = Math.max(...words.map(word => word.length));
+        for (let round = 0; round < longest; round++) {
+            words.forEach(word => {
+                if (round < word.length) ordered.push(word[word.length - 1 - round]);
+            });
+        }
+        return ordered;
+    }
+
+    /**
+     * Liefert eine Darstellungseigenschaft eines Elements oder ihren Standardwert
+     * Ohne eigene Farbe gilt die Standardtinte des Untergrunds (getDefaultInk)
+     * @param {Object} element - Das Element
+     * @param {string} key - Schlüssel aus styleDefaults
+     * @returns {*} Der Wert
+     */
+    getElementStyle(element, key) {
+        if (element[key] !== undefined && element[key] !== null) return element[key];
+        return key === 'color' ? this.getDefaultInk(element) : this.styleDefaults[key];
+    }
+
+    /**
+     * Liefert die Tinte eines Elements ohne eigene Farbe: dunkel auf hellem, hell auf dunklem Untergrund
+     * Untergrund ist das Papier des Rahmens, in dem das Element liegt, sonst der Hintergrund des Boards
+     * (beim Export ohne Hintergrund renderSurface)
+     * @param {Object} element - Das Element
+     * @returns {string} Die Farbe aus dem Thema (inkOnLight oder inkOnDark)
+     */
+    getDefaultInk(element) {
+        const surface = this.getElementFrame(element) ? this.frameFill : this.renderSurface || this.getBackgroundColor();
+        return this.isDarkColor(surface) ? this.theme.inkOnDark : this.theme.inkOnLight;
+    }
+
+    /**
+     * Prüft, ob auf einer Farbe helle Schrift besser lesbar ist als dunkle
+     * Schwelle ist die relative Leuchtdichte, bei der Schwarz und Weiß gleich stark kontrastieren (WCAG)
+     * @param {string} color - '#rgb', '#rrggbb' oder 'rgb(a)(…)'; andere Angaben gelten als hell
+     * @returns {boolean} true bei dunkler Farbe
+     */
+    isDarkColor(color) {
+        const value = String(color).trim();
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+        const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(value);
+        let channels = null;
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            channels = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        } else if (rgb) {
+            channels = rgb.slice(1, 4).map(Number);
+        }
+        if (!channels) return false;
+
+        const [r, g, b] = channels.map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.179;
+    }
+
+    /**
+     * Liefert die Deckkraft eines Elements einschließlich laufender Animationen
+     * @param {Object} element - Das Element
+     * @returns {number} Deckkraft 0–1
+     */
+    getElementOpacity(element) {
+        const animation = element.animationOpacity !== undefined ? element.animationOpacity : 1;
+        return this.getElementStyle(element, 'opacity') * animation;
+    }
+
+    /**
+     * Setzt den Zeichenabstand eines Textelements auf einem Kontext (Messen und Zeichnen)
+     * Browser ohne ctx.letterSpacing zeichnen ohne Zeichenabstand
+     * @param {CanvasRenderingContext2D} context - Der Kontext
+     * @param {Object} element - Das Textelement
+     */
+    applyLetterSpacing(context, element) {
+        if (!('letterSpacing' in context)) return;
+        const fontSize = element.fontSize || this.initialFontSize;
+        context.letterSpacing = `${this.getElementStyle(element, 'letterSpacing') * fontSize}px`;
+    }
+
+    /**
+     * Setzt den Schatten eines Textelements auf einem Kontext
+     * Canvas-Schatten ignorieren die Transformation, daher werden Weichzeichnung und Versatz
+     * in Gerätepixel umgerechnet; der Versatz dreht mit dem Element wie im SVG-Export
+     * @param {CanvasRenderingContext2D} context - Der Kontext (bereits ins Element transformiert)
+     * @param {Object} element - Das Textelement
+     * @returns {boolean} true, wenn ein Schatten gesetzt wurde
+     */
+    applyTextShadow(context, element) {
+        if (!this.hasTextShadow(element)) return false;
+        const fontSize = element.fontSize || this.initialFontSize;
+        const blur = this.getElementStyle(element, 'shadowBlur') * fontSize;
+        const offsetX = this.getElementStyle(element, 'shadowOffsetX') * fontSize;
+        const offsetY = this.getElementStyle(element, 'shadowOffsetY') * fontSize;
+        const matrix = context.getTransform();
+
+        context.shadowColor = this.getElementStyle(element, 'shadowColor');
+        context.shadowBlur = blur * Math.hypot(matrix.a, matrix.b);
+        context.shadowOffsetX = matrix.a * offsetX + matrix.c * offsetY;
+        context.shadowOffsetY = matrix.b * offsetX + matrix.d * offsetY;
+        return true;
+    }
+
+    /**
+     * Prüft, ob ein Element einen sichtbaren Schatten hat
+     * @param {Object} element - Das Element
+     * @returns {boolean} true bei Weichzeichnung oder Versatz
+     */
+    hasTextShadow(element) {
+        return this.isTextElement(element) && Boolean(
+            this.getElementStyle(element, 'shadowBlur') ||
+            this.getElementStyle(element, 'shadowOffsetX') ||
+            this.getElementStyle(element, 'shadowOffsetY'));
+    }
+
+    /**
+     * Berechnet, wie weit der Schatten eines Elements über seine Begrenzung hinausreicht
+     * @param {Object} element - Das Element
+     * @returns {number} Der Rand in Weltkoordinaten (0 ohne Schatten)
+     */
+    getShadowExtent(element) {
+        if (!this.hasTextShadow(element)) return 0;
+        const fontSize = element.fontSize || this.initialFontSize;
+        return fontSize * (this.getElementStyle(element, 'shadowBlur') + Math.max(
+            Math.abs(this.getElementStyle(element, 'shadowOffsetX')),
+            Math.abs(this.getElementStyle(element, 'shadowOffsetY'))));
+    }
+
+    /**
+     * Berechnet die Begrenzung, in die ein Element zeichnet (mit Schatten und angezeigtem Nuqta-Lineal)
+     * Grundlage für Index und Neuzeichnen; Auswahl und Treffer nutzen getElementBounds
+     * @param {Object} element - Das Element
+     * @returns {{x: number, y: number, width: number, height: number}} Die Box
+     */
+    getElementPaintBounds(element) {
+        const bounds = this.expandBounds(this.getElementBounds(element), this.getShadowExtent(element));
+        const ruler = this.guides.visible ? this.getNuqtaRuler(element) : null;
+        return ruler ? this.unionBounds(bounds, ruler.bounds) : bounds;
+    }
+
+    /**
+     * Berechnet den sichtbaren Bereich des Bildschirms in Weltkoordinaten
+     * @returns {{x: number, y: number, width: number, height: number}} Der Viewport
+     */
+    getViewportBounds() {
+        return {
+            x: -this.offset.x / this.scale,
+            y: -this.offset.y / this.scale,
+            width: this.viewportSize.width / this.scale,
+            height: this.viewportSize.height / this.scale
+        };
+    }
+
+    /**
+     * Berechnet die ungedrehte Tintenbox eines Elements
+     * Die Koordinaten gelten im lokalen System des Elements (vor der Drehung um x/y)
+     * @param {Object} element - Das Element
+     * @param {Object} layout - Bereits berechnetes Textlayout (optional, nur für Texte)
+     * @returns {{x: number, y: number, width: number, height: number}} Die Box
+     */
+    getElementLocalBounds(element, layout) {
+        if (element.type === 'stroke') return this.getStrokeLocalBounds(element);
+        if (element.type === 'image' || element.type === 'frame') {
+            return { x: element.x, y: element.y, width: element.width, height: element.height };
+        }
+        if (element.type === 'shape' || element.type === 'line') return this.getShapeLocalBounds(element);
+        const bounds = (layout || this.layoutText(element)).bounds;
+        const outline = this.getElementStyle(element, 'outlineWidth') * (element.fontSize || this.initialFontSize);
+        return {
+            x: element.x + bounds.left - outline,
+            y: element.y + bounds.top - outline,
+            width: bounds.right - bounds.left + outline * 2,
+            height: bounds.bottom - bounds.top + outline * 2
+        };
+    }
+
+    /**
+     * Berechnet die achsenparallele Begrenzung eines (ggf. gedrehten) Elements in Weltkoordinaten
+     * @param {Object} element - Das Element
+     * @param {Object} layout - Bereits berechnetes Textlayout (optional, nur für Texte)
+     * @returns {{x: number, y: number, width: number, height: number}} Die Bounding Box
+     */
+    getElementBounds(element, layout) {
+        const local = this.getElementLocalBounds(element, layout);
+        if (!element.rotation) return local;
+
+        const corners = [
+            { x: local.x, y: local.y },
+            { x: local.x + local.width, y: local.y },
+            { x: local.x, y: local.y + local.height },
+            { x: local.x + local.width, y: local.y + local.height }
+        ].map(corner => this.rotatePoint(corner, element, element.rotation));
+
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+    }
+
+    /**
+     * Berechnet die gemeinsame Begrenzung aller Elemente
+     * @returns {Object|null} Die Bounding Box oder null bei leerem Board
+     */
+    getBoardBounds() {
+        return this.getElementsBounds(this.textElements);
+    }
+
+    preventBrowserZoom() {                                                              // Verhindert Browser-Zoom-Gesten
+        // Verhindere Pinch-Zoom
+        document.addEventListener('touchmove', (e) => {                                 // Überwacht Touch-Bewegungen
+            if (e.touches.length > 1) {                                                // Prüft auf Multi-Touch
+                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+            }
+        }, { passive: false });                                                        // Erlaubt preventDefault()
+
+        // Verhindere Doppeltipp-Zoom
+        document.addEventListener('touchend', (e) => {                                 // Überwacht Touch-Ende
+            const now = Date.now();                                                    // Speichert aktuellen Zeitstempel
+            if (now - this.lastTap < 300) {                                           // Prüft auf Doppeltipp
+                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+            }
+            this.lastTap = now;                                                        // Aktualisiert letzten Tipp-Zeitstempel
+        }, { passive: false });                                                        // Erlaubt preventDefault()
+
+        // Verhindere Strg+Wheel Zoom
+        document.addEventListener('wheel', (e) => {                                    // Überwacht Mausrad-Events
+            if (e.ctrlKey) {                                                          // Prüft ob Strg gedrückt
+                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+            }
+        }, { passive: false });                                                        // Erlaubt preventDefault()
+
+        // Verhindere Strg+Plus/Minus Zoom
+        document.addEventListener('keydown', (e) => {                                  // Überwacht Tastatureingaben
+            if (e.ctrlKey && (e.key === '+' || e.key === '-' || e.key === '=')) {    // Prüft auf Strg+Plus/Minus
+                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+            }
+        });
+    }
+
+    setupGridToggle() {                                                                 // Richtet Grid-Toggle-Funktionalität ein
+        const toggleButton = document.getElementById('toggleGridButton');               // Holt Grid-Toggle-Button aus DOM
+        const icon = toggleButton.querySelector('i');                                   // Findet Icon-Element im Button
+        
+        toggleButton.addEventListener('click', () => {                                  // Fügt Click-Event-Listener hinzu
+            this.isGridVisible = !this.isGridVisible;                                  // Invertiert Grid-Sichtbarkeit
+            toggleButton.classList.toggle('active');                                    // Schaltet aktiven Zustand des Buttons um
+            
+            // Wechsle das Icon
+            icon.classList.toggle('fa-eye');                                           // Schaltet Auge-Icon um
+            icon.classList.toggle('fa-eye-slash');                                     // Schaltet durchgestrichenes Auge-Icon um
+            
+            // Toggle Sichtbarkeit der Mittellinie
+            document.querySelector('.center-line').style.opacity =                      // Ändert Sichtbarkeit der Mittellinie
+                this.isGridVisible ? '1' : '0';                                        // Basierend auf Grid-Sichtbarkeit
+            
+            this.draw();                                                               // Zeichnet Canvas neu
+        });
+    }
+
+    /**
+     * Richtet Schalter und Einstellungen der Kalligrafie-Hilfslinien ein
+     * Die Auswahl der Systeme stammt aus guideSystems
+     */
+    setupGuides() {
+        const toggleButton = document.getElementById('toggleGuidesButton');
+        const systemSelect = document.getElementById('guideSystem');
+        const penWidthInput = document.getElementById('guidePenWidth');
+        const rulerSelect = document.querySelector('#propertiesPanel [data-style="nuqtaRuler"]');
+
+        Object.keys(this.guideSystems).forEach(key => {
+            [systemSelect, rulerSelect].forEach(select => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = this.guideSystems[key].label;
+                select.appendChild(option);
+            });
+        });
+        penWidthInput.min = this.guidePenWidthRange.min;
+        penWidthInput.max = this.guidePenWidthRange.max;
+
+        toggleButton.addEventListener('click', () => this.setGuides({ visible: !this.guides.visible }));
+        systemSelect.addEventListener('change', () => this.setGuides({ system: systemSelect.value }));
+        penWidthInput.addEventListener('change', () => this.setGuides({ penWidth: Number(penWidthInput.value) }));
+        this.updateGuideControls();
+    }
+
+    /**
+     * Ändert Sichtbarkeit, System oder Federbreite der Hilfslinien
+     * Ungültige Werte werden verworfen; gespeichert wird mit dem Board
+     * @param {Object} changes - visible, system und/oder penWidth
+     */
+    setGuides(changes) {
+        const guides = { ...this.guides };
+        if (typeof changes.visible === 'boolean') guides.visible = changes.visible;
+        if (this.guideSystems[changes.system]) guides.system = changes.system;
+        if (isFinite(changes.penWidth) && changes.penWidth > 0) {
+            const { min, max } = this.guidePenWidthRange;
+            guides.penWidth = Math.max(min, Math.min(max, changes.penWidth));
+        }
+        this.guides = guides;
+        this.updateGuideControls();
+        this.invalidateSpatialIndex();                                          // Nuqta-Lineale ändern die Zeichenbereiche
+        this.draw();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Gleicht Schalter und Einstellungen der Hilfslinien mit dem Zustand ab
+     */
+    updateGuideControls() {
+        document.getElementById('toggleGuidesButton').classList.toggle('active', this.guides.visible);
+        document.getElementById('guideOptions').hidden = !this.guides.visible;
+        document.getElementById('guideSystem').value = this.guides.system;
+        document.getElementById('guidePenWidth').value = this.guides.penWidth;
+    }
+
+    /**
+     * Richtet den Themen-Schalter ein und übernimmt das zuletzt gewählte Thema
+     * Mit 'system' folgt das Thema den Einstellungen des Betriebssystems, auch während der Sitzung
+     */
+    setupTheme() {
+        try {
+            const stored = localStorage.getItem(this.themeStorageKey);
+            if (this.themes[stored]) this.themeSetting = stored;
+        } catch (error) {
+            console.warn('Thema konnte nicht gelesen werden:', error);
+        }
+        if (window.matchMedia) {
+            this.themeQueries = {
+                dark: window.matchMedia('(prefers-color-scheme: dark)'),
+                contrast: window.matchMedia('(prefers-contrast: more)')
+            };
+            Object.values(this.themeQueries).forEach(query => {
+                query.addEventListener('change', () => {
+                    if (this.themeSetting === 'system') this.applyTheme();
+                });
+            });
+        }
+
+        document.getElementById('themeButton').addEventListener('click', () => {
+            const settings = Object.keys(this.themes);
+            this.setTheme(settings[(settings.indexOf(this.themeSetting) + 1) % settings.length]);
+        });
+        this.applyTheme();
+    }
+
+    /**
+     * Wählt ein Thema und merkt es sich für die nächste Sitzung
+     * @param {string} setting - Schlüssel aus themes
+     */
+    setTheme(setting) {
+        if (!this.themes[setting]) return;
+        this.themeSetting = setting;
+        try {
+            localStorage.setItem(this.themeStorageKey, setting);
+        } catch (error) {
+            console.warn('Thema konnte nicht gespeichert werden:', error);
+        }
+        this.applyTheme();
+    }
+
+    /**
+     * Ermittelt das angezeigte Thema einer Einstellung
+     * @param {string} setting - Schlüssel aus themes
+     * @returns {string} 'light', 'dark' oder 'high-contrast'
+     */
+    resolveTheme(setting) {
+        if (setting !== 'system') return setting;
+        const queries = this.themeQueries;
+        if (queries && queries.contrast.matches) return 'high-contrast';
+        return queries && queries.dark.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Setzt das Thema an der Seite (data-theme) und liest die Farben der Zeichenfläche neu
+     * Der Kameraschlüssel enthält das Thema, daher zeichnen Raster und Inhalt vollständig neu
+     */
+    applyTheme() {
+        const name = this.resolveTheme(this.themeSetting);
+        document.documentElement.dataset.theme = name;
+        this.theme = this.readTheme(name);
+
+        const button = document.getElementById('themeButton');
+        button.title = this.themes[this.themeSetting].label;
+        button.querySelector('i').className = `fas ${this.themes[this.themeSetting].icon}`;
+
+        if (!this.layers) return;                                               // Erster Aufruf vor initializeCanvas
+        this.updateBackgroundControls();
+        this.propertiesPanelState = null;                                       // Standardtinte im Farbfeld nachziehen
+        this.updatePropertiesPanel();
+        this.draw();
+    }
+
+    /**
+     * Liest die Farben der Zeichenfläche aus den CSS-Variablen des Dokuments (siehe themeTokens)
+     * Fehlt eine Variable, bleibt der bisherige Wert
+     * @param {string} name - Das angezeigte Thema
+     * @returns {Object} Die aufgelösten Farben
+     */
+    readTheme(name) {
+        const style = getComputedStyle(document.documentElement);
+        const theme = { ...this.theme, name };
+        Object.keys(this.themeTokens).forEach(key => {
+            const value = style.getPropertyValue(this.themeTokens[key]).trim();
+            if (value) theme[key] = value;
+        });
+        return theme;
+    }
+
+    /**
+     * Richtet die Einstellungen für den Hintergrund des Boards ein (Farbe und Papierstruktur)
+     * Die Auswahl der Strukturen stammt aus backgroundTextures
+     */
+    setupBackground() {
+        const toggleButton = document.getElementById('backgroundButton');
+        const options = document.getElementById('backgroundOptions');
+        const colorInput = document.getElementById('backgroundColor');
+        const textureSelect = document.getElementById('backgroundTexture');
+
+        Object.keys(this.backgroundTextures).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = this.backgroundTextures[key].label;
+            textureSelect.appendChild(option);
+        });
+
+        toggleButton.addEventListener('click', () => {
+            options.hidden = !options.hidden;
+            toggleButton.classList.toggle('active', !options.hidden);
+        });
+        colorInput.addEventListener('input', () => this.setBackground({ color: colorInput.value }));
+        document.getElementById('backgroundReset').addEventListener('click', () => this.setBackground({ color: '' }));
+        textureSelect.addEventListener('change', () => this.setBackground({ texture: textureSelect.value }));
+        this.updateBackgroundControls();
+    }
+
+    /**
+     * Ändert Farbe oder Struktur des Hintergrunds
+     * Ungültige Werte werden verworfen; gespeichert wird mit dem Board
+     * @param {Object} changes - color ('#rrggbb' oder '' für die Farbe des Themas) und/oder texture
+     */
+    setBackground(changes) {
+        const background = { ...this.background };
+        if (changes.color === '' || /^#[0-9a-f]{6}$/i.test(changes.color)) background.color = changes.color;
+        if (this.backgroundTextures[changes.texture]) background.texture = changes.texture;
+        this.background = background;
+        this.updateBackgroundControls();
+        this.propertiesPanelState = null;                                       // Die Standardtinte kann wechseln
+        this.updatePropertiesPanel();
+        this.draw();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Gleicht die Einstellungen des Hintergrunds mit dem Zustand ab
+     * Ohne eigene Farbe zeigt das Farbfeld die Farbe des Themas
+     */
+    updateBackgroundControls() {
+        const color = this.getBackgroundColor();
+        if (/^#[0-9a-f]{6}$/i.test(color)) document.getElementById('backgroundColor').value = color;
+        document.getElementById('backgroundReset').disabled = !this.background.color;
+        document.getElementById('backgroundTexture').value = this.background.texture;
+    }
+
+    /**
+     * Liefert die Hintergrundfarbe des Boards
+     * @returns {string} Die eigene Farbe oder die des Themas
+     */
+    getBackgroundColor() {
+        return this.background.color || this.theme.background;
+    }
+
+    /**
+     * Prüft, ob das Board einen eigenen Hintergrund hat (Vorauswahl beim Export)
+     * @returns {boolean} true bei eigener Farbe oder Struktur
+     */
+    hasCustomBackground() {
+        return Boolean(this.background.color) || this.background.texture !== 'none';
+    }
+
+    setupSnapToggle() {                                                                 // Richtet Einrasten-Toggle ein
+        const toggleButton = document.getElementById('toggleSnapButton');
+
+        toggleButton.addEventListener('click', () => {
+            this.snapToGrid = !this.snapToGrid;                                        // Invertiert Einrasten am Raster
+            toggleButton.classList.toggle('active', this.snapToGrid);
+        });
+    }
+
+    /**
+     * Richtet das Eigenschaften-Panel der Auswahl ein
+     * Eingaben wirken sofort; schnell aufeinanderfolgende Änderungen derselben Eigenschaft
+     * (Schieberegler, Farbwähler) werden wie beim Verschieben per Pfeiltaste ein Undo-Schritt
+     */
+    setupPropertiesPanel() {
+        const panel = document.getElementById('propertiesPanel');
+        const kashidaToggle = document.getElementById('kashidaToggle');
+        const kashidaInput = panel.querySelector('[data-style="kashida"]');
+        this.propertiesPanel = panel;
+
+        panel.querySelectorAll('[data-style]').forEach(input => {
+            const key = input.dataset.style;
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                if (key === 'kashida' && !kashidaToggle.checked) return;         // Zielbreite ohne Kashida nur vormerken
+                if (input.type === 'number' && !(parseFloat(input.value) >= 0)) return;
+                this.applyStyleChange(key, input.type === 'range' || input.type === 'number' ? Number(input.value) : input.value);
+            });
+        });
+        kashidaToggle.addEventListener('change', () => {
+            this.applyStyleChange('kashida', kashidaToggle.checked ? Number(kashidaInput.value) : null);
+        });
+        document.getElementById('lockToggle').addEventListener('change', event => {
+            this.setSelectionLocked(event.target.checked);
+        });
+        panel.querySelectorAll('[data-arrange]').forEach(button => {
+            button.addEventListener('click', () => this.arrangeSelection(button.dataset.arrange));
+        });
+        document.getElementById('groupButton').addEventListener('click', () => this.groupSelection());
+        document.getElementById('ungroupButton').addEventListener('click', () => this.ungroupSelection());
+        document.getElementById('groupName').addEventListener('change', event => {
+            this.renameGroup(event.target.value);
+        });
+        this.setupFrameProperties();
+    }
+
+    /**
+     * Verbindet die Rahmenzeilen des Panels (nur bei genau einem ausgewählten Rahmen sichtbar)
+     * Die Formate stammen aus framePresets; Breite und Höhe gelten in der Einheit des Rahmens
+     */
+    setupFrameProperties() {
+        const presetSelect = document.getElementById('framePreset');
+        const widthInput = document.getElementById('frameWidth');
+        const heightInput = document.getElementById('frameHeight');
+        Object.keys(this.framePresets).forEach(key => {
+            presetSelect.add(new Option(this.framePresets[key].label, key));
+        });
+        presetSelect.add(new Option('Eigene Größe', 'custom'));
+
+        document.getElementById('frameName').addEventListener('change', event => {
+            const name = event.target.value.trim();
+            if (name) this.updateFrame({ name }, 'Rahmen umbenennen');
+        });
+        presetSelect.addEventListener('change', () => this.applyFramePreset(presetSelect.value));
+        [widthInput, heightInput].forEach(input => {
+            input.addEventListener('change', () => this.setFrameSize(Number(widthInput.value), Number(heightInput.value)));
+        });
+        document.getElementById('frameOrientation').addEventListener('click', () => this.swapFrameOrientation());
+        document.getElementById('frameUnit').addEventListener('change', event => {
+            const unit = event.target.value;
+            this.updateFrame({ unit, dpi: this.frameDpi[unit] }, 'Einheit ändern');     // Größe auf dem Board bleibt
+        });
+        document.getElementById('frameDpi').addEventListener('change', event => {
+            const dpi = Number(event.target.value);
+            if (dpi > 0) this.updateFrame({ dpi }, 'Auflösung ändern');
+        });
+    }
+
+    /**
+     * Zeigt das Panel zur aktuellen Auswahl und übernimmt die Werte des primären Elements
+     * Wird nach jedem Bild aufgerufen, da die Auswahl an vielen Stellen wechselt;
+     * ohne Änderung an Auswahl oder Werten bleibt das DOM unberührt
+     */
+    updatePropertiesPanel() {
+        const panel = this.propertiesPanel;
+        if (!panel) return;
+
+        const elements = this.getSelectedElements();
+        const primary = this.selectedElements.has(this.selectedText) ? this.selectedText : elements[elements.length - 1];
+        const keys = Object.keys(this.styleDefaults);
+        const group = this.getSelectedGroup();
+        const frame = this.getSelectedFrame();
+        const state = primary ? [elements.length, primary.id, primary.locked, group ? group.id : '', group ? group.name : '',
+            primary.text, primary.fontSize, primary.fontFamily,                 // Natürliche Breite für die Kashida-Zielbreite
+            ...keys.map(key => primary[key]),
+            ...(frame ? [frame.name, frame.width, frame.height, frame.unit, frame.dpi] : [])].join('\u0000') : '';
+        if (state === this.propertiesPanelState) return;
+        this.propertiesPanelState = state;
+
+        panel.hidden = !primary;
+        if (!primary) return;
+
+        const hasText = elements.some(element => this.isTextElement(element));
+        const hasInk = elements.some(element => this.supportsStyle(element, 'color'));
+        const hasOpacity = elements.some(element => this.supportsStyle(element, 'opacity'));
+        panel.querySelectorAll('[data-text-only]').forEach(row => { row.hidden = !hasText; });
+        panel.querySelectorAll('[data-ink]').forEach(row => { row.hidden = !hasInk; });
+        panel.querySelectorAll('[data-opacity]').forEach(row => { row.hidden = !hasOpacity; });
+        panel.querySelectorAll('[data-frame-only]').forEach(row => { row.hidden = !frame; });
+        if (frame) this.updateFrameProperties(frame);
+        panel.querySelectorAll('[data-style]').forEach(input => {
+            const value = this.getElementStyle(primary, input.dataset.style);
+            if (value !== null) input.value = value;
+        });
+        if (this.isTextElement(primary) && this.getElementStyle(primary, 'kashida') === null) {
+            // Kashida aus: Zielbreite beginnt bei der natürlichen Breite des Blocks
+            const fontSize = primary.fontSize || this.initialFontSize;
+            panel.querySelector('[data-style="kashida"]').value = Math.ceil(this.layoutText(primary).width / fontSize * 10) / 10;
+        }
+        document.getElementById('kashidaToggle').checked = this.getElementStyle(primary, 'kashida') !== null;
+        document.getElementById('lockToggle').checked = Boolean(primary.locked);
+
+        const groupName = document.getElementById('groupName');
+        groupName.value = group ? group.name : '';
+        groupName.disabled = !group;
+        document.getElementById('groupButton').disabled = elements.length < 2 || Boolean(group);
+        document.getElementById('ungroupButton').disabled = !elements.some(element => element.groupId);
+    }
+
+    /**
+     * Übernimmt Name, Format, Größe und Auflösung eines Rahmens in das Panel
+     * @param {Object} frame - Der ausgewählte Rahmen
+     */
+    updateFrameProperties(frame) {
+        const round = value => Math.round(value * 10) / 10;
+        document.getElementById('frameName').value = frame.name;
+        document.getElementById('framePreset').value = this.getFramePreset(frame);
+        document.getElementById('frameWidth').value = round(this.toFrameUnit(frame.unit, frame.width));
+        document.getElementById('frameHeight').value = round(this.toFrameUnit(frame.unit, frame.height));
+        document.getElementById('frameUnit').value = frame.unit;
+        document.getElementById('frameDpi').value = frame.dpi;
+        ['frameName', 'framePreset', 'frameWidth', 'frameHeight', 'frameUnit', 'frameDpi', 'frameOrientation'].forEach(id => {
+            document.getElementById(id).disabled = Boolean(frame.locked);
+        });
+    }
+
+    /**
+     * Prüft, ob ein Element eine Darstellungseigenschaft hat
+     * Striche, Formen und Linien haben nur Farbe und Deckkraft, Bilder nur Deckkraft, Rahmen keine
+     * @param {Object} element - Das Element
+     * @param {string} key - Schlüssel aus styleDefaults
+     * @returns {boolean} true, wenn die Eigenschaft wirkt
+     */
+    supportsStyle(element, key) {
+        if (this.isTextElement(element)) return true;
+        if (element.type === 'frame') return false;
+        if (element.type === 'image') return key === 'opacity';
+        return key === 'color' || key === 'opacity';
+    }
+
+    /**
+     * Setzt eine Darstellungseigenschaft an allen passenden ausgewählten Elementen (siehe supportsStyle)
+     * @param {string} key - Schlüssel aus styleDefaults
+     * @param {*} value - Der neue Wert (null schaltet Kashida aus)
+     */
+    applyStyleChange(key, value) {
+        const elements = this.getSelectedElements().filter(element => this.supportsStyle(element, key));
+        if (elements.length === 0) return;
+
+        const edit = this.styleEdit;
+        if (edit && (edit.key !== key || edit.elements.length !== elements.length ||
+            edit.elements.some((element, i) => element !== elements[i]))) {
+            this.finishStyleEdit();                                             // Andere Eigenschaft oder Auswahl: eigener Schritt
+        }
+        if (!this.styleEdit) {
+            this.styleEdit = { key, elements, before: this.captureElementState(elements, [key]), timer: null };
+        }
+        clearTimeout(this.styleEdit.timer);
+        this.styleEdit.timer = setTimeout(() => this.finishStyleEdit(), this.styleEditDelay);
+
+        const before = elements.map(element => this.getElementPaintBounds(element))  // Schatten und Lineal vor der Änderung
+            .reduce((union, bounds) => this.unionBounds(union, bounds));
+        elements.forEach(element => { element[key] = value; });
+        this.redrawElements(elements, before);
+    }
+
+    /**
+     * Legt laufende Änderungen aus dem Panel als einen Undo-Schritt ab
+     */
+    finishStyleEdit() {
+        const edit = this.styleEdit;
+        if (!edit) return;
+        clearTimeout(edit.timer);
+        this.styleEdit = null;
+
+        const after = this.captureElementState(edit.elements, [edit.key]);
+        if (after.some((state, i) => state[edit.key] !== edit.before[i][edit.key])) {
+            this.pushCommand(this.createUpdateCommand(edit.elements, edit.before, after, 'Darstellung ändern'));
+        }
+    }
+
+    /**
+     * Sperrt oder entsperrt die Auswahl als ein Undo-Schritt
+     * Gesperrte Elemente lassen sich nicht verschieben, skalieren, drehen oder löschen;
+     * Klick, Auswahlrechteck und Tab übergehen sie, damit man über einer Vorlage frei arbeiten kann
+     * (nur der Alt-Klick wählt sie aus, z. B. zum Entsperren)
+     * @param {boolean} locked - true zum Sperren
+     */
+    setSelectionLocked(locked) {
+        const elements = this.getSelectedElements().filter(element => Boolean(element.locked) !== locked);
+        if (elements.length === 0) return;
+        this.finishStyleEdit();
+        const before = this.captureElementState(elements, ['locked']);
+        const after = elements.map(() => ({ locked: locked || undefined }));    // Entsperrt: Feld entfällt
+        this.executeCommand(this.createUpdateCommand(elements, before, after, locked ? 'Sperren' : 'Entsperren'));
+    }
+
+    /**
+     * Vergleicht zwei Elemente nach Zeichenreihenfolge (zIndex, bei Gleichstand die ID)
+     * Die ID macht die Reihenfolge bei allen Teilnehmern gleich, auch wenn zwei gleichzeitig einfügen
+     * @param {Object} a - Erstes Element
+     * @param {Object} b - Zweites Element
+     * @returns {number} Negativ, wenn a unter b liegt
+     */
+    compareZOrder(a, b) {
+        const frames = (a.type === 'frame') - (b.type === 'frame');
+        if (frames !== 0) return -frames;                                       // Rahmen liegen unter allen übrigen Elementen
+        const difference = (a.zIndex || 0) - (b.zIndex || 0);
+        if (difference !== 0) return difference;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+
+    /**
+     * Liefert den höchsten zIndex auf dem Board
+     * @returns {number} Der zIndex des obersten Elements (0 bei leerem Board)
+     */
+    getTopZIndex() {
+        return this.textElements.reduce((top, element) => Math.max(top, element.zIndex || 0), 0);
+    }
+
+    /**
+     * Bringt textElements in die Reihenfolge der zIndex-Werte
+     * Sortiert wird in ein neues Array, damit der räumliche Index die neue Reihenfolge übernimmt
+     * @returns {boolean} true, wenn sich die Reihenfolge geändert hat
+     */
+    sortElementsByZIndex() {
+        const elements = this.textElements;
+        const sorted = elements.every((element, i) => i === 0 || this.compareZOrder(elements[i - 1], element) <= 0);
+        if (sorted) return false;
+        this.textElements = elements.slice().sort((a, b) => this.compareZOrder(a, b));
+        return true;
+    }
+
+    /**
+     * Ändert die Zeichenreihenfolge der Auswahl als ein Undo-Schritt
+     * 
+     * - front/back: über bzw. unter alle anderen Elemente
+     * - forward/backward: am nächsten überlappenden Element vorbei (sonst am nächsten überhaupt);
+     *   Gruppen werden dabei als Ganzes übersprungen
+     * 
+     * Nur die verschobenen Elemente erhalten neue zIndex-Werte zwischen ihren Nachbarn;
+     * erst wenn dort kein Platz mehr ist, wird das ganze Board neu durchnummeriert.
+     * Rahmen bilden eine eigene Ebene unter allen Elementen; sind beide ausgewählt, werden nur die Elemente angeordnet
+     * @param {string} action - 'front', 'back', 'forward' oder 'backward'
+     */
+    arrangeSelection(action) {
+        const selection = this.getSelectedElements();
+        if (selection.length === 0) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+
+        const frames = selection.every(element => element.type === 'frame');
+        const layer = this.textElements.filter(element => (element.type === 'frame') === frames);
+        const selected = selection.filter(element => (element.type === 'frame') === frames);
+        const others = layer.filter(element => !this.selectedElements.has(element));
+        let position;                                                           // Einfügestelle in others
+        if (action === 'front') {
+            position = others.length;
+        } else if (action === 'back') {
+            position = 0;
+        } else {
+            const forward = action === 'forward';
+            const first = layer.indexOf(selected[0]);
+            const last = layer.indexOf(selected[selected.length - 1]);
+            const candidates = forward
+                ? layer.slice(last + 1).filter(element => !this.selectedElements.has(element))
+                : layer.slice(0, first).filter(element => !this.selectedElements.has(element)).reverse();
+            const bounds = this.getElementsBounds(selected);
+            const target = candidates.find(element => this.boundsIntersect(this.getElementBounds(element), bounds)) ||
+                           candidates[0];
+            if (!target) return;                                                // Schon ganz oben bzw. unten
+
+            const members = target.groupId ? others.filter(element => element.groupId === target.groupId) : [target];
+            position = forward ? others.indexOf(members[members.length - 1]) + 1 : others.indexOf(members[0]);
+        }
+
+        const order = [...others.slice(0, position), ...selected, ...others.slice(position)];
+        if (order.every((element, i) => element === layer[i])) return;
+
+        const after = new Map();
+        const below = order[position - 1];
+        const above = order[position + selected.length];
+        const low = below ? below.zIndex || 0 : (above.zIndex || 0) - selected.length - 1;
+        const high = above ? above.zIndex || 0 : low + selected.length + 1;
+        const step = (high - low) / (selected.length + 1);
+        if (step > this.minZIndexStep) {
+            selected.forEach((element, i) => after.set(element, low + step * (i + 1)));
+        } else {
+            order.forEach((element, i) => after.set(element, i));               // Kein Platz: alle neu nummerieren
+        }
+
+        const elements = Array.from(after.keys()).filter(element => element.zIndex !== after.get(element));
+        const labels = {
+            front: 'In den Vordergrund',
+            back: 'In den Hintergrund',
+            forward: 'Nach vorne',
+            backward: 'Nach hinten'
+        };
+        this.executeCommand(this.createUpdateCommand(
+            elements,
+            this.captureElementState(elements, ['zIndex']),
+            elements.map(element => ({ zIndex: after.get(element) })),
+            labels[action]
+        ));
+    }
+
+    /**
+     * Ergänzt Elemente um die übrigen Mitglieder ihrer Gruppen
+     * Die angegebenen Elemente stehen am Ende, damit das zuletzt angegebene primär bleibt
+     * @param {Object[]} elements - Die Elemente
+     * @returns {Object[]} Die Elemente samt Gruppenmitgliedern
+     */
+    expandToGroups(elements) {
+        const groups = new Set(elements.map(element => element.groupId).filter(Boolean));
+        if (groups.size === 0) return elements;
+        const members = this.textElements.filter(element => groups.has(element.groupId) && !elements.includes(element));
+        return [...members, ...elements];
+    }
+
+    /**
+     * Liefert die Gruppe, wenn die Auswahl genau aus einer ganzen Gruppe besteht
+     * @returns {{id: string, name: string, elements: Object[]}|null} Die Gruppe
+     */
+    getSelectedGroup() {
+        const elements = this.getSelectedElements();
+        const groupId = elements.length > 0 ? elements[0].groupId : null;
+        if (!groupId || elements.some(element => element.groupId !== groupId)) return null;
+        const members = this.textElements.filter(element => element.groupId === groupId);
+        if (members.length !== elements.length) return null;
+        return { id: groupId, name: elements[0].groupName || '', elements };
+    }
+
+    /**
+     * Fasst die Auswahl zu einer benannten Gruppe zusammen (bestehende Gruppen gehen darin auf)
+     * Gruppen werden gemeinsam ausgewählt, verschoben und skaliert
+     * @param {string} name - Name der Gruppe (Standard: „Gruppe n“)
+     */
+    groupSelection(name = null) {
+        const elements = this.getSelectedElements();
+        if (elements.length < 2 || this.getSelectedGroup()) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+
+        const groupId = this.createElementId();
+        const count = new Set(this.textElements.map(element => element.groupId).filter(Boolean)).size;
+        const groupName = name || `Gruppe ${count + 1}`;
+        this.executeCommand(this.createUpdateCommand(
+            elements,
+            this.captureElementState(elements, ['groupId', 'groupName']),
+            elements.map(() => ({ groupId, groupName })),
+            'Gruppieren'
+        ));
+    }
+
+    /**
+     * Löst alle Gruppen der Auswahl auf; die Elemente bleiben ausgewählt
+     */
+    ungroupSelection() {
+        const elements = this.getSelectedElements().filter(element => element.groupId);
+        if (elements.length === 0) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+        this.executeCommand(this.createUpdateCommand(
+            elements,
+            this.captureElementState(elements, ['groupId', 'groupName']),
+            elements.map(() => ({ groupId: undefined, groupName: undefined })),
+            'Gruppierung aufheben'
+        ));
+    }
+
+    /**
+     * Benennt die ausgewählte Gruppe um
+     * @param {string} name - Der neue Name (leer: Name bleibt)
+     */
+    renameGroup(name) {
+        const group = this.getSelectedGroup();
+        const groupName = name.trim();
+        if (!group || !groupName || groupName === group.name) return;
+        this.executeCommand(this.createUpdateCommand(
+            group.elements,
+            this.captureElementState(group.elements, ['groupName']),
+            group.elements.map(() => ({ groupName })),
+            'Gruppe umbenennen'
+        ));
+    }
+
+    /**
+     * Sucht das oberste Element an einer Position
+     * Rahmen treffen nur Rand und Name; abgeschnittene Teile ihres Inhalts treffen nicht
+     * @param {number} x - X-Koordinate (Welt)
+     * @param {number} y - Y-Koordinate (Welt)
+     * @param {boolean} includeLocked - Auch gesperrte Elemente treffen (Alt-Klick)
+     * @returns {Object|undefined} Das Element
+     */
+    findElementAtPosition(x, y, includeLocked = false) {
+        // Nur Elemente in der Nähe prüfen (Index), von oben nach unten
+        const reach = Math.max(10, 6 / this.scale);
+        const candidates = this.queryElements({ x: x - reach, y: y - reach, width: reach * 2, height: reach * 2 });
+        this.getFrames().forEach(frame => {
+            if (!candidates.includes(frame) && this.hitTestFrame(frame, x, y)) candidates.push(frame);   // Name liegt außerhalb
+        });
+        candidates.sort((a, b) => this.compareZOrder(a, b));
+        const hits = candidates.filter(element => {
+            if (element.type === 'frame') return this.hitTestFrame(element, x, y);
+            const frame = this.selectedElements.has(element) ? null : this.getElementFrame(element);
+            if (frame && !(x >= frame.x && x <= frame.x + frame.width && y >= frame.y && y <= frame.y + frame.height)) {
+                return false;
+            }
+
+            // Mausposition ins ungedrehte System des Elements zurückdrehen
+            const local = this.rotatePoint({ x, y }, element, -(element.rotation || 0));
+            if (element.type === 'stroke') return this.hitTestStroke(element, local);
+            if (element.type === 'image') {
+                return local.x >= element.x && local.x <= element.x + element.width &&
+                       local.y >= element.y && local.y <= element.y + element.height;
+            }
+            if (element.type === 'shape' || element.type === 'line') return this.hitTestShape(element, local);
+            
+            // Tintenbox jeder Zeile, gemessen mit der Schrift des Elements
+            const layout = this.layoutText(element);
+            const padding = 10; // Größerer Klickbereich für bessere Bedienbarkeit
+            
+            // Prüfe ob Mausposition innerhalb einer Zeilenbox liegt
+            return layout.lines.some(line => {
+                if (!line.text.trim()) return false;
+                return local.x >= element.x + line.box.left - padding &&
+                       local.x <= element.x + line.box.right + padding &&
+                       local.y >= element.y + line.box.top - padding &&
+                       local.y <= element.y + line.box.bottom + padding;
+            });
+        });
+        return hits.reverse().find(element => includeLocked || !element.locked);
+    }
+
+    animateTextSelection(textElement) {
+        const originalScale = textElement.animationScale || 1;
+        const animationDuration = 200;
+        const startTime = Date.now();
+        
+        // Setze Opacity-Animation
+        textElement.animationOpacity = 0.6; // Startopazität für ausgewählten Text
+        this.startElementAnimation([textElement]);
+        
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = this.prefersReducedMotion() ? 1 : Math.min(1, elapsed / animationDuration); // Reduzierte Bewegung: sofort Endzustand
+            
+            // Sanfterer Bounce-Effekt mit Easing
+            const bounce = Math.sin(progress * Math.PI) * Math.sin(progress * Math.PI * 2);
+            const scale = 1 + bounce * 0.03;
+            textElement.animationScale = originalScale * scale;
+            
+            this.requestRender();
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                textElement.animationScale = originalScale;
+                this.endElementAnimation([textElement]);
+            }
+        };
+        
+        animate();
+    }
+
+    /**
+     * Legt Elemente für die Dauer einer Animation ins Overlay, damit jeder Animationsschritt
+     * nur das Overlay neu zeichnet (mehrere Animationen desselben Elements werden gezählt)
+     * @param {Object[]} elements - Die animierten Elemente
+     */
+    startElementAnimation(elements) {
+        elements.forEach(element => {
+            this.animatingElements.set(element, (this.animatingElements.get(element) || 0) + 1);
+        });
+    }
+
+    /**
+     * Beendet die Animation von Elementen; ohne weitere Animation wandern sie auf die Inhaltsebene
+     * @param {Object[]} elements - Die animierten Elemente
+     */
+    endElementAnimation(elements) {
+        elements.forEach(element => {
+            const count = (this.animatingElements.get(element) || 1) - 1;
+            if (count > 0) {
+                this.animatingElements.set(element, count);
+            } else {
+                this.animatingElements.delete(element);
+            }
+        });
+        this.requestRender();
+    }
+
+    /**
+     * Zeichnet Hervorhebung, Rahmen und (bei Einzelauswahl) Ziehpunkte eines ausgewählten Elements
+     * Erwartet das lokale, bereits gedrehte Koordinatensystem des Elements
+     * @param {Object} bounds - Ungedrehte Begrenzung des Elements
+     */
+    drawSelectionHighlight(bounds) {
+        const context = this.context;
+        const padding = 8 / this.scale;
+        const radius = 4 / this.scale;
+        
+        // Schatten für 3D-Effekt
+        context.shadowColor = 'rgba(0, 0, 0, 0.1)';
+        context.shadowBlur = 5 / this.scale;
+        context.shadowOffsetY = 2 / this.scale;
+        
+        // Hintergrund mit abgerundeten Ecken
+        context.fillStyle = this.theme.selectionFill;
+        this.roundRect(
+            bounds.x - padding,
+            bounds.y - padding,
+            bounds.width + padding * 2,
+            bounds.height + padding * 2,
+            radius
+        );
+        context.fill();
+        
+        // Rahmen
+        context.shadowColor = 'transparent';
+        context.strokeStyle = this.theme.selection;
+        context.lineWidth = 1.5 / this.scale;
+        context.stroke();
+        
+        // Ziehpunkte an den Ecken (Mehrfachauswahl nutzt den Gruppenrahmen, gesperrte Elemente haben keine)
+        if (this.selectedElements.size === 1 && this.getSelectionHandles()) {
+            this.drawDragHandles(bounds, padding);
+        }
+    }
+
+    /**
+     * Zeichnet die Eck-Ziehpunkte und optional den Dreh-Ziehpunkt um eine Begrenzung
+     * @param {Object} bounds - Ungedrehte Begrenzung des Elements
+     * @param {number} padding - Abstand der Ziehpunkte zur Begrenzung
+     * @param {boolean} rotatable - Ob der Dreh-Ziehpunkt erscheint (nicht bei Rahmen)
+     */
+    drawDragHandles(bounds, padding, rotatable = true) {
+        const handleSize = 6 / this.scale;
+        const left = bounds.x - padding;
+        const top = bounds.y - padding;
+        const right = bounds.x + bounds.width + padding;
+        const bottom = bounds.y + bounds.height + padding;
+        const positions = [
+            // Ecken
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: left, y: bottom },
+            { x: right, y: bottom }
+        ];
+        
+        this.context.fillStyle = this.theme.handleFill;
+        this.context.strokeStyle = this.theme.selection;
+        this.context.lineWidth = 1 / this.scale;
+        
+        // Dreh-Ziehpunkt über der Mitte der Oberkante
+        if (rotatable) {
+            const knob = { x: (left + right) / 2, y: top - this.rotationHandleOffset / this.scale };
+            positions.push(knob);
+            this.context.beginPath();
+            this.context.moveTo(knob.x, top);
+            this.context.lineTo(knob.x, knob.y);
+            this.context.stroke();
+        }
+        
+        positions.forEach(pos => {
+            this.context.beginPath();
+            this.context.arc(pos.x, pos.y, handleSize, 0, Math.PI * 2);
+            this.context.fill();
+            this.context.stroke();
+        });
+    }
+
+    roundRect(x, y, width, height, radius) {
+        this.context.beginPath();
+        this.context.moveTo(x + radius, y);
+        this.context.lineTo(x + width - radius, y);
+        this.context.quadraticCurveTo(x + width, y, x + width, y + radius);
+        this.context.lineTo(x + width, y + height - radius);
+        this.context.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+        this.context.lineTo(x + radius, y + height);
+        this.context.quadraticCurveTo(x, y + height, x, y + height - radius);
+        this.context.lineTo(x, y + radius);
+        this.context.quadraticCurveTo(x, y, x + radius, y);
+        this.context.closePath();
+    }
+
+    showTextInput(x, y) {
+        const textModal = document.getElementById('textModal');
+        const textInput = document.getElementById('textInput');
+        
+        // Position für neue Text-Eingabe speichern
+        this.pendingTextPosition = {
+            x: (x - this.offset.x) / this.scale,
+            y: (y - this.offset.y) / this.scale
+        };
+        
+        // Modal anzeigen und Input fokussieren
+        textModal.style.display = 'flex';
+        textInput.value = '';
+        textInput.focus();
+    }
+
+    // Neue Methode für die Deselektions-Animation
+    animateTextDeselection(textElement) {
+        const startScale = textElement.animationScale || 1;
+        const animationDuration = 150; // etwas schneller als die Selektions-Animation
+        const startTime = Date.now();
+        this.startElementAnimation([textElement]);
+        
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = this.prefersReducedMotion() ? 1 : Math.min(1, elapsed / animationDuration);
+            
+            // Sanfter Übergang zurück zur normalen Größe
+            const scale = startScale + (1 - startScale) * progress;
+            textElement.animationScale = scale;
+            
+            // Opacity zurücksetzen
+            textElement.animationOpacity = 1;
+            
+            this.requestRender();
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                textElement.animationScale = 1;
+                this.endElementAnimation([textElement]);
+            }
+        };
+        
+        animate();
+    }
+
+    /**
+     * Tastatursteuerung
+     * 
+     * - Strg/Cmd+Z, Strg/Cmd+Umschalt+Z, Strg+Y: Rückgängig/Wiederholen
+     * - Strg/Cmd+0: Zoom zurücksetzen, Strg/Cmd+Plus/Minus: Zoom-Stufe um die Bildschirmmitte
+     * - Strg/Cmd+D: Auswahl duplizieren (Kopieren, Ausschneiden, Einfügen siehe setupClipboard)
+     * - Strg/Cmd+Umschalt+L: Auswahl sperren/entsperren
+     * - Strg/Cmd+G: gruppieren, Strg/Cmd+Umschalt+G: Gruppierung aufheben
+     * - Strg/Cmd+]/[: einen Schritt nach vorne/hinten, mit Umschalt ganz nach vorne/hinten
+     * - Entf/Rücktaste: Auswahl löschen, Escape: Auswahl aufheben
+     * - Pfeiltasten: Auswahl um einen Bildschirmpixel verschieben, mit Umschalt um eine Rasterweite
+     * - B: Fokus auf das Board (wie ein Klick), Escape ohne Auswahl gibt ihn wieder ab
+     * - Tab/Umschalt+Tab: nächstes/vorheriges Element in Lesereihenfolge auswählen (nur mit Fokus auf dem Board)
+     * - Elementliste: Pfeil auf/ab, Pos1/Ende wählen aus, Tab verlässt die Liste (siehe handleAccessibilityKeyDown)
+     * - Umschalt+1: alles zeigen, Umschalt+2: Auswahl zeigen, Pos1: zurück zum Ursprung
+     * - Leertaste gedrückt halten: vorübergehend Pan-Werkzeug
+     * - V, H, T, P: Auswahl-, Pan-, Text- und Stift-Werkzeug
+     * - R, O, L, A: Rechteck, Ellipse, Linie und Pfeil
+     * - F: Rahmen, Bild↓/Bild↑: zum nächsten/vorherigen Rahmen
+     * 
+     * @param {KeyboardEvent} event - Das Tastatur-Event
+     */
+    handleKeyDown(event) {
+        // Eingaben in Textfeldern nicht abfangen (eigenes Undo, Backspace zum Löschen)
+        const target = event.target;
+        if (this.isTextInputTarget(target)) return;
+        if (this.isPointerGestureActive()) return;                              // Nicht mitten in einer Zeiger-Geste
+
+        // Undo: Strg/Cmd+Z, Redo: Strg/Cmd+Umschalt+Z oder Strg+Y
+        if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                this.finishNudge();
+                this.finishStyleEdit();
+                this.undo();
+                event.preventDefault();
+                return;
+            }
+            if ((key === 'z' && event.shiftKey) || key === 'y') {
+                this.finishNudge();
+                this.finishStyleEdit();
+                this.redo();
+                event.preventDefault();
+                return;
+            }
+            if (key === 'l' && event.shiftKey) {
+                const elements = this.getSelectedElements();
+                this.setSelectionLocked(!elements.every(element => element.locked));
+                event.preventDefault();
+                return;
+            }
+            if (key === 'd' && !event.shiftKey) {
+                this.duplicateSelection();
+                event.preventDefault();                                         // Kein Lesezeichen im Browser
+                return;
+            }
+            if (key === 'g') {
+                if (event.shiftKey) {
+                    this.ungroupSelection();
+                } else {
+                    this.groupSelection();
+                }
+                event.preventDefault();                                         // Keine Suche im Browser
+                return;
+            }
+
+            // Zeichenreihenfolge: Strg+] / Strg+[ einen Schritt, mit Umschalt ganz nach vorne/hinten
+            // (über event.code, da die Klammern auf vielen Tastaturbelegungen Umschalt oder AltGr brauchen)
+            if (event.code === 'BracketRight' || event.code === 'BracketLeft') {
+                const up = event.code === 'BracketRight';
+                this.arrangeSelection(event.shiftKey ? (up ? 'front' : 'back') : (up ? 'forward' : 'backward'));
+                event.preventDefault();
+                return;
+            }
+
+            // Zoom: Strg+0 zurücksetzen, Strg+Plus/Minus in Stufen
+            if (key === '0') {
+                this.zoomToScale(this.resetScale);
+                event.preventDefault();
+                return;
+            }
+            if (key === '+' || key === '=') {
+                this.zoomToScale(this.scale * this.keyboardZoomStep);
+                event.preventDefault();
+                return;
+            }
+            if (key === '-' || key === '_') {
+                this.zoomToScale(this.scale / this.keyboardZoomStep);
+                event.preventDefault();
+                return;
+            }
+            return;                                                             // Übrige Kürzel dem Browser überlassen
+        }
+        if (event.altKey) return;
+
+        // Prüfe ob Elemente ausgewählt sind und Delete/Entf gedrückt wurde
+        if (this.selectedElements.size > 0 && (event.key === 'Delete' || event.key === 'Backspace')) {
+            this.finishNudge();
+            this.deleteSelectedText();
+            event.preventDefault();
+            return;
+        }
+
+        if (event.key === 'Escape' && this.selectedElements.size > 0) {
+            this.finishNudge();
+            this.clearSelection();
+            this.requestRender();
+            event.preventDefault();
+            return;
+        }
+
+        // Pfeiltasten verschieben die Auswahl (nicht in der Elementliste, dort wählen sie aus)
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (arrows[event.key] && this.selectedElements.size > 0 && target !== this.accessibilityList) {
+            const step = event.shiftKey ? this.gridSize : 1 / this.scale;       // Rasterweite oder ein Bildschirmpixel
+            const [dx, dy] = arrows[event.key];
+            this.nudgeSelection(dx * step, dy * step);
+            event.preventDefault();
+            return;
+        }
+
+        // Board verlassen: Escape ohne Auswahl gibt den Fokus ab, danach gilt wieder die Fokusreihenfolge der Seite
+        if (event.key === 'Escape' && target === this.canvas) {
+            this.canvas.blur();
+            event.preventDefault();
+            return;
+        }
+
+        // Tab wechselt nur mit Fokus auf dem Canvas durch die Elemente, sonst bleibt die Fokusreihenfolge erhalten
+        if (event.key === 'Tab' && target === this.canvas) {
+            this.finishNudge();
+            this.cycleSelection(event.shiftKey ? -1 : 1);
+            event.preventDefault();
+            return;
+        }
+
+        // Navigation: Umschalt+1 alles zeigen, Umschalt+2 Auswahl zeigen, Pos1 zum Ursprung
+        if (event.shiftKey && (event.code === 'Digit1' || event.code === 'Digit2')) {
+            if (event.code === 'Digit1') {
+                this.zoomToFit();
+            } else {
+                this.zoomToSelection();
+            }
+            event.preventDefault();
+            return;
+        }
+        if (event.key === 'Home') {
+            this.zoomToOrigin();
+            event.preventDefault();
+            return;
+        }
+        if (event.key === 'PageDown' || event.key === 'PageUp') {
+            this.goToAdjacentFrame(event.key === 'PageDown' ? 1 : -1);
+            event.preventDefault();
+            return;
+        }
+
+        if (event.key === ' ') {
+            if (!event.repeat) this.startSpacePan();
+            event.preventDefault();                                             // Kein Scrollen und kein Button-Klick
+            return;
+        }
+
+        // B: Fokus auf das Board, damit auch ohne Zeiger Tab durch die Elemente wechselt
+        if (event.key.toLowerCase() === 'b' && !event.shiftKey) {
+            this.canvas.focus({ preventScroll: true });
+            event.preventDefault();
+            return;
+        }
+
+        const tool = this.toolShortcuts[event.key.toLowerCase()];
+        if (tool && !event.shiftKey) {
+            this.activateTool(tool);
+            event.preventDefault();                                             // Buchstabe landet nicht im geöffneten Textfeld
+        }
+    }
+
+    /**
+     * Prüft, ob ein Ereignis aus einem Eingabefeld stammt (dort gelten die Kürzel des Browsers)
+     * @param {EventTarget} target - Ziel des Ereignisses
+     * @returns {boolean} true bei Eingabefeld, Textbereich oder Auswahlliste
+     */
+    isTextInputTarget(target) {
+        return Boolean(target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT'));
+    }
+
+    /**
+     * Beendet das vorübergehende Pan-Werkzeug beim Loslassen der Leertaste
+     * @param {KeyboardEvent} event - Das Tastatur-Event
+     */
+    handleKeyUp(event) {
+        if (event.key === ' ') {
+            this.endSpacePan();
+        }
+    }
+
+    /**
+     * Prüft, ob gerade ein Element gezogen, skaliert, gedreht, ein Strich gezeichnet,
+     * eine Form oder ein Auswahlrechteck aufgezogen wird
+     * @returns {boolean} true während einer Zeiger-Geste
+     */
+    isPointerGestureActive() {
+        return this.isDraggingText || this.isDraggingFont || this.isRotating ||
+               this.isSelecting || this.currentStroke !== null || this.currentShape !== null;
+    }
+
+    /**
+     * Schaltet bei gehaltener Leertaste vorübergehend auf Verschieben der Ansicht
+     */
+    startSpacePan() {
+        this.isSpacePanning = true;
+        if (!this.isDragging) this.canvas.style.cursor = this.getToolCursor();
+    }
+
+    /**
+     * Kehrt nach dem Loslassen der Leertaste zum gewählten Werkzeug zurück
+     * Ein laufendes Verschieben endet erst mit dem Loslassen des Zeigers
+     */
+    endSpacePan() {
+        if (!this.isSpacePanning) return;
+        this.isSpacePanning = false;
+        if (!this.isDragging) this.canvas.style.cursor = this.getToolCursor();
+    }
+
+    /**
+     * Verschiebt die Auswahl per Tastatur
+     * Schnell aufeinanderfolgende Schritte (gehaltene Pfeiltaste) werden ein Undo-Schritt
+     * @param {number} dx - Verschiebung in X (Weltkoordinaten)
+     * @param {number} dy - Verschiebung in Y (Weltkoordinaten)
+     */
+    nudgeSelection(dx, dy) {
+        const elements = this.withFrameContents(this.getSelectedElements().filter(element => !element.locked))
+            .filter(element => !element.locked);
+        if (elements.length === 0) return;
+        if (!this.nudgeTimer) {
+            this.beginGesture(elements);
+        }
+        clearTimeout(this.nudgeTimer);
+        this.nudgeTimer = setTimeout(() => this.finishNudge(), this.nudgeDelay);
+
+        this.detachConnectors(elements);
+
+        const affected = this.withConnectors(elements);
+        const before = this.getElementsBounds(affected);
+        elements.forEach(element => {
+            element.x += dx;
+            element.y += dy;
+        });
+        this.updateConnectors(affected);
+        this.redrawElements(affected, before);
+    }
+
+    /**
+     * Legt laufende Pfeiltasten-Schritte als einen Undo-Schritt ab
+     */
+    finishNudge() {
+        if (!this.nudgeTimer) return;
+        clearTimeout(this.nudgeTimer);
+        this.nudgeTimer = null;
+        this.endGesture('Verschieben');                                        // Speichert und synchronisiert über den Verlauf
+    }
+
+    /**
+     * Wählt das nächste oder vorherige Element in Lesereihenfolge aus
+     * Gesperrte Elemente werden übersprungen, Gruppen zählen als ein Schritt (ihr erstes Mitglied)
+     * Ohne Auswahl beginnt Tab beim ersten, Umschalt+Tab beim letzten Element
+     * @param {number} step - 1 (vorwärts) oder -1 (rückwärts)
+     */
+    cycleSelection(step) {
+        const groups = new Set();
+        const order = this.getReadingOrder().filter(element => {
+            if (element.locked) return false;
+            if (!element.groupId) return true;
+            if (groups.has(element.groupId)) return false;
+            groups.add(element.groupId);
+            return true;
+        });
+        if (order.length === 0) return;
+
+        const selected = this.selectedText;
+        const current = order.findIndex(element => element === selected ||
+            Boolean(selected && selected.groupId && element.groupId === selected.groupId));
+        const index = current === -1
+            ? (step > 0 ? 0 : order.length - 1)
+            : (current + step + order.length) % order.length;
+        this.setSelection(this.expandToGroups([order[index]]));
+        this.scrollElementIntoView(order[index]);
+        this.requestRender();
+    }
+
+    /**
+     * Sortiert alle Elemente in Lesereihenfolge
+     * 
+     * - Zeilen von oben nach unten: ein Element gehört zur Zeile, wenn seine Mitte
+     *   innerhalb der Höhe des ersten Elements der Zeile liegt
+     * - Innerhalb einer Zeile nach der überwiegenden Leserichtung ihrer Texte
+     *   (Gleichstand und reine Strichzeilen wie die Zeile davor, anfangs RTL)
+     * 
+     * @returns {Object[]} Die Elemente
+     */
+    getReadingOrder() {
+        const entries = this.textElements
+            .map(element => ({ element, bounds: this.getElementBounds(element) }))
+            .sort((a, b) => a.bounds.y - b.bounds.y);
+
+        const rows = [];
+        entries.forEach(entry => {
+            const row = rows[rows.length - 1];
+            const center = entry.bounds.y + entry.bounds.height / 2;
+            if (row && center <= row.bottom) {
+                row.entries.push(entry);
+            } else {
+                rows.push({ bottom: entry.bounds.y + entry.bounds.height, entries: [entry] });
+            }
+        });
+
+        let direction = this.defaultDirection === 'ltr' ? 'ltr' : 'rtl';
+        return rows.flatMap(row => {
+            let balance = 0;                                                    // > 0: überwiegend RTL
+            row.entries.forEach(({ element }) => {
+                if (!this.isTextElement(element)) return;
+                balance += this.resolveTextDirection(element.text, element.direction) === 'rtl' ? 1 : -1;
+            });
+            if (balance !== 0) direction = balance > 0 ? 'rtl' : 'ltr';
+
+            const sign = direction === 'rtl' ? -1 : 1;
+            return row.entries
+                .sort((a, b) => sign * ((a.bounds.x + a.bounds.width / 2) - (b.bounds.x + b.bounds.width / 2)))
+                .map(entry => entry.element);
+        });
+    }
+
+    /**
+     * Verschiebt die Ansicht so, dass ein Element vollständig sichtbar ist
+     * Liegt es bereits im Viewport, bleibt die Ansicht unverändert
+     * @param {Object} element - Das Element
+     */
+    scrollElementIntoView(element) {
+        const bounds = this.getElementBounds(element);
+        const viewport = this.getViewportBounds();
+        if (bounds.x >= viewport.x && bounds.y >= viewport.y &&
+            bounds.x + bounds.width <= viewport.x + viewport.width &&
+            bounds.y + bounds.height <= viewport.y + viewport.height) {
+            return;
+        }
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);                          // Ausgleiten würde das Element wieder wegschieben
+            this.animationFrame = null;
+        }
+        this.offset.x = this.viewportSize.width / 2 - (bounds.x + bounds.width / 2) * this.scale;
+        this.offset.y = this.viewportSize.height / 2 - (bounds.y + bounds.height / 2) * this.scale;
+        this.scheduleAutosave();                                                // Speichert den Viewport
+    }
+
+    /**
+     * Richtet die Barrierefreiheit ein
+     *
+     * - Elementliste: unsichtbare Liste (role="listbox", lang="fa", dir="rtl"), die textElements in
+     *   Lesereihenfolge spiegelt; aria-activedescendant folgt selectedText, aria-selected der Auswahl
+     * - Klick auf einen Eintrag (z. B. aus dem Screenreader) wählt das Element aus, ebenso Pfeil auf/ab und Pos1/Ende
+     * - Ansagen: Hinzufügen, Verschieben, Löschen sowie Rückgängig/Wiederholen über eine Live-Region
+     * - Reduzierte Bewegung (prefers-reduced-motion): Animationen springen sofort zum Endzustand
+     */
+    setupAccessibility() {
+        this.accessibilityList = document.getElementById('boardElements');
+        this.liveRegion = document.getElementById('boardAnnouncer');
+        if (window.matchMedia) {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        }
+
+        this.accessibilityList.addEventListener('click', event => {
+            const option = event.target.closest('[role="option"]');
+            if (!option) return;
+            const element = this.textElements.find(candidate => candidate.id === option.dataset.elementId);
+            if (!element) return;
+            this.finishNudge();
+            this.setSelection(this.expandToGroups([element]));
+            this.scrollElementIntoView(element);
+            this.requestRender();
+        });
+        this.accessibilityList.addEventListener('keydown', this.handleAccessibilityKeyDown.bind(this));
+    }
+
+    /**
+     * Tastatursteuerung der Elementliste (Muster einer Listbox)
+     * Pfeil auf/ab wählen das vorherige/nächste Element, Pos1/Ende das erste/letzte;
+     * Tab bleibt unberührt und verlässt die Liste
+     * @param {KeyboardEvent} event - Das Tastatur-Event
+     */
+    handleAccessibilityKeyDown(event) {
+        const moves = { ArrowUp: -1, ArrowDown: 1, Home: -Infinity, End: Infinity };
+        const move = moves[event.key];
+        if (move === undefined || event.ctrlKey || event.metaKey || event.altKey) return;
+        event.preventDefault();
+        event.stopPropagation();                                                // Kein Verschieben und kein Sprung zum Ursprung
+
+        if (this.accessibilityVersion !== this.contentVersion) this.syncAccessibilityTree();
+        const elements = [...this.accessibilityOptions.keys()];
+        if (elements.length === 0) return;
+        const current = elements.indexOf(this.selectedText);
+        let index;
+        if (!isFinite(move)) {
+            index = move < 0 ? 0 : elements.length - 1;
+        } else if (current === -1) {
+            index = move > 0 ? 0 : elements.length - 1;
+        } else {
+            index = Math.min(elements.length - 1, Math.max(0, current + move));
+        }
+
+        const element = elements[index];
+        this.finishNudge();
+        this.setSelection(this.expandToGroups([element]));
+        this.selectedText = element;                                            // Aktiver Eintrag auch innerhalb einer Gruppe
+        this.updateAccessibilitySelection();
+        this.scrollElementIntoView(element);
+        this.requestRender();
+    }
+
+    /**
+     * Prüft, ob das System reduzierte Bewegung wünscht (wird bei jeder Animation neu gelesen)
+     * @returns {boolean} true, wenn Animationen entfallen sollen
+     */
+    prefersReducedMotion() {
+        return Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+    }
+
+    /**
+     * Bringt die Elementliste auf Stand
+     * Wird nach jedem Bild aufgerufen: die Auswahl sofort, der Inhalt nach Änderungen höchstens
+     * alle accessibilityDelay ms (Lesereihenfolge und Begrenzungen aller Elemente sind teuer)
+     */
+    updateAccessibilityTree() {
+        if (!this.accessibilityList) return;
+        if (this.accessibilityVersion !== this.contentVersion && !this.accessibilityTimer) {
+            this.accessibilityTimer = setTimeout(() => {
+                this.accessibilityTimer = null;
+                this.syncAccessibilityTree();
+            }, this.accessibilityDelay);
+        }
+        this.updateAccessibilitySelection();
+    }
+
+    /**
+     * Spiegelt alle Elemente in Lesereihenfolge in die Elementliste
+     * Bestehende Einträge werden weiterverwendet und nur bei geänderter Beschreibung neu befüllt
+     */
+    syncAccessibilityTree() {
+        this.accessibilityVersion = this.contentVersion;
+        const frames = this.getFrames();
+        const options = new Map();
+        const items = this.getReadingOrder().map(element => {
+            let option = this.accessibilityOptions.get(element);
+            if (!option) {
+                option = document.createElement('li');
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+            }
+            option.id = `${this.accessibilityList.id}-${element.id}`;
+            option.dataset.elementId = element.id;
+
+            const description = this.getAccessibleDescription(element, frames);
+            const state = JSON.stringify(description);
+            if (option.accessibilityState !== state) {
+                option.accessibilityState = state;
+                option.replaceChildren(this.createAccessibleLabel(description));
+            }
+            options.set(element, option);
+            return option;
+        });
+
+        const list = this.accessibilityList;
+        const unchanged = items.length === list.children.length &&
+            items.every((option, index) => list.children[index] === option);
+        if (!unchanged) list.replaceChildren(...items);
+        this.accessibilityOptions = options;
+        this.accessibilitySelectionState = null;                                // Neue Einträge brauchen ihren Auswahlzustand
+        this.updateAccessibilitySelection();
+    }
+
+    /**
+     * Überträgt die Auswahl auf die Elementliste (aria-selected, aria-activedescendant)
+     */
+    updateAccessibilitySelection() {
+        const list = this.accessibilityList;
+        const selected = this.getSelectedElements();
+        const state = [this.selectedText ? this.selectedText.id : '', ...selected.map(element => element.id)].join('\u0000');
+        if (state === this.accessibilitySelectionState) return;
+        this.accessibilitySelectionState = state;
+
+        this.accessibilityOptions.forEach((option, element) => {
+            option.setAttribute('aria-selected', String(this.selectedElements.has(element)));
+        });
+        const active = this.selectedText && this.accessibilityOptions.get(this.selectedText);
+        if (active) {
+            list.setAttribute('aria-activedescendant', active.id);
+        } else {
+            list.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Beschreibt ein Element für Screenreader
+     * Texte werden mit ihrem Inhalt gelesen (Persisch mit lang="fa"), alle anderen mit ihrer Art
+     * @param {Object} element - Das Element
+     * @param {Object[]} frames - Die Rahmen (Standard: getFrames)
+     * @returns {{label: string, lang: string, dir: string, details: string[]}} Bezeichnung, deren Sprache
+     *          und Richtung sowie deutsche Zusätze (gesperrt, Gruppe, Rahmen)
+     */
+    getAccessibleDescription(element, frames = this.getFrames()) {
+        const describeFrame = frame => frame.name ? `Rahmen „${frame.name}“` : 'Rahmen';
+        const description = { label: '', lang: 'de', dir: 'ltr', details: [] };
+        const text = this.isTextElement(element) ? (element.text || '').replace(/\s+/g, ' ').trim() : '';
+
+        if (text) {
+            description.label = text;
+            description.lang = this.rtlCharacter.test(text) ? 'fa' : '';         // Leer: Sprache unbekannt
+            description.dir = this.resolveTextDirection(text, element.direction);
+        } else if (this.isTextElement(element)) {
+            description.label = 'Leerer Text';
+        } else if (element.type === 'frame') {
+            description.label = describeFrame(element);
+        } else {
+            const type = element.type === 'shape' ? element.shape
+                : element.type === 'line' && element.arrow ? 'arrow' : element.type;
+            description.label = this.accessibleTypeLabels[type] || 'Element';
+        }
+
+        if (element.locked) description.details.push('gesperrt');
+        if (element.groupId) {
+            description.details.push(element.groupName ? `Gruppe „${element.groupName}“` : 'Gruppe');
+        }
+        const frame = this.getElementFrame(element, frames);
+        if (frame) description.details.push(`in ${describeFrame(frame)}`);
+        return description;
+    }
+
+    /**
+     * Erzeugt die Beschriftung eines Elements mit Sprache und Richtung je Teil
+     * @param {Object} description - Beschreibung aus getAccessibleDescription
+     * @returns {HTMLSpanElement} Die Beschriftung
+     */
+    createAccessibleLabel(description) {
+        const label = document.createElement('span');
+        const name = document.createElement('span');
+        name.lang = description.lang;
+        name.dir = description.dir;
+        name.textContent = description.label;
+        label.appendChild(name);
+        if (description.details.length > 0) {
+            const details = document.createElement('span');
+            details.lang = 'de';
+            details.dir = 'ltr';
+            details.textContent = `, ${description.details.join(', ')}`;
+            label.appendChild(details);
+        }
+        return label;
+    }
+
+    /**
+     * Sagt eine Meldung über die Live-Region an
+     * Die Region wird erst geleert, damit auch eine gleichlautende Meldung erneut gelesen wird
+     * @param {Array<string|Object>} parts - Deutscher Text oder Beschreibungen aus getAccessibleDescription
+     */
+    announce(parts) {
+        const region = this.liveRegion;
+        if (!region) return;
+        clearTimeout(this.announceTimer);
+        region.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            region.replaceChildren(...parts.map(part =>
+                typeof part === 'string' ? document.createTextNode(part) : this.createAccessibleLabel(part)));
+        }, this.announceDelay);
+    }
+
+    /**
+     * Sagt einen neuen Schritt im Verlauf an: Hinzufügen, Verschieben und Löschen mit dem
+     * betroffenen Element (mehrere als Anzahl), alle übrigen Schritte mit ihrer Beschreibung
+     * @param {Object} command - Der Befehl (kind und elements siehe createInsertCommand usw.)
+     */
+    announceCommand(command) {
+        const subject = elements => elements.length === 1
+            ? this.getAccessibleDescription(elements[0])
+            : `${elements.length} Elemente`;
+
+        if (command.kind === 'insert' && command.elements.length > 0) {
+            this.announce([subject(command.elements), ' hinzugefügt']);
+        } else if (command.kind === 'remove' && command.elements.length > 0) {
+            this.announce([subject(command.elements), ' gelöscht']);
+        } else if (command.kind === 'update' && this.isMoveCommand(command)) {
+            const moved = command.elements.filter((element, i) =>
+                command.before[i].x !== command.after[i].x || command.before[i].y !== command.after[i].y);
+            const selected = moved.filter(element => this.selectedElements.has(element));
+            this.announce([subject(selected.length > 0 ? selected : moved), ' verschoben']);  // Ohne mitgezogene Verbindungen
+        } else {
+            this.announce([command.label]);
+        }
+    }
+
+    /**
+     * Prüft, ob ein Änderungsbefehl nur Elemente verschiebt (Lage und Anheftung, keine Form oder Größe)
+     * @param {Object} command - Der Änderungsbefehl
+     * @returns {boolean} true bei reinem Verschieben
+     */
+    isMoveCommand(command) {
+        const moveKeys = ['x', 'y', 'startId', 'endId'];
+        const changed = new Set();
+        command.before.forEach((state, i) => {
+            Object.keys(state).forEach(key => {
+                if (state[key] !== command.after[i][key]) changed.add(key);
+            });
+        });
+        return (changed.has('x') || changed.has('y')) && Array.from(changed).every(key => moveKeys.includes(key));
+    }
+
+    /**
+     * Richtet Kopieren, Ausschneiden und Einfügen über die Zwischenablage ein
+     * 
+     * Die Ereignisse copy/cut/paste des Dokuments liefern Strg/Cmd+C/X/V und die Menüeinträge des Browsers.
+     * Kopierte Elemente liegen als JSON im eigenen MIME-Typ (clipboardType), dazu die Texte als text/plain
+     * für andere Programme. Eingefügt werden:
+     * - Elemente aus diesem oder einem anderen Board (mit ihren importierten Schriften;
+     *   Bilder über ihre ID aus dem Bildspeicher dieses Browsers)
+     * - Bilddateien als Bildelement
+     * - Reiner Text als neues Textelement in der gewählten Schrift
+     * Ziel ist die Zeigerposition über dem Canvas, sonst die Bildschirmmitte.
+     */
+    setupClipboard() {
+        document.addEventListener('copy', event => this.handleCopy(event, false));
+        document.addEventListener('cut', event => this.handleCopy(event, true));
+        document.addEventListener('paste', event => this.handlePaste(event));
+    }
+
+    /**
+     * Legt die Auswahl in die Zwischenablage und entfernt sie beim Ausschneiden
+     * Rahmen werden samt Inhalt kopiert
+     * @param {ClipboardEvent} event - Das copy- oder cut-Ereignis
+     * @param {boolean} remove - true beim Ausschneiden
+     */
+    handleCopy(event, remove) {
+        if (this.isTextInputTarget(event.target) || this.selectedElements.size === 0) return;
+        if (this.isPointerGestureActive() || !event.clipboardData) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+
+        const elements = this.withFrameContents(this.getSelectedElements());
+        const payload = this.createClipboardPayload(elements);
+        event.clipboardData.setData(this.clipboardType, JSON.stringify(payload));
+        event.clipboardData.setData('text/plain', payload.text);
+        this.clipboard = payload;
+        event.preventDefault();
+
+        const removable = elements.filter(element => !element.locked);
+        if (remove && removable.length > 0) {
+            this.executeCommand(this.createRemoveCommand(removable, 'Ausschneiden'));
+        }
+    }
+
+    /**
+     * Fügt den Inhalt der Zwischenablage ein
+     * Reihenfolge: eigene Elemente, Bilddateien, zuletzt hier kopierte Elemente (gleicher Text), reiner Text
+     * @param {ClipboardEvent} event - Das paste-Ereignis
+     */
+    handlePaste(event) {
+        if (this.isTextInputTarget(event.target) || !event.clipboardData) return;
+        if (this.isPointerGestureActive()) return;
+        const data = event.clipboardData;
+        const target = this.getPasteTarget();
+
+        let payload = null;
+        const json = data.getData(this.clipboardType);
+        if (json) {
+            try {
+                payload = JSON.parse(json);
+            } catch (error) {
+                console.warn('Inhalt der Zwischenablage ist ungültig:', error);
+            }
+        }
+        const images = Array.from(data.files || []).filter(file => file.type.startsWith('image/'));
+        const text = data.getData('text/plain');
+        if (!payload && images.length === 0 && this.clipboard && text && text === this.clipboard.text) {
+            payload = this.clipboard;                                           // Browser hat den eigenen Typ verworfen
+        }
+
+        if (payload) {
+            this.pasteElements(payload, target);
+        } else if (images.length > 0) {
+            this.insertImageFiles(images, target);
+        } else if (text.trim()) {
+            this.pasteText(text, target);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Erzeugt die Nutzlast der Zwischenablage
+     * @param {Object[]} elements - Die kopierten Elemente in Zeichenreihenfolge
+     * @returns {Object} format, version, elements, fonts (verwendete importierte Schriften) und text
+     */
+    createClipboardPayload(elements) {
+        const families = new Set(elements.map(element => element.fontFamily));
+        return {
+            format: this.boardFormat,
+            version: this.boardVersion,
+            elements: elements.map(element => this.serializeElement(element)),
+            fonts: this.fontRegistry
+                ? this.fontRegistry.getCustomFonts().filter(font => families.has(font.family))
+                : [],
+            text: elements.filter(element => this.isTextElement(element)).map(element => element.text).join('\n')
+        };
+    }
+
+    /**
+     * Liefert das Ziel zum Einfügen: Zeigerposition über dem Canvas, sonst Bildschirmmitte
+     * @returns {{x: number, y: number}} Der Punkt in Weltkoordinaten
+     */
+    getPasteTarget() {
+        if (!this.pointerPosition) return this.getViewportCenter();
+        return {
+            x: (this.pointerPosition.x - this.offset.x) / this.scale,
+            y: (this.pointerPosition.y - this.offset.y) / this.scale
+        };
+    }
+
+    /**
+     * Fügt kopierte Elemente mit neuen IDs ein, ihre Mitte liegt auf dem Ziel
+     * @param {Object} payload - Die Nutzlast (siehe createClipboardPayload)
+     * @param {{x: number, y: number}} target - Ziel in Weltkoordinaten
+     */
+    pasteElements(payload, target) {
+        if (payload.format !== this.boardFormat || !Array.isArray(payload.elements)) return;
+        if (this.fontRegistry) this.fontRegistry.registerCustomFonts(payload.fonts);
+
+        const elements = this.cloneElements(payload.elements);
+        const bounds = this.getElementsBounds(elements);
+        if (!bounds) return;
+        this.moveElements(elements, target.x - (bounds.x + bounds.width / 2), target.y - (bounds.y + bounds.height / 2));
+        this.insertElements(elements, elements.length > 1 ? 'Elemente einfügen' : 'Einfügen');
+    }
+
+    /**
+     * Fügt reinen Text als neues Textelement in der gewählten Schrift ein
+     * @param {string} text - Der Text
+     * @param {{x: number, y: number}} target - Ziel in Weltkoordinaten
+     */
+    pasteText(text, target) {
+        const fontSelect = document.getElementById('fontSelect');
+        const element = this.normalizeElement({
+            text: text.trim(),
+            x: target.x,
+            y: target.y,
+            fontFamily: fontSelect.value || undefined,
+            fontSize: this.initialFontSize / this.scale                           // Erscheint in Basisgröße
+        });
+        const bounds = this.getElementBounds(element);
+        this.moveElements([element], target.x - (bounds.x + bounds.width / 2), target.y - (bounds.y + bounds.height / 2));
+        this.insertElements([element], 'Text einfügen');
+    }
+
+    /**
+     * Dupliziert die Auswahl mit leichtem Versatz und wählt die Kopien aus (Rahmen samt Inhalt)
+     */
+    duplicateSelection() {
+        if (this.selectedElements.size === 0 || this.isPointerGestureActive()) return;
+        this.finishNudge();
+        this.finishStyleEdit();
+
+        const elements = this.cloneElements(this.withFrameContents(this.getSelectedElements())
+            .map(element => this.serializeElement(element)));
+        const offset = this.duplicateOffset / this.scale;
+        this.moveElements(elements, offset, offset);
+        this.insertElements(elements, 'Duplizieren');
+    }
+
+    /**
+     * Erzeugt aus serialisierten Elementen neue Elemente mit eigenen IDs
+     * Die Kopien liegen über allen anderen Elementen; kopierte Gruppen werden zu neuen Gruppen,
+     * Verbindungen haften nur an mitkopierten Elementen
+     * @param {Object[]} list - Die serialisierten Elemente
+     * @returns {Object[]} Die brauchbaren neuen Elemente
+     */
+    cloneElements(list) {
+        const groupIds = new Map();                                             // Alte → neue Gruppen-ID
+        const ids = new Map();                                                  // Alte → neue Element-ID (für Verbindungen)
+        list.forEach(data => {
+            if (data && data.id) ids.set(data.id, this.createElementId());
+        });
+        return list
+            .map(data => {
+                const element = { ...JSON.parse(JSON.stringify(data)), id: ids.get(data.id) || null, zIndex: undefined };
+                if (element.groupId) {
+                    if (!groupIds.has(element.groupId)) groupIds.set(element.groupId, this.createElementId());
+                    element.groupId = groupIds.get(element.groupId);
+                }
+                ['startId', 'endId'].forEach(key => {
+                    if (!element[key]) return;
+                    if (ids.has(element[key])) {
+                        element[key] = ids.get(element[key]);                  // Ziel wurde mitkopiert
+                    } else {
+                        delete element[key];                                    // Kopie liegt frei
+                    }
+                });
+                return this.normalizeElement(element);
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Verschiebt Elemente, die noch nicht auf dem Board liegen
+     * @param {Object[]} elements - Die Elemente
+     * @param {number} dx - Verschiebung in X (Weltkoordinaten)
+     * @param {number} dy - Verschiebung in Y (Weltkoordinaten)
+     */
+    moveElements(elements, dx, dy) {
+        elements.forEach(element => {
+            element.x += dx;
+            element.y += dy;
+        });
+    }
+
+    /**
+     * Fügt neue Elemente als einen Undo-Schritt ein und wählt sie aus
+     * @param {Object[]} elements - Die Elemente
+     * @param {string} label - Beschreibung des Schritts
+     */
+    insertElements(elements, label) {
+        if (elements.length === 0) return;
+        this.executeCommand(this.createInsertCommand(elements, label));
+        this.setSelection(elements);
+        this.requestRender();
+    }
+
+    // Neue Methode für das Löschen von Text mit Animation (alle ausgewählten Elemente)
+    deleteSelectedText() {
+        const elementsToDelete = this.getSelectedElements().filter(element => !element.locked);
+        if (elementsToDelete.length === 0) return;                              // Gesperrtes wird nicht gelöscht
+        
+        const startTime = Date.now();
+        const animationDuration = 200;
+        
+        this.selectedElements = new Set();
+        this.selectedText = null;
+        this.startElementAnimation(elementsToDelete);
+        
+        // Animation starten
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = this.prefersReducedMotion() ? 1 : Math.min(1, elapsed / animationDuration);
+            
+            // Scale und Opacity Animation
+            elementsToDelete.forEach(element => {
+                element.animationScale = 1 - (progress * 0.2); // Leicht verkleinern
+                element.animationOpacity = 1 - progress; // Ausblenden
+            });
+            
+            this.requestRender();
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                // Animationswerte zurücksetzen, damit Undo den Text sichtbar wiederherstellt
+                elementsToDelete.forEach(element => {
+                    element.animationScale = 1;
+                    element.animationOpacity = 1;
+                });
+                this.endElementAnimation(elementsToDelete);
+                
+                // Elemente als ein Undo-Schritt aus Array entfernen
+                const label = elementsToDelete.length > 1 ? 'Elemente löschen'
+                    : this.isTextElement(elementsToDelete[0]) ? 'Text löschen'
+                    : elementsToDelete[0].type === 'image' ? 'Bild löschen'
+                    : elementsToDelete[0].type === 'shape' ? 'Form löschen'
+                    : elementsToDelete[0].type === 'line' ? 'Linie löschen'
+                    : elementsToDelete[0].type === 'frame' ? 'Rahmen löschen' : 'Strich löschen';
+                this.executeCommand(this.createRemoveCommand(elementsToDelete, label));
+            }
+        };
+        
+        animate();
+    }
+
+    /**
+     * Führt einen Befehl aus und legt ihn im Verlauf ab
+     * 
+     * Ein Befehl ist ein Objekt mit:
+     * - label: Beschreibung des Schritts
+     * - kind, elements: Art ('insert', 'remove', 'update') und betroffene Elemente (für Ansagen)
+     * - redo(): Führt die Änderung (erneut) aus
+     * - undo(): Macht die Änderung rückgängig
+     * 
+     * @param {Object} command - Der auszuführende Befehl
+     */
+    executeCommand(command) {
+        command.redo();
+        this.pushCommand(command);
+    }
+
+    /**
+     * Legt einen bereits ausgeführten Befehl im Verlauf ab
+     * Wird für Gesten genutzt, deren Änderung schon live sichtbar ist
+     * @param {Object} command - Der ausgeführte Befehl
+     */
+    pushCommand(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();                                             // Ältesten Schritt verwerfen
+        }
+        this.redoStack = [];                                                    // Neue Änderung verwirft Redo-Zweig
+        this.handleHistoryChange();
+        this.announceCommand(command);
+    }
+
+    /**
+     * Macht den letzten Befehl rückgängig
+     */
+    undo() {
+        if (this.isDraggingText || this.isDraggingFont || this.isRotating) return; // Nicht mitten in einer Geste
+        const command = this.undoStack.pop();
+        if (!command) return;
+        command.undo();
+        this.redoStack.push(command);
+        this.handleHistoryChange();
+        this.announce([`Rückgängig: ${command.label}`]);
+    }
+
+    /**
+     * Stellt den zuletzt rückgängig gemachten Befehl wieder her
+     */
+    redo() {
+        if (this.isDraggingText || this.isDraggingFont || this.isRotating) return;
+        const command = this.redoStack.pop();
+        if (!command) return;
+        command.redo();
+        this.undoStack.push(command);
+        this.handleHistoryChange();
+        this.announce([`Wiederholt: ${command.label}`]);
+    }
+
+    /**
+     * Bringt Auswahl, Anzeige und Autosave nach einer Verlaufsänderung auf Stand
+     */
+    handleHistoryChange() {
+        this.sortElementsByZIndex();
+        this.updateConnectors(this.textElements);                               // Verbindungen folgen wiederhergestellten Elementen
+        this.invalidateSpatialIndex();                                          // Befehle können Lage und Reihenfolge ändern
+        this.pruneSelection();
+        this.draw();
+        this.scheduleAutosave();
+        if (this.sync) this.sync.scheduleFlush();
+    }
+
+    /**
+     * Bringt Auswahl, Anzeige und Autosave nach Änderungen anderer Teilnehmer auf Stand
+     * Entfernte Änderungen landen nicht im eigenen Verlauf
+     * Verbindungen werden nur nachgeführt, wenn der Absender sie nicht mitgeschickt hat;
+     * sonst gilt seine Geometrie (keine gegenseitigen Korrekturen bei leicht anderen Schriftmaßen)
+     * @param {Object[]} elements - Die geänderten Elemente
+     */
+    handleRemoteChange(elements = []) {
+        this.sortElementsByZIndex();                                            // Neues Array: Index wird neu gebaut
+        const connectors = this.getAttachedConnectors(elements).filter(line => !elements.includes(line));
+        this.updateConnectors(connectors);
+        this.updateElementBounds([...elements, ...connectors]);                 // Einfügen/Entfernen erkennt der Index selbst
+        this.pruneSelection();
+        this.draw();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Entfernt nicht mehr vorhandene Elemente aus der Auswahl
+     */
+    pruneSelection() {
+        this.selectedElements.forEach(element => {
+            if (!this.textElements.includes(element)) this.selectedElements.delete(element);
+        });
+        if (this.selectedText && !this.selectedElements.has(this.selectedText)) {
+            const remaining = this.getSelectedElements();
+            this.selectedText = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+        }
+    }
+
+    /**
+     * Erzeugt einen Befehl, der Elemente einfügt
+     * Neue Elemente ohne zIndex liegen über allen anderen
+     * Beim Undo werden sie wieder entfernt, beim Redo an derselben Stelle eingefügt
+     * @param {Object[]} elements - Die neuen Elemente
+     * @param {string} label - Beschreibung des Schritts
+     * @returns {Object} Der Befehl
+     */
+    createInsertCommand(elements, label) {
+        let top = this.getTopZIndex();
+        elements.forEach(element => {
+            if (!isFinite(element.zIndex)) element.zIndex = ++top;
+        });
+        let indices = null;                                                     // Positionen nach dem ersten Einfügen
+        return {
+            label,
+            kind: 'insert',
+            elements,
+            redo: () => {
+                if (!indices) {
+                    this.textElements.push(...elements);
+                    indices = elements.map(element => this.textElements.indexOf(element));
+                } else {
+                    elements.forEach((element, i) => this.textElements.splice(indices[i], 0, element));
+                }
+            },
+            undo: () => {
+                this.textElements = this.textElements.filter(element => !elements.includes(element));
+            }
+        };
+    }
+
+    /**
+     * Erzeugt einen Befehl, der Elemente entfernt
+     * Beim Undo werden sie an ihrer ursprünglichen Position (Zeichenreihenfolge) eingefügt
+     * @param {Object[]} elements - Die zu entfernenden Elemente
+     * @param {string} label - Beschreibung des Schritts
+     * @returns {Object} Der Befehl
+     */
+    createRemoveCommand(elements, label) {
+        // Nach Index sortiert, damit das Wiedereinfügen die Reihenfolge erhält
+        const entries = elements
+            .map(element => ({ element, index: this.textElements.indexOf(element) }))
+            .filter(entry => entry.index !== -1)
+            .sort((a, b) => a.index - b.index);
+        return {
+            label,
+            kind: 'remove',
+            elements: entries.map(entry => entry.element),
+            redo: () => {
+                const removed = entries.map(entry => entry.element);
+                this.textElements = this.textElements.filter(element => !removed.includes(element));
+            },
+            undo: () => {
+                entries.forEach(entry => this.textElements.splice(entry.index, 0, entry.element));
+            }
+        };
+    }
+
+    /**
+     * Erzeugt einen Befehl, der Eigenschaften von Elementen ändert
+     * @param {Object[]} elements - Die betroffenen Elemente
+     * @param {Object[]} before - Eigenschaften vor der Änderung (je Element)
+     * @param {Object[]} after - Eigenschaften nach der Änderung (je Element)
+     * @param {string} label - Beschreibung des Schritts
+     * @returns {Object} Der Befehl
+     */
+    createUpdateCommand(elements, before, after, label) {
+        return {
+            label,
+            kind: 'update',
+            elements,
+            before,
+            after,
+            redo: () => elements.forEach((element, i) => this.applyElementState(element, after[i])),
+            undo: () => elements.forEach((element, i) => this.applyElementState(element, before[i]))
+        };
+    }
+
+    /**
+     * Überträgt gesicherte Eigenschaften auf ein Element
+     * Undefinierte Werte entfernen die Eigenschaft, damit z. B. Texte keine Strich-Felder erhalten
+     * @param {Object} element - Das Element
+     * @param {Object} state - Die Eigenschaften
+     */
+    applyElementState(element, state) {
+        Object.keys(state).forEach(key => {
+            if (state[key] === undefined) {
+                delete element[key];
+            } else {
+                element[key] = state[key];
+            }
+        });
+    }
+
+    /**
+     * Liest ausgewählte Eigenschaften der Elemente für den Verlauf aus
+     * @param {Object[]} elements - Die Elemente
+     * @param {string[]} keys - Die zu sichernden Eigenschaften
+     * @returns {Object[]} Je Element ein Objekt mit den Werten
+     */
+    captureElementState(elements, keys) {
+        return elements.map(element => {
+            const state = {};
+            keys.forEach(key => { state[key] = element[key]; });
+            return state;
+        });
+    }
+
+    /**
+     * Merkt sich den Zustand der Elemente zu Beginn einer Ziehgeste
+     * @param {Object[]} elements - Die Elemente, die die Geste verändern kann
+     */
+    beginGesture(elements) {
+        const keys = ['x', 'y', 'fontSize', 'rotation', 'width', 'height', 'points', 'startId', 'endId'];
+        this.gestureSnapshot = {
+            elements,
+            keys,
+            before: this.captureElementState(elements, keys)
+        };
+    }
+
+    /**
+     * Schließt eine Ziehgeste ab und legt sie als einen einzigen Undo-Schritt ab
+     * Geste ohne tatsächliche Änderung (einfacher Klick) erzeugt keinen Eintrag
+     * @param {string} label - Beschreibung des Schritts
+     */
+    endGesture(label) {
+        const snapshot = this.gestureSnapshot;
+        this.gestureSnapshot = null;
+        if (!snapshot) return;
+
+        const after = this.captureElementState(snapshot.elements, snapshot.keys);
+        const changed = after.some((state, i) =>
+            snapshot.keys.some(key => state[key] !== snapshot.before[i][key]));
+        if (changed) {
+            this.pushCommand(this.createUpdateCommand(snapshot.elements, snapshot.before, after, label));
+        }
+    }
+
+    /**
+     * Richtet den Dialog für den Bild-Export ein
+     */
+    setupExportModal() {
+        const exportModal = document.getElementById('exportModal');
+        const formatSelect = document.getElementById('exportFormat');
+        const areaSelect = document.getElementById('exportArea');
+        const densitySelect = document.getElementById('exportDensity');
+        const gridCheckbox = document.getElementById('exportGrid');
+        const guidesCheckbox = document.getElementById('exportGuides');
+        const backgroundCheckbox = document.getElementById('exportBackground');
+        const confirmBtn = document.getElementById('confirmExport');
+        const cancelBtn = document.getElementById('cancelExport');
+
+        document.getElementById('exportImageButton').addEventListener('click', () => this.openExportModal());
+
+        formatSelect.addEventListener('change', () => this.updateExportOptions());
+        areaSelect.addEventListener('change', () => this.updateExportOptions());
+
+        confirmBtn.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+            this.exportImage({
+                format: formatSelect.value,
+                area: areaSelect.value,
+                density: parseFloat(densitySelect.value),
+                includeGrid: gridCheckbox.checked,
+                includeGuides: guidesCheckbox.checked,
+                includeBackground: backgroundCheckbox.checked
+            });
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            exportModal.style.display = 'none';
+        });
+    }
+
+    /**
+     * Öffnet den Export-Dialog; die Bereiche enthalten jeden Rahmen und (ab zwei Rahmen) alle zusammen
+     * @param {string|null} area - Vorausgewählter Bereich (z. B. 'frame:<id>'), sonst der zuletzt gewählte
+     */
+    openExportModal(area = null) {
+        const areaSelect = document.getElementById('exportArea');
+        const previous = area || areaSelect.value;
+        Array.from(areaSelect.options)
+            .filter(option => option.value.startsWith('frame'))
+            .forEach(option => option.remove());
+        const frames = this.getFrames();
+        frames.forEach((frame, index) => {
+            areaSelect.add(new Option(`Rahmen: ${frame.name || index + 1}`, `frame:${frame.id}`));
+        });
+        if (frames.length > 1) areaSelect.add(new Option('Alle Rahmen (eine Seite je Rahmen)', 'frames'));
+        areaSelect.value = previous;
+        if (areaSelect.selectedIndex === -1) areaSelect.value = 'board';
+
+        document.getElementById('exportGrid').checked = this.isGridVisible;    // Vorauswahl folgt der Anzeige
+        document.getElementById('exportGuides').checked = this.guides.visible;
+        document.getElementById('exportBackground').checked = this.hasCustomBackground();
+        this.updateExportOptions();
+        document.getElementById('exportModal').style.display = 'flex';
+    }
+
+    /**
+     * Passt die Optionen des Export-Dialogs an Format und Bereich an
+     * Pixeldichte gilt nur für PNG ohne Rahmen (Rahmen haben ihre eigene Auflösung), PDF nur für Rahmen
+     */
+    updateExportOptions() {
+        const formatSelect = document.getElementById('exportFormat');
+        const frameArea = document.getElementById('exportArea').value.startsWith('frame');
+        const pdfOption = formatSelect.querySelector('option[value="pdf"]');
+        pdfOption.disabled = !frameArea;
+        if (!frameArea && formatSelect.value === 'pdf') formatSelect.value = 'png';
+        document.getElementById('exportDensity').disabled = formatSelect.value !== 'png' || frameArea;
+    }
+
+    /**
+     * Ermittelt den zu exportierenden Bereich in Weltkoordinaten
+     * @param {string} area - 'board' für den gesamten Inhalt, 'viewport' für den sichtbaren Bereich
+     * @param {boolean} includeGuides - Ob Nuqta-Lineale neben den Texten mit hineingehören
+     * @returns {{x: number, y: number, width: number, height: number}} Der Bereich
+     */
+    getExportBounds(area, includeGuides = false) {
+        let bounds = area === 'board' ? this.getBoardBounds() : null;
+        if (!bounds) return this.getViewportBounds();                           // Leeres Board: Viewport exportieren
+        if (includeGuides) {
+            this.textElements.forEach(element => {
+                const ruler = this.getNuqtaRuler(element);
+                if (ruler) bounds = this.unionBounds(bounds, ruler.bounds);
+            });
+        }
+
+        const padding = this.exportPadding;
+        return {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
+    }
+
+    /**
+     * Exportiert das Board als SVG- oder PNG-Datei, Rahmen auch als PDF (siehe exportFrames)
+     * Unabhängig von der aktuellen Zoom-Stufe: 1 Welteinheit = 1 Pixel bei Dichte 1
+     * 
+     * @param {Object} options - Export-Optionen
+     * @param {string} options.format - 'svg', 'png' oder 'pdf'
+     * @param {string} options.area - 'board', 'viewport', 'frame:<id>' oder 'frames'
+     * @param {number} options.density - Pixeldichte für PNG (z.B. 2 für doppelte Auflösung)
+     * @param {boolean} options.includeGrid - Ob das Punktraster mit exportiert wird
+     * @param {boolean} options.includeGuides - Ob Hilfslinien und Nuqta-Lineale mit exportiert werden
+     * @param {boolean} options.includeBackground - Ob der Hintergrund des Boards mit exportiert wird (sonst transparent)
+     * @returns {Promise<void>}
+     */
+    async exportImage({ format = 'png', area = 'board', density = 2, includeGrid = false, includeGuides = false,
+                        includeBackground = false } = {}) {
+        if (area.startsWith('frame')) {
+            const frames = area === 'frames'
+                ? this.getFrames()
+                : this.getFrames().filter(frame => `frame:${frame.id}` === area);
+            return this.exportFrames(frames, { format, includeGrid, includeGuides, includeBackground });
+        }
+        const bounds = this.getExportBounds(area, includeGuides);
+        const name = `board-${new Date().toISOString().slice(0, 10)}`;
+
+        try {
+            const imageIds = this.getImageIds(this.textElements);
+            if (format === 'svg') {
+                const images = await this.imageStore.exportImages(imageIds);
+                const svg = this.renderSVG(bounds, { includeGrid, includeGuides, includeBackground, images });
+                this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${name}.svg`);
+            } else {
+                await this.imageStore.loadAll(imageIds);
+                const blob = await this.renderPNG(bounds, { density, includeGrid, includeGuides, includeBackground });
+                this.downloadBlob(blob, `${name}.png`);
+            }
+        } catch (error) {
+            console.error('Bild-Export fehlgeschlagen:', error);
+            window.alert(`Der Export ist fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    /**
+     * Exportiert Rahmen in ihrer Druckauflösung: PDF mit einer Seite je Rahmen,
+     * PNG und SVG als eine Datei je Rahmen
+     * Exportiert wird genau die Rahmenfläche mit dem Inhalt des Rahmens
+     * @param {Object[]} frames - Die Rahmen in Seitenreihenfolge
+     * @param {Object} options - format ('png', 'svg' oder 'pdf'), includeGrid, includeGuides und includeBackground
+     * @returns {Promise<void>}
+     */
+    async exportFrames(frames, { format = 'pdf', includeGrid = false, includeGuides = false, includeBackground = false } = {}) {
+        if (frames.length === 0) return;
+        const contents = frames.map(frame => [frame, ...this.getFrameContents(frame)]);
+        const fileName = frame => (frame.name || 'rahmen').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'rahmen';
+
+        try {
+            const imageIds = this.getImageIds([].concat(...contents));
+            if (format === 'svg') {
+                const images = await this.imageStore.exportImages(imageIds);
+                for (let i = 0; i < frames.length; i++) {
+                    const frame = frames[i];
+                    const families = contents[i].filter(element => this.isTextElement(element))
+                        .map(element => element.fontFamily || 'IranSans');
+                    const fonts = this.fontRegistry ? await this.fontRegistry.getFontFaceCss(families) : '';
+                    const size = frame.unit === 'mm'
+                        ? { width: `${this.formatSvgNumber(this.toFrameUnit('mm', frame.width))}mm`,
+                            height: `${this.formatSvgNumber(this.toFrameUnit('mm', frame.height))}mm` }
+                        : null;
+                    const svg = this.renderSVG(frame, {
+                        includeGrid, includeGuides, includeBackground, images, elements: contents[i], fonts, size
+                    });
+                    this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${fileName(frame)}.svg`);
+                }
+                return;
+            }
+
+            await this.imageStore.loadAll(imageIds);
+            if (format === 'pdf') {
+                const pdf = new PdfDocument();
+                const fonts = new Map();                                        // Familie → eingebettete Schrift (oder null)
+                for (let i = 0; i < frames.length; i++) {
+                    const canvas = this.renderCanvas(frames[i], {
+                        density: this.getFrameDensity(frames[i]), includeGrid, includeGuides, includeBackground, elements: contents[i]
+                    });
+                    const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+                    const texts = await this.getPdfTextLines(frames[i], contents[i], pdf, fonts);
+                    await pdf.addImagePage(this.getFramePageSize(frames[i]), pixels, texts);
+                }
+                const name = frames.length === 1 ? fileName(frames[0]) : `board-${new Date().toISOString().slice(0, 10)}`;
+                this.downloadBlob(pdf.toBlob({ title: frames.length === 1 ? frames[0].name : '' }), `${name}.pdf`);
+                return;
+            }
+
+            for (let i = 0; i < frames.length; i++) {
+                const frame = frames[i];
+                const blob = await this.renderPNG(frame, {
+                    density: this.getFrameDensity(frame), includeGrid, includeGuides, includeBackground, elements: contents[i]
+                });
+                this.downloadBlob(await this.setPngResolution(blob, frame.dpi), `${fileName(frame)}.png`);
+            }
+        } catch (error) {
+            console.error('Rahmen-Export fehlgeschlagen:', error);
+            window.alert(`Der Export ist fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    /**
+     * Beschreibt die Textzeilen eines Rahmens für die unsichtbare Textebene des PDF
+     * Anfang, Drehung und Breite jeder Zeile stammen aus layoutText, damit Auswahl und Suche
+     * im PDF über dem gerasterten Text liegen; der Text steht in sichtbarer Reihenfolge
+     * @param {Object} frame - Der Rahmen (Seite)
+     * @param {Object[]} elements - Der Inhalt des Rahmens
+     * @param {PdfDocument} pdf - Das Dokument (nimmt die Schriften auf)
+     * @param {Map} fonts - Bereits eingebettete Schriften je Familie
+     * @returns {Promise<Object[]>} Die Zeilen für PdfDocument.addImagePage
+     */
+    async getPdfTextLines(frame, elements, pdf, fonts) {
+        const page = this.getFramePageSize(frame);
+        const pointsPerUnit = page.width / frame.width;
+        const lines = [];
+        for (const element of elements.filter(candidate => this.isTextElement(candidate))) {
+            const font = await this.getPdfFont(element.fontFamily || 'IranSans', pdf, fonts);
+            if (!font) continue;
+            const fontSize = (element.fontSize || this.initialFontSize) * pointsPerUnit;
+            const cos = Math.cos(element.rotation || 0);
+            const sin = Math.sin(element.rotation || 0);
+            const source = element.text.split('\n');                            // Ohne Kashida-Tatweel, damit die Suche Wörter findet
+            this.layoutText(element).lines.forEach((line, index) => {
+                if (!line.text.trim()) return;
+                // Linker Anfang der Grundlinie im Element, dann gedreht um den Ursprung des Elements
+                const left = line.anchorX - (line.textAlign === 'left' ? 0 : line.textAlign === 'right' ? line.width : line.width / 2);
+                const x = element.x + left * cos - line.baseline * sin;
+                const y = element.y + left * sin + line.baseline * cos;
+                lines.push({
+                    font,
+                    fontSize,
+                    width: line.width * pointsPerUnit,
+                    text: this.getVisualOrder(source[index], line.direction),
+                    matrix: [cos, -sin, sin, cos, (x - frame.x) * pointsPerUnit, page.height - (y - frame.y) * pointsPerUnit]
+                });
+            });
+        }
+        return lines;
+    }
+
+    /**
+     * Bettet die Schrift einer Familie in das PDF ein (einmal je Export)
+     * Ohne einbettbare Datei (nur local(), Stylesheet, WOFF oder CFF) trägt die erste einbettbare
+     * Schrift des Boards den Text; sichtbar bleibt ohnehin das Rasterbild
+     * @param {string} family - Die Familie des Textes
+     * @param {PdfDocument} pdf - Das Dokument
+     * @param {Map} fonts - Bereits versuchte Familien (Schrift oder null)
+     * @returns {Promise<Object|null>} Die eingebettete Schrift oder null, wenn keine einbettbar ist
+     */
+    async getPdfFont(family, pdf, fonts) {
+        if (!this.fontRegistry) return null;
+        const embed = async name => {
+            if (!fonts.has(name)) {
+                let font = null;
+                try {
+                    const file = await this.fontRegistry.getFontFile(name);
+                    if (file) font = await pdf.addFont(name, file);
+                } catch (error) {
+                    console.warn(`Schrift ${name} kann nicht in das PDF eingebettet werden:`, error);
+                }
+                fonts.set(name, font);
+            }
+            return fonts.get(name);
+        };
+        const own = await embed(this.fontRegistry.resolveFamily(family));
+        if (own) return own;
+        for (const font of this.fontRegistry.list()) {
+            const fallback = await embed(font.family);
+            if (fallback) return fallback;
+        }
+        return null;
+    }
+
+    /**
+     * Rendert einen Bereich des Boards in eine PNG-Datei
+     * @param {Object} bounds - Bereich in Weltkoordinaten
+     * @param {Object} options - density, includeGrid, includeGuides, includeBackground und elements (siehe renderCanvas)
+     * @returns {Promise<Blob>} Das PNG
+     */
+    renderPNG(bounds, options = {}) {
+        return this.canvasToBlob(this.renderCanvas(bounds, options), 'image/png');
+    }
+
+    /**
+     * Rendert einen Bereich des Boards in ein neues Canvas (PNG- und PDF-Export)
+     * Ohne Hintergrund bleibt das Bild transparent; die Standardtinte richtet sich dann nach weißem Papier
+     * @param {Object} bounds - Bereich in Weltkoordinaten
+     * @param {Object} options - density, includeGrid, includeGuides, includeBackground und elements (Standard: alle Elemente)
+     * @returns {HTMLCanvasElement} Das Canvas
+     */
+    renderCanvas(bounds, { density = 1, includeGrid = false, includeGuides = false, includeBackground = false,
+                           elements = this.textElements } = {}) {
+        // Dichte begrenzen, damit der Browser das Canvas noch anlegen kann
+        const maxSide = Math.max(bounds.width, bounds.height);
+        const pixelDensity = Math.min(density, this.maxExportSize / maxSide);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bounds.width * pixelDensity));
+        canvas.height = Math.max(1, Math.round(bounds.height * pixelDensity));
+
+        const context = canvas.getContext('2d');
+        context.scale(pixelDensity, pixelDensity);
+        context.translate(-bounds.x, -bounds.y);
+
+        // Wie auf dem Bildschirm: Papier der Rahmen über Hintergrund und Raster, Hilfslinien darüber
+        if (includeBackground) {
+            this.drawBackground(context, bounds);
+        }
+        if (includeGrid) {
+            this.drawGrid(context, bounds, 0.8);
+        }
+        this.renderSurface = includeBackground ? null : this.exportSurface;
+        try {
+            elements.filter(element => element.type === 'frame').forEach(frame => this.drawElement(frame, context));
+            if (includeGuides) {
+                this.drawGuideLines(context, bounds, 1);
+            }
+            elements.filter(element => element.type !== 'frame')
+                .forEach(element => this.drawElement(element, context, includeGuides));
+        } finally {
+            this.renderSurface = null;
+        }
+        return canvas;
+    }
+
+    /**
+     * Kodiert ein Canvas als Bilddatei
+     * @param {HTMLCanvasElement} canvas - Das Canvas
+     * @param {string} type - MIME-Typ (z. B. 'image/png')
+     * @returns {Promise<Blob>} Die Datei
+     */
+    canvasToBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`${type} konnte nicht erzeugt werden`)), type);
+        });
+    }
+
+    /**
+     * Vermerkt die Auflösung in einem PNG (pHYs-Block direkt nach dem Kopf), damit Druck- und
+     * Layoutprogramme das Bild in der richtigen Größe übernehmen
+     * @param {Blob} blob - Das PNG aus canvas.toBlob
+     * @param {number} dpi - Die Auflösung
+     * @returns {Promise<Blob>} Das PNG mit Auflösung
+     */
+    async setPngResolution(blob, dpi) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const ihdrEnd = 8 + 25;                                                 // Signatur, dann IHDR (Länge, Typ, 13 Byte, CRC)
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4);                                 // 'pHYs'
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1;                                                          // Einheit: Meter
+        view.setUint32(17, this.crc32(chunk.subarray(4, 17)));
+        return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+    }
+
+    /**
+     * Berechnet die CRC-32-Prüfsumme eines PNG-Blocks (Typ und Daten)
+     * @param {Uint8Array} bytes - Die Bytes
+     * @returns {number} Die Prüfsumme
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Rendert einen Bereich des Boards als SVG-Dokument
+     * Texte bleiben echte <text>-Elemente mit Schriftart und Leserichtung; Elemente in Rahmen
+     * werden über clipPath auf ihren Rahmen zugeschnitten
+     * @param {Object} bounds - Bereich in Weltkoordinaten
+     * @param {Object} options - includeGrid, includeGuides, includeBackground, images (Bild-ID → Data-URL, siehe
+     *                           ImageStore.exportImages), elements (Standard: alle), fonts (@font-face-Regeln, siehe
+     *                           FontRegistry.getFontFaceCss) und size (width/height mit Einheit, Standard: Pixel)
+     * @returns {string} Das SVG als Text
+     */
+    renderSVG(bounds, { includeGrid = false, includeGuides = false, includeBackground = false, images = {},
+                        elements = this.textElements, fonts = '', size = null } = {}) {
+        const parts = [];
+        const n = value => this.formatSvgNumber(value);
+        const viewBox = [bounds.x, bounds.y, bounds.width, bounds.height].map(n).join(' ');
+        const width = size ? size.width : Math.round(bounds.width);
+        const height = size ? size.height : Math.round(bounds.height);
+
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}">`);
+        if (fonts) {
+            parts.push(`<defs><style><![CDATA[\n${fonts}\n]]></style></defs>`);          // Eingebettete Schriften
+        }
+        const frames = elements.filter(element => element.type === 'frame');
+        if (frames.length > 0) {
+            parts.push('<defs>');
+            frames.forEach((frame, index) => {
+                parts.push(`<clipPath id="frame-clip-${index}"><rect x="${n(frame.x)}" y="${n(frame.y)}" ` +
+                    `width="${n(frame.width)}" height="${n(frame.height)}"/></clipPath>`);
+            });
+            parts.push('</defs>');
+        }
+
+        if (includeBackground) {
+            parts.push(this.renderSVGBackground(bounds));
+        }
+
+        // Raster als wiederholtes Muster statt einzelner Punkte
+        if (includeGrid) {
+            const size = this.gridSize;
+            const dot = this.escapeXml(this.theme.dot);
+            parts.push('<defs>');
+            parts.push(`<pattern id="grid" x="0" y="0" width="${size}" height="${size}" patternUnits="userSpaceOnUse">`);
+            parts.push(`<circle cx="0" cy="0" r="0.8" fill="${dot}"/>`);
+            parts.push(`<circle cx="${size}" cy="0" r="0.8" fill="${dot}"/>`);
+            parts.push(`<circle cx="0" cy="${size}" r="0.8" fill="${dot}"/>`);
+            parts.push(`<circle cx="${size}" cy="${size}" r="0.8" fill="${dot}"/>`);
+            parts.push('</pattern>');
+            parts.push('</defs>');
+            parts.push(`<rect x="${n(bounds.x)}" y="${n(bounds.y)}" width="${n(bounds.width)}" height="${n(bounds.height)}" fill="url(#grid)"/>`);
+        }
+        frames.forEach(frame => parts.push(this.renderSVGFrame(frame)));               // Papier über dem Raster, unter den Hilfslinien
+        if (includeGuides) {
+            const lines = this.getGuideLines(bounds).map(line => ({
+                from: { x: bounds.x, y: line.y },
+                to: { x: bounds.x + bounds.width, y: line.y },
+                kind: line.kind
+            }));
+            parts.push(this.renderSVGGuides(lines, [], 1));
+        }
+
+        this.renderSurface = includeBackground ? null : this.exportSurface;        // Standardtinte wie in renderCanvas
+        try {
+            elements.filter(element => element.type !== 'frame').forEach(element => {
+                const clip = frames.indexOf(this.getElementFrame(element));
+                if (clip !== -1) parts.push(`<g clip-path="url(#frame-clip-${clip})">`);
+                parts.push(element.type === 'stroke' ? this.renderSVGStroke(element)
+                    : element.type === 'image' ? this.renderSVGImage(element, images)
+                    : element.type === 'shape' || element.type === 'line' ? this.renderSVGShape(element)
+                    : this.renderSVGText(element));
+                const ruler = includeGuides ? this.getNuqtaRuler(element) : null;
+                if (ruler) parts.push(this.renderSVGGuides(ruler.lines, ruler.dots, ruler.lineWidth));
+                if (clip !== -1) parts.push('</g>');
+            });
+        } finally {
+            this.renderSurface = null;
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Erzeugt den Hintergrund des Boards als <rect>, die Papierstruktur als Muster aus einer eingebetteten Kachel
+     * @param {Object} bounds - Bereich in Weltkoordinaten
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGBackground(bounds) {
+        const n = value => this.formatSvgNumber(value);
+        const color = this.getBackgroundColor();
+        const rect = `x="${n(bounds.x)}" y="${n(bounds.y)}" width="${n(bounds.width)}" height="${n(bounds.height)}"`;
+        const parts = [`<rect ${rect} fill="${this.escapeXml(color)}"/>`];
+        if (this.background.texture !== 'none') {
+            const size = this.textureTileSize;
+            const resolution = 2;
+            const tile = document.createElement('canvas');                         // Kein OffscreenCanvas, toDataURL muss synchron sein
+            tile.width = tile.height = size * resolution;
+            this.drawTexture(tile.getContext('2d'), this.background.texture, this.isDarkColor(color), resolution);
+            parts.push('<defs>');
+            parts.push(`<pattern id="texture" x="0" y="0" width="${size}" height="${size}" patternUnits="userSpaceOnUse">`);
+            parts.push(`<image href="${tile.toDataURL('image/png')}" width="${size}" height="${size}"/>`);
+            parts.push('</pattern>');
+            parts.push('</defs>');
+            parts.push(`<rect ${rect} fill="url(#texture)"/>`);
+        }
+        return parts.join('\n');
+    }
+
+    /**
+     * Erzeugt die Papierfläche eines Rahmens als <rect> (Umriss und Name erscheinen nur auf dem Bildschirm)
+     * @param {Object} element - Der Rahmen
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGFrame(element) {
+        const n = value => this.formatSvgNumber(value);
+        const opacity = this.getElementOpacity(element);
+        return `<rect x="${n(element.x)}" y="${n(element.y)}" width="${n(element.width)}" height="${n(element.height)}" ` +
+            `fill="${this.frameFill}"${opacity < 1 ? ` opacity="${n(opacity)}"` : ''}/>`;
+    }
+
+    /**
+     * Erzeugt Hilfslinien und Rauten eines Nuqta-Lineals als SVG-Gruppe
+     * @param {Object[]} lines - Linien mit from, to und kind (siehe getNuqtaRuler)
+     * @param {Object[][]} dots - Je Raute vier Eckpunkte
+     * @param {number} lineWidth - Linienbreite
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGGuides(lines, dots, lineWidth) {
+        const n = value => this.formatSvgNumber(value);
+        const parts = [`<g fill="none" stroke-width="${n(lineWidth)}">`];
+        lines.forEach(({ from, to, kind }) => {
+            const stroke = kind === 'baseline' ? this.guideColors.baseline : this.guideColors.line;
+            const dash = kind === 'ascender' || kind === 'descender' ? ` stroke-dasharray="${n(lineWidth * 4)}"` : '';
+            parts.push(`<line x1="${n(from.x)}" y1="${n(from.y)}" x2="${n(to.x)}" y2="${n(to.y)}" stroke="${stroke}"${dash}/>`);
+        });
+        dots.forEach(corners => {
+            const points = corners.map(corner => `${n(corner.x)},${n(corner.y)}`).join(' ');
+            parts.push(`<polygon points="${points}" fill="${this.guideColors.dot}" stroke="none"/>`);
+        });
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Erzeugt die <text>-Elemente für ein Textelement
+     * Jede Zeile wird ein eigenes <text>, da jede Zeile ihre eigene Basisrichtung haben kann
+     * @param {Object} element - Das Textelement
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGText(element) {
+        const fontSize = element.fontSize || this.initialFontSize;
+        const fontFamily = element.fontFamily || 'IranSans';
+        const n = value => this.formatSvgNumber(value);
+        const style = key => this.getElementStyle(element, key);
+
+        const lines = this.layoutText(element).lines.map(line => {
+            // text-anchor ist logisch (start/end), der Canvas-Anker physisch (left/right)
+            const anchor = line.textAlign === 'center' ? 'middle'
+                : (line.textAlign === 'left') === (line.direction === 'ltr') ? 'start' : 'end';
+            return `<text x="${n(element.x + line.anchorX)}" y="${n(element.y + line.baseline)}" ` +
+                `direction="${line.direction}" unicode-bidi="embed" text-anchor="${anchor}">${this.escapeXml(line.text)}</text>`;
+        });
+        const rotation = element.rotation
+            ? ` transform="rotate(${n(element.rotation * 180 / Math.PI)} ${n(element.x)} ${n(element.y)})"`
+            : '';
+
+        // Darstellung wie auf dem Canvas; die Kashida steckt bereits im Zeilentext
+        let attributes = ` fill="${this.escapeXml(style('color'))}"`;
+        if (style('opacity') < 1) attributes += ` opacity="${n(style('opacity'))}"`;
+        if (style('fontWeight') !== 'normal') attributes += ` font-weight="${this.escapeXml(style('fontWeight'))}"`;
+        if (style('letterSpacing')) attributes += ` letter-spacing="${n(style('letterSpacing') * fontSize)}"`;
+        if (style('outlineWidth') > 0) {
+            attributes += ` stroke="${this.escapeXml(style('outlineColor'))}" stroke-width="${n(style('outlineWidth') * fontSize * 2)}"` +
+                ' stroke-linejoin="round" paint-order="stroke"';
+        }
+
+        let filter = '';
+        if (this.hasTextShadow(element)) {
+            // Filterbereich im lokalen System der Gruppe, groß genug für Weichzeichnung und Versatz
+            const id = this.escapeXml(`shadow-${element.id}`);
+            const area = this.expandBounds(this.getElementLocalBounds(element), this.getShadowExtent(element));
+            filter = `<defs><filter id="${id}" filterUnits="userSpaceOnUse" x="${n(area.x)}" y="${n(area.y)}" ` +
+                `width="${n(area.width)}" height="${n(area.height)}"><feDropShadow ` +
+                `dx="${n(style('shadowOffsetX') * fontSize)}" dy="${n(style('shadowOffsetY') * fontSize)}" ` +
+                `stdDeviation="${n(style('shadowBlur') * fontSize / 2)}" flood-color="${this.escapeXml(style('shadowColor'))}"/>` +
+                '</filter></defs>';
+            attributes += ` filter="url(#${id})"`;
+        }
+        return `${filter}<g font-family="'${this.escapeXml(fontFamily)}', sans-serif" font-size="${n(fontSize)}"${attributes}${rotation}>${lines.join('')}</g>`;
+    }
+
+    /**
+     * Erzeugt einen gefüllten <path> für ein Strichelement
+     * Kreise und Trapeze werden wie auf dem Canvas als Teilpfade mit gleichem Umlaufsinn vereinigt
+     * @param {Object} element - Das Strichelement
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGStroke(element) {
+        const n = value => this.formatSvgNumber(value);
+        const { circles, quads } = this.getStrokeShapes(element);
+
+        const path = [
+            ...quads.map(quad => `M${quad.map(corner => `${n(corner.x)} ${n(corner.y)}`).join('L')}Z`),
+            ...circles.map(({ x, y, radius }) => {
+                const r = n(radius);
+                return `M${n(x + radius)} ${n(y)}A${r} ${r} 0 1 1 ${n(x - radius)} ${n(y)}A${r} ${r} 0 1 1 ${n(x + radius)} ${n(y)}Z`;
+            })
+        ].join('');
+        const rotation = element.rotation
+            ? ` transform="rotate(${n(element.rotation * 180 / Math.PI)} ${n(element.x)} ${n(element.y)})"`
+            : '';
+        const color = this.escapeXml(this.getElementStyle(element, 'color'));
+        const opacity = this.getElementStyle(element, 'opacity');
+        return `<path d="${path}" fill="${color}"${opacity < 1 ? ` opacity="${this.formatSvgNumber(opacity)}"` : ''}${rotation}/>`;
+    }
+
+    /**
+     * Erzeugt das <image>-Element für ein Bildelement (Bilddaten eingebettet)
+     * @param {Object} element - Das Bildelement
+     * @param {Object} images - Bild-ID → Data-URL
+     * @returns {string} Das SVG-Fragment (leer, wenn die Bilddaten fehlen)
+     */
+    renderSVGImage(element, images) {
+        const src = images[element.imageId];
+        if (!src) return '';
+        const n = value => this.formatSvgNumber(value);
+        const rotation = element.rotation
+            ? ` transform="rotate(${n(element.rotation * 180 / Math.PI)} ${n(element.x)} ${n(element.y)})"`
+            : '';
+        const opacity = this.getElementStyle(element, 'opacity');
+        return `<image href="${this.escapeXml(src)}" x="${n(element.x)}" y="${n(element.y)}" width="${n(element.width)}" height="${n(element.height)}" preserveAspectRatio="none"${opacity < 1 ? ` opacity="${n(opacity)}"` : ''}${rotation}/>`;
+    }
+
+    /**
+     * Erzeugt die SVG-Elemente für eine Form oder Linie (Pfeilspitze als gefülltes Dreieck)
+     * @param {Object} element - Das Form- oder Linienelement
+     * @returns {string} Das SVG-Fragment
+     */
+    renderSVGShape(element) {
+        const n = value => this.formatSvgNumber(value);
+        const color = this.escapeXml(this.getElementStyle(element, 'color'));
+        const opacity = this.getElementStyle(element, 'opacity');
+        const rotation = element.rotation
+            ? ` transform="rotate(${n(element.rotation * 180 / Math.PI)} ${n(element.x)} ${n(element.y)})"`
+            : '';
+        const stroke = `fill="none" stroke="${color}" stroke-width="${n(element.strokeWidth)}" stroke-linecap="round" stroke-linejoin="round"`;
+
+        let body;
+        if (element.type === 'line') {
+            const [start, end] = element.points;
+            const head = element.arrow ? this.getArrowHead(element) : null;
+            const tip = head ? head.base : { x: element.x + end.x, y: element.y + end.y };
+            body = `<line x1="${n(element.x + start.x)}" y1="${n(element.y + start.y)}" x2="${n(tip.x)}" y2="${n(tip.y)}" ${stroke}/>`;
+            if (head) {
+                body += `<polygon points="${head.corners.map(corner => `${n(corner.x)},${n(corner.y)}`).join(' ')}" fill="${color}"/>`;
+            }
+        } else if (element.shape === 'ellipse') {
+            body = `<ellipse cx="${n(element.x + element.width / 2)}" cy="${n(element.y + element.height / 2)}" rx="${n(element.width / 2)}" ry="${n(element.height / 2)}" ${stroke}/>`;
+        } else {
+            body = `<rect x="${n(element.x)}" y="${n(element.y)}" width="${n(element.width)}" height="${n(element.height)}" ${stroke}/>`;
+        }
+        return `<g${opacity < 1 ? ` opacity="${n(opacity)}"` : ''}${rotation}>${body}</g>`;
+    }
+
+    /**
+     * Rundet Zahlen für kompakte SVG-Attribute auf zwei Nachkommastellen
+     * @param {number} value - Der Zahlenwert
+     * @returns {number} Der gerundete Wert
+     */
+    formatSvgNumber(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Maskiert Sonderzeichen für XML/SVG
+     * @param {string} value - Der Rohtext
+     * @returns {string} Der maskierte Text
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Bietet einen Blob als Datei zum Herunterladen an
+     * @param {Blob} blob - Der Dateiinhalt
+     * @param {string} filename - Der Dateiname
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Erzeugt eine eindeutige ID für ein Board-Element
+     * Wird für Persistenz und spätere Referenzen zwischen Elementen benötigt
+     * @returns {string} Die neue ID
+     */
+    createElementId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Richtet Export-/Import-Buttons und das Sichern beim Verlassen der Seite ein
+     */
+    setupBoardPersistence() {
+        const exportButton = document.getElementById('exportBoardButton');
+        const importButton = document.getElementById('importBoardButton');
+        const importInput = document.getElementById('importBoardInput');
+
+        // ?board=<Name> sichert unter eigenem Schlüssel (z. B. benchmark.html), das persönliche Board bleibt unberührt
+        const board = new URLSearchParams(window.location.search).get('board');
+        if (board) this.autosaveKey = `${this.autosaveKey}-${board}`;
+
+        exportButton.addEventListener('click', () => this.exportBoard());
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';                                             // Gleiche Datei erneut wählbar machen
+            if (file) this.importBoard(file);
+        });
+
+        // Beim Verstecken der Seite sofort sichern, statt auf den Timer zu warten
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveAutosave();
+        });
+    }
+
+    /**
+     * Erstellt ein versioniertes Board-Dokument aus dem aktuellen Zustand
+     * 
+     * Aufbau:
+     * - format/version: Kennung und Schema-Version für Migrationen
+     * - viewport: Offset und Zoom-Stufe
+     * - guides: Kalligrafie-Hilfslinien (Sichtbarkeit, System und Federbreite)
+     * - background: Hintergrund des Boards (Farbe, leer für die des Themas, und Papierstruktur)
+     * - elements: Alle Elemente ohne flüchtige Animationswerte
+     * - fonts: Importierte Schriften (Familienname und Datei als Data-URL)
+     * - images: Bilddateien als Data-URL je Bild-ID, nur in Dateien (siehe embedImages);
+     *   das Autosave verweist auf die Bilder in IndexedDB
+     * 
+     * @returns {Object} Das serialisierbare Board-Dokument
+     */
+    createBoardDocument() {
+        return {
+            format: this.boardFormat,
+            version: this.boardVersion,
+            viewport: {
+                offset: { x: this.offset.x, y: this.offset.y },
+                scale: this.scale
+            },
+            guides: { ...this.guides },
+            background: { ...this.background },
+            elements: this.textElements.map(element => this.serializeElement(element)),
+            fonts: this.fontRegistry ? this.fontRegistry.getCustomFonts() : []
+        };
+    }
 
-        // Verhindere Doppeltipp-Zoom
-        document.addEventListener('touchend', (e) => {                                 // Überwacht Touch-Ende
-            const now = Date.now();                                                    // Speichert aktuellen Zeitstempel
-            if (now - this.lastTap < 300) {                                           // Prüft auf Doppeltipp
-                e.preventDefault();                                                     // Verhindert Standard-Verhalten
-            }
-            this.lastTap = now;                                                        // Aktualisiert letzten Tipp-Zeitstempel
-        }, { passive: false });                                                        // Erlaubt preventDefault()
+    /**
+     * Bettet die Bilder der Bildelemente als Data-URL in ein Board-Dokument ein
+     * @param {Object} boardDocument - Das Dokument aus createBoardDocument
+     * @returns {Promise<Object>} Dasselbe Dokument mit images
+     */
+    async embedImages(boardDocument) {
+        const ids = this.getImageIds(boardDocument.elements);
+        boardDocument.images = ids.length > 0 && this.imageStore ? await this.imageStore.exportImages(ids) : {};
+        return boardDocument;
+    }
 
-        // Verhindere Strg+Wheel Zoom
-        document.addEventListener('wheel', (e) => {                                    // Überwacht Mausrad-Events
-            if (e.ctrlKey) {                                                          // Prüft ob Strg gedrückt
-                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+    /**
+     * Kopiert ein Element ohne flüchtige Animationswerte
+     * Unbekannte Felder bleiben erhalten, damit neuere Felder nicht verloren gehen
+     * @param {Object} element - Das zu serialisierende Element
+     * @returns {Object} Die serialisierbare Kopie
+     */
+    serializeElement(element) {
+        const data = {};
+        Object.keys(element).forEach(key => {
+            if (!this.transientElementKeys.includes(key)) data[key] = element[key];
+        });
+        return data;
+    }
+
+    /**
+     * Bringt ein Dokument älterer Version schrittweise auf die aktuelle Version
+     * Angenommen werden nur nackte Arrays (Version 0) und Objekte mit format === boardFormat,
+     * damit fremdes JSON das Board nicht durch ein leeres ersetzt
+     * @param {Object|Array} boardDocument - Das geladene Dokument
+     * @returns {Object} Das migrierte Dokument
+     * @throws {Error} Wenn das Dokument kein Board, das Format unbekannt oder die Version zu neu ist
+     */
+    migrateBoardDocument(boardDocument) {
+        if (!Array.isArray(boardDocument)) {
+            if (!boardDocument || typeof boardDocument !== 'object' || !boardDocument.format) {
+                throw new Error('Die Datei enthält kein Board');
             }
-        }, { passive: false });                                                        // Erlaubt preventDefault()
+            if (boardDocument.format !== this.boardFormat) {
+                throw new Error(`Unbekanntes Format: ${boardDocument.format}`);
+            }
+        }
+        let migrated = boardDocument;
+        let version = Array.isArray(boardDocument) ? 0 : boardDocument.version || 0;
 
-        // Verhindere Strg+Plus/Minus Zoom
-        document.addEventListener('keydown', (e) => {                                  // Überwacht Tastatureingaben
-            if (e.ctrlKey && (e.key === '+' || e.key === '-' || e.key === '=')) {    // Prüft auf Strg+Plus/Minus
-                e.preventDefault();                                                     // Verhindert Standard-Verhalten
+        if (version > this.boardVersion) {
+            throw new Error(`Board-Version ${version} ist neuer als die unterstützte Version ${this.boardVersion}`);
+        }
+
+        while (version < this.boardVersion) {
+            const migrate = this.boardMigrations[version];
+            if (!migrate) throw new Error(`Keine Migration für Version ${version}`);
+            migrated = migrate(migrated);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+
+    /**
+     * Vervollständigt ein geladenes Element mit Standardwerten
+     * @param {Object} data - Das Element aus dem Dokument
+     * @returns {Object|null} Das Element oder null, wenn es unbrauchbar ist
+     */
+    normalizeElement(data) {
+        if (!data || !isFinite(data.x) || !isFinite(data.y)) {
+            return null;
+        }
+        if (data.type === 'stroke') {
+            const points = Array.isArray(data.points)
+                ? data.points.filter(point => point && isFinite(point.x) && isFinite(point.y))
+                : [];
+            if (points.length === 0) return null;
+            return this.sanitizeElementStyle({
+                ...data,
+                id: data.id || this.createElementId(),
+                width: isFinite(data.width) ? data.width : this.penWidth,
+                points
+            });
+        }
+        if (data.type === 'image') {
+            if (typeof data.imageId !== 'string' || !isFinite(data.width) || !isFinite(data.height) ||
+                data.width <= 0 || data.height <= 0) {
+                return null;
             }
+            return this.sanitizeElementStyle({ ...data, id: data.id || this.createElementId() });
+        }
+        if (data.type === 'shape' || data.type === 'line') {
+            const strokeWidth = isFinite(data.strokeWidth) && data.strokeWidth > 0 ? data.strokeWidth : this.shapeStrokeWidth;
+            if (data.type === 'shape') {
+                if ((data.shape !== 'rectangle' && data.shape !== 'ellipse') || !isFinite(data.width) ||
+                    !isFinite(data.height) || data.width <= 0 || data.height <= 0) {
+                    return null;
+                }
+                return this.sanitizeElementStyle({ ...data, id: data.id || this.createElementId(), strokeWidth });
+            }
+            const points = Array.isArray(data.points)
+                ? data.points.filter(point => point && isFinite(point.x) && isFinite(point.y))
+                : [];
+            if (points.length !== 2) return null;
+            const element = { ...data, id: data.id || this.createElementId(), strokeWidth, points };
+            ['startId', 'endId'].forEach(key => {
+                if (typeof element[key] !== 'string') delete element[key];        // Ohne gültiges Ziel frei
+            });
+            return this.sanitizeElementStyle(element);
+        }
+        if (data.type === 'frame') {
+            if (!isFinite(data.width) || !isFinite(data.height) || data.width <= 0 || data.height <= 0) return null;
+            const unit = data.unit === 'px' ? 'px' : 'mm';
+            return {
+                ...data,
+                id: data.id || this.createElementId(),
+                name: typeof data.name === 'string' ? data.name : '',
+                unit,
+                dpi: isFinite(data.dpi) && data.dpi > 0 ? data.dpi : this.frameDpi[unit]
+            };
+        }
+        if (typeof data.text !== 'string') {
+            return null;
+        }
+        const fontFamily = data.fontFamily || 'IranSans';
+        return this.sanitizeElementStyle({
+            ...data,
+            id: data.id || this.createElementId(),
+            fontFamily: this.fontRegistry ? this.fontRegistry.resolveFamily(fontFamily) : fontFamily,
+            fontSize: isFinite(data.fontSize) ? data.fontSize : this.initialFontSize
         });
     }
 
-    setupGridToggle() {                                                                 // Richtet Grid-Toggle-Funktionalität ein
-        const toggleButton = document.getElementById('toggleGridButton');               // Holt Grid-Toggle-Button aus DOM
-        const icon = toggleButton.querySelector('i');                                   // Findet Icon-Element im Button
-        
-        toggleButton.addEventListener('click', () => {                                  // Fügt Click-Event-Listener hinzu
-            this.isGridVisible = !this.isGridVisible;                                  // Invertiert Grid-Sichtbarkeit
-            toggleButton.classList.toggle('active');                                    // Schaltet aktiven Zustand des Buttons um
-            
-            // Wechsle das Icon
-            icon.classList.toggle('fa-eye');                                           // Schaltet Auge-Icon um
-            icon.classList.toggle('fa-eye-slash');                                     // Schaltet durchgestrichenes Auge-Icon um
-            
-            // Toggle Sichtbarkeit der Mittellinie
-            document.querySelector('.center-line').style.opacity =                      // Ändert Sichtbarkeit der Mittellinie
-                this.isGridVisible ? '1' : '0';                                        // Basierend auf Grid-Sichtbarkeit
-            
-            this.draw();                                                               // Zeichnet Canvas neu
+    /**
+     * Entfernt ungültige Darstellungseigenschaften, damit der Standardwert greift
+     * @param {Object} element - Das Element
+     * @returns {Object} Dasselbe Element
+     */
+    sanitizeElementStyle(element) {
+        Object.keys(this.styleDefaults).forEach(key => {
+            const value = element[key];
+            if (value === undefined) return;
+            const fallback = this.styleDefaults[key];
+            const valid = key === 'kashida' ? value === null || (typeof value === 'number' && isFinite(value) && value >= 0)
+                : typeof fallback === 'number' ? typeof value === 'number' && isFinite(value)
+                : typeof value === 'string' && value.length > 0;
+            if (!valid) delete element[key];
         });
+        if (element.opacity !== undefined) element.opacity = Math.max(0, Math.min(1, element.opacity));
+        return element;
     }
 
-    findTextAtPosition(x, y) {
-        // Temporär Context speichern für Textmessungen
-        const context = this.context;
-        
-        // Durchsuche alle Textelemente von oben nach unten
-        return this.textElements.find(element => {
-            // Setze Font für korrekte Messungen
-            const fontSize = element.fontSize || this.initialFontSize;
-            context.font = `${fontSize / this.scale}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
-            
-            // Berechne Textmaße
-            const metrics = context.measureText(element.text);
-            const padding = 10; // Größerer Klickbereich für bessere Bedienbarkeit
-            
-            // Berechne Bounding Box
-            const top = element.y - metrics.actualBoundingBoxAscent - padding;
-            const bottom = element.y + metrics.actualBoundingBoxDescent + padding;
-            const left = element.x - padding;
-            const right = element.x + metrics.width + padding;
-            
-            // Prüfe ob Mausposition innerhalb der Bounding Box liegt
-            return x >= left && 
-                   x <= right && 
-                   y >= top && 
-                   y <= bottom;
+    /**
+     * Lädt ein Board-Dokument in das Canvas
+     * Migriert ältere Versionen und ersetzt den aktuellen Inhalt vollständig
+     * @param {Object|Array} boardDocument - Das Board-Dokument
+     */
+    loadBoardDocument(boardDocument) {
+        const board = this.migrateBoardDocument(boardDocument);
+
+        if (this.fontRegistry) this.fontRegistry.registerCustomFonts(board.fonts);  // Texte werden nach dem Laden neu gemessen
+        if (this.imageStore) this.imageStore.importImages(board.images);        // Nur in exportierten Boards enthalten
+        this.textElements = (board.elements || [])
+            .map(data => this.normalizeElement(data))
+            .filter(Boolean);
+        this.textElements.forEach((element, index) => {
+            if (!isFinite(element.zIndex)) element.zIndex = index;              // Ältere Boards: Reihenfolge im Array
         });
-    }
+        this.sortElementsByZIndex();
 
-    animateTextSelection(textElement) {
-        const originalScale = textElement.scale || 1;
-        const animationDuration = 200;
-        const startTime = Date.now();
-        
-        // Setze Opacity-Animation
-        textElement.opacity = 0.6; // Startopazität für ausgewählten Text
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(1, elapsed / animationDuration);
-            
-            // Sanfterer Bounce-Effekt mit Easing
-            const bounce = Math.sin(progress * Math.PI) * Math.sin(progress * Math.PI * 2);
-            const scale = 1 + bounce * 0.03;
-            textElement.scale = originalScale * scale;
-            
-            this.draw();
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                textElement.scale = originalScale;
-                this.draw();
-            }
-        };
-        
-        animate();
+        const viewport = board.viewport;
+        if (viewport && viewport.offset && isFinite(viewport.offset.x) && isFinite(viewport.offset.y)) {
+            this.offset = { x: viewport.offset.x, y: viewport.offset.y };
+        }
+        if (viewport && isFinite(viewport.scale)) {
+            this.scale = Math.max(this.minScale, Math.min(this.maxScale, viewport.scale));
+        }
+        if (board.guides && typeof board.guides === 'object') {
+            this.setGuides(board.guides);                                       // Prüft die Werte selbst
+        }
+        this.setBackground(board.background && typeof board.background === 'object'
+            ? { color: '', texture: 'none', ...board.background }                 // Ältere Boards: Hintergrund des Themas
+            : { color: '', texture: 'none' });
+
+        // Laufende Interaktionen und Verlauf verwerfen
+        this.undoStack = [];
+        this.redoStack = [];
+        this.gestureSnapshot = null;
+        this.selectedElements = new Set();
+        this.selectedText = null;
+        this.isDraggingText = false;
+        this.isRotating = false;
+        this.isSelecting = false;
+        this.isDraggingFont = false;
+        this.velocity = { x: 0, y: 0 };
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        this.draw();
+        if (this.sync) this.sync.scheduleFlush();                               // Import ersetzt das Board auch für alle anderen
     }
 
-    drawDragHandles(element, metrics, padding) {
-        const handleSize = 6 / this.scale;
-        const positions = [
-            // Ecken
-            { x: element.x - padding, y: element.y - metrics.actualBoundingBoxAscent - padding },
-            { x: element.x + metrics.width + padding, y: element.y - metrics.actualBoundingBoxAscent - padding },
-            { x: element.x - padding, y: element.y + metrics.actualBoundingBoxDescent + padding },
-            { x: element.x + metrics.width + padding, y: element.y + metrics.actualBoundingBoxDescent + padding }
-        ];
-        
-        this.context.fillStyle = '#fff';
-        this.context.strokeStyle = 'rgba(0, 122, 255, 0.8)';
-        this.context.lineWidth = 1 / this.scale;
-        
-        positions.forEach(pos => {
-            this.context.beginPath();
-            this.context.arc(pos.x, pos.y, handleSize, 0, Math.PI * 2);
-            this.context.fill();
-            this.context.stroke();
+    /**
+     * Öffnet die IndexedDB für das Autosave
+     * Liefert null, wenn IndexedDB nicht verfügbar ist (dann wird localStorage genutzt)
+     * @returns {Promise<IDBDatabase|null>} Die Datenbankverbindung
+     */
+    openBoardDatabase() {
+        if (this.boardDatabase) return this.boardDatabase;
+
+        this.boardDatabase = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            const request = window.indexedDB.open('qalam', 2);
+            request.onupgradeneeded = () => {
+                // Version 1: Boards, Version 2: Bilddateien der Bildelemente (ImageStore.js)
+                const database = request.result;
+                if (!database.objectStoreNames.contains('boards')) database.createObjectStore('boards');
+                if (!database.objectStoreNames.contains('images')) database.createObjectStore('images');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);                              // z.B. privater Modus
         });
+        return this.boardDatabase;
     }
 
-    roundRect(x, y, width, height, radius) {
-        this.context.beginPath();
-        this.context.moveTo(x + radius, y);
-        this.context.lineTo(x + width - radius, y);
-        this.context.quadraticCurveTo(x + width, y, x + width, y + radius);
-        this.context.lineTo(x + width, y + height - radius);
-        this.context.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-        this.context.lineTo(x + radius, y + height);
-        this.context.quadraticCurveTo(x, y + height, x, y + height - radius);
-        this.context.lineTo(x, y + radius);
-        this.context.quadraticCurveTo(x, y, x + radius, y);
-        this.context.closePath();
+    /**
+     * Plant ein verzögertes Autosave, damit schnelle Änderungen gebündelt werden
+     */
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveAutosave(), this.autosaveDelay);
     }
 
-    showTextInput(x, y) {
-        const textModal = document.getElementById('textModal');
-        const textInput = document.getElementById('textInput');
-        
-        // Position für neue Text-Eingabe speichern
-        this.pendingTextPosition = {
-            x: (x - this.offset.x) / this.scale,
-            y: (y - this.offset.y) / this.scale
-        };
-        
-        // Modal anzeigen und Input fokussieren
-        textModal.style.display = 'flex';
-        textInput.value = '';
-        textInput.focus();
-    }
+    /**
+     * Speichert das Board in IndexedDB bzw. localStorage
+     * Danach werden Bilder entfernt, auf die weder ein Element noch der Verlauf verweist.
+     * Vor dem Ende von restoreAutosave wird die Sicherung nur vorgemerkt
+     * @returns {Promise<void>}
+     */
+    async saveAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.autosaveRestored) {
+            this.autosavePending = true;
+            return;
+        }
+        const key = this.autosaveKey;                                           // Kann sich beim Beitritt zu einer Sitzung ändern
+        const boardDocument = this.createBoardDocument();
 
-    // Neue Methode für die Deselektions-Animation
-    animateTextDeselection(textElement) {
-        const startScale = textElement.scale || 1;
-        const animationDuration = 150; // etwas schneller als die Selektions-Animation
-        const startTime = Date.now();
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(1, elapsed / animationDuration);
-            
-            // Sanfter Übergang zurück zur normalen Größe
-            const scale = startScale + (1 - startScale) * progress;
-            textElement.scale = scale;
-            
-            // Opacity zurücksetzen
-            textElement.opacity = 1;
-            
-            this.draw();
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+        try {
+            const database = await this.openBoardDatabase();
+            if (database) {
+                const json = JSON.stringify(boardDocument);
+                await new Promise((resolve, reject) => {
+                    const transaction = database.transaction('boards', 'readwrite');
+                    transaction.objectStore('boards').put(json, key);
+                    transaction.oncomplete = resolve;
+                    transaction.onerror = () => reject(transaction.error);
+                });
+                if (this.imageStore) {
+                    const stored = await this.getStoredImageIds(database, key); // Bilder anderer gespeicherter Boards bleiben
+                    await this.imageStore.prune(this.getReferencedImageIds().concat(stored));
+                }
             } else {
-                textElement.scale = 1;
-                this.draw();
+                // Ohne IndexedDB gibt es keinen Bildspeicher: Bilder gehören ins Dokument
+                window.localStorage.setItem(key, JSON.stringify(await this.embedImages(boardDocument)));
             }
-        };
-        
-        animate();
+        } catch (error) {
+            console.error('Autosave fehlgeschlagen:', error);
+        }
     }
 
-    // Neue Methode für Tastatur-Events
-    handleKeyDown(event) {
-        // Prüfe ob ein Text ausgewählt ist und Delete/Entf gedrückt wurde
-        if (this.selectedText && (event.key === 'Delete' || event.key === 'Backspace')) {
-            this.deleteSelectedText();
-            event.preventDefault();
-        }
+    /**
+     * Sammelt die Bild-IDs der übrigen in IndexedDB gespeicherten Boards (?board=, gemeinsame Sitzungen)
+     * @param {IDBDatabase} database - Die Board-Datenbank
+     * @param {string} key - Schlüssel des eigenen Boards (wird übersprungen)
+     * @returns {Promise<string[]>} Die IDs
+     */
+    getStoredImageIds(database, key) {
+        return new Promise((resolve, reject) => {
+            const ids = [];
+            const request = database.transaction('boards').objectStore('boards').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(ids);
+                    return;
+                }
+                if (cursor.key !== key) {
+                    const boardDocument = JSON.parse(cursor.value);
+                    const elements = Array.isArray(boardDocument) ? boardDocument : boardDocument.elements;
+                    ids.push(...this.getImageIds(Array.isArray(elements) ? elements : []));
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    // Neue Methode für das Löschen von Text mit Animation
-    deleteSelectedText() {
-        if (!this.selectedText) return;
-        
-        const textToDelete = this.selectedText;
-        const startTime = Date.now();
-        const animationDuration = 200;
-        
-        // Animation starten
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(1, elapsed / animationDuration);
-            
-            // Scale und Opacity Animation
-            textToDelete.scale = 1 - (progress * 0.2); // Leicht verkleinern
-            textToDelete.opacity = 1 - progress; // Ausblenden
-            
-            this.draw();
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+    /**
+     * Stellt das zuletzt automatisch gespeicherte Board wieder her
+     * Was vor dem Ende des Ladens (Schriften, Datenbank) schon gezeichnet wurde, bleibt samt Verlauf,
+     * Auswahl und Ansicht erhalten und liegt über dem gespeicherten Board
+     * @returns {Promise<void>}
+     */
+    async restoreAutosave() {
+        try {
+            let json = null;
+            const database = await this.openBoardDatabase();
+            if (database) {
+                json = await new Promise((resolve, reject) => {
+                    const request = database.transaction('boards').objectStore('boards').get(this.autosaveKey);
+                    request.onsuccess = () => resolve(request.result || null);
+                    request.onerror = () => reject(request.error);
+                });
             } else {
-                // Text aus Array entfernen
-                this.textElements = this.textElements.filter(element => element !== textToDelete);
-                this.selectedText = null;
-                this.draw();
+                json = window.localStorage.getItem(this.autosaveKey);
             }
-        };
-        
-        animate();
+            if (!json) return;
+
+            const created = this.textElements;
+            if (created.length === 0) {
+                this.loadBoardDocument(JSON.parse(json));
+                return;
+            }
+            const { undoStack, redoStack, offset, scale } = this;
+            const selection = this.getSelectedElements();
+            const primary = this.selectedText;
+            this.loadBoardDocument(JSON.parse(json));
+
+            let top = this.getTopZIndex();
+            created.forEach(element => { element.zIndex = ++top; });
+            this.textElements.push(...created);
+            this.sortElementsByZIndex();
+            this.invalidateSpatialIndex();
+            Object.assign(this, { undoStack, redoStack, offset, scale });
+            this.selectedElements = new Set(selection);
+            this.selectedText = primary;
+            this.draw();
+            this.scheduleAutosave();                                            // Zusammengeführtes Board sichern
+        } catch (error) {
+            console.error('Autosave konnte nicht geladen werden:', error);
+        } finally {
+            this.autosaveRestored = true;
+            if (this.autosavePending) {
+                this.autosavePending = false;
+                this.scheduleAutosave();                                        // Vorgemerkte Sicherung nachholen
+            }
+        }
+    }
+
+    /**
+     * Tritt einer gemeinsamen Sitzung bei, wenn die Adresse sie anfordert
+     * 
+     * - ?sync=ws://… oder wss://… verbindet über einen WebSocket-Relay-Server
+     * - ?sync=<Raum> verbindet alle Tabs dieses Browsers über BroadcastChannel
+     * - &name=… legt den angezeigten Namen fest
+     *
+     * Die Sitzung wird unter eigenem Schlüssel gesichert: Ein übernommener Sitzungszustand
+     * überschreibt nie das persönliche Board.
+     */
+    setupSync() {
+        const params = new URLSearchParams(window.location.search);
+        const target = params.get('sync');
+        if (!target || typeof BoardSync === 'undefined') return;
+
+        const transport = /^wss?:\/\//.test(target)
+            ? new WebSocketTransport(target)
+            : new BroadcastChannelTransport(`${this.autosaveKey}-${target}`);
+        if (this.autosaveTimer) this.saveAutosave();                            // Ausstehende Änderungen noch ins persönliche Board
+        this.autosaveKey = `${this.autosaveKey}-${target}`;
+        this.connectSync(transport, { name: params.get('name') || undefined });
+
+        window.addEventListener('pagehide', () => {
+            if (this.sync) this.sync.stop();
+        });
+    }
+
+    /**
+     * Startet die Synchronisation über einen Transport
+     * @param {Object} transport - Transport (siehe BoardSync.js)
+     * @param {Object} options - clientId, name und color des lokalen Teilnehmers
+     * @returns {BoardSync} Die laufende Synchronisation
+     */
+    connectSync(transport, options = {}) {
+        if (this.sync) this.sync.stop();
+        this.sync = new BoardSync(this, transport, options);
+        this.sync.start();
+        this.draw();
+        return this.sync;
+    }
+
+    /**
+     * Lädt das Board als .qalam.json-Datei herunter (mit eingebetteten Bildern)
+     * @returns {Promise<void>}
+     */
+    async exportBoard() {
+        const json = JSON.stringify(await this.embedImages(this.createBoardDocument()), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        this.downloadBlob(blob, `board-${new Date().toISOString().slice(0, 10)}.qalam.json`);
+    }
+
+    /**
+     * Importiert ein Board aus einer .qalam.json-Datei
+     * @param {File} file - Die gewählte Datei
+     * @returns {Promise<void>}
+     */
+    async importBoard(file) {
+        try {
+            const boardDocument = JSON.parse(await file.text());
+            this.loadBoardDocument(boardDocument);
+            this.scheduleAutosave();
+        } catch (error) {
+            console.error('Import fehlgeschlagen:', error);
+            window.alert(`Das Board konnte nicht importiert werden: ${error.message}`);
+        }
     }
 }
 
-document.addEventListener('DOMContentLoaded', () => {                                   // Wartet auf DOM-Ladung
-    new InteraktivesCanvas();                                                          // Erstellt neue Canvas-Instanz
-}); 
\ No newline at end of file
+if (typeof document !== 'undefined') {                                                  // Im Render-Worker nur die Klasse laden
+    document.addEventListener('DOMContentLoaded', () => {                               // Wartet auf DOM-Ladung
+        window.interaktivesCanvas = new InteraktivesCanvas();                          // Erstellt neue Canvas-Instanz (für Konsole, benchmark.html und synccheck.html erreichbar)
+    });
+}
@@ -0,0 +1,362 @@
+/**
+ * PdfDocument - Schreibt PDF-Dateien mit einer Rasterseite je Rahmen (Export von InteraktivesCanvas)
+ * Jede Seite enthält ein Bild in Druckauflösung, das die ganze Seite füllt. Die Pixel werden
+ * verlustfrei abgelegt (RGB mit FlateDecode, komprimiert über die CompressionStream-API);
+ * transparente Bereiche bleiben als weiche Maske (SMask) erhalten.
+ *
+ * Sichtbar ist der Text im Rasterbild: So bleibt die Formung (Nastaliq, Kashida, Ligaturen)
+ * genau wie auf dem Canvas, ohne eigene Textformung. Darüber liegt eine unsichtbare Textebene
+ * (Darstellungsart 3 Tr) in den eingebetteten Schriften: ganze OpenType-Dateien, TrueType als
+ * CIDFontType2 (FontFile2), CFF als CIDFontType0 (FontFile3, ab PDF 1.6), jeweils mit Identity-H
+ * und CID = Glyphe; ToUnicode macht den Text durchsuchbar. Jede Zeile ist so gestreckt, dass
+ * Auswahl und Suche genau über dem gerasterten Text liegen.
+ *
+ * Maße in Punkt (1/72 Zoll), Ursprung links unten.
+ */
+class PdfDocument {
+    constructor() {
+        this.pages = [];                                                        // { width, height, image, mask, imageWidth, imageHeight, texts }
+        this.fonts = [];                                                        // { name, file, length, metrics, cids }
+    }
+
+    /**
+     * Bettet eine Schriftdatei ein (ganze Datei, ohne Teilmenge)
+     * @param {string} family - Der Familienname (daraus wird der PDF-Schriftname)
+     * @param {ArrayBuffer} buffer - Die Schriftdatei (TTF oder OTF)
+     * @returns {Promise<Object>} Die Schrift für addImagePage
+     * @throws {Error} Bei anderen Formaten (WOFF, WOFF2, Sammlungen) oder unvollständigen Dateien
+     */
+    async addFont(family, buffer) {
+        const metrics = this.readFontFile(buffer);
+        const name = family.replace(/[^A-Za-z0-9-]/g, '') || `Schrift${this.fonts.length + 1}`;
+        const font = {
+            name: this.fonts.some(other => other.name === name) ? `${name}-${this.fonts.length + 1}` : name,
+            file: await this.deflate(new Uint8Array(buffer)),
+            length: buffer.byteLength,
+            metrics,
+            cids: new Map()                                                     // Unicode-Zeichen → CID
+        };
+        this.fonts.push(font);
+        return font;
+    }
+
+    /**
+     * Liest die Maße und die Zeichenzuordnung einer OpenType-Datei
+     * @param {ArrayBuffer} buffer - Die Schriftdatei
+     * @returns {Object} cff (CFF- statt TrueType-Umrisse), unitsPerEm, bbox, ascent, descent,
+     *   glyphs (Unicode → Glyphe) und advances (je Glyphe)
+     * @throws {Error} Wenn die Datei keine OpenType-Schrift mit Umrissen ist
+     */
+    readFontFile(buffer) {
+        const view = new DataView(buffer);
+        const tag = offset => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3));
+        const version = buffer.byteLength >= 12 ? tag(0) : '';
+        if (version !== '\0\x01\0\0' && version !== 'true' && version !== 'OTTO') {
+            throw new Error('Nur TrueType- und OpenType-Dateien lassen sich in das PDF einbetten');
+        }
+        const tables = {};
+        for (let i = 0; i < view.getUint16(4); i++) {
+            tables[tag(12 + i * 16)] = view.getUint32(12 + i * 16 + 8);
+        }
+        const cff = version === 'OTTO';
+        const missing = ['cmap', cff ? 'CFF ' : 'glyf', 'head', 'hhea', 'hmtx', 'maxp'].filter(name => tables[name] === undefined);
+        if (missing.length) throw new Error(`Schriftdatei unvollständig (${missing.join(', ')})`);
+
+        const head = tables.head;
+        const hhea = tables.hhea;
+        const metricCount = view.getUint16(hhea + 34);
+        const advances = [];
+        for (let glyph = 0; glyph < view.getUint16(tables.maxp + 4); glyph++) {
+            advances.push(view.getUint16(tables.hmtx + Math.min(glyph, metricCount - 1) * 4));
+        }
+        return {
+            cff,
+            unitsPerEm: view.getUint16(head + 18),
+            bbox: [36, 38, 40, 42].map(offset => view.getInt16(head + offset)),
+            ascent: view.getInt16(hhea + 4),
+            descent: view.getInt16(hhea + 6),
+            glyphs: this.readCmap(view, tables.cmap),
+            advances
+        };
+    }
+
+    /**
+     * Liest die Unicode-Zuordnung (cmap) einer TrueType-Datei, Format 12 vor Format 4
+     * @param {DataView} view - Die Schriftdatei
+     * @param {number} cmap - Beginn der cmap-Tabelle
+     * @returns {Map<number, number>} Unicode-Zeichen → Glyphe
+     */
+    readCmap(view, cmap) {
+        const glyphs = new Map();
+        const subtables = [];
+        for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+            const record = cmap + 4 + i * 8;
+            const platform = view.getUint16(record);
+            const encoding = view.getUint16(record + 2);
+            if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+                subtables.push(cmap + view.getUint32(record + 4));
+            }
+        }
+        const table = subtables.find(offset => view.getUint16(offset) === 12)
+            || subtables.find(offset => view.getUint16(offset) === 4);
+        if (table === undefined) return glyphs;
+
+        if (view.getUint16(table) === 12) {
+            for (let i = 0; i < view.getUint32(table + 12); i++) {
+                const group = table + 16 + i * 12;
+                const first = view.getUint32(group);
+                for (let code = first; code <= view.getUint32(group + 4); code++) {
+                    glyphs.set(code, view.getUint32(group + 8) + code - first);
+                }
+            }
+            return glyphs;
+        }
+        const segments = view.getUint16(table + 6) / 2;
+        const ends = table + 14;
+        const starts = ends + segments * 2 + 2;
+        const deltas = starts + segments * 2;
+        const ranges = deltas + segments * 2;
+        for (let i = 0; i < segments; i++) {
+            const start = view.getUint16(starts + i * 2);
+            const delta = view.getUint16(deltas + i * 2);
+            const range = view.getUint16(ranges + i * 2);
+            for (let code = start; code <= view.getUint16(ends + i * 2) && code !== 0xFFFF; code++) {
+                let glyph = range === 0 ? code : view.getUint16(ranges + i * 2 + range + (code - start) * 2);
+                if (range !== 0 && glyph === 0) continue;
+                glyph = (glyph + delta) & 0xFFFF;
+                if (glyph) glyphs.set(code, glyph);
+            }
+        }
+        return glyphs;
+    }
+
+    /**
+     * Hängt eine Seite mit einem Rasterbild und unsichtbarem Text an
+     * Der Alphakanal wird nur abgelegt, wenn das Bild transparente Pixel enthält
+     * @param {Object} size - width und height der Seite (Punkt)
+     * @param {ImageData} imageData - Die Pixel der Seite (RGBA, z. B. aus getImageData)
+     * @param {Object[]} texts - Je Zeile font (aus addFont), fontSize und width (Punkt), text
+     *   und matrix (Drehung a b c d und Anfang der Grundlinie e f wie im Textoperator Tm)
+     * @returns {Promise<void>}
+     */
+    async addImagePage({ width, height }, imageData, texts = []) {
+        const pixels = imageData.data;
+        const count = imageData.width * imageData.height;
+        const rgb = new Uint8Array(count * 3);
+        const alpha = new Uint8Array(count);
+        let opaque = true;
+        for (let i = 0; i < count; i++) {
+            rgb[i * 3] = pixels[i * 4];
+            rgb[i * 3 + 1] = pixels[i * 4 + 1];
+            rgb[i * 3 + 2] = pixels[i * 4 + 2];
+            alpha[i] = pixels[i * 4 + 3];
+            if (alpha[i] !== 255) opaque = false;
+        }
+        this.pages.push({
+            width,
+            height,
+            image: await this.deflate(rgb),
+            mask: opaque ? null : await this.deflate(alpha),
+            imageWidth: imageData.width,
+            imageHeight: imageData.height,
+            texts: texts.map(line => this.encodeLine(line)).filter(line => line.codes.length)
+        });
+    }
+
+    /**
+     * Bereitet eine Zeile der Textebene vor: CIDs und die horizontale Streckung (Tz) auf die
+     * Breite der gerasterten Zeile
+     * CID ist die Glyphe des Zeichens. Zeichen ohne eigene Glyphe (fehlt in der Schrift oder
+     * teilt sie mit einem anderen Zeichen) erhalten freie CIDs hinter der letzten Glyphe, damit
+     * ToUnicode eindeutig bleibt; gezeichnet würden sie als .notdef, unsichtbar sind sie ohnehin
+     * @param {Object} line - Die Zeile (siehe addImagePage)
+     * @returns {Object} font, fontSize, matrix, codes (CIDs) und scale (Prozent)
+     */
+    encodeLine({ font, fontSize, width, text, matrix }) {
+        const { glyphs, advances, unitsPerEm } = font.metrics;
+        const taken = new Set(font.cids.values());
+        let natural = 0;
+        const codes = Array.from(text, char => char.codePointAt(0)).map(unicode => {
+            if (!font.cids.has(unicode)) {
+                const glyph = glyphs.get(unicode);
+                let cid = glyph && !taken.has(glyph) ? glyph : Math.max(advances.length - 1, ...taken) + 1;
+                if (cid > 0xFFFF) cid = 0;                                      // Kein Platz mehr: ohne Unicode-Zuordnung
+                font.cids.set(unicode, cid);
+                taken.add(cid);
+            }
+            natural += advances[glyphs.get(unicode) || 0] || 0;
+            return font.cids.get(unicode);
+        });
+        natural *= fontSize / unitsPerEm;
+        return { font, fontSize, matrix, codes, scale: natural > 0 && width > 0 ? width / natural * 100 : 100 };
+    }
+
+    /**
+     * Komprimiert Bytes im zlib-Format, das FlateDecode erwartet
+     * @param {Uint8Array} bytes - Die Bytes
+     * @returns {Promise<Uint8Array>} Die komprimierten Bytes
+     * @throws {Error} Wenn der Browser CompressionStream nicht kennt
+     */
+    async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('Der Browser unterstützt keine Komprimierung (CompressionStream)');
+        }
+        const stream = new Response(bytes).body.pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Erzeugt die PDF-Datei
+     * Objekte: 1 Katalog, 2 Seitenbaum, 3 Info, danach je Seite Seite, Inhalt, Bild und ggf. Maske,
+     * zuletzt je Schrift Type0-Schrift, CID-Schrift, Beschreibung, Datei und ToUnicode
+     * @param {Object} options - title (Dokumenttitel, optional)
+     * @returns {Blob} Die PDF-Datei
+     */
+    toBlob({ title = '' } = {}) {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = data => {
+            const bytes = typeof data === 'string' ? this.encodeLatin1(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, ...content) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+            content.forEach(write);
+            write('\nendobj\n');
+        };
+        const n = value => String(Math.round(value * 100) / 100);
+        const hex = code => code.toString(16).toUpperCase().padStart(4, '0');
+        let nextId = 4;
+        const pageIds = this.pages.map(page => {
+            const id = nextId;
+            nextId += page.mask ? 4 : 3;
+            return id;
+        });
+        const fontIds = this.fonts.map(() => {
+            const id = nextId;
+            nextId += 5;
+            return id;
+        });
+
+        // OpenType-Schriftdateien mit CFF-Umrissen (FontFile3) gibt es erst ab PDF 1.6
+        const version = this.fonts.some(font => font.metrics.cff) ? '1.6' : '1.4';
+        write(`%PDF-${version}\n%âãÏÓ\n`);                                      // Binärkommentar: Datei enthält Binärdaten
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        object(3, `<< /Producer (InteraktivesCanvas)${title ? ` /Title ${this.encodeText(title)}` : ''} >>`);
+
+        this.pages.forEach((page, i) => {
+            const id = pageIds[i];
+            let content = `q ${n(page.width)} 0 0 ${n(page.height)} 0 0 cm /Im0 Do Q`;
+            if (page.texts.length) {
+                content += '\nBT 3 Tr';                                         // 3 Tr: unsichtbar, aber auswählbar
+                page.texts.forEach(line => {
+                    const matrix = line.matrix.map(value => String(Math.round(value * 10000) / 10000)).join(' ');
+                    content += `\n/F${this.fonts.indexOf(line.font)} ${n(line.fontSize)} Tf ${n(line.scale)} Tz ` +
+                        `${matrix} Tm <${line.codes.map(hex).join('')}> Tj`;
+                });
+                content += '\nET';
+            }
+            const fonts = Array.from(new Set(page.texts.map(line => line.font)))
+                .map(font => `/F${this.fonts.indexOf(font)} ${fontIds[this.fonts.indexOf(font)]} 0 R`);
+            object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(page.width)} ${n(page.height)}] ` +
+                `/Resources << /XObject << /Im0 ${id + 2} 0 R >>${fonts.length ? ` /Font << ${fonts.join(' ')} >>` : ''} >> ` +
+                `/Contents ${id + 1} 0 R >>`);
+            object(id + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            const image = `/Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} ` +
+                '/BitsPerComponent 8 /Filter /FlateDecode';
+            object(id + 2,
+                `<< ${image} /ColorSpace /DeviceRGB${page.mask ? ` /SMask ${id + 3} 0 R` : ''} /Length ${page.image.length} >>\nstream\n`,
+                page.image,
+                '\nendstream');
+            if (page.mask) {
+                object(id + 3, `<< ${image} /ColorSpace /DeviceGray /Length ${page.mask.length} >>\nstream\n`, page.mask, '\nendstream');
+            }
+        });
+
+        this.fonts.forEach((font, i) => {
+            const id = fontIds[i];
+            const { cff, glyphs, advances, unitsPerEm, bbox, ascent, descent } = font.metrics;
+            const units = value => Math.round(value * 1000 / unitsPerEm);
+            const entries = Array.from(font.cids).filter(([, cid]) => cid > 0).sort((a, b) => a[1] - b[1]);
+
+            // Breiten der verwendeten CIDs, aufeinanderfolgende zusammengefasst: c [w1 w2 …]
+            const widths = [];
+            entries.forEach(([unicode, cid], index) => {
+                const width = units(advances[glyphs.get(unicode) || 0] || 0);
+                if (index && cid === entries[index - 1][1] + 1) widths[widths.length - 1].push(width);
+                else widths.push([cid, width]);
+            });
+            const w = widths.map(([cid, ...values]) => `${cid} [${values.join(' ')}]`).join(' ');
+
+            // ToUnicode: höchstens 100 Einträge je bfchar-Block, Zeichen außerhalb der BMP als Ersatzpaar
+            const utf16 = unicode => Array.from(String.fromCodePoint(unicode), char => hex(char.charCodeAt(0))).join('');
+            const blocks = [];
+            for (let start = 0; start < entries.length; start += 100) {
+                const block = entries.slice(start, start + 100);
+                blocks.push(`${block.length} beginbfchar\n${block.map(([unicode, cid]) => `<${hex(cid)}> <${utf16(unicode)}>`).join('\n')}\nendbfchar`);
+            }
+            const cmap = [
+                '/CIDInit /ProcSet findresource begin',
+                '12 dict begin',
+                'begincmap',
+                '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+                '/CMapName /Adobe-Identity-UCS def',
+                '/CMapType 2 def',
+                '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange',
+                ...blocks,
+                'endcmap',
+                'CMapName currentdict /CMapResource defineresource pop',
+                'end',
+                'end'
+            ].join('\n');
+
+            object(id, `<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H ` +
+                `/DescendantFonts [${id + 1} 0 R] /ToUnicode ${id + 4} 0 R >>`);
+            object(id + 1, `<< /Type /Font /Subtype /${cff ? 'CIDFontType0' : 'CIDFontType2'} /BaseFont /${font.name} ` +
+                '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+                `/FontDescriptor ${id + 2} 0 R /DW ${units(advances[0] || 0)} /W [${w}]${cff ? '' : ' /CIDToGIDMap /Identity'} >>`);
+            object(id + 2, `<< /Type /FontDescriptor /FontName /${font.name} /Flags 4 ` +
+                `/FontBBox [${bbox.map(units).join(' ')}] /ItalicAngle 0 /Ascent ${units(ascent)} ` +
+                `/Descent ${units(descent)} /CapHeight ${units(ascent)} /StemV 80 /${cff ? 'FontFile3' : 'FontFile2'} ${id + 3} 0 R >>`);
+            object(id + 3,
+                `<< ${cff ? '/Subtype /OpenType' : `/Length1 ${font.length}`} /Filter /FlateDecode /Length ${font.file.length} >>\nstream\n`,
+                font.file,
+                '\nendstream');
+            object(id + 4, `<< /Length ${cmap.length} >>\nstream\n${cmap}\nendstream`);
+        });
+
+        // Querverweistabelle: Einträge mit fester Länge von 20 Byte
+        const count = nextId - 1;
+        const xref = length;
+        write(`xref\n0 ${count + 1}\n0000000000 65535 f \n`);
+        for (let id = 1; id <= count; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${count + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Kodiert einen Text als PDF-String in UTF-16BE mit Byte-Order-Mark (auch für persische Titel)
+     * @param {string} text - Der Text
+     * @returns {string} Der Hex-String, z. B. <FEFF0041>
+     */
+    encodeText(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    encodeLatin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+}
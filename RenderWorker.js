@@ -0,0 +1,167 @@
+/**
+ * RenderWorker - Zeichnet Raster und Inhalt des Boards außerhalb des Hauptthreads
+ * Wird mit ?render=worker von InteraktivesCanvas.setupRenderWorker gestartet
+ *
+ * Nachrichten vom Hauptthread:
+ * - init: OffscreenCanvas, Einstellungen (getRenderConfig) und Schriften (getFontSources)
+ * - frame: Kamera, geänderter Bereich, IDs der Overlay-Elemente und
+ *          (nur nach Inhaltsänderungen) die serialisierten Elemente
+ * - fonts: Im Hauptthread fertig geladene oder importierte Schriften (FontRegistry)
+ * - image: Im Hauptthread dekodiertes Bild eines Bildelements (ImageBitmap, siehe ImageStore)
+ *
+ * Gezeichnet wird mit denselben Methoden wie im Hauptthread (InteraktivesCanvas.prototype),
+ * nur ohne DOM: Ebenen und Messkontext sind OffscreenCanvas. Das Overlay bleibt im Hauptthread.
+ */
+importScripts('SpatialIndex.js', 'ImageStore.js', 'InteraktivesCanvas.js');
+
+let renderer = null;                                                            // Renderer ohne DOM
+let lastFrame = null;                                                           // Letzte Frame-Nachricht (für Neuzeichnen nach Schriftladen)
+const elementsById = new Map();                                                 // Element-ID → Element des Renderers
+
+/**
+ * Erzeugt einen Renderer aus dem Prototyp des Boards, ohne Konstruktor (kein DOM im Worker)
+ * @param {OffscreenCanvas} canvas - Sichtbares Canvas unter dem Hauptcanvas
+ * @param {Object} config - Einstellungen aus getRenderConfig
+ * @returns {InteraktivesCanvas} Der Renderer
+ */
+function createRenderer(canvas, config) {
+    const board = Object.create(InteraktivesCanvas.prototype);
+    Object.assign(board, config, {
+        canvas,
+        displayContext: canvas.getContext('2d'),
+        context: null,                                                          // Kein Overlay, daher keine Auswahlrahmen
+        measureContext: new OffscreenCanvas(1, 1).getContext('2d'),
+        textElements: [],
+        selectedElements: new Set(),
+        offset: { x: 0, y: 0 },
+        scale: 1,
+        pixelRatio: 1,
+        viewportSize: { width: 0, height: 0 },
+        isGridVisible: true,
+        guides: { visible: false },                                             // Kommt mit jedem Frame (siehe postWorkerFrame)
+        theme: null,                                                            // Ebenso Farben des Themas
+        background: { color: '', texture: 'none' },                            // und Hintergrund des Boards
+        renderSurface: null,
+        spatialIndex: null,
+        indexedElements: null,
+        indexedCount: 0,
+        paintOrder: new Map(),
+        layoutCache: new WeakMap(),
+        strokeExtentCache: new WeakMap(),
+        imageStore: new ImageStore(),                                           // Ohne Datenbank, Bilder kommen fertig dekodiert
+        gridPattern: null,
+        textureCache: new Map(),
+        frameCache: null,
+        renderedCamera: null
+    });
+    board.layers = {
+        grid: board.createLayer(),
+        content: board.createLayer()
+    };
+    return board;
+}
+
+/**
+ * Übernimmt die Elemente des Hauptthreads
+ * Bestehende Objekte werden weiterverwendet, damit ihre gemessenen Layouts erhalten bleiben
+ * @param {Object[]} list - Die serialisierten Elemente in Zeichenreihenfolge
+ */
+function updateElements(list) {
+    const present = new Set();
+    renderer.textElements = list.map(data => {
+        const element = elementsById.get(data.id) || {};
+        Object.keys(element).forEach(key => {
+            if (!(key in data)) delete element[key];
+        });
+        Object.assign(element, data);
+        elementsById.set(data.id, element);
+        present.add(data.id);
+        return element;
+    });
+    elementsById.forEach((element, id) => {
+        if (!present.has(id)) elementsById.delete(id);
+    });
+    renderer.invalidateSpatialIndex();
+}
+
+/**
+ * Zeichnet ein Bild nach den Angaben des Hauptthreads
+ * @param {Object} message - Die Frame-Nachricht (siehe postWorkerFrame)
+ */
+function renderFrame(message) {
+    const { camera } = message;
+    let region = message.region;
+
+    const width = Math.round(camera.width * camera.pixelRatio);
+    const height = Math.round(camera.height * camera.pixelRatio);
+    if (renderer.canvas.width !== width || renderer.canvas.height !== height) {
+        renderer.resizeLayers(width, height);
+    }
+    Object.assign(renderer, {
+        offset: camera.offset,
+        scale: camera.scale,
+        pixelRatio: camera.pixelRatio,
+        viewportSize: { width: camera.width, height: camera.height },
+        isGridVisible: camera.isGridVisible,
+        guides: camera.guides,
+        theme: camera.theme,
+        background: camera.background
+    });
+
+    if (message.elements) {
+        updateElements(message.elements);
+        region = 'all';
+    }
+    const hidden = new Set(message.hidden.map(id => elementsById.get(id)).filter(Boolean));
+
+    renderer.renderBaseLayers(region, hidden);
+    renderer.compositeLayers([renderer.layers.grid, renderer.layers.content]);
+    lastFrame = message;
+}
+
+/**
+ * Zeichnet das letzte Bild vollständig neu, z. B. nachdem Schriften oder Bilder geladen sind
+ */
+function redrawLastFrame() {
+    renderer.renderedCamera = null;
+    if (lastFrame) renderFrame({ ...lastFrame, elements: null, region: 'all' });
+}
+
+/**
+ * Lädt die Schriften der Seite im Worker und zeichnet danach mit den echten Glyphenmaßen neu
+ * @param {Object[]} fonts - Die Schriften aus getFontSources
+ */
+function loadFonts(fonts) {
+    if (!self.fonts || typeof FontFace === 'undefined') return;
+    fonts.forEach(({ family, source, descriptors }) => {
+        const face = new FontFace(family, source, descriptors);
+        self.fonts.add(face);
+        face.load().then(() => {
+            renderer.layoutCache = new WeakMap();
+            renderer.invalidateSpatialIndex();
+            redrawLastFrame();
+        }).catch(error => {
+            console.warn(`Schrift ${family} konnte im Worker nicht geladen werden:`, error);
+        });
+    });
+}
+
+self.addEventListener('message', event => {
+    const message = event.data;
+    switch (message.type) {
+        case 'init':
+            renderer = createRenderer(message.canvas, message.config);
+            loadFonts(message.fonts || []);
+            break;
+        case 'frame':
+            renderFrame(message);
+            break;
+        case 'fonts':
+            loadFonts(message.fonts);
+            break;
+        case 'image':
+            renderer.imageStore.setImage(message.id, message.image);
+            redrawLastFrame();
+            break;
+    }
+});
@@ -0,0 +1,189 @@
+/**
+ * SpatialIndex - Quadtree für achsenparallele Rechtecke auf einer unbegrenzten Fläche
+ * Beschleunigt Sichtbarkeitsprüfung (Culling) und Trefferprüfung großer Boards
+ *
+ * Eigenschaften:
+ * - Einträge liegen im kleinsten Knoten, der sie vollständig enthält
+ * - Die Wurzel wächst bei Bedarf in Richtung neuer Einträge (keine festen Grenzen)
+ * - Knoten teilen sich ab maxItems Einträgen, höchstens bis maxDepth
+ *
+ * Rechtecke haben die Form { x, y, width, height } in Weltkoordinaten.
+ */
+class SpatialIndex {
+    /**
+     * @param {Object} options - maxItems (Einträge je Knoten vor dem Teilen), maxDepth, initialSize
+     */
+    constructor({ maxItems = 16, maxDepth = 16, initialSize = 1024 } = {}) {
+        this.maxItems = maxItems;
+        this.maxDepth = maxDepth;
+        this.initialSize = initialSize;
+        this.clear();
+    }
+
+    /**
+     * Entfernt alle Einträge
+     */
+    clear() {
+        this.root = null;
+        this.entries = new Map();                                               // item → { item, bounds, node }
+    }
+
+    /**
+     * Anzahl der Einträge
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Prüft, ob ein Eintrag im Index liegt
+     * @param {*} item - Der Eintrag
+     * @returns {boolean}
+     */
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Fügt einen Eintrag ein (ein vorhandener Eintrag wird ersetzt)
+     * @param {*} item - Der Eintrag (z. B. ein Element)
+     * @param {Object} bounds - Seine Begrenzung
+     */
+    insert(item, bounds) {
+        if (this.entries.has(item)) this.remove(item);
+        if (!isFinite(bounds.x + bounds.y + bounds.width + bounds.height)) return;   // Unbrauchbare Box nicht indizieren
+        const entry = { item, bounds, node: null };
+        this.entries.set(item, entry);
+
+        if (!this.root) {
+            const size = Math.max(this.initialSize, bounds.width * 2, bounds.height * 2);
+            this.root = this.createNode(bounds.x + bounds.width / 2 - size / 2, bounds.y + bounds.height / 2 - size / 2, size, 0);
+        }
+        while (!this.contains(this.root, bounds)) {
+            this.growRoot(bounds);
+        }
+        this.insertIntoNode(this.root, entry);
+    }
+
+    /**
+     * Entfernt einen Eintrag
+     * @param {*} item - Der Eintrag
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+        const items = entry.node.items;
+        items.splice(items.indexOf(entry), 1);
+        this.entries.delete(item);
+    }
+
+    /**
+     * Aktualisiert die Begrenzung eines Eintrags
+     * Bleibt er im selben Knoten und passt in kein Kind, genügt das Ersetzen der Box
+     * @param {*} item - Der Eintrag
+     * @param {Object} bounds - Die neue Begrenzung
+     */
+    update(item, bounds) {
+        const entry = this.entries.get(item);
+        if (entry && this.contains(entry.node, bounds) &&
+            !(entry.node.children && entry.node.children.some(child => this.contains(child, bounds)))) {
+            entry.bounds = bounds;
+            return;
+        }
+        this.insert(item, bounds);
+    }
+
+    /**
+     * Liefert alle Einträge, deren Begrenzung das Rechteck berührt
+     * @param {Object} rect - Das Suchrechteck
+     * @returns {Array} Die Einträge (ohne bestimmte Reihenfolge)
+     */
+    query(rect) {
+        const result = [];
+        if (!this.root) return result;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!this.intersects(node, rect)) continue;
+            node.items.forEach(entry => {
+                if (this.intersects(entry.bounds, rect)) result.push(entry.item);
+            });
+            if (node.children) stack.push(...node.children);
+        }
+        return result;
+    }
+
+    createNode(x, y, size, depth) {
+        return { x, y, width: size, height: size, depth, items: [], children: null };
+    }
+
+    /**
+     * Verdoppelt die Wurzel in Richtung der Box; die alte Wurzel wird ein Quadrant
+     * Die Tiefe bleibt relativ zur alten Wurzel, daher zählen Tiefen auch negativ
+     */
+    growRoot(bounds) {
+        const old = this.root;
+        const size = old.width;
+        const growLeft = bounds.x < old.x;
+        const growUp = bounds.y < old.y;
+        const root = this.createNode(
+            growLeft ? old.x - size : old.x,
+            growUp ? old.y - size : old.y,
+            size * 2,
+            old.depth - 1
+        );
+        root.children = this.createChildren(root);
+        root.children[(growUp ? 2 : 0) + (growLeft ? 1 : 0)] = old;
+        this.root = root;
+    }
+
+    createChildren(node) {
+        const half = node.width / 2;
+        return [
+            this.createNode(node.x, node.y, half, node.depth + 1),
+            this.createNode(node.x + half, node.y, half, node.depth + 1),
+            this.createNode(node.x, node.y + half, half, node.depth + 1),
+            this.createNode(node.x + half, node.y + half, half, node.depth + 1)
+        ];
+    }
+
+    insertIntoNode(node, entry) {
+        let current = node;
+        for (;;) {
+            const child = current.children && current.children.find(candidate => this.contains(candidate, entry.bounds));
+            if (!child) break;
+            current = child;
+        }
+        current.items.push(entry);
+        entry.node = current;
+
+        if (!current.children && current.items.length > this.maxItems && current.depth - this.root.depth < this.maxDepth) {
+            this.split(current);
+        }
+    }
+
+    split(node) {
+        node.children = this.createChildren(node);
+        const items = node.items;
+        node.items = [];
+        items.forEach(entry => {
+            const child = node.children.find(candidate => this.contains(candidate, entry.bounds));
+            const target = child || node;
+            target.items.push(entry);
+            entry.node = target;
+        });
+    }
+
+    contains(outer, inner) {
+        return inner.x >= outer.x && inner.y >= outer.y &&
+               inner.x + inner.width <= outer.x + outer.width &&
+               inner.y + inner.height <= outer.y + outer.height;
+    }
+
+    intersects(a, b) {
+        return a.x <= b.x + b.width && a.x + a.width >= b.x &&
+               a.y <= b.y + b.height && a.y + a.height >= b.y;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * BoardBenchmark - Messungen für große Boards (benchmark.html)
+ * Baut ein Board mit vielen Elementen und misst Zeichnen, Pan, Treffertest und Ziehen
+ * jeweils mit und ohne räumlichen Index.
+ */
+class BoardBenchmark {
+    /**
+     * @param {HTMLIFrameElement} frame - Frame mit index.html
+     * @param {HTMLTableElement} table - Tabelle für die Ergebnisse
+     * @param {HTMLElement} status - Statusanzeige
+     */
+    constructor(frame, table, status) {
+        this.frame = frame;
+        this.table = table;
+        this.status = status;
+        this.words = ['سلام', 'خوشنویسی', 'نستعلیق', 'قلم', 'کتاب', 'مرکب', 'Qalam', 'ligature', 'نقطه', 'کشیده'];
+        this.fonts = ['IranSans', 'IranNastaliq'];
+    }
+
+    /**
+     * Wartet, bis das Board im Frame erzeugt und der Autosave geladen ist
+     * @returns {Promise<InteraktivesCanvas>} Das Board
+     */
+    async waitForBoard() {
+        for (;;) {
+            const board = this.frame.contentWindow && this.frame.contentWindow.interaktivesCanvas;
+            if (board && board.autosaveRestored) return board;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    /**
+     * Erzeugt ein Board-Dokument mit Wörtern und Strichen in einem Raster
+     * @param {number} count - Anzahl der Elemente
+     * @returns {Object} Das Dokument
+     */
+    createBoardDocument(count) {
+        const columns = Math.ceil(Math.sqrt(count));
+        const elements = [];
+        for (let i = 0; i < count; i++) {
+            const x = (i % columns) * 220;
+            const y = Math.floor(i / columns) * 120;
+            if (i % 10 === 9) {
+                const points = [];
+                for (let p = 0; p < 24; p++) {
+                    points.push({ x: p * 6, y: Math.sin(p / 3) * 20, pressure: 0.3 + (p % 5) / 10 });
+                }
+                elements.push({ id: `b${i}`, type: 'stroke', x, y, width: 3, points });
+            } else {
+                elements.push({
+                    id: `b${i}`,
+                    text: this.words[i % this.words.length],
+                    x,
+                    y,
+                    fontFamily: this.fonts[i % this.fonts.length],
+                    fontSize: 40,
+                    rotation: i % 7 === 0 ? 0.2 : 0
+                });
+            }
+        }
+        return { format: 'qalam-board', version: 2, viewport: null, elements };
+    }
+
+    /**
+     * Misst eine Funktion mehrfach
+     * @returns {{mean: number, p95: number}} Mittelwert und 95. Perzentil in ms
+     */
+    measure(runs, fn) {
+        const times = [];
+        for (let i = 0; i < runs; i++) {
+            const start = performance.now();
+            fn(i);
+            times.push(performance.now() - start);
+        }
+        times.sort((a, b) => a - b);
+        return {
+            mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+            p95: times[Math.min(times.length - 1, Math.floor(times.length * 0.95))]
+        };
+    }
+
+    /**
+     * Führt alle Messungen aus und zeigt sie in der Tabelle
+     * @param {number} count - Anzahl der Elemente
+     */
+    async run(count) {
+        this.status.textContent = 'Läuft …';
+        const board = await this.waitForBoard();
+        board.saveAutosave = async () => {};                                    // Testboard nie speichern (auch nicht beim Verstecken)
+
+        const build = this.measure(1, () => board.loadBoardDocument(this.createBoardDocument(count)));
+        board.scale = 1;
+        board.offset = { x: -2000, y: -1000 };
+
+        const rows = [['Board laden', build]];
+        [true, false].forEach(useIndex => {
+            board.useSpatialIndex = useIndex;
+            board.invalidateSpatialIndex();
+            const suffix = useIndex ? 'mit Index' : 'ohne Index';
+
+            if (useIndex) rows.push(['Index aufbauen', this.measure(5, () => board.rebuildSpatialIndex())]);
+            this.drawNow(board);                                                // Layouts messen (Cache füllen)
+
+            rows.push([`Zeichnen (${suffix})`, this.measure(30, () => this.drawNow(board))]);
+            rows.push([`Pan, 120 Frames (${suffix})`, this.measure(120, () => {
+                board.offset.x -= 8;
+                board.renderFrame();                                            // Kamerawechsel zeichnet Raster und Inhalt neu
+            })]);
+
+            const viewport = board.getViewportBounds();
+            rows.push([`Treffertest ×1000 (${suffix})`, this.measure(1, () => {
+                for (let i = 0; i < 1000; i++) {
+                    board.findElementAtPosition(
+                        viewport.x + Math.random() * viewport.width,
+                        viewport.y + Math.random() * viewport.height
+                    );
+                }
+            })]);
+
+            const element = board.queryElements(viewport)[0];
+            if (element) {
+                const origin = { x: element.x, y: element.y };
+                rows.push([`Element ziehen, Teilbereich (${suffix})`, this.measure(60, step => {
+                    const before = board.getElementBounds(element);
+                    element.x = origin.x + step * 2;
+                    board.redrawElements([element], before);
+                    board.renderFrame();
+                })]);
+                rows.push([`Element ziehen, Vollbild (${suffix})`, this.measure(60, step => {
+                    element.x = origin.x + step * 2;
+                    board.updateElementBounds([element]);
+                    this.drawNow(board);
+                })]);
+                element.x = origin.x;
+                board.updateElementBounds([element]);
+            }
+        });
+
+        board.useSpatialIndex = true;
+        board.invalidateSpatialIndex();
+        board.draw();
+        this.render(count, rows);
+        this.status.textContent = `Fertig (${count} Elemente)`;
+    }
+
+    /**
+     * Zeichnet das ganze Board sofort statt im nächsten Frame
+     * @param {InteraktivesCanvas} board - Das Board
+     */
+    drawNow(board) {
+        board.draw();
+        board.renderFrame();
+    }
+
+    render(count, rows) {
+        const format = value => value.toFixed(2);
+        this.table.innerHTML = '<tr><th>Messung</th><th>Mittel (ms)</th><th>p95 (ms)</th></tr>' +
+            rows.map(([label, result]) =>
+                `<tr><td>${label}</td><td>${format(result.mean)}</td><td>${format(result.p95)}</td></tr>`).join('');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const benchmark = new BoardBenchmark(
+        document.getElementById('benchmarkFrame'),
+        document.getElementById('benchmarkResults'),
+        document.getElementById('benchmarkStatus')
+    );
+    document.getElementById('startBenchmark').addEventListener('click', () => {
+        const count = parseInt(document.getElementById('benchmarkCount').value, 10) || 10000;
+        benchmark.run(count);
+    });
+});
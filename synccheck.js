@@ -0,0 +1,154 @@
+/**
+ * SyncCheck - Prüfung der Synchronisation zweier Boards (synccheck.html)
+ * Verbindet zwei Boards über einen LocalSyncHub mit Verzögerung, lässt das zweite beitreten
+ * und beide abwechselnd x und y desselben Elements ändern. Danach müssen beide Boards
+ * denselben Zustand haben.
+ */
+class SyncCheck {
+    /**
+     * @param {HTMLIFrameElement[]} frames - Zwei Frames mit index.html
+     * @param {HTMLUListElement} list - Liste für die Ergebnisse
+     * @param {HTMLElement} status - Statusanzeige
+     */
+    constructor(frames, list, status) {
+        this.frames = frames;
+        this.list = list;
+        this.status = status;
+        this.latency = 20;                                                      // Verzögerung des Verteilers (ms)
+        this.steps = 40;                                                        // Abwechselnde Änderungen pro Board
+        this.results = [];
+    }
+
+    /**
+     * Wartet, bis das Board im Frame erzeugt und der Autosave geladen ist
+     * @param {HTMLIFrameElement} frame - Der Frame
+     * @returns {Promise<InteraktivesCanvas>} Das Board
+     */
+    async waitForBoard(frame) {
+        for (;;) {
+            const board = frame.contentWindow && frame.contentWindow.interaktivesCanvas;
+            if (board && board.autosaveRestored) return board;
+            await this.sleep(100);
+        }
+    }
+
+    /**
+     * Wartet, bis eine Bedingung erfüllt ist
+     * @param {Function} condition - Die Bedingung
+     * @param {number} timeout - Höchstens so lange warten (ms)
+     * @returns {Promise<boolean>} Ob die Bedingung erfüllt wurde
+     */
+    async waitFor(condition, timeout) {
+        const end = performance.now() + timeout;
+        while (!condition()) {
+            if (performance.now() > end) return false;
+            await this.sleep(20);
+        }
+        return true;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Erzeugt ein Board-Dokument mit Wörtern in einer Zeile
+     * @param {string[]} ids - IDs der Elemente
+     * @param {string} text - Text aller Elemente
+     * @returns {Object} Das Dokument
+     */
+    createBoardDocument(ids, text) {
+        const elements = ids.map((id, i) => ({ id, text, x: i * 200, y: 0, fontFamily: 'IranSans', fontSize: 32 }));
+        return { format: 'qalam-board', version: 2, viewport: null, elements };
+    }
+
+    /**
+     * Serialisiert die Elemente eines Boards in ihrer Reihenfolge
+     * @param {InteraktivesCanvas} board - Das Board
+     * @returns {string} JSON der Elemente
+     */
+    snapshot(board) {
+        return JSON.stringify(board.textElements.map(element => board.serializeElement(element)));
+    }
+
+    /**
+     * Hält ein Ergebnis fest
+     * @param {string} label - Beschreibung der Prüfung
+     * @param {boolean} passed - Ob die Prüfung bestanden wurde
+     */
+    check(label, passed) {
+        this.results.push({ label, passed });
+    }
+
+    /**
+     * Führt alle Prüfungen aus und zeigt sie in der Liste
+     */
+    async run() {
+        this.status.textContent = 'Läuft …';
+        this.results = [];
+        const [first, second] = await Promise.all(this.frames.map(frame => this.waitForBoard(frame)));
+        [first, second].forEach(board => {
+            board.saveAutosave = async () => {};                                // Testboards nie speichern (auch nicht beim Verstecken)
+        });
+
+        first.loadBoardDocument(this.createBoardDocument(['s1', 's2', 's3'], 'سلام'));
+        second.loadBoardDocument(this.createBoardDocument(['lokal'], 'lokal'));
+
+        // Das erste Board eröffnet die Sitzung, das zweite tritt danach bei
+        const hub = new LocalSyncHub({ latency: this.latency });
+        const syncA = first.connectSync(hub.createTransport(), { clientId: 'A', name: 'A' });
+        this.check('Erstes Board eröffnet die Sitzung', await this.waitFor(() => syncA.joined, syncA.joinTimeout * 2));
+        const syncB = second.connectSync(hub.createTransport(), { clientId: 'B', name: 'B' });
+        this.check('Zweites Board tritt bei', await this.waitFor(() => syncB.joined, syncB.joinTimeout * 2));
+        await this.sleep(this.latency * 5);
+
+        this.check('Beitretendes Board übernimmt den Zustand der Sitzung', this.snapshot(first) === this.snapshot(second));
+        this.check('Lokales Board gelangt nicht in die Sitzung',
+            !first.textElements.some(element => element.id === 'lokal') &&
+            !second.textElements.some(element => element.id === 'lokal'));
+
+        // Abwechselnd x und y desselben Elements auf beiden Boards ändern (wie gleichzeitiges Ziehen)
+        for (let step = 0; step < this.steps; step++) {
+            [first, second].forEach((board, index) => {
+                const element = board.textElements.find(candidate => candidate.id === 's1');
+                const sign = index === 0 ? 1 : -1;
+                if (step % 2 === 0) {
+                    element.x = sign * step * 5;
+                } else {
+                    element.y = sign * step * 3;
+                }
+                board.updateElementBounds([element]);
+                board.sync.scheduleFlush();
+            });
+            await this.sleep(Math.random() * this.latency * 1.5);
+        }
+
+        const quiet = syncA.flushDelay + this.latency * 10;                     // Ausstehende Nachrichten abwarten
+        await this.sleep(quiet);
+        this.check('Beide Boards haben denselben Endzustand', this.snapshot(first) === this.snapshot(second));
+
+        [syncA, syncB].forEach(sync => sync.stop());
+        this.render();
+        const failed = this.results.filter(result => !result.passed).length;
+        this.status.textContent = failed ? `${failed} Prüfung(en) fehlgeschlagen` : 'Alle Prüfungen bestanden';
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.results.forEach(({ label, passed }) => {
+            const item = document.createElement('li');
+            item.textContent = `${passed ? '✓' : '✗'} ${label}`;
+            if (!passed) item.className = 'failed';
+            this.list.appendChild(item);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const check = new SyncCheck(
+        [document.getElementById('syncFrameA'), document.getElementById('syncFrameB')],
+        document.getElementById('syncCheckResults'),
+        document.getElementById('syncCheckStatus')
+    );
+    document.getElementById('startSyncCheck').addEventListener('click', () => check.run());
+});